@@ -1,9 +1,5 @@
-import {
-  HEX_OFFSET_X,
-  HEX_OFFSET_Y,
-  HEX_HEIGHT,
-  HEX_SIZE,
-} from "./configs/config.js";
+import randomService from "./engine/Random.js";
+import { offsetToPixel } from "./engine/HexMath.js";
 
 // Hex grid data structure
 export class Hex {
@@ -19,10 +15,14 @@ export class Hex {
     this.isHovered = false;
     this.isSelected = false;
     this.eventData = null;
+    this.ruin = null; // Long Tomorrow ruin left by an earlier session
+    this.memorial = null; // Long Tomorrow memorial marker
+    this.soil = null; // Long Tomorrow soil (see SoilSystem)
 
     // Calculate position relative to grid center
-    this.x = HEX_OFFSET_X * q;
-    this.y = HEX_OFFSET_Y * r + (q % 2 === 0 ? 0 : HEX_HEIGHT / 2);
+    const { x, y } = offsetToPixel(q, r);
+    this.x = x;
+    this.y = y;
   }
 
   getPixelPosition() {
@@ -30,18 +30,20 @@ export class Hex {
   }
 
   assignRandomTerrain() {
-    if (Math.random() >= 0.7) {
-      this.sprite = PIXI.Sprite.from("assets/hex-grass.png");
-      this.terrain = "grass";
+    if (randomService.stream("terrain").next() >= 0.7) {
+      this.setTerrain("grass");
     } else {
-      this.sprite = PIXI.Sprite.from("assets/hex-ground.png");
-      this.terrain = "ground";
+      this.setTerrain("ground");
     }
   }
+  setTerrain(terrain) {
+    this.sprite = PIXI.Sprite.from(`assets/hex-${terrain}.png`);
+    this.terrain = terrain;
+  }
   assignRandomResource() {
-    const resourceProbability = Math.random();
-    if (q != 0 && r != 0 && Math.random() > 0.8) {
-      if (Math.random() > 0.5) {
+    const rng = randomService.stream("resources");
+    if (q != 0 && r != 0 && rng.next() > 0.8) {
+      if (rng.next() > 0.5) {
         addResourceToHex(this, "radioactive_waste", 500);
       } else {
         addResourceToHex(this, "forest", 200);
@@ -1,5 +1,6 @@
 import { GameObject } from "../engine/GameObject.js";
 import EventBus from "../engine/EventBus.js";
+import researchEffects from "../systems/longTomorrow/ResearchEffects.js";
 
 /**
  * Building class - Represents placeable structures on hexes
@@ -25,6 +26,7 @@ export class Building extends GameObject {
     this.constructionProgress = 0; // 0-1
     this.totalConstructionTime = 0; // in seconds
     this.constructionProgressBar = null; // PIXI graphics for progress bar
+    this.materialsOwed = 0; // Materials builder drones still have to bring
   }
 
   /**
@@ -41,11 +43,22 @@ export class Building extends GameObject {
       greenhouse: "assets/building-greenhouse.png",
       habitat: "assets/building-habitat.png",
       park: "assets/building-park.png",
+      water_collector: "assets/building-collector.png",
     };
 
     return spriteMap[type] || "assets/building-reactor.png";
   }
 
+  /**
+   * Get the materials the next upgrade costs, after research discounts
+   * @returns {number} Materials charged for the upgrade
+   */
+  getUpgradeCost() {
+    return researchEffects.apply("buildingCost", this.upgradeCost, {
+      type: this.type,
+    });
+  }
+
   /**
    * Upgrade the building to the next level
    * @returns {boolean} True if upgrade was successful
@@ -165,7 +178,10 @@ export class Building extends GameObject {
       }
     }
 
-    this.constructionTimeRemaining -= deltaTime;
+    this.constructionTimeRemaining = Math.max(
+      0,
+      this.constructionTimeRemaining - deltaTime,
+    );
     this.constructionProgress = Math.max(
       0,
       1 - this.constructionTimeRemaining / this.totalConstructionTime,
@@ -178,7 +194,8 @@ export class Building extends GameObject {
       console.log(`[Building] Skipping progress bar update for ${this.type} - no progress bar available`);
     }
 
-    if (this.constructionTimeRemaining <= 0) {
+    // A site waiting for builder drones only finishes once it is paid for
+    if (this.constructionTimeRemaining <= 0 && this.materialsOwed <= 0) {
       this.completeConstruction();
     }
   }
@@ -394,6 +411,48 @@ export class Building extends GameObject {
     };
   }
 
+  /**
+   * Get save data for persistence
+   * @returns {Object} Serializable building state
+   */
+  getSaveData() {
+    return {
+      type: this.type,
+      q: this.hex.q,
+      r: this.hex.r,
+      level: this.level,
+      productionRate: this.productionRate,
+      upgradeCost: this.upgradeCost,
+      isUnderConstruction: this.isUnderConstruction,
+      constructionTimeRemaining: this.constructionTimeRemaining,
+      totalConstructionTime: this.totalConstructionTime,
+      materialsOwed: this.materialsOwed,
+    };
+  }
+
+  /**
+   * Load building state from save data
+   * @param {Object} saveData - Data from getSaveData()
+   */
+  loadSaveData(saveData) {
+    this.level = saveData.level;
+    this.productionRate = saveData.productionRate;
+    this.upgradeCost = saveData.upgradeCost;
+
+    if (saveData.isUnderConstruction) {
+      this.startConstruction(saveData.totalConstructionTime);
+      this.constructionTimeRemaining = saveData.constructionTimeRemaining;
+      this.materialsOwed = saveData.materialsOwed || 0;
+      this.constructionProgress = Math.max(
+        0,
+        1 - this.constructionTimeRemaining / this.totalConstructionTime,
+      );
+      if (this.constructionProgressBar) {
+        this.updateProgressBar();
+      }
+    }
+  }
+
   /**
    * Destroy the building
    */
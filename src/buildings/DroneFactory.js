@@ -1,12 +1,22 @@
 import { Building } from "./Building.js";
 import EventBus from "../engine/EventBus.js";
-import { BUILDINGS } from "../configs/GameData.js";
+import {
+  BUILDINGS,
+  DRONE_TYPES,
+  GAME_BALANCE,
+  getUnitData,
+} from "../configs/GameData.js";
+import { GAME_FEATURES } from "../configs/levels.js";
+import powerGrid from "../engine/PowerGrid.js";
+import jobDispatcher from "../engine/JobDispatcher.js";
 
 /**
  * DroneFactory class - Produces drones for resource collection
  *
  * Factory building that creates drone units for automated resource gathering.
- * Handles drone production and placement logic.
+ * Handles drone production and placement logic. With drone specialization
+ * enabled it can build every drone type in UNITS (haulers, lumber drones,
+ * builders, couriers).
  */
 export class DroneFactory extends Building {
   constructor(hex) {
@@ -17,6 +27,7 @@ export class DroneFactory extends Building {
     this.maxDronesPerFactory = BUILDINGS.drone_factory.maxDronesPerLevel; // Maximum drones this factory can support
     this.baseUpgradeCost = BUILDINGS.drone_factory.baseUpgradeCost; // Materials needed for upgrade
     this.dronesProduced = 0; // Track how many drones this factory has made
+    this.keepFleetNearby = false; // Pin this factory's drones to the zone around it
 
     // Set factory-specific max level and upgrade cost
     this.maxLevel = BUILDINGS.drone_factory.maxLevel;
@@ -30,28 +41,13 @@ export class DroneFactory extends Building {
    * @returns {Array} Array of adjacent hex objects
    */
   getAdjacentHexes() {
-    const directions = [
-      { q: 1, r: 0 },
-      { q: 1, r: -1 },
-      { q: 0, r: -1 },
-      { q: -1, r: 0 },
-      { q: -1, r: 1 },
-      { q: 0, r: 1 },
-    ];
-
-    const gameState = window.gameState;
-    if (!gameState || !gameState.hexes) {
-      console.warn("[DroneFactory] GameState or hexes not available");
+    const hexGrid = window.hexGrid;
+    if (!hexGrid) {
+      console.warn("[DroneFactory] Hex grid not available");
       return [];
     }
 
-    return directions
-      .map((dir) =>
-        gameState.hexes.find(
-          (h) => h.q === this.hex.q + dir.q && h.r === this.hex.r + dir.r,
-        ),
-      )
-      .filter((h) => h !== undefined);
+    return hexGrid.getNeighbors(this.hex);
   }
 
   /**
@@ -82,11 +78,29 @@ export class DroneFactory extends Building {
     return null;
   }
 
+  /**
+   * Get the drone types this factory can build
+   * @returns {string[]} Keys in UNITS
+   */
+  getBuildableDroneTypes() {
+    return GAME_FEATURES.drone_specialization ? DRONE_TYPES : ["drone"];
+  }
+
+  /**
+   * Get the materials needed to build a drone type
+   * @param {string} droneType - Key in UNITS
+   * @returns {number} Production cost
+   */
+  getDroneCost(droneType = "drone") {
+    return getUnitData(droneType)?.productionCost ?? this.droneProductionCost;
+  }
+
   /**
    * Build a drone near this factory
+   * @param {string} droneType - Key in UNITS (default: waste hauler)
    * @returns {Object|null} Created drone or null if failed
    */
-  buildDrone() {
+  buildDrone(droneType = "drone") {
     const playerStorage = window.playerStorage;
     const GameObjectFactory = window.GameObjectFactory;
     const gameState = window.gameState;
@@ -98,10 +112,22 @@ export class DroneFactory extends Building {
       return null;
     }
 
+    if (!this.getBuildableDroneTypes().includes(droneType)) {
+      console.warn(`[DroneFactory] Cannot build drone type: ${droneType}`);
+      return null;
+    }
+    const productionCost = this.getDroneCost(droneType);
+
+    // Browned-out factories cannot run the assembly line
+    if (!powerGrid.isPowered(this)) {
+      console.log("[DroneFactory] No power - cannot build drones");
+      return null;
+    }
+
     // Check if we have enough materials
-    if (playerStorage.getMaterials() < this.droneProductionCost) {
+    if (playerStorage.getMaterials() < productionCost) {
       console.log(
-        `[DroneFactory] Insufficient materials for drone (need ${this.droneProductionCost}, have ${playerStorage.getMaterials()})`,
+        `[DroneFactory] Insufficient materials for drone (need ${productionCost}, have ${playerStorage.getMaterials()})`,
       );
       return null;
     }
@@ -123,18 +149,16 @@ export class DroneFactory extends Building {
 
     // Remove materials for drone production
     console.log(
-      `[DroneFactory] Before removal - Materials: ${playerStorage.getMaterials()}, Total resources: ${playerStorage.currentResources}, Need: ${this.droneProductionCost}`,
-    );
-    const materialsConsumed = playerStorage.consumeMaterials(
-      this.droneProductionCost,
+      `[DroneFactory] Before removal - Materials: ${playerStorage.getMaterials()}, Total resources: ${playerStorage.currentResources}, Need: ${productionCost}`,
     );
+    const materialsConsumed = playerStorage.consumeMaterials(productionCost);
     console.log(
       `[DroneFactory] After removal attempt - Success: ${materialsConsumed}`,
     );
 
     if (!materialsConsumed) {
       console.warn(
-        `[DroneFactory] Failed to consume materials for drone production. Need: ${this.droneProductionCost}`,
+        `[DroneFactory] Failed to consume materials for drone production. Need: ${productionCost}`,
       );
       console.warn(
         `[DroneFactory] Current storage state - Materials: ${playerStorage.getMaterials()}, Total: ${playerStorage.currentResources}`,
@@ -143,27 +167,31 @@ export class DroneFactory extends Building {
     }
 
     // Create the drone
-    const drone = GameObjectFactory.createUnit("drone", placementHex, this);
+    const drone = GameObjectFactory.createUnit(droneType, placementHex, this);
     if (drone) {
       // Add to legacy gameState for compatibility
       gameState.units.push(drone);
       this.dronesProduced++;
+      if (this.keepFleetNearby) {
+        this.pinToFactoryZone(drone);
+      }
 
       EventBus.emit("droneFactory:droneProduced", {
         factory: this,
         drone: drone,
         placementHex: placementHex,
-        materialsUsed: this.droneProductionCost,
+        droneType: droneType,
+        materialsUsed: productionCost,
         totalDrones: this.dronesProduced,
       });
 
       console.log(
-        `[DroneFactory] Created drone at (${placementHex.q}, ${placementHex.r}) from factory at (${this.hex.q}, ${this.hex.r})`,
+        `[DroneFactory] Created ${drone.name} at (${placementHex.q}, ${placementHex.r}) from factory at (${this.hex.q}, ${this.hex.r})`,
       );
       return drone;
     } else {
       // Refund materials if drone creation failed
-      playerStorage.addResources(this.droneProductionCost, "materials");
+      playerStorage.addResources(productionCost, "materials");
       console.error(
         `[DroneFactory] Failed to create drone at (${placementHex.q}, ${placementHex.r})`,
       );
@@ -179,10 +207,27 @@ export class DroneFactory extends Building {
     const maxDrones = this.maxDronesPerFactory * this.level;
     let tooltipText = `Produces drones for resource collection`;
     tooltipText += `\nDrones: ${this.dronesProduced}/${maxDrones}`;
-    tooltipText += `\nDrone Cost: ${this.droneProductionCost} materials`;
+    const costs = this.getBuildableDroneTypes().map((type) =>
+      this.getDroneCost(type),
+    );
+    const minCost = Math.min(...costs);
+    const maxCost = Math.max(...costs);
+    tooltipText += `\nDrone Cost: ${minCost === maxCost ? minCost : `${minCost}-${maxCost}`} materials`;
+
+    const drones = this.getDrones();
+    if (drones.length > 0) {
+      const averageCondition =
+        drones.reduce((total, drone) => total + drone.getCondition(), 0) /
+        drones.length;
+      const worn = drones.filter((drone) => drone.needsRepair()).length;
+      tooltipText += `\nFleet Condition: ${Math.round(averageCondition * 100)}%`;
+      if (worn > 0) {
+        tooltipText += ` (${worn} need${worn === 1 ? "s" : ""} repair)`;
+      }
+    }
 
     if (this.canUpgrade()) {
-      tooltipText += `\nUpgrade Cost: ${this.upgradeCost} materials`;
+      tooltipText += `\nUpgrade Cost: ${this.getUpgradeCost()} materials`;
       tooltipText += `\nNext Level: +${this.maxDronesPerFactory} drone capacity`;
     }
 
@@ -208,26 +253,78 @@ export class DroneFactory extends Building {
       `[DroneFactory] maxDrones: ${maxDrones}, dronesProduced: ${this.dronesProduced}, canBuildDrone: ${canBuildDrone}`,
     );
 
-    const hasEnoughMaterials =
-      playerStorage && playerStorage.getMaterials() >= this.droneProductionCost;
-    const canActuallyBuild = canBuildDrone && hasEnoughMaterials;
-    console.log(
-      `[DroneFactory] hasEnoughMaterials: ${hasEnoughMaterials}, canActuallyBuild: ${canActuallyBuild}`,
-    );
-
-    // Determine the appropriate label based on conditions
-    let label = `Build Drone (${this.droneProductionCost} materials)`;
     if (!canBuildDrone) {
-      label = `At Capacity (${this.dronesProduced}/${maxDrones})`;
-    } else if (!hasEnoughMaterials) {
+      menuItems.push({
+        label: `At Capacity (${this.dronesProduced}/${maxDrones})`,
+        action: () => {}, // No-op if disabled
+        disabled: true,
+      });
+    }
+
+    // One build option per drone type
+    const buildableTypes = canBuildDrone ? this.getBuildableDroneTypes() : [];
+    buildableTypes.forEach((droneType) => {
+      const cost = this.getDroneCost(droneType);
+      const name =
+        buildableTypes.length > 1 ? getUnitData(droneType).name : "Drone";
       const currentMaterials = playerStorage ? playerStorage.getMaterials() : 0;
-      label = `Build Drone (Need ${this.droneProductionCost - currentMaterials} more materials)`;
+      const hasEnoughMaterials = currentMaterials >= cost;
+
+      // Determine the appropriate label based on conditions
+      const label = hasEnoughMaterials
+        ? `Build ${name} (${cost} materials)`
+        : `Build ${name} (Need ${cost - currentMaterials} more materials)`;
+
+      menuItems.push({
+        label: label,
+        action: hasEnoughMaterials
+          ? () => this.buildDrone(droneType)
+          : () => {}, // No-op if disabled
+        disabled: !hasEnoughMaterials,
+      });
+    });
+
+    // Fleet maintenance
+    const drones = this.getDrones();
+    const repairCost = drones.reduce(
+      (total, drone) => total + this.getRepairCost(drone),
+      0,
+    );
+    const canRepair =
+      repairCost > 0 &&
+      playerStorage &&
+      playerStorage.getMaterials() >= repairCost &&
+      powerGrid.isPowered(this);
+    menuItems.push({
+      label:
+        repairCost > 0
+          ? `Repair All (${repairCost} materials)`
+          : "Repair All (fleet in good condition)",
+      action: canRepair ? () => this.repairAllDrones() : () => {},
+      disabled: !canRepair,
+    });
+
+    if (drones.length > 0) {
+      menuItems.push({
+        label: `Command Fleet (${drones.length} drone${drones.length === 1 ? "" : "s"})`,
+        action: () => window.droneCommander?.select(drones),
+      });
     }
 
     menuItems.push({
-      label: label,
-      action: canActuallyBuild ? () => this.buildDrone() : () => {}, // No-op if disabled
-      disabled: !canActuallyBuild,
+      label: this.keepFleetNearby
+        ? "Let Fleet Roam the Island"
+        : `Keep Fleet Within ${GAME_BALANCE.jobs.factoryZoneRadius} Hexes`,
+      action: () => this.setKeepFleetNearby(!this.keepFleetNearby),
+    });
+
+    const mostWorn = this.getMostWornDrone();
+    menuItems.push({
+      label: mostWorn
+        ? `Recycle Most Worn Drone (+${this.getRecycleValue(mostWorn)} materials)`
+        : "Recycle Drone (no drones)",
+      action: mostWorn ? () => this.recycleDrone(mostWorn) : () => {},
+      disabled: !mostWorn,
     });
 
     console.log(
@@ -249,19 +346,20 @@ export class DroneFactory extends Building {
     }
 
     // Check if we have enough materials
-    if (playerStorage.getMaterials() < this.upgradeCost) {
+    const upgradeCost = this.getUpgradeCost();
+    if (playerStorage.getMaterials() < upgradeCost) {
       console.log(
-        `[DroneFactory] Insufficient materials for upgrade (need ${this.upgradeCost}, have ${playerStorage.getMaterials()})`,
+        `[DroneFactory] Insufficient materials for upgrade (need ${upgradeCost}, have ${playerStorage.getMaterials()})`,
       );
       return false;
     }
 
     // Remove materials for upgrade
     const materialsUsed = playerStorage.removeResources(
-      this.upgradeCost,
+      upgradeCost,
       "materials",
     );
-    if (materialsUsed !== this.upgradeCost) {
+    if (materialsUsed !== upgradeCost) {
       console.warn("[DroneFactory] Failed to remove materials for upgrade");
       return false;
     }
@@ -292,6 +390,155 @@ export class DroneFactory extends Building {
     return success;
   }
 
+  /**
+   * Get the live drones this factory built
+   * @returns {Drone[]} Drones owned by this factory
+   */
+  getDrones() {
+    return (window.gameState?.units || []).filter(
+      (unit) =>
+        unit.type === "drone" &&
+        unit.ownerFactory === this &&
+        !unit.isDestroyed,
+    );
+  }
+
+  /**
+   * Pin a drone to the zone around this factory
+   * @param {Drone} drone - Drone to pin
+   */
+  pinToFactoryZone(drone) {
+    jobDispatcher.pinToZone(
+      drone,
+      this.hex,
+      GAME_BALANCE.jobs.factoryZoneRadius,
+    );
+  }
+
+  /**
+   * Keep this factory's fleet near it, or let it take jobs anywhere
+   * @param {boolean} keepNearby - True to pin the fleet to the factory zone
+   */
+  setKeepFleetNearby(keepNearby) {
+    this.keepFleetNearby = keepNearby;
+    this.getDrones().forEach((drone) =>
+      keepNearby
+        ? this.pinToFactoryZone(drone)
+        : jobDispatcher.unpinDrone(drone),
+    );
+
+    EventBus.emit("droneFactory:fleetZoneChanged", {
+      factory: this,
+      keepFleetNearby: keepNearby,
+    });
+    console.log(
+      `[DroneFactory] Fleet ${keepNearby ? "kept near factory" : "free to roam"}`,
+    );
+  }
+
+  /**
+   * Get the materials needed to repair a drone's wear
+   * @param {Drone} drone - Drone to repair
+   * @returns {number} Repair cost (0 if not worn)
+   */
+  getRepairCost(drone) {
+    return Math.ceil(drone.wear * drone.durability.repairCostPerWear);
+  }
+
+  /**
+   * Repair a drone, paying materials
+   * @param {Drone} drone - Drone to repair
+   * @returns {boolean} True if the drone was repaired
+   */
+  repairDrone(drone) {
+    const playerStorage = window.playerStorage;
+    const cost = this.getRepairCost(drone);
+    if (cost <= 0) return true;
+
+    if (!powerGrid.isPowered(this)) {
+      console.log("[DroneFactory] No power - cannot repair drones");
+      return false;
+    }
+
+    if (!playerStorage || !playerStorage.consumeMaterials(cost)) {
+      console.log(
+        `[DroneFactory] Insufficient materials for repair (need ${cost})`,
+      );
+      return false;
+    }
+
+    drone.repair();
+
+    EventBus.emit("droneFactory:droneRepaired", {
+      factory: this,
+      drone: drone,
+      materialsUsed: cost,
+    });
+    return true;
+  }
+
+  /**
+   * Repair every worn drone of this factory, most worn first
+   * @returns {number} Number of drones repaired
+   */
+  repairAllDrones() {
+    const worn = this.getDrones()
+      .filter((drone) => drone.wear > 0)
+      .sort((a, b) => b.wear - a.wear);
+
+    const repaired = worn.filter((drone) => this.repairDrone(drone)).length;
+    console.log(
+      `[DroneFactory] Repaired ${repaired}/${worn.length} worn drones`,
+    );
+    return repaired;
+  }
+
+  /**
+   * Get the drone in the worst condition
+   * @returns {Drone|null} Most worn drone, or null if there are none
+   */
+  getMostWornDrone() {
+    return this.getDrones().sort((a, b) => b.wear - a.wear)[0] || null;
+  }
+
+  /**
+   * Get the materials recycling a drone returns
+   * @param {Drone} drone - Drone to recycle
+   * @returns {number} Materials refunded
+   */
+  getRecycleValue(drone) {
+    return Math.floor(
+      this.getDroneCost(drone.droneType) *
+        drone.durability.recycleRefund *
+        drone.getCondition(),
+    );
+  }
+
+  /**
+   * Scrap a drone for part of its production cost, freeing its slot
+   * @param {Drone} drone - Drone to recycle
+   * @returns {number} Materials refunded
+   */
+  recycleDrone(drone) {
+    const refund = this.getRecycleValue(drone);
+    if (refund > 0 && window.playerStorage) {
+      window.playerStorage.addResources(refund, "materials", {
+        near: this.hex,
+      });
+    }
+
+    EventBus.emit("droneFactory:droneRecycled", {
+      factory: this,
+      drone: drone,
+      materialsRefunded: refund,
+    });
+    console.log(`[DroneFactory] Recycled drone for ${refund} materials`);
+
+    this.onDroneDestroyed(drone);
+    drone.destroy();
+    return refund;
+  }
+
   /**
    * Handle drone destruction (reduce count)
    * @param {Object} drone - The drone that was destroyed
@@ -322,6 +569,12 @@ export class DroneFactory extends Building {
       maxDrones: this.maxDronesPerFactory * this.level,
       droneProductionCost: this.droneProductionCost,
       maxDronesPerFactory: this.maxDronesPerFactory,
+      keepFleetNearby: this.keepFleetNearby,
+      drones: this.getDrones().map((drone) => ({
+        droneType: drone.droneType,
+        condition: drone.getCondition(),
+        needsRepair: drone.needsRepair(),
+      })),
     };
   }
 
@@ -335,6 +588,28 @@ export class DroneFactory extends Building {
     // Could include automatic drone production or maintenance
   }
 
+  /**
+   * Get save data for persistence
+   * @returns {Object} Serializable factory state
+   */
+  getSaveData() {
+    return {
+      ...super.getSaveData(),
+      dronesProduced: this.dronesProduced,
+      keepFleetNearby: this.keepFleetNearby,
+    };
+  }
+
+  /**
+   * Load factory state from save data
+   * @param {Object} saveData - Data from getSaveData()
+   */
+  loadSaveData(saveData) {
+    super.loadSaveData(saveData);
+    this.dronesProduced = saveData.dronesProduced || 0;
+    this.keepFleetNearby = saveData.keepFleetNearby || false;
+  }
+
   /**
    * Destroy the factory
    */
@@ -1,6 +1,10 @@
 import { Building } from "./Building.js";
 import EventBus from "../engine/EventBus.js";
 import { BUILDINGS } from "../configs/GameData.js";
+import adjacencySystem from "../engine/AdjacencySystem.js";
+import powerGrid from "../engine/PowerGrid.js";
+import researchEffects from "../systems/longTomorrow/ResearchEffects.js";
+import soilSystem from "../engine/SoilSystem.js";
 
 /**
  * Greenhouse class - Food production facility
@@ -28,15 +32,26 @@ export class Greenhouse extends Building {
     this.maxLevel = greenhouseConfig.maxLevel;
     this.upgradeCost = this.baseUpgradeCost;
 
+    // Fractional food from adjacency bonuses, paid out once it adds up
+    this.bonusRemainder = 0;
+
     console.log(`[Greenhouse] Created greenhouse at (${hex.q}, ${hex.r})`);
   }
 
   /**
    * Calculate food production for this greenhouse per turn
+   * @param {number} level - Level to calculate for (default: current level)
    * @returns {number} Food produced per turn
    */
-  getFoodProduction() {
-    return this.foodProductionRate * this.level;
+  getFoodProduction(level = this.level) {
+    const production =
+      this.foodProductionRate *
+      level *
+      adjacencySystem.getMultiplier(this, "production") *
+      researchEffects.apply("production", 1, { building: this }) *
+      soilSystem.getProductionMultiplier(this) *
+      powerGrid.getEfficiency(this);
+    return Math.round(production * 10) / 10;
   }
 
   /**
@@ -48,13 +63,22 @@ export class Greenhouse extends Building {
   }
 
   /**
-   * Check if greenhouse can produce (has enough water)
+   * Check if greenhouse can produce (has power and enough water)
    * @returns {boolean} True if can produce food
    */
   canProduce() {
-    // For now, assume water is always available
-    // Future: Check actual water resources
-    return true;
+    return powerGrid.isPowered(this) && this.hasWater();
+  }
+
+  /**
+   * Check if stored water covers this turn's irrigation
+   * @returns {boolean} True if there is enough water
+   */
+  hasWater() {
+    const playerStorage = window.playerStorage;
+    return Boolean(
+      playerStorage && playerStorage.getWater() >= this.getWaterConsumption(),
+    );
   }
 
   /**
@@ -67,15 +91,25 @@ export class Greenhouse extends Building {
     let tooltipText = `Food Production: +${foodProduction}/turn`;
     tooltipText += `\nWater Usage: ${waterConsumption}/turn`;
 
+    const adjacency = adjacencySystem.describeBonus(
+      adjacencySystem.getBonus(this),
+    );
+    if (adjacency) {
+      tooltipText += `\nAdjacency: ${adjacency}`;
+    }
+
     if (this.canUpgrade()) {
-      const nextFoodProduction = this.foodProductionRate * (this.level + 1);
+      const nextFoodProduction = this.getFoodProduction(this.level + 1);
       tooltipText += `\nNext Level: +${nextFoodProduction} food/turn`;
-      tooltipText += `\nUpgrade Cost: ${this.upgradeCost} materials`;
+      tooltipText += `\nUpgrade Cost: ${this.getUpgradeCost()} materials`;
     }
 
-    const productionStatus = this.canProduce()
-      ? "✓ Producing"
-      : "⚠ Need water";
+    let productionStatus = "✓ Producing";
+    if (!powerGrid.isPowered(this)) {
+      productionStatus = "⚠ No power";
+    } else if (!this.hasWater()) {
+      productionStatus = "⚠ Need water";
+    }
     tooltipText += `\nStatus: ${productionStatus}`;
 
     return tooltipText;
@@ -92,7 +126,7 @@ export class Greenhouse extends Building {
     // For now, greenhouses just produce automatically
 
     // Show current production status
-    if (!this.canProduce()) {
+    if (!this.hasWater()) {
       menuItems.push({
         label: "⚠ Need Water to Produce",
         action: () => {}, // Informational only
@@ -107,8 +141,8 @@ export class Greenhouse extends Building {
    * @returns {Object} Production result
    */
   processProduction() {
-    if (!this.canProduce()) {
-      return { produced: false, reason: "no_water" };
+    if (!powerGrid.isPowered(this)) {
+      return { produced: false, reason: "no_power" };
     }
 
     const playerStorage = window.playerStorage;
@@ -116,7 +150,19 @@ export class Greenhouse extends Building {
       return { produced: false, reason: "no_storage" };
     }
 
-    const foodProduced = this.getFoodProduction();
+    // Don't pour water on crops there is no room to store
+    if (playerStorage.getAvailableSpace("food") <= 0) {
+      return { produced: false, reason: "storage_full" };
+    }
+
+    // Irrigate first - no water, no food
+    if (!playerStorage.consumeWater(this.getWaterConsumption())) {
+      return { produced: false, reason: "no_water" };
+    }
+
+    const production = this.getFoodProduction() + this.bonusRemainder;
+    const foodProduced = Math.floor(production);
+    this.bonusRemainder = production - foodProduced;
 
     // Add food to storage using dedicated food method
     const actualAmount = playerStorage.addFood(foodProduced);
@@ -149,15 +195,16 @@ export class Greenhouse extends Building {
     }
 
     // Check if we have enough materials
-    if (playerStorage.getMaterials() < this.upgradeCost) {
+    const upgradeCost = this.getUpgradeCost();
+    if (playerStorage.getMaterials() < upgradeCost) {
       console.log(
-        `[Greenhouse] Insufficient materials for upgrade (need ${this.upgradeCost}, have ${playerStorage.getMaterials()})`,
+        `[Greenhouse] Insufficient materials for upgrade (need ${upgradeCost}, have ${playerStorage.getMaterials()})`,
       );
       return false;
     }
 
     // Remove materials for upgrade
-    const materialsConsumed = playerStorage.consumeMaterials(this.upgradeCost);
+    const materialsConsumed = playerStorage.consumeMaterials(upgradeCost);
     if (!materialsConsumed) {
       console.warn("[Greenhouse] Failed to consume materials for upgrade");
       return false;
@@ -177,7 +224,7 @@ export class Greenhouse extends Building {
         greenhouse: this,
         oldLevel: oldLevel,
         newLevel: this.level,
-        materialsUsed: this.baseUpgradeCost,
+        materialsUsed: upgradeCost,
         newFoodProduction: this.getFoodProduction(),
         newWaterConsumption: this.getWaterConsumption(),
       });
@@ -204,6 +251,26 @@ export class Greenhouse extends Building {
     };
   }
 
+  /**
+   * Get save data for persistence
+   * @returns {Object} Serializable greenhouse state
+   */
+  getSaveData() {
+    return {
+      ...super.getSaveData(),
+      bonusRemainder: this.bonusRemainder,
+    };
+  }
+
+  /**
+   * Load greenhouse state from save data
+   * @param {Object} saveData - Data from getSaveData()
+   */
+  loadSaveData(saveData) {
+    super.loadSaveData(saveData);
+    this.bonusRemainder = saveData.bonusRemainder || 0;
+  }
+
   /**
    * Update greenhouse (called every frame)
    */
@@ -1,6 +1,7 @@
 import { Building } from "./Building.js";
 import EventBus from "../engine/EventBus.js";
 import { BUILDINGS } from "../configs/GameData.js";
+import adjacencySystem from "../engine/AdjacencySystem.js";
 
 /**
  * Habitat class - Housing for colony population
@@ -41,10 +42,13 @@ export class Habitat extends Building {
 
   /**
    * Calculate comfort level provided by this habitat
+   * @param {number} level - Level to calculate for (default: current level)
    * @returns {number} Comfort level provided
    */
-  getComfortLevel() {
-    return this.comfortLevel * this.level;
+  getComfortLevel(level = this.level) {
+    return (
+      this.comfortLevel * level * adjacencySystem.getMultiplier(this, "comfort")
+    );
   }
 
   /**
@@ -57,10 +61,18 @@ export class Habitat extends Building {
     let tooltipText = `Housing: ${capacity} people`;
     tooltipText += `\nComfort Level: ${comfort}`;
 
+    const adjacency = adjacencySystem.describeBonus(
+      adjacencySystem.getBonus(this),
+    );
+    if (adjacency) {
+      tooltipText += `\nAdjacency: ${adjacency}`;
+    }
+
     if (this.canUpgrade()) {
       const nextCapacity = this.housingCapacity * (this.level + 1);
-      tooltipText += `\nNext Level: ${nextCapacity} people capacity`;
-      tooltipText += `\nUpgrade Cost: ${this.upgradeCost} materials`;
+      const nextComfort = this.getComfortLevel(this.level + 1);
+      tooltipText += `\nNext Level: ${nextCapacity} people capacity, comfort ${nextComfort}`;
+      tooltipText += `\nUpgrade Cost: ${this.getUpgradeCost()} materials`;
     }
 
     return tooltipText;
@@ -89,15 +101,16 @@ export class Habitat extends Building {
     }
 
     // Check if we have enough materials
-    if (playerStorage.getMaterials() < this.upgradeCost) {
+    const upgradeCost = this.getUpgradeCost();
+    if (playerStorage.getMaterials() < upgradeCost) {
       console.log(
-        `[Habitat] Insufficient materials for upgrade (need ${this.upgradeCost}, have ${playerStorage.getMaterials()})`,
+        `[Habitat] Insufficient materials for upgrade (need ${upgradeCost}, have ${playerStorage.getMaterials()})`,
       );
       return false;
     }
 
     // Remove materials for upgrade
-    const materialsConsumed = playerStorage.consumeMaterials(this.upgradeCost);
+    const materialsConsumed = playerStorage.consumeMaterials(upgradeCost);
     if (!materialsConsumed) {
       console.warn("[Habitat] Failed to consume materials for upgrade");
       return false;
@@ -117,7 +130,7 @@ export class Habitat extends Building {
         habitat: this,
         oldLevel: oldLevel,
         newLevel: this.level,
-        materialsUsed: this.baseUpgradeCost,
+        materialsUsed: upgradeCost,
         newHousingCapacity: this.getHousingCapacity(),
         newComfortLevel: this.getComfortLevel(),
       });
@@ -45,7 +45,7 @@ export class Park extends Building {
     let tooltipText = `Comfort Level: ${comfort}`;
 
     if (this.canUpgrade()) {
-      tooltipText += `\nUpgrade Cost: ${this.upgradeCost} materials`;
+      tooltipText += `\nUpgrade Cost: ${this.getUpgradeCost()} materials`;
     }
 
     return tooltipText;
@@ -74,15 +74,16 @@ export class Park extends Building {
     }
 
     // Check if we have enough materials
-    if (playerStorage.getMaterials() < this.upgradeCost) {
+    const upgradeCost = this.getUpgradeCost();
+    if (playerStorage.getMaterials() < upgradeCost) {
       console.log(
-        `[Park] Insufficient materials for upgrade (need ${this.upgradeCost}, have ${playerStorage.getMaterials()})`,
+        `[Park] Insufficient materials for upgrade (need ${upgradeCost}, have ${playerStorage.getMaterials()})`,
       );
       return false;
     }
 
     // Remove materials for upgrade
-    const materialsConsumed = playerStorage.consumeMaterials(this.upgradeCost);
+    const materialsConsumed = playerStorage.consumeMaterials(upgradeCost);
     if (!materialsConsumed) {
       console.warn("[Park] Failed to consume materials for upgrade");
       return false;
@@ -102,7 +103,7 @@ export class Park extends Building {
         park: this,
         oldLevel: oldLevel,
         newLevel: this.level,
-        materialsUsed: this.baseUpgradeCost,
+        materialsUsed: upgradeCost,
         newComfortLevel: this.getComfortLevel(),
       });
 
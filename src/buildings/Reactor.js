@@ -1,6 +1,7 @@
 import { Building } from "./Building.js";
 import EventBus from "../engine/EventBus.js";
 import { BUILDINGS } from "../configs/GameData.js";
+import powerGrid from "../engine/PowerGrid.js";
 
 /**
  * Reactor class - Core power generation building
@@ -49,17 +50,16 @@ export class Reactor extends Building {
 
   /**
    * Get reactor-specific tooltip information
-   * @param {Object} gameState - Current game state for fuel consumption calculation
    * @returns {string} Tooltip text specific to reactor
    */
-  getTooltipInfo(gameState) {
-    const fuelConsumption = gameState
-      ? gameState.fuelConsumptionPerBuilding
-      : this.fuelConsumptionRate;
+  getTooltipInfo() {
+    const fuelConsumption =
+      window.gameState?.fuelConsumptionPerBuilding ?? this.fuelConsumptionRate;
     let tooltipText = `Fuel Cost: +${fuelConsumption}/turn`;
+    tooltipText += `\nIsland Fuel Use: ${powerGrid.getFuelConsumption()}/turn`;
 
     if (this.canUpgrade()) {
-      tooltipText += `\nUpgrade Cost: ${this.upgradeCost} materials`;
+      tooltipText += `\nUpgrade Cost: ${this.getUpgradeCost()} materials`;
       tooltipText += `\nNext Level: Power +${this.powerOutput}, Fuel +${this.fuelConsumptionRate}`;
 
       const reactorConfig = BUILDINGS.reactor;
@@ -70,6 +70,7 @@ export class Reactor extends Building {
     }
 
     tooltipText += `\nPower Output: ${this.getPowerOutput()}`;
+    tooltipText += `\n${powerGrid.describeStatus()}`;
 
     return tooltipText;
   }
@@ -101,19 +102,20 @@ export class Reactor extends Building {
     }
 
     // Check if we have enough materials
-    if (playerStorage.getMaterials() < this.upgradeCost) {
+    const upgradeCost = this.getUpgradeCost();
+    if (playerStorage.getMaterials() < upgradeCost) {
       console.log(
-        `[Reactor] Insufficient materials for upgrade (need ${this.upgradeCost}, have ${playerStorage.getMaterials()})`,
+        `[Reactor] Insufficient materials for upgrade (need ${upgradeCost}, have ${playerStorage.getMaterials()})`,
       );
       return false;
     }
 
     // Remove materials for upgrade
     const materialsUsed = playerStorage.removeResources(
-      this.upgradeCost,
+      upgradeCost,
       "materials",
     );
-    if (materialsUsed !== this.upgradeCost) {
+    if (materialsUsed !== upgradeCost) {
       console.warn("[Reactor] Failed to remove materials for upgrade");
       return false;
     }
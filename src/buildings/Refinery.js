@@ -1,6 +1,9 @@
 import { Building } from "./Building.js";
 import { BUILDINGS } from "../configs/GameData.js";
 import EventBus from "../engine/EventBus.js";
+import adjacencySystem from "../engine/AdjacencySystem.js";
+import powerGrid from "../engine/PowerGrid.js";
+import researchEffects from "../systems/longTomorrow/ResearchEffects.js";
 
 /**
  * Refinery class - Converts radioactive waste into fuel or materials
@@ -25,6 +28,9 @@ export class Refinery extends Building {
       totalWasteProcessed: 0,
     };
 
+    // Fractional output from adjacency bonuses, paid out once it adds up
+    this.bonusRemainder = 0;
+
     console.log(
       `[Refinery] Created refinery at (${hex.q}, ${hex.r}) - Production mode: ${this.productionMode}`,
     );
@@ -55,9 +61,12 @@ export class Refinery extends Building {
     const wasteRemoved = playerStorage.removeResources(
       ratio.input,
       "radioactive_waste",
+      { near: this.hex },
     );
     if (wasteRemoved === ratio.input) {
-      const fuelAdded = playerStorage.addResources(ratio.output, "fuel");
+      const fuelAdded = playerStorage.addResources(ratio.output, "fuel", {
+        near: this.hex,
+      });
 
       EventBus.emit("refinery:converted", {
         refinery: this,
@@ -100,11 +109,13 @@ export class Refinery extends Building {
     const wasteRemoved = playerStorage.removeResources(
       ratio.input,
       "radioactive_waste",
+      { near: this.hex },
     );
     if (wasteRemoved === ratio.input) {
       const materialsAdded = playerStorage.addResources(
         ratio.output,
         "materials",
+        { near: this.hex },
       );
 
       EventBus.emit("refinery:converted", {
@@ -201,16 +212,33 @@ export class Refinery extends Building {
       };
     }
 
+    // Leave the waste alone while the output has nowhere to go
+    const resourceType = isProducingFuel ? "fuel" : "materials";
+    if (playerStorage.getAvailableSpace(resourceType) <= 0) {
+      return { produced: false, reason: "storage_full" };
+    }
+
     // Perform conversion
     const wasteRemoved = playerStorage.removeResources(
       ratio.input,
       "radioactive_waste",
+      { near: this.hex },
     );
     if (wasteRemoved === ratio.input) {
-      const resourceType = isProducingFuel ? "fuel" : "materials";
+      // Apply adjacency bonus, research and grid stress, carrying fractions over
+      const output =
+        ratio.output *
+          adjacencySystem.getMultiplier(this, "production") *
+          researchEffects.apply("production", 1, { building: this }) *
+          powerGrid.getEfficiency(this) +
+        this.bonusRemainder;
+      const wholeOutput = Math.floor(output);
+      this.bonusRemainder = output - wholeOutput;
+
       const resourcesAdded = playerStorage.addResources(
-        ratio.output,
+        wholeOutput,
         resourceType,
+        { near: this.hex },
       );
 
       // Update production history
@@ -243,6 +271,7 @@ export class Refinery extends Building {
    */
   canProduce() {
     if (this.productionMode === "none") return false;
+    if (!powerGrid.isPowered(this)) return false;
 
     const playerStorage = window.playerStorage;
     if (!playerStorage) return false;
@@ -300,6 +329,13 @@ export class Refinery extends Building {
     tooltipText += `\nFuel: 4 waste → 3 fuel`;
     tooltipText += `\nMaterials: 4 waste → 2 materials`;
 
+    const adjacency = adjacencySystem.describeBonus(
+      adjacencySystem.getBonus(this),
+    );
+    if (adjacency) {
+      tooltipText += `\nAdjacency: ${adjacency}`;
+    }
+
     // Show current production capability
     const playerStorage = window.playerStorage;
     if (playerStorage) {
@@ -320,7 +356,7 @@ export class Refinery extends Building {
 
     // Show upgrade information if available
     if (this.canUpgrade && this.canUpgrade()) {
-      tooltipText += `\nUpgrade Cost: ${this.upgradeCost} materials`;
+      tooltipText += `\nUpgrade Cost: ${this.getUpgradeCost()} materials`;
     }
 
     return tooltipText;
@@ -368,6 +404,36 @@ export class Refinery extends Building {
     // For now, conversions are manual via context menu
   }
 
+  /**
+   * Get save data for persistence
+   * @returns {Object} Serializable refinery state
+   */
+  getSaveData() {
+    return {
+      ...super.getSaveData(),
+      productionMode: this.productionMode,
+      productionHistory: { ...this.productionHistory },
+      bonusRemainder: this.bonusRemainder,
+    };
+  }
+
+  /**
+   * Load refinery state from save data
+   * @param {Object} saveData - Data from getSaveData()
+   */
+  loadSaveData(saveData) {
+    super.loadSaveData(saveData);
+
+    // Set directly - restoring is not a player mode change
+    this.productionMode = saveData.productionMode || "none";
+    this.isActive = this.productionMode !== "none";
+    this.productionHistory = {
+      ...this.productionHistory,
+      ...saveData.productionHistory,
+    };
+    this.bonusRemainder = saveData.bonusRemainder || 0;
+  }
+
   /**
    * Destroy the refinery
    */
@@ -0,0 +1,44 @@
+import { GameObject } from "../engine/GameObject.js";
+import { Building } from "./Building.js";
+import { GAME_BALANCE } from "../configs/GameData.js";
+
+/**
+ * Ruin - Map object for a Long Tomorrow ruin or memorial
+ *
+ * Drawn as the building it once was, greyed out while it is a ruin and
+ * golden once memorialized. The ruin's data stays on the hex (hex.ruin or
+ * hex.memorial) so saves and world evolution see it; RuinSystem places and
+ * removes these markers.
+ */
+export class Ruin extends GameObject {
+  constructor(hex) {
+    const landmark = hex.ruin || hex.memorial;
+    const spritePath = Building.getSpritePathForType(
+      landmark.originalBuilding.type,
+    );
+    super("ruin", spritePath, hex);
+
+    this.updateTint();
+  }
+
+  /**
+   * Check if the marker shows a memorial
+   * @returns {boolean} True once the ruin was memorialized
+   */
+  isMemorial() {
+    return !this.hex.ruin && Boolean(this.hex.memorial);
+  }
+
+  /**
+   * Tint the sprite for a ruin or a memorial
+   */
+  updateTint() {
+    const { tint, memorialTint } = GAME_BALANCE.longTomorrow.ruins;
+    window.sceneManager?.setSpriteTint(
+      this,
+      this.isMemorial() ? memorialTint : tint,
+    );
+  }
+}
+
+export default Ruin;
@@ -1,12 +1,25 @@
 import { Building } from "./Building.js";
 import EventBus from "../engine/EventBus.js";
-import { BUILDINGS } from "../configs/GameData.js";
+import {
+  BUILDINGS,
+  GAME_BALANCE,
+  STORAGE_CLASSES,
+  getStorageClass,
+} from "../configs/GameData.js";
 
 /**
  * StorageBuilding class - Specialized building for resource storage
  *
  * Extends Building with storage-specific functionality including capacity
- * calculation, resource management, and future individual storage support.
+ * calculation, resource management, and individual storage support.
+ *
+ * A general storage adds part of its capacity to every storage class; it can
+ * be converted to hold one class only (Fuel Tank, Food Silo, ...) for a
+ * larger capacity in that class.
+ *
+ * In individual storage mode the building keeps its own inventory: drones
+ * deliver into it, nearby buildings draw from it and the contents are lost
+ * with the building. PlayerStorage decides which building to use.
  */
 export class StorageBuilding extends Building {
   constructor(hex) {
@@ -26,8 +39,10 @@ export class StorageBuilding extends Building {
     this.exponentialMultiplier = storageConfig.exponentialMultiplier;
 
     // Runtime state (not configurable)
+    this.storageClass = null; // Key of STORAGE_CLASSES, null = general storage
+    this.inventory = {}; // resourceType -> amount (individual storage mode)
     this.currentCapacity = 0; // Currently stored resources
-    this.useIndividualStorage = true; // Enable individual storage mode for capacity visuals
+    this.useIndividualStorage = false; // Switched on by PlayerStorage
 
     console.log(
       `[StorageBuilding] Created storage building with capacity ${this.getMaxCapacity()}`,
@@ -49,13 +64,139 @@ export class StorageBuilding extends Building {
     );
   }
 
+  /**
+   * Get the capacity this building adds to a storage class
+   * @param {string} storageClass - Key of STORAGE_CLASSES
+   * @returns {number} Capacity added to that class
+   */
+  getClassCapacity(storageClass) {
+    const { generalShare, specializedMultiplier } = GAME_BALANCE.storage;
+
+    if (this.useIndividualStorage) {
+      // What the class holds here plus the room it could still take
+      const { resources } = STORAGE_CLASSES[storageClass];
+      const stored = resources.reduce(
+        (total, resourceType) => total + this.getResourceAmount(resourceType),
+        0,
+      );
+      return stored + this.getFreeSpace(resources[0]);
+    }
+
+    if (!this.storageClass) {
+      return Math.floor(this.getMaxCapacity() * generalShare);
+    }
+    if (this.storageClass === storageClass) {
+      return Math.floor(this.getMaxCapacity() * specializedMultiplier);
+    }
+    return 0;
+  }
+
+  /**
+   * Get the total this building can hold in individual storage mode
+   * @returns {number} Capacity, larger when dedicated to one class
+   */
+  getStorageLimit() {
+    if (!this.storageClass) return this.getMaxCapacity();
+    return Math.floor(
+      this.getMaxCapacity() * GAME_BALANCE.storage.specializedMultiplier,
+    );
+  }
+
+  /**
+   * Check if this building holds a resource type at all
+   * @param {string} resourceType - Resource type
+   * @returns {boolean} True if it belongs to a storage class this building takes
+   */
+  accepts(resourceType) {
+    const storageClass = getStorageClass(resourceType);
+    return (
+      storageClass !== null &&
+      (!this.storageClass || this.storageClass === storageClass)
+    );
+  }
+
+  /**
+   * Get the amount of one resource stored here
+   * @param {string} resourceType - Resource type
+   * @returns {number} Stored amount
+   */
+  getResourceAmount(resourceType) {
+    return this.inventory[resourceType] || 0;
+  }
+
+  /**
+   * Get the room left for a resource type
+   * @param {string} resourceType - Resource type
+   * @returns {number} Amount that still fits
+   */
+  getFreeSpace(resourceType) {
+    if (!this.accepts(resourceType)) return 0;
+    return Math.max(0, this.getStorageLimit() - this.currentCapacity);
+  }
+
+  /**
+   * Get the display name of this building's storage role
+   * @returns {string} e.g. "Fuel Tank", or "General Storage"
+   */
+  getStorageClassName() {
+    return this.storageClass
+      ? STORAGE_CLASSES[this.storageClass].buildingName
+      : "General Storage";
+  }
+
+  /**
+   * Dedicate this building to one storage class
+   * @param {string|null} storageClass - Key of STORAGE_CLASSES, or null for general storage
+   * @returns {boolean} True if the class changed
+   */
+  setStorageClass(storageClass) {
+    if (storageClass !== null && !STORAGE_CLASSES[storageClass]) {
+      console.warn(`[StorageBuilding] Unknown storage class: ${storageClass}`);
+      return false;
+    }
+    if (storageClass === this.storageClass) return false;
+    if (!this.canConvertTo(storageClass)) {
+      console.warn(
+        `[StorageBuilding] Empty other resources before converting to ${STORAGE_CLASSES[storageClass].buildingName}`,
+      );
+      return false;
+    }
+
+    const previousClass = this.storageClass;
+    this.storageClass = storageClass;
+
+    EventBus.emit("storage:classChanged", {
+      building: this,
+      previousClass,
+      storageClass,
+    });
+
+    console.log(
+      `[StorageBuilding] Converted to ${this.getStorageClassName()} at (${this.hex.q}, ${this.hex.r})`,
+    );
+    return true;
+  }
+
+  /**
+   * Check if the current contents fit a storage class
+   * @param {string|null} storageClass - Key of STORAGE_CLASSES, or null for general storage
+   * @returns {boolean} True if nothing stored here would be left without a place
+   */
+  canConvertTo(storageClass) {
+    if (!storageClass) return true;
+    return Object.entries(this.inventory).every(
+      ([resourceType, amount]) =>
+        amount <= 0 || getStorageClass(resourceType) === storageClass,
+    );
+  }
+
   /**
    * Get current available storage space
    * @returns {number} Available storage space
    */
   getAvailableCapacity() {
     if (this.useIndividualStorage) {
-      return this.getMaxCapacity() - this.currentCapacity;
+      return this.getStorageLimit() - this.currentCapacity;
     }
     // For global storage mode, always return max capacity
     // (global storage manager handles the actual limiting)
@@ -65,23 +206,24 @@ export class StorageBuilding extends Building {
   /**
    * Check if this storage building can store the specified amount
    * @param {number} amount - Amount to store
+   * @param {string} resourceType - Type of resource (default: 'radioactive_waste')
    * @returns {boolean} True if can store the amount
    */
-  canStore(amount) {
+  canStore(amount, resourceType = "radioactive_waste") {
     if (this.useIndividualStorage) {
-      return this.currentCapacity + amount <= this.getMaxCapacity();
+      return amount <= this.getFreeSpace(resourceType);
     }
-    // For global storage mode, always return true
-    // (global storage manager handles the actual limiting)
-    return true;
+    // For global storage mode, the global storage manager does the limiting
+    return window.playerStorage?.canStore(amount, resourceType) ?? true;
   }
 
   /**
    * Add resources to this storage building
    * @param {number} amount - Amount to add
+   * @param {string} resourceType - Type of resource (default: 'radioactive_waste')
    * @returns {number} Amount actually stored
    */
-  addResources(amount) {
+  addResources(amount, resourceType = "radioactive_waste") {
     if (!this.useIndividualStorage) {
       // Global storage mode - delegate to global PlayerStorage
       console.log(
@@ -89,10 +231,7 @@ export class StorageBuilding extends Building {
       );
       const playerStorage = window.playerStorage;
       if (playerStorage) {
-        const storedAmount = playerStorage.addResources(
-          amount,
-          "radioactive_waste",
-        );
+        const storedAmount = playerStorage.addResources(amount, resourceType);
         console.log(
           `[StorageBuilding] PlayerStorage stored ${storedAmount}/${amount}`,
         );
@@ -104,25 +243,28 @@ export class StorageBuilding extends Building {
     }
 
     // Individual storage mode
-    const availableSpace = this.getAvailableCapacity();
+    const availableSpace = this.getFreeSpace(resourceType);
     const actualAmount = Math.min(amount, availableSpace);
 
     if (actualAmount > 0) {
       const oldCapacity = this.currentCapacity;
+      this.inventory[resourceType] =
+        this.getResourceAmount(resourceType) + actualAmount;
       this.currentCapacity += actualAmount;
       this.updateStorageVisuals();
 
       console.log(
-        `[StorageBuilding] Added ${actualAmount} resources (${oldCapacity} → ${this.currentCapacity}/${this.getMaxCapacity()})`,
+        `[StorageBuilding] Added ${actualAmount} ${resourceType} (${oldCapacity} → ${this.currentCapacity}/${this.getStorageLimit()})`,
       );
 
       // Emit event for storage change
       EventBus.emit("storage:resourcesAdded", {
         building: this,
         amount: actualAmount,
+        resourceType,
         newTotal: this.currentCapacity,
-        capacity: this.getMaxCapacity(),
-        fillPercentage: this.currentCapacity / this.getMaxCapacity(),
+        capacity: this.getStorageLimit(),
+        fillPercentage: this.currentCapacity / this.getStorageLimit(),
       });
     }
 
@@ -130,20 +272,25 @@ export class StorageBuilding extends Building {
   }
 
   /**
-   * Remove resources from this storage building (future individual storage)
+   * Remove resources from this storage building
    * @param {number} amount - Amount to remove
+   * @param {string} resourceType - Type of resource (default: 'radioactive_waste')
    * @returns {number} Amount actually removed
    */
-  removeResources(amount) {
+  removeResources(amount, resourceType = "radioactive_waste") {
     if (!this.useIndividualStorage) {
       // Global storage mode - just return the amount
       return amount;
     }
 
-    // Individual storage mode (future enhancement)
-    const actualAmount = Math.min(amount, this.currentCapacity);
+    // Individual storage mode
+    const actualAmount = Math.min(amount, this.getResourceAmount(resourceType));
 
     if (actualAmount > 0) {
+      this.inventory[resourceType] -= actualAmount;
+      if (this.inventory[resourceType] <= 0) {
+        delete this.inventory[resourceType];
+      }
       this.currentCapacity -= actualAmount;
       this.updateStorageVisuals();
 
@@ -151,8 +298,9 @@ export class StorageBuilding extends Building {
       EventBus.emit("storage:resourcesRemoved", {
         building: this,
         amount: actualAmount,
+        resourceType,
         newTotal: this.currentCapacity,
-        capacity: this.getMaxCapacity(),
+        capacity: this.getStorageLimit(),
       });
     }
 
@@ -170,9 +318,9 @@ export class StorageBuilding extends Building {
       return;
     }
 
-    const fillPercentage = this.currentCapacity / this.getMaxCapacity();
+    const fillPercentage = this.currentCapacity / this.getStorageLimit();
     console.log(
-      `[StorageBuilding] Fill percentage: ${Math.round(fillPercentage * 100)}% (${this.currentCapacity}/${this.getMaxCapacity()})`,
+      `[StorageBuilding] Fill percentage: ${Math.round(fillPercentage * 100)}% (${this.currentCapacity}/${this.getStorageLimit()})`,
     );
 
     // Determine which sprite to use based on fill level
@@ -228,12 +376,12 @@ export class StorageBuilding extends Building {
   }
 
   /**
-   * Enable individual storage mode (future enhancement)
-   * @param {number} initialResources - Initial resources to store
+   * Enable individual storage mode - the building keeps its own inventory
    */
-  enableIndividualStorage(initialResources = 0) {
+  enableIndividualStorage() {
+    if (this.useIndividualStorage) return;
+
     this.useIndividualStorage = true;
-    this.currentCapacity = Math.min(initialResources, this.getMaxCapacity());
     this.updateStorageVisuals();
 
     EventBus.emit("storage:individualModeEnabled", {
@@ -242,10 +390,25 @@ export class StorageBuilding extends Building {
     });
 
     console.log(
-      `[StorageBuilding] Enabled individual storage mode with ${this.currentCapacity}/${this.getMaxCapacity()}`,
+      `[StorageBuilding] Enabled individual storage mode with ${this.currentCapacity}/${this.getStorageLimit()}`,
     );
   }
 
+  /**
+   * Disable individual storage mode - the contents go to the central stock,
+   * which PlayerStorage has already taken over
+   */
+  disableIndividualStorage() {
+    if (!this.useIndividualStorage) return;
+
+    this.useIndividualStorage = false;
+    this.inventory = {};
+    this.currentCapacity = 0;
+    this.updateStorageVisuals();
+
+    console.log("[StorageBuilding] Disabled individual storage mode");
+  }
+
   /**
    * Upgrade the storage building and recalculate capacity
    * @returns {boolean} True if upgrade was successful
@@ -280,16 +443,29 @@ export class StorageBuilding extends Building {
    * @returns {string} Tooltip text specific to storage building
    */
   getTooltipInfo() {
-    const maxCapacity = this.getMaxCapacity();
-    let tooltipText = `Capacity: +${maxCapacity} (Level ${this.level})`;
+    let tooltipText = `Type: ${this.getStorageClassName()} (Level ${this.level})`;
 
     if (this.useIndividualStorage) {
+      const storageLimit = this.getStorageLimit();
       const fillPercentage = Math.round(
-        (this.currentCapacity / maxCapacity) * 100,
+        (this.currentCapacity / storageLimit) * 100,
       );
-      tooltipText += `\nStored: ${this.currentCapacity}/${maxCapacity} (${fillPercentage}%)`;
+      tooltipText += `\nStored: ${this.currentCapacity}/${storageLimit} (${fillPercentage}%)`;
+
+      const contents = Object.entries(this.inventory)
+        .filter(([, amount]) => amount > 0)
+        .map(([resourceType, amount]) => {
+          const { name } = STORAGE_CLASSES[getStorageClass(resourceType)];
+          return `${amount} ${name.toLowerCase()}`;
+        });
+      if (contents.length > 0) {
+        tooltipText += `\nContents: ${contents.join(", ")}`;
+      }
+    } else if (this.storageClass) {
+      const className = STORAGE_CLASSES[this.storageClass].name.toLowerCase();
+      tooltipText += `\nCapacity: +${this.getClassCapacity(this.storageClass)} ${className}`;
     } else {
-      tooltipText += `\nContributes to global storage limit`;
+      tooltipText += `\nCapacity: +${this.getClassCapacity(null)} per resource`;
     }
 
     if (this.canUpgrade()) {
@@ -298,7 +474,7 @@ export class StorageBuilding extends Building {
           Math.pow(this.exponentialMultiplier, this.level),
       );
       tooltipText += `\nNext Level: +${nextLevelCapacity} capacity`;
-      tooltipText += `\nUpgrade Cost: ${this.upgradeCost} materials`;
+      tooltipText += `\nUpgrade Cost: ${this.getUpgradeCost()} materials`;
     }
 
     return tooltipText;
@@ -311,40 +487,20 @@ export class StorageBuilding extends Building {
   getContextMenuItems() {
     const menuItems = [];
 
-    if (this.useIndividualStorage) {
-      // Add test actions for capacity visualization
+    // Switch storage role; capacity moves with it
+    Object.entries(STORAGE_CLASSES).forEach(([storageClass, classConfig]) => {
+      if (storageClass === this.storageClass) return;
       menuItems.push({
-        label: "Add Test Resources (+25)",
-        action: () => this.addResources(25),
+        label: `Convert to ${classConfig.buildingName}`,
+        action: () => this.setStorageClass(storageClass),
+        disabled: !this.canConvertTo(storageClass),
       });
-
-      menuItems.push({
-        label: "Fill to Half",
-        action: () => {
-          const targetAmount = Math.floor(this.getMaxCapacity() * 0.6);
-          const toAdd = Math.max(0, targetAmount - this.currentCapacity);
-          this.addResources(toAdd);
-        },
-      });
-
+    });
+    if (this.storageClass) {
       menuItems.push({
-        label: "Fill to Full",
-        action: () => {
-          const targetAmount = Math.floor(this.getMaxCapacity() * 0.9);
-          const toAdd = Math.max(0, targetAmount - this.currentCapacity);
-          this.addResources(toAdd);
-        },
+        label: "Convert to General Storage",
+        action: () => this.setStorageClass(null),
       });
-
-      if (this.currentCapacity > 0) {
-        menuItems.push({
-          label: "Empty Storage",
-          action: () => {
-            this.currentCapacity = 0;
-            this.updateStorageVisuals();
-          },
-        });
-      }
     }
 
     return menuItems;
@@ -357,36 +513,78 @@ export class StorageBuilding extends Building {
   getStorageInfo() {
     return {
       ...this.getBuildingInfo(),
+      storageClass: this.storageClass,
+      inventory: { ...this.inventory },
       currentCapacity: this.currentCapacity,
       maxCapacity: this.getMaxCapacity(),
       availableCapacity: this.getAvailableCapacity(),
       fillPercentage: this.useIndividualStorage
-        ? this.currentCapacity / this.getMaxCapacity()
+        ? this.currentCapacity / this.getStorageLimit()
         : 0,
       fillLevel: this.useIndividualStorage
-        ? this.getFillLevelName(this.currentCapacity / this.getMaxCapacity())
+        ? this.getFillLevelName(this.currentCapacity / this.getStorageLimit())
         : "global",
       useIndividualStorage: this.useIndividualStorage,
       exponentialMultiplier: this.exponentialMultiplier,
     };
   }
 
+  /**
+   * Get save data for persistence
+   * @returns {Object} Serializable storage building state
+   */
+  getSaveData() {
+    return {
+      ...super.getSaveData(),
+      storageClass: this.storageClass,
+      inventory: { ...this.inventory },
+    };
+  }
+
+  /**
+   * Load storage building state from save data
+   * @param {Object} saveData - Data from getSaveData()
+   */
+  loadSaveData(saveData) {
+    super.loadSaveData(saveData);
+    this.storageClass = saveData.storageClass ?? null;
+
+    // Older saves only kept a count, and drones only ever delivered waste
+    this.inventory = saveData.inventory
+      ? { ...saveData.inventory }
+      : { radioactive_waste: saveData.currentCapacity || 0 };
+    this.currentCapacity = Object.values(this.inventory).reduce(
+      (total, amount) => total + amount,
+      0,
+    );
+    this.updateStorageVisuals();
+  }
+
   /**
    * Destroy the storage building
    */
   destroy() {
+    if (this.isDestroyed) return;
+
+    // The contents go down with the building
+    const lostInventory = { ...this.inventory };
+    const lostResources = this.currentCapacity;
+    this.inventory = {};
+    this.currentCapacity = 0;
+
+    // Destroy first so storage totals no longer count this building
+    super.destroy();
+
     // Emit storage-specific destruction event
     EventBus.emit("storage:destroyed", {
       building: this,
       lostCapacity: this.getMaxCapacity(),
-      lostResources: this.currentCapacity,
+      lostResources,
+      lostInventory,
     });
 
     console.log(
-      `[StorageBuilding] Destroyed storage building (lost capacity: ${this.getMaxCapacity()}, lost resources: ${this.currentCapacity})`,
+      `[StorageBuilding] Destroyed storage building (lost capacity: ${this.getMaxCapacity()}, lost resources: ${lostResources})`,
     );
-
-    // Call parent destroy
-    super.destroy();
   }
 }
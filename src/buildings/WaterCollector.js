@@ -0,0 +1,184 @@
+import { Building } from "./Building.js";
+import EventBus from "../engine/EventBus.js";
+import { BUILDINGS, canBuildOnTerrain } from "../configs/GameData.js";
+import adjacencySystem from "../engine/AdjacencySystem.js";
+
+/**
+ * WaterCollector class - Rain collector and mist condenser
+ *
+ * Gathers water every turn for greenhouse irrigation. Works without power,
+ * but can only be placed on terrain that holds water (see allowedTerrain).
+ */
+export class WaterCollector extends Building {
+  constructor(hex) {
+    super("water_collector", hex);
+
+    // Get collector configuration from GameData.js
+    const collectorConfig = BUILDINGS.water_collector;
+    if (!collectorConfig) {
+      console.error(
+        "[WaterCollector] Could not find water_collector configuration in GameData.js",
+      );
+      return;
+    }
+
+    // Apply configuration
+    this.waterProductionRate = collectorConfig.waterProductionRate;
+    this.baseUpgradeCost = collectorConfig.baseUpgradeCost;
+    this.maxLevel = collectorConfig.maxLevel;
+    this.upgradeCost = this.baseUpgradeCost;
+
+    // Fractional water from memorial bonuses, paid out once it adds up
+    this.bonusRemainder = 0;
+
+    console.log(`[WaterCollector] Created collector at (${hex.q}, ${hex.r})`);
+  }
+
+  static canBuildOn(hex) {
+    return !hex.resource && canBuildOnTerrain("water_collector", hex);
+  }
+
+  /**
+   * Calculate water collected per turn
+   * @param {number} level - Level to calculate for (defaults to the current one)
+   * @returns {number} Water per turn, lifted by neighbouring memorials
+   */
+  getWaterProduction(level = this.level) {
+    const production =
+      this.waterProductionRate *
+      level *
+      adjacencySystem.getMultiplier(this, "production");
+    return Math.round(production * 10) / 10;
+  }
+
+  /**
+   * Get collector-specific tooltip information
+   * @returns {string} Tooltip text specific to the collector
+   */
+  getTooltipInfo() {
+    let tooltipText = `Water Collection: +${this.getWaterProduction()}/turn`;
+
+    if (this.canUpgrade()) {
+      const nextProduction = this.getWaterProduction(this.level + 1);
+      tooltipText += `\nNext Level: +${nextProduction} water/turn`;
+      tooltipText += `\nUpgrade Cost: ${this.getUpgradeCost()} materials`;
+    }
+
+    return tooltipText;
+  }
+
+  /**
+   * Get collector-specific context menu items (actions only)
+   * @returns {Array} Array of actionable menu items specific to the collector
+   */
+  getContextMenuItems() {
+    // Collectors run on their own; upgrade/demolish are common actions
+    return [];
+  }
+
+  /**
+   * Collect water (called at end of turn)
+   * @returns {Object} Production result
+   */
+  processProduction() {
+    if (this.isUnderConstruction) {
+      return { produced: false, reason: "under_construction" };
+    }
+
+    const playerStorage = window.playerStorage;
+    if (!playerStorage) {
+      return { produced: false, reason: "no_storage" };
+    }
+
+    const production = this.getWaterProduction() + this.bonusRemainder;
+    const waterCollected = Math.floor(production);
+    this.bonusRemainder = production - waterCollected;
+
+    const actualAmount = playerStorage.addResources(waterCollected, "water");
+
+    if (actualAmount > 0) {
+      EventBus.emit("waterCollector:waterCollected", {
+        collector: this,
+        waterCollected: actualAmount,
+        expectedProduction: waterCollected,
+      });
+      return { produced: true, amount: actualAmount };
+    }
+
+    return { produced: false, reason: "storage_full" };
+  }
+
+  /**
+   * Upgrade the collector
+   * @returns {boolean} True if upgrade was successful
+   */
+  upgrade() {
+    const playerStorage = window.playerStorage;
+    if (!playerStorage) {
+      console.warn("[WaterCollector] PlayerStorage not available for upgrade");
+      return false;
+    }
+
+    const upgradeCost = this.getUpgradeCost();
+    if (!playerStorage.consumeMaterials(upgradeCost)) {
+      console.log(
+        `[WaterCollector] Insufficient materials for upgrade (need ${upgradeCost}, have ${playerStorage.getMaterials()})`,
+      );
+      return false;
+    }
+
+    const oldLevel = this.level;
+    const success = super.upgrade();
+
+    if (success) {
+      this.upgradeCost = Math.floor(
+        this.baseUpgradeCost * Math.pow(1.6, this.level - 1),
+      );
+
+      EventBus.emit("waterCollector:upgraded", {
+        collector: this,
+        oldLevel: oldLevel,
+        newLevel: this.level,
+        newWaterProduction: this.getWaterProduction(),
+      });
+
+      console.log(
+        `[WaterCollector] Upgraded to level ${this.level} - Water: ${this.getWaterProduction()}/turn`,
+      );
+    }
+
+    return success;
+  }
+
+  /**
+   * Get collector information for UI/debugging
+   * @returns {Object} Collector info
+   */
+  getCollectorInfo() {
+    return {
+      ...this.getBuildingInfo(),
+      waterProduction: this.getWaterProduction(),
+      waterProductionRate: this.waterProductionRate,
+    };
+  }
+
+  /**
+   * Get save data for persistence
+   * @returns {Object} Serializable collector state
+   */
+  getSaveData() {
+    return {
+      ...super.getSaveData(),
+      bonusRemainder: this.bonusRemainder,
+    };
+  }
+
+  /**
+   * Load collector state from save data
+   * @param {Object} saveData - Data from getSaveData()
+   */
+  loadSaveData(saveData) {
+    super.loadSaveData(saveData);
+    this.bonusRemainder = saveData.bonusRemainder || 0;
+  }
+}
@@ -3,6 +3,8 @@
  * Data-driven approach to game parameters
  */
 
+import researchEffects from "../systems/longTomorrow/ResearchEffects.js";
+
 // Building definitions - easy to modify and extend
 export const BUILDINGS = {
   reactor: {
@@ -30,6 +32,8 @@ export const BUILDINGS = {
     name: "Refinery",
     cost: { materials: 10 },
     fuelConsumption: 0.5,
+    powerDemand: 0.2, // Power drawn from the grid while running
+    powerPriority: 4, // Lower priority buildings brown out first
     maxLevel: 3,
     upgradeMultiplier: 2.0,
     sprite: "building-refinery.png",
@@ -44,6 +48,8 @@ export const BUILDINGS = {
     name: "Storage",
     cost: { materials: 10 },
     fuelConsumption: 0.2,
+    powerDemand: 0.1, // Power drawn from the grid while running
+    powerPriority: 5, // Lower priority buildings brown out first
     maxLevel: 4,
     upgradeMultiplier: 1.2,
     sprite: "building-storage.png",
@@ -58,6 +64,8 @@ export const BUILDINGS = {
     name: "Drone Factory",
     cost: { materials: 10 },
     fuelConsumption: 0.8,
+    powerDemand: 0.2, // Power drawn from the grid while running
+    powerPriority: 2, // Lower priority buildings brown out first
     maxLevel: 3,
     upgradeMultiplier: 1.8,
     sprite: "building-factory.png",
@@ -71,6 +79,8 @@ export const BUILDINGS = {
     name: "Habitat",
     cost: { materials: 10 },
     fuelConsumption: 0.3,
+    powerDemand: 0.1, // Power drawn from the grid while running
+    powerPriority: 6, // Lower priority buildings brown out first
     maxLevel: 4,
     upgradeMultiplier: 1.5,
     sprite: "building-habitat.png",
@@ -79,25 +89,31 @@ export const BUILDINGS = {
     housingCapacity: 5, // People housed per level
     comfortLevel: 1, // Quality of life provided per level
     baseUpgradeCost: 75, // Materials needed for upgrade
+    soil: { maxContamination: 0.6 }, // Long Tomorrow soil it needs (see SoilSystem)
   },
   greenhouse: {
     name: "Greenhouse",
     cost: { materials: 10 },
     fuelConsumption: 0.4,
+    powerDemand: 0.2, // Power drawn from the grid while running
+    powerPriority: 3, // Lower priority buildings brown out first
     maxLevel: 5,
     upgradeMultiplier: 1.4,
     sprite: "building-greenhouse.png",
     description: "Produces food",
     buildTime: 0.5, // Time to build in turns (0.5 = half a turn = 15 seconds)
     foodProduction: 3,
-    waterConsumption: 1,
+    waterConsumption: 2, // Water drawn per turn per level
     foodProductionRate: 3, // Food produced per turn per level
     baseUpgradeCost: 60, // Materials needed for upgrade
+    soil: { minFertility: 0.2, maxContamination: 0.4 },
   },
   park: {
     name: "Park",
     cost: { materials: 10 },
     fuelConsumption: 0.1,
+    powerDemand: 0.1, // Power drawn from the grid while running
+    powerPriority: 1, // Lower priority buildings brown out first
     maxLevel: 4,
     upgradeMultiplier: 1.3,
     sprite: "building-park.png",
@@ -106,6 +122,21 @@ export const BUILDINGS = {
     comfortLevel: 1, // Quality of life provided per level
     baseUpgradeCost: 75, // Materials needed for upgrade
   },
+  water_collector: {
+    name: "Rain Collector",
+    cost: { materials: 10 },
+    fuelConsumption: 0.1,
+    powerDemand: 0, // Passive - works without power
+    powerPriority: 1,
+    maxLevel: 3,
+    upgradeMultiplier: 1.4,
+    sprite: "building-collector.png",
+    description: "Collects rain and dew for greenhouses. Needs grass",
+    buildTime: 0.5, // Time to build in turns (0.5 = half a turn = 15 seconds)
+    allowedTerrain: ["grass"], // Only soil that holds water
+    waterProductionRate: 3, // Water collected per turn per level
+    baseUpgradeCost: 40, // Materials needed for upgrade
+  },
 };
 
 // Resource definitions
@@ -122,8 +153,70 @@ export const RESOURCES = {
     sprite: "resource-forest.png",
     baseAmount: 200,
     collectionRate: 5,
+    yields: "materials", // Timber
     color: "#44ff44",
   },
+  // Wreckage of broken-down drones - collecting it yields materials
+  salvage: {
+    name: "Salvage",
+    sprite: "unit-drone.png",
+    baseAmount: 3,
+    collectionRate: 10,
+    yields: "materials",
+    color: "#aaaaaa",
+  },
+  // Stored only - produced by rain collectors, not found on the map
+  water: {
+    name: "Water",
+    stored: true,
+    color: "#4488ff",
+  },
+};
+
+// Storage classes - every stored resource fills its own capacity bucket.
+// Storage buildings add a share of their capacity to every class, or their
+// full capacity to one class once specialised (tank, silo, vault...).
+// Overflow is what happens to stock above capacity after capacity drops:
+//   "discard" - lost at once, "keep" - held but nothing more is accepted,
+//   "spoil" - spoilRate of the excess is lost every turn.
+// Resources without a class (population) are not limited by storage.
+export const STORAGE_CLASSES = {
+  fuel: {
+    name: "Fuel",
+    resources: ["fuel"],
+    baseCapacity: 80,
+    overflow: "discard", // Vented
+    buildingName: "Fuel Tank",
+  },
+  materials: {
+    name: "Materials",
+    resources: ["materials"],
+    baseCapacity: 100,
+    overflow: "keep", // Piled up outside
+    buildingName: "Material Depot",
+  },
+  waste: {
+    name: "Waste",
+    resources: ["radioactive_waste"],
+    baseCapacity: 50,
+    overflow: "keep", // Can't just be thrown away
+    buildingName: "Containment Vault",
+  },
+  food: {
+    name: "Food",
+    resources: ["food"],
+    baseCapacity: 40,
+    overflow: "spoil",
+    spoilRate: 0.5, // Half of the excess rots each turn
+    buildingName: "Food Silo",
+  },
+  water: {
+    name: "Water",
+    resources: ["water"],
+    baseCapacity: 40,
+    overflow: "discard", // Runs off
+    buildingName: "Water Cistern",
+  },
 };
 
 // Terrain definitions
@@ -132,37 +225,326 @@ export const TERRAIN = {
     name: "Grass",
     sprite: "hex-grass.png",
     buildable: true,
+    passable: true,
+    pathCost: 0, // Extra pathfinding cost on top of 1 per step
     color: "#88cc88",
+    soil: { fertility: 0.5, contamination: 0, moisture: 0.6 }, // Long Tomorrow starting soil (see SoilSystem)
   },
   ground: {
     name: "Ground",
     sprite: "hex-ground.png",
     buildable: true,
+    passable: true,
+    pathCost: 0.25,
     color: "#cc8888",
+    soil: { fertility: 0.3, contamination: 0, moisture: 0.3 },
   },
   sky: {
     name: "Sky",
     sprite: "hex-sky.png",
     buildable: false,
+    passable: false, // Open sky - units cannot route across it
+    pathCost: 0,
     color: "#8888cc",
   },
 };
 
+// Stats shared by every drone type
+const DRONE_DEFAULTS = {
+  carryingCapacity: 5, // Base carrying capacity
+  moveInterval: 800, // Time between hex moves (ms)
+  speed: 2, // Hexes per second (for discrete movement)
+  movementSpeed: 80, // Pixels per second (for smooth movement)
+  taskDelay: 1500, // Delay between task completion and next task (ms)
+  efficiency: 1.0, // Collection efficiency multiplier
+  upgradeLevel: 1, // Starting upgrade level
+  smoothMovement: true, // Enable smooth movement for flying units
+  pathCosts: ["terrain", "congestion"], // Pathfinder cost functions
+  durability: {
+    maxWear: 100, // Breaks down at this much wear
+    wearPerTrip: 5, // Wear added by every delivery
+    repairThreshold: 0.6, // Share of maxWear at which it flies home for repair
+    repairCostPerWear: 0.1, // Materials per point of wear repaired
+    speedLoss: 0.4, // Share of speed lost at max wear
+    capacityLoss: 0.4, // Share of carrying capacity lost at max wear
+    salvageAmount: 3, // Materials left on the hex when it breaks down
+    recycleRefund: 0.5, // Share of the production cost returned by recycling (scaled by condition)
+  },
+  sprite: "unit-drone.png",
+  tint: 0xffffff, // Sprite tint telling the types apart
+};
+
 // Unit definitions - data-driven unit configuration
+// Drone types share DRONE_DEFAULTS; `role` picks the AI:
+//   hauler - collects `collects` resources and delivers them to storage/refineries
+//   lumber - same, for forest, which yields materials
+//   builder - takes the materials construction sites owe out of storage and carries them over
+//   courier - moves goods from full storages to empty ones (individual storage)
 export const UNITS = {
   drone: {
-    name: "Drone",
-    carryingCapacity: 5, // Base carrying capacity
-    moveInterval: 800, // Time between hex moves (ms)
-    speed: 2, // Hexes per second (for discrete movement)
-    movementSpeed: 80, // Pixels per second (for smooth movement)
-    taskDelay: 1500, // Delay between task completion and next task (ms)
-    efficiency: 1.0, // Collection efficiency multiplier
-    upgradeLevel: 1, // Starting upgrade level
-    smoothMovement: true, // Enable smooth movement for flying units
-    sprite: "unit-drone.png",
+    ...DRONE_DEFAULTS,
+    name: "Waste Hauler",
+    role: "hauler",
+    collects: ["radioactive_waste"], // Built for the factory's droneProductionCost
+    description:
+      "Automated resource collector that flies between waste nodes and storage",
+  },
+  lumber_drone: {
+    ...DRONE_DEFAULTS,
+    name: "Lumber Drone",
+    role: "lumber",
+    collects: ["forest"],
+    productionCost: 8, // Materials per drone
+    tint: 0x9be39b,
+    description: "Harvests forests and brings the timber back as materials",
+  },
+  builder_drone: {
+    ...DRONE_DEFAULTS,
+    name: "Builder Drone",
+    role: "builder",
+    carryingCapacity: 10,
+    productionCost: 10,
+    buildSpeedPerMaterial: 1.5, // Seconds of construction saved per material delivered
+    tint: 0xffd27f,
     description:
-      "Automated resource collector that flies between resource nodes and storage",
+      "Carries materials from storage to construction sites, which wait for them while builders are around",
+  },
+  courier_drone: {
+    ...DRONE_DEFAULTS,
+    name: "Courier Drone",
+    role: "courier",
+    carryingCapacity: 10,
+    movementSpeed: 100,
+    productionCost: 8,
+    rebalanceThreshold: 0.25, // Minimum fill difference between storages worth a trip
+    tint: 0x8fc7ff,
+    description:
+      "Moves goods from full storage buildings to empty ones (individual storage)",
+  },
+};
+
+// Unit types built from the Drone class
+export const DRONE_TYPES = Object.keys(UNITS).filter(
+  (type) => UNITS[type].role,
+);
+
+// Adjacency bonuses - data-driven placement synergies
+// A building gets `bonus` for each finished neighbour of the `neighbor` type,
+// counting at most `maxStacks` neighbours (default 1). Bonuses with the same
+// effect add up: refinery next to reactor and storage = +25% production.
+// Effects: production (refinery/greenhouse/water collector output), comfort
+// (habitat comfort)
+export const ADJACENCY_RULES = [
+  {
+    id: "refinery_reactor",
+    building: "refinery",
+    neighbor: "reactor",
+    effect: "production",
+    bonus: 0.15,
+    description: "Reactor nearby",
+  },
+  {
+    id: "refinery_storage",
+    building: "refinery",
+    neighbor: "storage",
+    effect: "production",
+    bonus: 0.1,
+    description: "Storage nearby",
+  },
+  {
+    id: "greenhouse_park",
+    building: "greenhouse",
+    neighbor: "park",
+    effect: "production",
+    bonus: 0.1,
+    description: "Park pollinators",
+  },
+  {
+    id: "greenhouse_greenhouse",
+    building: "greenhouse",
+    neighbor: "greenhouse",
+    effect: "production",
+    bonus: 0.05,
+    maxStacks: 2,
+    description: "Shared irrigation",
+  },
+  {
+    id: "habitat_park",
+    building: "habitat",
+    neighbor: "park",
+    effect: "comfort",
+    bonus: 0.5,
+    maxStacks: 2,
+    description: "Park nearby",
+  },
+  {
+    id: "habitat_habitat",
+    building: "habitat",
+    neighbor: "habitat",
+    effect: "comfort",
+    bonus: 0.25,
+    maxStacks: 2,
+    description: "Community",
+  },
+];
+
+// Effects each building type reads from its adjacency multipliers; memorials
+// only lift these, so buildings without any get no memorial bonus
+export const ADJACENCY_EFFECTS = {
+  refinery: ["production"],
+  greenhouse: ["production"],
+  water_collector: ["production"],
+  habitat: ["comfort"],
+};
+
+// Random events - data-driven incidents rolled at the end of a turn
+// weight: base chance weight, raised by island stats (see EventSystem
+// getIslandStats): every modifier adds stat * per, capped at max. Events whose
+// `requires` stats are not met cannot be picked.
+// Choices: cost is paid up front (the choice is unavailable if unaffordable),
+// then effects apply: resources adds/removes stock, spawnResource drops piles
+// on empty land, destroyDrones scraps drones. Disasters emit
+// disaster:occurred and, if the island makes it to the next turn end,
+// disaster:survived.
+export const RANDOM_EVENTS = {
+  reactor_leak: {
+    name: "Reactor Leak",
+    description:
+      "A coolant line on the reactor has cracked and is leaking into the core housing.",
+    disaster: true,
+    weight: {
+      base: 2,
+      requires: { reactors: 1 },
+      modifiers: [{ stat: "gridLoad", per: 4, max: 4 }], // Stressed grids leak
+    },
+    choices: [
+      {
+        id: "seal",
+        label: "Seal the breach",
+        cost: { materials: 20 },
+        outcome: "Crews seal the breach before the leak spreads.",
+      },
+      {
+        id: "vent",
+        label: "Vent the core",
+        effects: {
+          resources: { fuel: -15 },
+          spawnResource: { type: "radioactive_waste", count: 1, amount: 30 },
+        },
+        outcome: "The core is vented. Fuel is lost and waste settles nearby.",
+      },
+    ],
+  },
+  drone_breakdown: {
+    name: "Drone Breakdown",
+    description: "One of your drones has seized up mid-flight.",
+    disaster: true,
+    weight: {
+      base: 1,
+      requires: { drones: 1 },
+      modifiers: [{ stat: "drones", per: 1, max: 5 }],
+    },
+    choices: [
+      {
+        id: "repair",
+        label: "Repair it",
+        cost: { materials: 15 },
+        outcome: "The drone is patched up and back in the air.",
+      },
+      {
+        id: "scrap",
+        label: "Scrap it",
+        effects: { destroyDrones: 1, resources: { materials: 5 } },
+        outcome: "The drone is stripped for parts.",
+      },
+    ],
+  },
+  waste_meteor_shower: {
+    name: "Waste Meteor Shower",
+    description:
+      "Debris from the old orbital dumps is falling across the island.",
+    disaster: true,
+    weight: {
+      base: 2,
+      modifiers: [{ stat: "turn", per: 0.1, max: 3 }], // Orbits decay over time
+    },
+    choices: [
+      {
+        id: "shelter",
+        label: "Raise shelters",
+        cost: { materials: 10 },
+        effects: {
+          spawnResource: { type: "radioactive_waste", count: 3, amount: 40 },
+        },
+        outcome: "Everyone sits it out under cover. Waste litters the island.",
+      },
+      {
+        id: "endure",
+        label: "Endure it",
+        effects: {
+          spawnResource: { type: "radioactive_waste", count: 3, amount: 40 },
+          resources: { food: -5, population: -1 },
+        },
+        outcome: "Fragments smash a food store and a colonist is lost.",
+      },
+    ],
+  },
+  trader_airship: {
+    name: "Trader Airship",
+    description: "A trading airship drifts alongside and offers to deal.",
+    disaster: false,
+    weight: {
+      base: 2,
+      modifiers: [
+        { stat: "waste", per: 0.05, max: 2 }, // Traders want waste...
+        { stat: "materials", per: 0.02, max: 2 }, // ...and materials
+      ],
+    },
+    choices: [
+      {
+        id: "buy_fuel",
+        label: "Buy fuel",
+        cost: { materials: 20 },
+        effects: { resources: { fuel: 20 } },
+        outcome: "The traders pump 20 fuel into your tanks.",
+      },
+      {
+        id: "sell_waste",
+        label: "Sell waste",
+        cost: { radioactive_waste: 10 },
+        effects: { resources: { materials: 20 } },
+        outcome: "The traders haul off the waste and leave 20 materials.",
+      },
+      {
+        id: "decline",
+        label: "Wave them off",
+        outcome: "The airship drifts away.",
+      },
+    ],
+  },
+  storm: {
+    name: "Storm",
+    description: "A storm front is bearing down on the island.",
+    disaster: true,
+    weight: {
+      base: 3,
+      modifiers: [{ stat: "buildings", per: 0.2, max: 3 }], // More to damage
+    },
+    choices: [
+      {
+        id: "batten",
+        label: "Batten down",
+        cost: { materials: 15 },
+        effects: { resources: { water: 10 } },
+        outcome: "The island holds. The rain tops up your water.",
+      },
+      {
+        id: "ride_out",
+        label: "Ride it out",
+        effects: { resources: { materials: -15, food: -5, water: 10 } },
+        outcome: "Wind tears through the stores. At least it rained.",
+      },
+    ],
   },
 };
 
@@ -181,9 +563,72 @@ export const GAME_BALANCE = {
       forest: "radius * 0.5", // At least half radius count
     },
   },
+  pathfinding: {
+    congestionCost: 0.5, // Extra cost per unit heading to a building nearby
+    cacheLifetime: 3000, // ms before a cached path is recalculated
+    maxCachedPaths: 500,
+  },
+  powerGrid: {
+    // Efficiency of powered buildings by grid load (demand / capacity)
+    stressBands: [
+      { maxLoad: 0.7, stress: "normal", efficiency: 1.0 },
+      { maxLoad: 0.9, stress: "strained", efficiency: 0.9 },
+      { maxLoad: 1.0, stress: "critical", efficiency: 0.8 },
+    ],
+    // Reactor sprite tint per stress level (its own tint while normal)
+    stressTints: {
+      strained: 0xffe08a,
+      critical: 0xffa060,
+      overloaded: 0xff5050,
+    },
+    brownOutTint: 0x707070, // Tint of buildings without power
+  },
   storage: {
     baseCapacity: 100,
     storageMultiplier: 1.5,
+    generalShare: 0.4, // Share of capacity a general storage adds to each class
+    specializedMultiplier: 1.5, // Capacity bonus when dedicated to one class
+    individualStorage: false, // Storage buildings keep their own contents in every game; modes and levels can opt in
+    constructionRange: 3, // Hexes from a site that construction draws materials from
+  },
+  jobs: {
+    // Job priorities, in hexes: a job one point higher is worth one more hex of flight
+    priorities: { construct: 8, collect: 4, haul: 2, deliver: 0 },
+    factoryZoneRadius: 4, // Radius of the zone a factory can keep its fleet in
+  },
+  events: {
+    firstTurn: 4, // No events before this turn
+    chancePerTurn: 0.3, // Chance of an event at the end of each turn
+    cooldownTurns: 2, // Quiet turns after an event
+  },
+  longTomorrow: {
+    // Buildings that return to the land between sessions (see terrainEvolution in WorldStateManager)
+    landUse: { park: "park", greenhouse: "farm" },
+    forestAmount: 200, // Forest on an evolved hex, times (1 + its materialBonus)
+    // Ruins of earlier sessions, drawn as their original building
+    ruins: {
+      tint: 0x6e6e6e,
+      memorialTint: 0xe8d8a0,
+      rareComponentValue: 10, // Materials salvaged per rare component
+    },
+    // Soil that remembers how the land was used (see SoilSystem); values run 0..1
+    soil: {
+      greenhouse: { fertility: 0.02, moisture: 0.02 }, // Per turn on a powered greenhouse's hex
+      waste: { contamination: 0.01, spread: 0.003 }, // Per turn per waste pile, on its hex / each neighbour
+      // Greenhouse output: 1 + weight * (value - 0.5) per property, contamination counts in full
+      production: {
+        fertility: 1,
+        moisture: 0.5,
+        contamination: 1,
+        minimum: 0.25,
+      },
+      overlay: {
+        fertility: 0x5fae4e,
+        contamination: 0xb8443a,
+        moisture: 0x4a90d9,
+        alpha: 0.5,
+      },
+    },
   },
   progression: {
     fuelWarningTurns: 3,
@@ -201,6 +646,7 @@ export const GAME_BALANCE = {
     materials: 60, // Used for building construction
     population: 5, // Starting colonists
     food: 15, // Starting food supply (~3 turns for starting population)
+    water: 10, // Starting water for greenhouses until a collector is built
   },
 };
 
@@ -253,6 +699,23 @@ export function getInitialResources() {
   return { ...GAME_BALANCE.initialResources };
 }
 
+// Stored resource a map resource turns into when collected (salvage -> materials)
+export function getResourceYield(type) {
+  return RESOURCES[type]?.yields || type;
+}
+
+export function getStorageClass(resourceType) {
+  return (
+    Object.keys(STORAGE_CLASSES).find((storageClass) =>
+      STORAGE_CLASSES[storageClass].resources.includes(resourceType),
+    ) || null
+  );
+}
+
+export function getRandomEvent(id) {
+  return RANDOM_EVENTS[id] || null;
+}
+
 export function getUnitData(type) {
   return UNITS[type] || null;
 }
@@ -265,19 +728,38 @@ export function getTerrainData(type) {
   return TERRAIN[type] || null;
 }
 
+/**
+ * Check a building type's terrain restriction
+ * @param {string} type - Building type
+ * @param {Hex} hex - Hex to build on
+ * @returns {boolean} True if the hex terrain is allowed
+ */
+export function canBuildOnTerrain(type, hex) {
+  const allowedTerrain = BUILDINGS[type]?.allowedTerrain;
+  return !allowedTerrain || allowedTerrain.includes(hex.terrain);
+}
+
 export function calculateBuildingCost(type, level = 1) {
   const building = getBuildingData(type);
   if (!building) return null;
 
   const baseCost = building.cost.materials;
+  const materials = Math.floor(
+    baseCost * Math.pow(building.upgradeMultiplier, level - 1),
+  );
   return {
-    materials: Math.floor(
-      baseCost * Math.pow(building.upgradeMultiplier, level - 1),
-    ),
+    materials: researchEffects.apply("buildingCost", materials, { type }),
   };
 }
 
-export function canAffordBuilding(type, level, playerStorage) {
+// Pass the hex to only count materials in storage within construction range
+export function canAffordBuilding(type, level, playerStorage, hex = null) {
   const cost = calculateBuildingCost(type, level);
-  return playerStorage.getMaterials() >= cost.materials;
+  const materials = hex
+    ? playerStorage.getResourceAmount(
+        "materials",
+        playerStorage.getConstructionReach(hex),
+      )
+    : playerStorage.getMaterials();
+  return materials >= cost.materials;
 }
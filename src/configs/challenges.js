@@ -0,0 +1,319 @@
+/**
+ * Challenge Configuration
+ *
+ * Data-driven daily/weekly challenges. Every player gets the same challenge
+ * for a given calendar day (or ISO week): the map seed, starting resources
+ * and win/lose conditions are all derived from the date, so scores are
+ * comparable. Conditions use the same format and condition types as
+ * levels.js and are run by the ConditionManager.
+ */
+
+import { Random } from "../engine/Random.js";
+import { getInitialResources } from "./GameData.js";
+
+// Challenge rotation periods
+export const CHALLENGE_PERIODS = {
+  DAILY: "daily",
+  WEEKLY: "weekly",
+};
+
+export const CHALLENGE_PERIOD_CONFIG = {
+  [CHALLENGE_PERIODS.DAILY]: {
+    name: "Daily Challenge",
+    seedPrefix: "DAY",
+  },
+  [CHALLENGE_PERIODS.WEEKLY]: {
+    name: "Weekly Challenge",
+    seedPrefix: "WEEK",
+  },
+};
+
+// Objectives - win conditions (ALL must be met)
+export const CHALLENGE_OBJECTIVES = [
+  {
+    id: "twin_refineries",
+    name: "Twin Refineries",
+    description: "Run a fuel and a materials refinery side by side",
+    winConditions: [
+      {
+        type: "building_count",
+        building: "refinery",
+        productionMode: "fuel",
+        min: 1,
+        description: "Build 1 fuel-producing refinery",
+      },
+      {
+        type: "building_count",
+        building: "refinery",
+        productionMode: "materials",
+        min: 1,
+        description: "Build 1 materials-producing refinery",
+      },
+      {
+        type: "consecutive_turns",
+        turns: 5,
+        requirements: ["both_refineries_operational"],
+        description: "Keep both refineries operational for 5 consecutive turns",
+      },
+    ],
+  },
+  {
+    id: "drone_network",
+    name: "Drone Network",
+    description: "Automate waste collection across the island",
+    winConditions: [
+      {
+        type: "building_count",
+        building: "drone_factory",
+        min: 2,
+        description: "Build 2 drone factories",
+      },
+      {
+        type: "building_active",
+        building: "refinery",
+        min: 2,
+        description: "Have 2 refineries producing",
+      },
+    ],
+  },
+  {
+    id: "stockpile",
+    name: "Stockpile",
+    description: "Build storage and keep every reserve above zero",
+    winConditions: [
+      {
+        type: "building_count",
+        building: "storage",
+        min: 2,
+        description: "Build 2 storage buildings",
+      },
+      {
+        type: "consecutive_turns",
+        turns: 6,
+        requirements: ["fuel_positive", "materials_positive"],
+        description: "Keep fuel and materials above zero for 6 turns",
+      },
+    ],
+  },
+  {
+    id: "green_belt",
+    name: "Green Belt",
+    description: "Grow food and green space for the colony",
+    winConditions: [
+      {
+        type: "building_count",
+        building: "greenhouse",
+        min: 2,
+        description: "Build 2 greenhouses",
+      },
+      {
+        type: "building_count",
+        building: "park",
+        min: 1,
+        description: "Build 1 park",
+      },
+      {
+        type: "survival_turns",
+        turns: 8,
+        requirements: ["buildings_exist"],
+        description: "Keep the island flying",
+      },
+    ],
+  },
+  {
+    id: "habitat_ring",
+    name: "Habitat Ring",
+    description: "House the colony while keeping the reactor fed",
+    winConditions: [
+      {
+        type: "building_count",
+        building: "habitat",
+        min: 3,
+        description: "Build 3 habitats",
+      },
+      {
+        type: "building_active",
+        building: "refinery",
+        min: 1,
+        description: "Have a refinery producing",
+      },
+    ],
+  },
+];
+
+// Pressures - lose conditions (ANY triggers failure)
+export const CHALLENGE_PRESSURES = [
+  {
+    id: "standard",
+    name: "Standard",
+    loseConditions: [
+      {
+        type: "fuel_depletion",
+        description: "Civilization falls if fuel reaches zero",
+      },
+      {
+        type: "turn_limit",
+        maxTurns: 30,
+        description: "Complete objectives within 30 turns",
+      },
+    ],
+  },
+  {
+    id: "tight",
+    name: "Tight Schedule",
+    loseConditions: [
+      {
+        type: "fuel_depletion",
+        description: "Civilization falls if fuel reaches zero",
+      },
+      {
+        type: "turn_limit",
+        maxTurns: 20,
+        description: "Complete objectives within 20 turns",
+      },
+    ],
+  },
+  {
+    id: "sprint",
+    name: "Sprint",
+    loseConditions: [
+      {
+        type: "fuel_depletion",
+        description: "Civilization falls if fuel reaches zero",
+      },
+      {
+        type: "turn_limit",
+        maxTurns: 15,
+        description: "Complete objectives within 15 turns",
+      },
+    ],
+  },
+];
+
+// Starting resources - merged over GameData initialResources
+export const CHALLENGE_STARTS = [
+  {
+    id: "standard",
+    name: "Standard Supplies",
+    resources: {},
+  },
+  {
+    id: "lean",
+    name: "Lean Start",
+    resources: { fuel: 35, materials: 45 },
+  },
+  {
+    id: "stocked",
+    name: "Well Stocked",
+    resources: { fuel: 70, materials: 90, food: 25 },
+  },
+  {
+    id: "crowded",
+    name: "Crowded Lifeboat",
+    resources: { population: 8, food: 20 },
+  },
+];
+
+// Score weights - applied to the island at the end of the challenge
+export const CHALLENGE_SCORING = {
+  perTurnSurvived: 100,
+  perPopulation: 50,
+  perResource: {
+    fuel: 1,
+    materials: 1,
+    food: 0.5,
+  },
+  victoryBonus: 1000,
+};
+
+// Number of results kept in the local history table
+export const CHALLENGE_HISTORY_LIMIT = 50;
+
+/**
+ * Get the calendar key for a period
+ * Daily: "2026-10-19" (local date). Weekly: "2026-W43" (ISO week).
+ * @param {string} period - CHALLENGE_PERIODS value
+ * @param {Date} date - Date inside the period
+ * @returns {string} Period key
+ */
+export function getChallengePeriodKey(period, date = new Date()) {
+  const pad = (value) => String(value).padStart(2, "0");
+
+  if (period === CHALLENGE_PERIODS.WEEKLY) {
+    // ISO week: weeks start on Monday and belong to the year of their Thursday
+    const day = new Date(
+      Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()),
+    );
+    day.setUTCDate(day.getUTCDate() + 4 - (day.getUTCDay() || 7));
+    const yearStart = new Date(Date.UTC(day.getUTCFullYear(), 0, 1));
+    const week = Math.ceil(((day - yearStart) / 86400000 + 1) / 7);
+    return `${day.getUTCFullYear()}-W${pad(week)}`;
+  }
+
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Build the challenge for a period key
+ * @param {string} period - CHALLENGE_PERIODS value
+ * @param {string} key - Period key from getChallengePeriodKey()
+ * @returns {Object|null} Challenge definition in levels.js format
+ */
+export function getChallengeByKey(period, key) {
+  const periodConfig = CHALLENGE_PERIOD_CONFIG[period];
+  if (!periodConfig || !key) return null;
+
+  const id = `${period}-${key}`;
+  const rng = new Random(`challenge:${id}`);
+  const objective = rng.pick(CHALLENGE_OBJECTIVES);
+  const pressure = rng.pick(CHALLENGE_PRESSURES);
+  const start = rng.pick(CHALLENGE_STARTS);
+
+  return {
+    id,
+    period,
+    key,
+    name: `${periodConfig.name}: ${objective.name}`,
+    description: objective.description,
+    shortDescription: `${pressure.name} · ${start.name}`,
+    seed: `${periodConfig.seedPrefix}-${key}`,
+    startingResources: { ...getInitialResources(), ...start.resources },
+    winConditions: objective.winConditions,
+    loseConditions: pressure.loseConditions,
+  };
+}
+
+/**
+ * Get the current challenge for a period
+ * @param {string} period - CHALLENGE_PERIODS value
+ * @param {Date} date - Date inside the period (defaults to today)
+ * @returns {Object|null} Challenge definition
+ */
+export function getChallenge(period, date = new Date()) {
+  return getChallengeByKey(period, getChallengePeriodKey(period, date));
+}
+
+/**
+ * Score a finished challenge
+ * @param {Object} finalState - { turnsSurvived, population, resources, victory }
+ * @returns {Object} { total, breakdown: { turns, population, resources, victory } }
+ */
+export function calculateChallengeScore(finalState) {
+  const breakdown = {
+    turns: finalState.turnsSurvived * CHALLENGE_SCORING.perTurnSurvived,
+    population: finalState.population * CHALLENGE_SCORING.perPopulation,
+    resources: Math.floor(
+      Object.entries(CHALLENGE_SCORING.perResource).reduce(
+        (sum, [type, weight]) =>
+          sum + (finalState.resources[type] || 0) * weight,
+        0,
+      ),
+    ),
+    victory: finalState.victory ? CHALLENGE_SCORING.victoryBonus : 0,
+  };
+
+  return {
+    total: Object.values(breakdown).reduce((sum, value) => sum + value, 0),
+    breakdown,
+  };
+}
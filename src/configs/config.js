@@ -17,6 +17,7 @@ export const ASSETS = [
   "assets/building-habitat.png",
   "assets/building-greenhouse.png",
   "assets/building-park.png",
+  "assets/building-collector.png",
   "assets/unit-drone.png",
   "assets/resource-radioactive_waste.png",
   "assets/resource-forest.png",
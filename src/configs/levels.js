@@ -34,9 +34,10 @@ export const GAME_FEATURES = {
   population: false,
   habitation: false,
   luxury_items: false,
-  adjacency_bonuses: false,
-  drone_specialization: false,
-  event_system: false,
+  adjacency_bonuses: true,
+  drone_specialization: true,
+  event_system: true,
+  individual_storage: true,
   renewable_energy: false,
   social_mechanics: false,
   efficiency_tracking: false,
@@ -232,7 +233,7 @@ export const LEVELS = {
     winConditions: [
       {
         type: "drone_types",
-        types: ["collector", "builder", "repair"],
+        types: ["hauler", "lumber", "builder"],
         simultaneousOperation: 5,
         description: "Run 3 drone types simultaneously for 5 turns",
       },
@@ -269,7 +270,7 @@ export const LEVELS = {
     shortDescription: "Master just-in-time resource management",
 
     newMechanics: ["Storage pressure", "Just-in-time economics"],
-    requiredFeatures: ["population", "storage_limits"],
+    requiredFeatures: ["population", "storage_limits", "individual_storage"],
     enabled: false,
 
     storyIntro:
@@ -310,7 +311,44 @@ export const LEVELS = {
     },
   },
 
-  // Levels 6-10 would continue here following the same pattern
+  6: {
+    id: 6,
+    name: "Storm Season",
+    description:
+      "Survive 3 random negative events without population dropping below 20",
+    shortDescription: "Build a colony resilient enough to weather disasters",
+
+    newMechanics: ["Event system", "Resilience planning"],
+    requiredFeatures: ["event_system", "population"],
+    enabled: false,
+
+    storyIntro:
+      "The skies are turning. Leaks, storms and falling debris will test everything you have built. Plan for the worst and keep your people safe.",
+
+    winConditions: [
+      {
+        type: "event_survival",
+        events: 3,
+        minPopulation: 20,
+        description: "Survive 3 disasters with at least 20 population",
+      },
+    ],
+
+    loseConditions: [
+      {
+        type: "fuel_depletion",
+        description: "Civilization falls if fuel reaches zero",
+      },
+    ],
+
+    rewards: {
+      title: "Storm Chaser",
+      description: "Your colony bends but does not break!",
+      unlocks: ["Level 7: The Balancing Act"],
+    },
+  },
+
+  // Levels 7-10 would continue here following the same pattern
   // Will be implemented as their required features are developed
 };
 
@@ -12,6 +12,10 @@ export const SCREENS = {
   GAME: "game",
   VICTORY: "victory",
   DEFEAT: "defeat",
+  CHALLENGE: "challenge",
+  SESSION_SUMMARY: "session_summary",
+  RESEARCH: "research",
+  ACHIEVEMENTS: "achievements",
   SETTINGS: "settings", // Future implementation
   PAUSE: "pause", // Future overlay implementation
   CREDITS: "credits", // Future implementation
@@ -57,6 +61,30 @@ export const SCREEN_CONFIG = {
     transition: SCREEN_TRANSITIONS.FADE,
     transitionDuration: 500,
   },
+  [SCREENS.CHALLENGE]: {
+    title: "Challenges",
+    showBackground: true,
+    transition: SCREEN_TRANSITIONS.FADE,
+    transitionDuration: 500,
+  },
+  [SCREENS.SESSION_SUMMARY]: {
+    title: "Session Complete",
+    showBackground: true,
+    transition: SCREEN_TRANSITIONS.FADE,
+    transitionDuration: 500,
+  },
+  [SCREENS.RESEARCH]: {
+    title: "Research",
+    showBackground: true,
+    transition: SCREEN_TRANSITIONS.FADE,
+    transitionDuration: 500,
+  },
+  [SCREENS.ACHIEVEMENTS]: {
+    title: "Achievements",
+    showBackground: true,
+    transition: SCREEN_TRANSITIONS.FADE,
+    transitionDuration: 500,
+  },
   [SCREENS.SETTINGS]: {
     title: "Settings",
     showBackground: true,
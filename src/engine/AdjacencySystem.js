@@ -0,0 +1,211 @@
+/**
+ * AdjacencySystem - Placement bonuses between neighbouring buildings
+ *
+ * Evaluates the ADJACENCY_RULES table from GameData.js against the island and
+ * hands out multipliers per effect (production, comfort). Results are
+ * recalculated after any building is placed, finished or removed; buildings
+ * ask for their multiplier when they produce.
+ *
+ * Buildings under construction neither give nor receive bonuses. Memorials
+ * of earlier Long Tomorrow sessions lift the effects their neighbours read
+ * (ADJACENCY_EFFECTS).
+ *
+ * Usage:
+ *   import adjacencySystem from "./engine/AdjacencySystem.js";
+ *   const multiplier = adjacencySystem.getMultiplier(refinery, "production");
+ *   const preview = adjacencySystem.previewBonus(hex, "refinery");
+ */
+
+import EventBus from "./EventBus.js";
+import { ADJACENCY_EFFECTS, ADJACENCY_RULES } from "../configs/GameData.js";
+
+const NO_BONUS = Object.freeze({ multipliers: {}, sources: [] });
+
+// Source description for the bonus of neighbouring memorials
+const MEMORIAL_SOURCE = { id: "memorial", description: "Memorial nearby" };
+
+export class AdjacencySystem {
+  constructor(rules = ADJACENCY_RULES, effects = ADJACENCY_EFFECTS) {
+    this.rules = rules;
+    this.effects = effects; // buildingType -> effects the building reads
+
+    // building -> { multipliers: { effect: multiplier }, sources: [...] }
+    this.bonuses = new Map();
+    this.isDirty = false;
+
+    this.setupEventHandlers();
+  }
+
+  /**
+   * Re-evaluate whenever the set of finished buildings changes
+   */
+  setupEventHandlers() {
+    [
+      "factory:buildingCreated",
+      "building:built",
+      "building:constructionCompleted",
+      "building:demolished",
+      "building:destroyed",
+      "factory:buildingRemoved",
+      "ruin:memorialized",
+      "grid:cleared",
+    ].forEach((event) => EventBus.on(event, () => this.invalidate()));
+  }
+
+  /**
+   * Mark bonuses as stale; they are recalculated on the next query
+   */
+  invalidate() {
+    if (this.isDirty) return;
+    this.isDirty = true;
+
+    // Let listeners (UI, conditions) refresh after the change has settled
+    setTimeout(() => {
+      this.evaluate();
+      EventBus.emit("adjacency:updated", { bonuses: this.bonuses });
+    }, 0);
+  }
+
+  /**
+   * Recalculate every building's bonuses if anything changed
+   */
+  evaluate() {
+    if (!this.isDirty) return;
+    this.isDirty = false;
+    this.bonuses.clear();
+
+    const buildings = window.gameState?.buildings || [];
+    buildings.forEach((building) => {
+      if (!this.isFinished(building)) return;
+
+      const bonus = this.calculateBonus(building.hex, building.type);
+      if (bonus.sources.length > 0) {
+        this.bonuses.set(building, bonus);
+      }
+    });
+  }
+
+  /**
+   * Check if a building counts for adjacency
+   * @param {Building} building - Building to check
+   * @returns {boolean} True if finished and standing
+   */
+  isFinished(building) {
+    return Boolean(
+      building && !building.isDestroyed && !building.isUnderConstruction,
+    );
+  }
+
+  /**
+   * Work out the bonuses a building type gets on a hex
+   * @param {Hex} hex - Hex the building stands (or would stand) on
+   * @param {string} buildingType - Building type
+   * @returns {Object} { multipliers: { effect: multiplier }, sources: [{ rule, count, bonus }] }
+   */
+  calculateBonus(hex, buildingType) {
+    const rules = this.rules.filter((rule) => rule.building === buildingType);
+    const neighborHexes = window.hexGrid?.getNeighbors(hex) || [];
+    if (neighborHexes.length === 0) return NO_BONUS;
+
+    const neighbors = neighborHexes
+      .map((neighbor) => neighbor.building)
+      .filter((building) => this.isFinished(building));
+
+    const multipliers = {};
+    const sources = [];
+
+    rules.forEach((rule) => {
+      const count = neighbors.filter(
+        (building) => building.type === rule.neighbor,
+      ).length;
+      if (count === 0) return;
+
+      const bonus = rule.bonus * Math.min(count, rule.maxStacks ?? 1);
+      multipliers[rule.effect] = (multipliers[rule.effect] ?? 1) + bonus;
+      sources.push({ rule, count, bonus });
+    });
+
+    // Memorials lift every effect the building reads
+    const memorials = neighborHexes.filter((neighbor) => neighbor.memorial);
+    const effects = this.effects[buildingType] || [];
+    if (memorials.length > 0 && effects.length > 0) {
+      const bonus = memorials.reduce(
+        (total, neighbor) => total + neighbor.memorial.adjacencyBonus,
+        0,
+      );
+      effects.forEach((effect) => {
+        multipliers[effect] = (multipliers[effect] ?? 1) + bonus;
+        sources.push({
+          rule: { ...MEMORIAL_SOURCE, effect },
+          count: memorials.length,
+          bonus,
+        });
+      });
+    }
+
+    return { multipliers, sources };
+  }
+
+  /**
+   * Get the current bonuses of a building
+   * @param {Building} building - Building to query
+   * @returns {Object} { multipliers, sources }
+   */
+  getBonus(building) {
+    this.evaluate();
+    return this.bonuses.get(building) || NO_BONUS;
+  }
+
+  /**
+   * Get a building's multiplier for one effect
+   * @param {Building} building - Building to query
+   * @param {string} effect - Effect name, e.g. "production"
+   * @returns {number} Multiplier (1 when there is no bonus)
+   */
+  getMultiplier(building, effect) {
+    return this.getBonus(building).multipliers[effect] ?? 1;
+  }
+
+  /**
+   * Check if a building gets any bonus
+   * @param {Building} building - Building to query
+   * @param {string} effect - Only count this effect (optional)
+   * @returns {boolean} True if at least one rule applies
+   */
+  hasBonus(building, effect = null) {
+    const { sources } = this.getBonus(building);
+    return sources.some((source) => !effect || source.rule.effect === effect);
+  }
+
+  /**
+   * Preview the bonus a building type would get on a hex
+   * @param {Hex} hex - Candidate hex
+   * @param {string} buildingType - Building type to place
+   * @returns {Object} { multipliers, sources }
+   */
+  previewBonus(hex, buildingType) {
+    return this.calculateBonus(hex, buildingType);
+  }
+
+  /**
+   * Describe bonuses for tooltips
+   * @param {Object} bonus - Result of getBonus() or previewBonus()
+   * @returns {string|null} e.g. "+25% production (Reactor nearby, Storage nearby)"
+   */
+  describeBonus(bonus) {
+    if (bonus.sources.length === 0) return null;
+
+    return Object.entries(bonus.multipliers)
+      .map(([effect, multiplier]) => {
+        const reasons = bonus.sources
+          .filter((source) => source.rule.effect === effect)
+          .map((source) => source.rule.description);
+        return `+${Math.round((multiplier - 1) * 100)}% ${effect} (${reasons.join(", ")})`;
+      })
+      .join("\n");
+  }
+}
+
+// Shared instance used by buildings, UI and conditions
+export const adjacencySystem = new AdjacencySystem();
+export default adjacencySystem;
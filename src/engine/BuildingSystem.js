@@ -8,10 +8,14 @@ import {
   getBuildingData,
   calculateBuildingCost,
   canAffordBuilding,
+  canBuildOnTerrain,
+  getResourceYield,
   GAME_BALANCE,
 } from "../configs/GameData.js";
 import EventBus from "./EventBus.js";
 import GameObjectFactory from "./GameObjectFactory.js";
+import powerGrid from "./PowerGrid.js";
+import soilSystem from "./SoilSystem.js";
 import {
   addSimplifiedMethods,
   ensureBuildingProperties,
@@ -42,8 +46,24 @@ export class BuildingSystem {
       return null;
     }
 
+    if (!canBuildOnTerrain(type, hex)) {
+      console.error(
+        `[Build] ${buildingData.name} cannot be built on ${hex.terrain}`,
+      );
+      return null;
+    }
+
+    // Long Tomorrow soil may be too poor or contaminated
+    const soilProblem = soilSystem.getBuildProblem(type, hex);
+    if (soilProblem) {
+      console.error(
+        `[Build] ${buildingData.name} cannot be built here: ${soilProblem}`,
+      );
+      return null;
+    }
+
     const cost = calculateBuildingCost(type, 1);
-    if (!canAffordBuilding(type, 1, this.playerStorage)) {
+    if (!canAffordBuilding(type, 1, this.playerStorage, hex)) {
       console.error("[Build] Cannot afford building");
       return null;
     }
@@ -55,8 +75,17 @@ export class BuildingSystem {
       return null;
     }
 
-    // Consume materials after successful creation
-    this.playerStorage.removeResources(cost.materials, "materials");
+    // Builder drones carry the materials over from storage; without them
+    // they are taken from storage near the site right away
+    if (this.hasBuilderDrones()) {
+      building.materialsOwed = cost.materials;
+    } else {
+      this.playerStorage.removeResources(
+        cost.materials,
+        "materials",
+        this.playerStorage.getConstructionReach(hex),
+      );
+    }
 
     // Ensure building has all required properties
     ensureBuildingProperties(building);
@@ -99,6 +128,44 @@ export class BuildingSystem {
     return building;
   }
 
+  /**
+   * Check if builder drones are around to supply construction sites
+   * @returns {boolean} True if a builder drone is still standing
+   */
+  hasBuilderDrones() {
+    return (this.gameState.units || []).some(
+      (unit) => unit.role === "builder" && !unit.isDestroyed,
+    );
+  }
+
+  /**
+   * Take the materials a site still owes from storage near it
+   * @param {Building} building - Construction site
+   * @returns {number} Materials paid
+   */
+  payOwedMaterials(building) {
+    const paid = this.playerStorage.removeResources(
+      building.materialsOwed,
+      "materials",
+      this.playerStorage.getConstructionReach(building.hex),
+    );
+    building.materialsOwed -= paid;
+    return paid;
+  }
+
+  /**
+   * Describe a construction site for its tooltip
+   * @param {Building} building - Building under construction
+   * @returns {string} Tooltip lines, each starting with a newline
+   */
+  describeConstruction(building) {
+    let text = `\nUnder Construction: ${Math.ceil(building.constructionTimeRemaining)}s remaining`;
+    if (building.materialsOwed > 0) {
+      text += `\nAwaiting ${building.materialsOwed} materials from builder drones`;
+    }
+    return text;
+  }
+
   /**
    * Build a completed building (no construction time) - for initial buildings
    * @param {Hex} hex - Hex to place the building on
@@ -121,12 +188,16 @@ export class BuildingSystem {
     // Check costs unless skipped (for initial buildings)
     if (!skipCost) {
       const cost = calculateBuildingCost(type, 1);
-      if (!canAffordBuilding(type, 1, this.playerStorage)) {
+      if (!canAffordBuilding(type, 1, this.playerStorage, hex)) {
         console.error("[BuildCompleted] Cannot afford building");
         return null;
       }
-      // Consume materials after successful creation
-      this.playerStorage.removeResources(cost.materials, "materials");
+      // Consume materials after successful creation, from storage near the site
+      this.playerStorage.removeResources(
+        cost.materials,
+        "materials",
+        this.playerStorage.getConstructionReach(hex),
+      );
     }
 
     // Use existing factory system to create building immediately
@@ -253,14 +324,15 @@ export class BuildingSystem {
       building.getTooltipInfo &&
       typeof building.getTooltipInfo === "function"
     ) {
-      const existing = building.getTooltipInfo();
+      let existing = building.getTooltipInfo();
       if (existing) {
+        if (!powerGrid.isPowered(building)) {
+          existing += `\n⚡ No power - browned out (reactor overloaded)`;
+        }
+
         // Add construction info if under construction
         if (building.isUnderConstruction) {
-          return (
-            existing +
-            `\nUnder Construction: ${Math.ceil(building.constructionTimeRemaining)}s remaining`
-          );
+          return existing + this.describeConstruction(building);
         }
         return existing;
       }
@@ -274,10 +346,16 @@ export class BuildingSystem {
 
     // Show construction status if under construction
     if (building.isUnderConstruction) {
-      tooltip += `\nUnder Construction: ${Math.ceil(building.constructionTimeRemaining)}s remaining`;
+      tooltip += this.describeConstruction(building);
       tooltip += `\nProgress: ${Math.round(building.constructionProgress * 100)}%`;
     } else {
       tooltip += `\nFuel: -${buildingData.fuelConsumption}/turn`;
+      if (buildingData.powerDemand) {
+        tooltip += `\nPower: ${buildingData.powerDemand}`;
+      }
+      if (!powerGrid.isPowered(building)) {
+        tooltip += `\n⚡ No power - browned out (reactor overloaded)`;
+      }
 
       if (this.canUpgrade(building)) {
         const cost = calculateBuildingCost(building.type, building.level + 1);
@@ -365,15 +443,14 @@ export class BuildingSystem {
       });
     } else {
       if (this.canUpgrade(building)) {
-        const cost = calculateBuildingCost(building.type, building.level + 1);
+        // Buildings charge their own upgrade cost (see Building.getUpgradeCost)
+        const materials = building.getUpgradeCost
+          ? building.getUpgradeCost()
+          : calculateBuildingCost(building.type, building.level + 1).materials;
         menu.push({
-          label: `Upgrade (${cost.materials} materials)`,
+          label: `Upgrade (${materials} materials)`,
           action: () => this.upgrade(building),
-          disabled: !canAffordBuilding(
-            building.type,
-            building.level + 1,
-            this.playerStorage,
-          ),
+          disabled: this.playerStorage.getMaterials() < materials,
         });
       }
 
@@ -399,7 +476,10 @@ export class BuildingSystem {
         {
           label: `Collect ${hex.resource.type}`,
           action: () => this.collectResource(hex),
-          disabled: !this.playerStorage.canStore(10),
+          disabled: !this.playerStorage.canStore(
+            10,
+            getResourceYield(hex.resource.type),
+          ),
         },
       ];
     }
@@ -408,12 +488,18 @@ export class BuildingSystem {
     return Object.keys(BUILDINGS).map((type) => {
       const building = getBuildingData(type);
       const cost = calculateBuildingCost(type, 1);
-      const canAfford = canAffordBuilding(type, 1, this.playerStorage);
+      const canAfford = canAffordBuilding(type, 1, this.playerStorage, hex);
+      const terrainAllowed = canBuildOnTerrain(type, hex);
+      const soilProblem = soilSystem.getBuildProblem(type, hex);
 
       return {
-        label: `Build ${building.name} (${cost.materials} materials)`,
+        label: !terrainAllowed
+          ? `Build ${building.name} (needs ${building.allowedTerrain.join("/")})`
+          : soilProblem
+            ? `Build ${building.name} (${soilProblem})`
+            : `Build ${building.name} (${cost.materials} materials)`,
         action: () => this.build(hex, type),
-        disabled: !canAfford,
+        disabled: !canAfford || !terrainAllowed || Boolean(soilProblem),
       };
     });
   }
@@ -428,8 +514,11 @@ export class BuildingSystem {
     const collected = hex.resource.collect(amount);
 
     if (collected > 0) {
-      this.playerStorage.addResources(collected, hex.resource.type);
-      console.log(`[Collect] Collected ${collected} ${hex.resource.type}`);
+      const resourceType = getResourceYield(hex.resource.type);
+      this.playerStorage.addResources(collected, resourceType, {
+        near: hex,
+      });
+      console.log(`[Collect] Collected ${collected} ${resourceType}`);
     }
   }
 
@@ -467,6 +556,11 @@ export class BuildingSystem {
       this.buildingsUnderConstruction.forEach((building) => {
         console.log(`[BuildingSystem] Checking building ${building.type}, isUnderConstruction: ${building.isUnderConstruction}`);
         if (building.isUnderConstruction) {
+          // With no builder drones left the site pays what it still owes
+          if (building.materialsOwed > 0 && !this.hasBuilderDrones()) {
+            this.payOwedMaterials(building);
+          }
+
           console.log(`[BuildingSystem] Calling updateConstruction on ${building.type} with deltaTime ${deltaTime}`);
           building.updateConstruction(deltaTime);
 
@@ -0,0 +1,256 @@
+import EventBus from "./EventBus.js";
+import ConditionManager from "./conditions/ConditionManager.js";
+import { SAVE_KEY_PREFIX } from "./SaveSystem.js";
+import {
+  getChallengeByKey,
+  calculateChallengeScore,
+  CHALLENGE_HISTORY_LIMIT,
+} from "../configs/challenges.js";
+
+export const CHALLENGE_HISTORY_KEY = `${SAVE_KEY_PREFIX}.challengeHistory`;
+
+/**
+ * ChallengeManager - Runs daily/weekly seeded challenges
+ *
+ * Counterpart of the ProgressionManager for challenge mode: loads the
+ * challenge's win/lose conditions into its own ConditionManager, scores the
+ * island when the challenge ends and keeps a local history of results.
+ */
+export class ChallengeManager {
+  constructor(gameState, playerStorage) {
+    this.gameState = gameState;
+    this.playerStorage = playerStorage;
+
+    this.conditionManager = new ConditionManager(gameState, playerStorage);
+
+    // Active challenge state
+    this.challenge = null;
+    this.isActive = false;
+
+    this.setupEventHandlers();
+
+    console.log("[ChallengeManager] Initialized challenge system");
+  }
+
+  /**
+   * Setup event handlers for condition results and game over
+   */
+  setupEventHandlers() {
+    // Keep the unsubscribe functions so destroy() only removes our handlers
+    this.unsubscribers = [
+      EventBus.on("conditions:victory", () => this.finishChallenge(true)),
+      EventBus.on("conditions:defeat", (data) =>
+        this.finishChallenge(
+          false,
+          data.triggeredConditions.map((result) =>
+            result.condition.getDescription(),
+          ),
+        ),
+      ),
+      EventBus.on("game:gameOver", (data) =>
+        this.finishChallenge(false, [
+          data.reason === "fuel_depletion" ? "Fuel ran out" : data.reason,
+        ]),
+      ),
+    ];
+  }
+
+  /**
+   * Start a challenge on a freshly generated island
+   * @param {Object} challenge - Definition from configs/challenges.js
+   * @returns {boolean} True if the challenge started
+   */
+  startChallenge(challenge) {
+    if (!challenge) {
+      console.error("[ChallengeManager] No challenge to start");
+      return false;
+    }
+
+    this.playerStorage.loadSaveData({
+      resourceTypes: challenge.startingResources,
+    });
+
+    return this.activate(challenge, false);
+  }
+
+  /**
+   * Resume a challenge from a saved game (resources come from the save)
+   * @param {Object} sessionChallenge - { period, key } from the session data
+   * @returns {boolean} True if the challenge resumed
+   */
+  resumeChallenge(sessionChallenge) {
+    const challenge = getChallengeByKey(
+      sessionChallenge?.period,
+      sessionChallenge?.key,
+    );
+    if (!challenge) {
+      console.error(
+        "[ChallengeManager] Unknown challenge in save:",
+        sessionChallenge,
+      );
+      return false;
+    }
+
+    return this.activate(challenge, true);
+  }
+
+  /**
+   * Load the challenge conditions and mark it active
+   * @param {Object} challenge - Challenge definition
+   * @param {boolean} resumed - True when continuing from a save
+   * @returns {boolean} True
+   */
+  activate(challenge, resumed) {
+    this.challenge = challenge;
+    this.isActive = true;
+    this.conditionManager.loadLevelConditions(challenge);
+
+    EventBus.emit("challenge:started", { challenge, resumed });
+
+    console.log(
+      `[ChallengeManager] ${resumed ? "Resumed" : "Started"} ${challenge.name} (seed ${challenge.seed})`,
+    );
+    return true;
+  }
+
+  /**
+   * Drop the active challenge without scoring it (e.g. another save was loaded)
+   */
+  stopChallenge() {
+    if (!this.isActive) return;
+
+    console.log(`[ChallengeManager] Abandoned ${this.challenge.name}`);
+    this.isActive = false;
+    this.conditionManager.clearAllConditions();
+  }
+
+  /**
+   * Check conditions (called each turn)
+   * @returns {Object} Condition check results
+   */
+  checkConditions() {
+    if (!this.isActive) {
+      return { victory: false, defeat: false };
+    }
+
+    const results = this.conditionManager.checkAllConditions();
+
+    EventBus.emit("challenge:conditionsChecked", {
+      challengeId: this.challenge.id,
+      results,
+      progress: results.winProgress,
+    });
+
+    return results;
+  }
+
+  /**
+   * End the active challenge, score it and record the result
+   * @param {boolean} victory - True if the win conditions were met
+   * @param {string[]} reasons - Why the challenge was lost
+   */
+  finishChallenge(victory, reasons = []) {
+    if (!this.isActive) return;
+    this.isActive = false;
+
+    const resources = {
+      fuel: this.playerStorage.getFuel(),
+      materials: this.playerStorage.getMaterials(),
+      food: this.playerStorage.getFood(),
+    };
+    const turnsSurvived = Math.max(0, this.gameState.currentTurn - 1);
+    const population = this.playerStorage.getPopulation();
+    const score = calculateChallengeScore({
+      turnsSurvived,
+      population,
+      resources,
+      victory,
+    });
+
+    const result = {
+      challengeId: this.challenge.id,
+      period: this.challenge.period,
+      key: this.challenge.key,
+      name: this.challenge.name,
+      victory,
+      reasons,
+      turnsSurvived,
+      population,
+      resources,
+      score: score.total,
+      breakdown: score.breakdown,
+      finishedAt: Date.now(),
+    };
+
+    const isBest = ChallengeManager.recordResult(result);
+
+    console.log(
+      `[ChallengeManager] ${this.challenge.name} ${victory ? "completed" : "failed"} - score ${result.score}${isBest ? " (new best)" : ""}`,
+    );
+
+    EventBus.emit("challenge:completed", { ...result, isBest });
+  }
+
+  /**
+   * Read the local results history (newest first)
+   * @returns {Object[]} Recorded results
+   */
+  static getHistory() {
+    try {
+      const raw = localStorage.getItem(CHALLENGE_HISTORY_KEY);
+      const history = raw ? JSON.parse(raw) : [];
+      return Array.isArray(history) ? history : [];
+    } catch (error) {
+      console.warn("[ChallengeManager] Challenge history unreadable:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the best recorded score for a challenge
+   * @param {string} challengeId - Challenge id
+   * @returns {Object|null} Best result, or null if never played
+   */
+  static getBestResult(challengeId) {
+    return (
+      ChallengeManager.getHistory()
+        .filter((result) => result.challengeId === challengeId)
+        .sort((a, b) => b.score - a.score)[0] || null
+    );
+  }
+
+  /**
+   * Add a result to the history
+   * @param {Object} result - Finished challenge result
+   * @returns {boolean} True if this is the best score for the challenge
+   */
+  static recordResult(result) {
+    const best = ChallengeManager.getBestResult(result.challengeId);
+    const history = [result, ...ChallengeManager.getHistory()].slice(
+      0,
+      CHALLENGE_HISTORY_LIMIT,
+    );
+
+    try {
+      localStorage.setItem(CHALLENGE_HISTORY_KEY, JSON.stringify(history));
+    } catch (error) {
+      console.error("[ChallengeManager] Failed to record result:", error);
+    }
+
+    return !best || result.score > best.score;
+  }
+
+  /**
+   * Clean up manager
+   */
+  destroy() {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.unsubscribers = [];
+
+    this.conditionManager.clearAllConditions();
+
+    console.log("[ChallengeManager] Destroyed challenge manager");
+  }
+}
+
+export default ChallengeManager;
@@ -0,0 +1,478 @@
+/**
+ * EventSystem - Random island events with player choices
+ *
+ * Rolls for an event from the RANDOM_EVENTS table in GameData.js at the end
+ * of each turn. Event weights follow the island's state (a busy grid leaks
+ * more, more drones break down more). A rolled event waits for the player to
+ * pick one of its choices; the GameScreen shows it in an EventDialog.
+ *
+ * Disasters emit disaster:occurred when they strike and disaster:survived
+ * once the island reaches the next turn end. With forecast research
+ * (eventForecast effects) a rolled disaster is announced with
+ * randomEvent:forecast, naming the research behind the warning, and strikes
+ * that many turns later.
+ *
+ * Usage:
+ *   import eventSystem from "./engine/EventSystem.js";
+ *   eventSystem.processTurnEnd(gameState.currentTurn);
+ *   eventSystem.resolveChoice("seal"); // { success, outcome }
+ */
+
+import EventBus from "./EventBus.js";
+import randomService from "./Random.js";
+import powerGrid from "./PowerGrid.js";
+import { RANDOM_EVENTS, GAME_BALANCE } from "../configs/GameData.js";
+import { GAME_FEATURES, LEVELS } from "../configs/levels.js";
+import researchEffects from "../systems/longTomorrow/ResearchEffects.js";
+
+export class EventSystem {
+  constructor(events = RANDOM_EVENTS, config = GAME_BALANCE.events) {
+    this.events = events;
+    this.config = config;
+
+    this.reset();
+    this.setupEventHandlers();
+  }
+
+  /**
+   * Forget the island's event history when the island is rebuilt
+   */
+  setupEventHandlers() {
+    EventBus.on("grid:cleared", () => this.reset());
+  }
+
+  /**
+   * Clear all event state
+   */
+  reset() {
+    this.activeEvent = null; // { id, turn } waiting for a choice
+    this.forecast = null; // { id, turn } foreseen disaster and when it strikes
+    this.pendingDisasters = []; // [{ id, turn }] resolved but not yet survived
+    this.lastEventTurn = null;
+    this.history = []; // [{ id, turn, choice }]
+    this.survived = []; // [{ id, turn, survivedTurn, population }]
+  }
+
+  /**
+   * Check if random events are switched on
+   * Game modes opt in with randomEvents in GameModeConfig.js; story levels
+   * with event_system in their requiredFeatures.
+   * @returns {boolean} True if the current game has random events
+   */
+  isEnabled() {
+    if (!GAME_FEATURES.event_system) return false;
+
+    const gameModeManager = window.gameModeManager;
+    if (gameModeManager?.getCurrentGameModeConfig().randomEvents) return true;
+
+    const level = LEVELS[window.gameState?.currentLevelId];
+    return Boolean(
+      gameModeManager?.isStoryMode() &&
+        level?.requiredFeatures.includes("event_system"),
+    );
+  }
+
+  /**
+   * Run the end-of-turn step: survive earlier disasters, then maybe roll a new event
+   * @param {number} turn - Turn that just ended
+   * @returns {Object|null} Triggered event, or null
+   */
+  processTurnEnd(turn) {
+    this.surviveDisasters(turn);
+
+    if (!this.isEnabled() || this.activeEvent) return null;
+
+    // A foreseen disaster strikes when its turn comes
+    if (this.forecast) {
+      if (turn < this.forecast.turn) return null;
+      const { id } = this.forecast;
+      this.forecast = null;
+      return this.trigger(id, turn);
+    }
+
+    if (turn < this.config.firstTurn) return null;
+    if (
+      this.lastEventTurn !== null &&
+      turn - this.lastEventTurn <= this.config.cooldownTurns
+    ) {
+      return null;
+    }
+
+    if (!randomService.stream("events").chance(this.config.chancePerTurn))
+      return null;
+
+    const eventId = this.pickEvent(this.getIslandStats());
+    if (!eventId) return null;
+
+    const warningTurns = researchEffects.apply("eventForecast", 0);
+    if (this.events[eventId].disaster && warningTurns > 0) {
+      this.foresee(eventId, turn + warningTurns);
+      return null;
+    }
+    return this.trigger(eventId, turn);
+  }
+
+  /**
+   * Announce a disaster that will strike on a later turn
+   * @param {string} eventId - Key in RANDOM_EVENTS
+   * @param {number} turn - Turn end the disaster strikes at
+   */
+  foresee(eventId, turn) {
+    this.forecast = { id: eventId, turn };
+
+    const event = this.events[eventId];
+    const sources = researchEffects
+      .getSources("eventForecast")
+      .map((tier) => tier.name);
+    console.log(`[EventSystem] Foreseen ${event.name} on turn ${turn}`);
+    EventBus.emit("randomEvent:forecast", {
+      id: eventId,
+      turn,
+      event,
+      sources,
+    });
+  }
+
+  /**
+   * Get the foreseen disaster
+   * @returns {Object|null} { id, turn, event }
+   */
+  getForecast() {
+    if (!this.forecast) return null;
+    return { ...this.forecast, event: this.events[this.forecast.id] };
+  }
+
+  /**
+   * Mark every resolved disaster as survived
+   * @param {number} turn - Turn that just ended
+   */
+  surviveDisasters(turn) {
+    if (window.gameState?.isGameOver) return;
+
+    const population = window.playerStorage?.getPopulation() ?? 0;
+    this.pendingDisasters.forEach((disaster) => {
+      const entry = { ...disaster, survivedTurn: turn, population };
+      this.survived.push(entry);
+
+      console.log(
+        `[EventSystem] Survived ${disaster.id} from turn ${disaster.turn}`,
+      );
+      EventBus.emit("disaster:survived", {
+        ...entry,
+        name: this.events[disaster.id]?.name,
+        totalSurvived: this.survived.length,
+      });
+    });
+    this.pendingDisasters = [];
+  }
+
+  /**
+   * Collect the island stats event weights depend on
+   * @returns {Object} { turn, buildings, reactors, drones, fuel, materials, waste, population, gridLoad }
+   */
+  getIslandStats() {
+    const gameState = window.gameState;
+    const playerStorage = window.playerStorage;
+    const buildings = (gameState?.buildings || []).filter(
+      (building) => !building.isDestroyed && !building.isUnderConstruction,
+    );
+
+    return {
+      turn: gameState?.currentTurn || 0,
+      buildings: buildings.length,
+      reactors: buildings.filter((building) => building.type === "reactor")
+        .length,
+      drones: (gameState?.units || []).filter(
+        (unit) => unit.type === "drone" && !unit.isDestroyed,
+      ).length,
+      fuel: playerStorage?.getFuel() || 0,
+      materials: playerStorage?.getMaterials() || 0,
+      waste: playerStorage?.getWaste() || 0,
+      population: playerStorage?.getPopulation() || 0,
+      gridLoad: powerGrid.getStatus().load,
+    };
+  }
+
+  /**
+   * Work out how likely an event is on the current island
+   * @param {Object} event - Entry from RANDOM_EVENTS
+   * @param {Object} stats - Result of getIslandStats()
+   * @returns {number} Weight (0 when the event cannot happen)
+   */
+  getWeight(event, stats) {
+    const { base = 1, requires = {}, modifiers = [] } = event.weight || {};
+
+    const meetsRequirements = Object.entries(requires).every(
+      ([stat, min]) => (stats[stat] || 0) >= min,
+    );
+    if (!meetsRequirements) return 0;
+
+    return modifiers.reduce(
+      (weight, modifier) =>
+        weight +
+        Math.min(
+          (stats[modifier.stat] || 0) * modifier.per,
+          modifier.max ?? Infinity,
+        ),
+      base,
+    );
+  }
+
+  /**
+   * Pick an event at random by weight
+   * @param {Object} stats - Result of getIslandStats()
+   * @returns {string|null} Event id, or null if nothing can happen
+   */
+  pickEvent(stats) {
+    const weighted = Object.entries(this.events)
+      .map(([id, event]) => ({ id, weight: this.getWeight(event, stats) }))
+      .filter((entry) => entry.weight > 0);
+
+    const total = weighted.reduce((sum, entry) => sum + entry.weight, 0);
+    if (total <= 0) return null;
+
+    let roll = randomService.stream("events").next() * total;
+    const picked = weighted.find((entry) => {
+      roll -= entry.weight;
+      return roll < 0;
+    });
+    return (picked || weighted[weighted.length - 1]).id;
+  }
+
+  /**
+   * Start an event and wait for the player's choice
+   * @param {string} eventId - Key in RANDOM_EVENTS
+   * @param {number} turn - Current turn
+   * @returns {Object|null} { id, turn, event }
+   */
+  trigger(eventId, turn) {
+    const event = this.events[eventId];
+    if (!event) {
+      console.warn(`[EventSystem] Unknown event: ${eventId}`);
+      return null;
+    }
+
+    this.activeEvent = { id: eventId, turn };
+    this.lastEventTurn = turn;
+
+    console.log(`[EventSystem] Event on turn ${turn}: ${event.name}`);
+
+    if (event.disaster) {
+      EventBus.emit("disaster:occurred", {
+        id: eventId,
+        name: event.name,
+        turn,
+      });
+    }
+
+    const data = { id: eventId, turn, event };
+    EventBus.emit("randomEvent:triggered", data);
+    return data;
+  }
+
+  /**
+   * Get the event waiting for a choice
+   * @returns {Object|null} { id, turn, event }
+   */
+  getActiveEvent() {
+    if (!this.activeEvent) return null;
+    return { ...this.activeEvent, event: this.events[this.activeEvent.id] };
+  }
+
+  /**
+   * Check if the player can pay for a choice
+   * @param {Object} choice - Choice from the event table
+   * @returns {boolean} True if every cost is covered
+   */
+  canAfford(choice) {
+    const playerStorage = window.playerStorage;
+    return Object.entries(choice.cost || {}).every(
+      ([resourceType, amount]) =>
+        (playerStorage?.getResourceAmount(resourceType) || 0) >= amount,
+    );
+  }
+
+  /**
+   * Describe a choice's cost for the dialog
+   * @param {Object} choice - Choice from the event table
+   * @returns {string|null} e.g. "20 materials", or null if free
+   */
+  describeCost(choice) {
+    const costs = Object.entries(choice.cost || {});
+    if (costs.length === 0) return null;
+
+    return costs
+      .map(
+        ([resourceType, amount]) =>
+          `${amount} ${resourceType.replace(/_/g, " ")}`,
+      )
+      .join(", ");
+  }
+
+  /**
+   * Resolve the active event with one of its choices
+   * @param {string} choiceId - Id of the chosen option
+   * @returns {Object} { success, outcome?, reason? }
+   */
+  resolveChoice(choiceId) {
+    const active = this.getActiveEvent();
+    if (!active) return { success: false, reason: "no_active_event" };
+
+    const choice = active.event.choices.find((entry) => entry.id === choiceId);
+    if (!choice) return { success: false, reason: "unknown_choice" };
+    if (!this.canAfford(choice)) {
+      return { success: false, reason: "insufficient_resources" };
+    }
+
+    const playerStorage = window.playerStorage;
+    Object.entries(choice.cost || {}).forEach(([resourceType, amount]) => {
+      playerStorage.removeResources(amount, resourceType);
+    });
+
+    this.applyEffects(choice.effects || {});
+
+    this.activeEvent = null;
+    this.history.push({ id: active.id, turn: active.turn, choice: choice.id });
+    if (active.event.disaster) {
+      this.pendingDisasters.push({ id: active.id, turn: active.turn });
+    }
+
+    console.log(`[EventSystem] ${active.event.name}: chose ${choice.id}`);
+    EventBus.emit("randomEvent:resolved", {
+      id: active.id,
+      choice: choice.id,
+      outcome: choice.outcome,
+    });
+
+    return { success: true, outcome: choice.outcome };
+  }
+
+  /**
+   * Apply a choice's effects to the island
+   * @param {Object} effects - { resources, spawnResource, destroyDrones }
+   */
+  applyEffects(effects) {
+    const playerStorage = window.playerStorage;
+
+    Object.entries(effects.resources || {}).forEach(([resourceType, delta]) => {
+      if (delta > 0) {
+        playerStorage.addResources(delta, resourceType);
+      } else if (delta < 0) {
+        const amount = Math.min(
+          -delta,
+          playerStorage.getResourceAmount(resourceType),
+        );
+        if (amount > 0) playerStorage.removeResources(amount, resourceType);
+      }
+    });
+
+    if (effects.spawnResource) {
+      this.spawnResources(effects.spawnResource);
+    }
+
+    if (effects.destroyDrones) {
+      this.destroyDrones(effects.destroyDrones);
+    }
+  }
+
+  /**
+   * Drop resource piles on random empty land hexes
+   * @param {Object} spawn - { type, count, amount }
+   */
+  spawnResources({ type, count, amount }) {
+    if (!window.addResourceToHex) return;
+
+    const emptyHexes = (window.gameState?.hexes || []).filter(
+      (hex) =>
+        hex.terrain !== "sky" && !hex.building && !hex.resource && !hex.unit,
+    );
+
+    randomService
+      .stream("events")
+      .shuffle(emptyHexes)
+      .slice(0, count)
+      .forEach((hex) => window.addResourceToHex(hex, type, amount));
+  }
+
+  /**
+   * Scrap drones, freeing their factory slots
+   * @param {number} count - Drones to remove
+   */
+  destroyDrones(count) {
+    const drones = (window.gameState?.units || []).filter(
+      (unit) => unit.type === "drone" && !unit.isDestroyed,
+    );
+
+    randomService
+      .stream("events")
+      .shuffle(drones)
+      .slice(0, count)
+      .forEach((drone) => {
+        drone.ownerFactory?.onDroneDestroyed(drone);
+        drone.destroy();
+      });
+  }
+
+  /**
+   * Get event statistics for conditions and UI
+   * @returns {Object} { eventsOccurred, disastersOccurred, disastersSurvived, activeEvent }
+   */
+  getStats() {
+    const disastersOccurred = this.history.filter(
+      (entry) => this.events[entry.id]?.disaster,
+    ).length;
+
+    return {
+      eventsOccurred: this.history.length + (this.activeEvent ? 1 : 0),
+      disastersOccurred:
+        disastersOccurred +
+        (this.events[this.activeEvent?.id]?.disaster ? 1 : 0),
+      disastersSurvived: this.survived.length,
+      activeEvent: this.activeEvent?.id || null,
+    };
+  }
+
+  /**
+   * Get the disasters survived on this island
+   * @returns {Array} [{ id, turn, survivedTurn, population }]
+   */
+  getSurvivedDisasters() {
+    return [...this.survived];
+  }
+
+  /**
+   * Get save data
+   * @returns {Object} Serializable event state
+   */
+  getSaveData() {
+    return {
+      activeEvent: this.activeEvent,
+      forecast: this.forecast,
+      pendingDisasters: this.pendingDisasters,
+      lastEventTurn: this.lastEventTurn,
+      history: this.history,
+      survived: this.survived,
+    };
+  }
+
+  /**
+   * Load save data
+   * @param {Object} saveData - Data from getSaveData()
+   */
+  loadSaveData(saveData) {
+    this.activeEvent = this.events[saveData.activeEvent?.id]
+      ? saveData.activeEvent
+      : null;
+    this.forecast = this.events[saveData.forecast?.id]
+      ? saveData.forecast
+      : null;
+    this.pendingDisasters = saveData.pendingDisasters || [];
+    this.lastEventTurn = saveData.lastEventTurn ?? null;
+    this.history = saveData.history || [];
+    this.survived = saveData.survived || [];
+  }
+}
+
+// Shared instance used by the turn loop, UI and conditions
+export const eventSystem = new EventSystem();
+export default eventSystem;
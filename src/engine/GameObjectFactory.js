@@ -8,6 +8,8 @@ import { Drone } from "../units/Drone.js";
 import EventBus from "./EventBus.js";
 import { Greenhouse } from "../buildings/Greenhouse.js";
 import { Reactor } from "../buildings/Reactor.js";
+import { WaterCollector } from "../buildings/WaterCollector.js";
+import { getUnitData } from "../configs/GameData.js";
 
 /**
  * GameObjectFactory - Centralized creation of game objects
@@ -51,6 +53,8 @@ export class GameObjectFactory {
         building = new Greenhouse(hex);
       } else if (type === "reactor") {
         building = new Reactor(hex);
+      } else if (type === "water_collector") {
+        building = new WaterCollector(hex);
       } else {
         building = new Building(type, hex);
       }
@@ -149,8 +153,11 @@ export class GameObjectFactory {
       return null;
     }
 
+    // Drone types (UNITS entries with a role) all become Drone instances
+    const isDrone = !!getUnitData(type)?.role;
+
     // Check if hex already has a unit (flying units can stack)
-    if (hex.unit && type !== "drone") {
+    if (hex.unit && !isDrone) {
       console.warn(
         `[GameObjectFactory] Hex (${hex.q}, ${hex.r}) already has a unit`,
       );
@@ -160,8 +167,8 @@ export class GameObjectFactory {
     try {
       // Create specialized unit types
       let unit;
-      if (type === "drone") {
-        unit = new Drone(hex, ownerBuilding);
+      if (isDrone) {
+        unit = new Drone(hex, ownerBuilding, type);
       } else {
         unit = new Unit(type, hex);
       }
@@ -293,6 +300,7 @@ export class GameObjectFactory {
       "storage",
       "greenhouse",
       "habitat",
+      "water_collector",
     ];
   }
 
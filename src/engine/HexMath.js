@@ -0,0 +1,382 @@
+/**
+ * HexMath - Hex grid geometry
+ *
+ * One place for every coordinate conversion and grid walk. Three coordinate
+ * systems are used:
+ *   - axial  { q, r }     - what the algorithms work in
+ *   - cube   { q, r, s }  - axial plus s = -q - r, used for rounding/rotation
+ *   - offset { col, row } - what Hex objects store in their q/r fields
+ *                           (flat-top "odd-q": odd columns sit half a row lower)
+ *
+ * Functions that take a Hex object (hexToAxial, hexDistance, HexIndex) read
+ * its stored offset coordinates; everything prefixed "axial" takes axial ones.
+ */
+
+import { HEX_OFFSET_X, HEX_OFFSET_Y } from "../configs/config.js";
+
+// Axial neighbour offsets, clockwise from "right-down" on screen
+export const AXIAL_DIRECTIONS = [
+  { q: 1, r: 0 },
+  { q: 1, r: -1 },
+  { q: 0, r: -1 },
+  { q: -1, r: 0 },
+  { q: -1, r: 1 },
+  { q: 0, r: 1 },
+];
+
+const ORIGIN = { q: 0, r: 0 };
+
+// Conversions
+
+export function axialToCube(axial) {
+  return { q: axial.q, r: axial.r, s: -axial.q - axial.r };
+}
+
+export function cubeToAxial(cube) {
+  return { q: cube.q, r: cube.r };
+}
+
+/**
+ * Round fractional cube coordinates to the hex that contains them
+ * @param {Object} cube - { q, r, s } (fractional)
+ * @returns {Object} Integer { q, r, s }
+ */
+export function cubeRound(cube) {
+  let q = Math.round(cube.q);
+  let r = Math.round(cube.r);
+  let s = Math.round(cube.s);
+
+  // Fix the component with the largest rounding error so q + r + s = 0
+  const dq = Math.abs(q - cube.q);
+  const dr = Math.abs(r - cube.r);
+  const ds = Math.abs(s - cube.s);
+  if (dq > dr && dq > ds) {
+    q = -r - s;
+  } else if (dr > ds) {
+    r = -q - s;
+  } else {
+    s = -q - r;
+  }
+
+  // Avoid -0 so coordinates can be used in keys
+  return { q: q + 0, r: r + 0, s: s + 0 };
+}
+
+export function axialRound(axial) {
+  return cubeToAxial(cubeRound(axialToCube(axial)));
+}
+
+/**
+ * Offset (stored) coordinates to axial
+ * @param {number} col - Column (Hex.q)
+ * @param {number} row - Row (Hex.r)
+ * @returns {Object} { q, r }
+ */
+export function offsetToAxial(col, row) {
+  return { q: col, r: row - (col - (col & 1)) / 2 };
+}
+
+/**
+ * Axial coordinates to offset (stored) ones
+ * @param {Object} axial - { q, r }
+ * @returns {Object} { col, row }
+ */
+export function axialToOffset(axial) {
+  return { col: axial.q, row: axial.r + (axial.q - (axial.q & 1)) / 2 };
+}
+
+export function hexToAxial(hex) {
+  return offsetToAxial(hex.q, hex.r);
+}
+
+/**
+ * Lookup key for offset coordinates
+ * @param {number} col - Column
+ * @param {number} row - Row
+ * @returns {string} "col,row"
+ */
+export function hexKey(col, row) {
+  return `${col},${row}`;
+}
+
+// Arithmetic and distance
+
+export function axialAdd(a, b) {
+  return { q: a.q + b.q, r: a.r + b.r };
+}
+
+export function axialScale(axial, factor) {
+  return { q: axial.q * factor, r: axial.r * factor };
+}
+
+export function axialNeighbor(axial, direction) {
+  return axialAdd(axial, AXIAL_DIRECTIONS[((direction % 6) + 6) % 6]);
+}
+
+export function axialNeighbors(axial) {
+  return AXIAL_DIRECTIONS.map((dir) => axialAdd(axial, dir));
+}
+
+export function axialDistance(a, b) {
+  const dq = b.q - a.q;
+  const dr = b.r - a.r;
+  return Math.max(Math.abs(dq), Math.abs(dr), Math.abs(dq + dr));
+}
+
+/**
+ * Number of steps between two Hex objects
+ * @param {Hex} a - First hex
+ * @param {Hex} b - Second hex
+ * @returns {number} Hex distance
+ */
+export function hexDistance(a, b) {
+  return axialDistance(hexToAxial(a), hexToAxial(b));
+}
+
+// Shapes
+
+/**
+ * Hexes at exactly `radius` steps from the center, walking clockwise
+ * @param {Object} center - Axial center
+ * @param {number} radius - Ring radius (0 returns the center)
+ * @returns {Object[]} Axial coordinates
+ */
+export function axialRing(center, radius) {
+  if (radius <= 0) return [{ ...center }];
+
+  const results = [];
+  let hex = axialAdd(center, axialScale(AXIAL_DIRECTIONS[4], radius));
+  for (let side = 0; side < 6; side++) {
+    for (let step = 0; step < radius; step++) {
+      results.push(hex);
+      hex = axialNeighbor(hex, side);
+    }
+  }
+  return results;
+}
+
+/**
+ * Center followed by each ring out to `radius`
+ * @param {Object} center - Axial center
+ * @param {number} radius - Outer radius
+ * @returns {Object[]} Axial coordinates, innermost first
+ */
+export function axialSpiral(center, radius) {
+  const results = [];
+  for (let ring = 0; ring <= radius; ring++) {
+    results.push(...axialRing(center, ring));
+  }
+  return results;
+}
+
+/**
+ * Every hex within `radius` steps, column by column
+ * @param {Object} center - Axial center
+ * @param {number} radius - Range
+ * @returns {Object[]} Axial coordinates
+ */
+export function axialRange(center, radius) {
+  const results = [];
+  for (let dq = -radius; dq <= radius; dq++) {
+    const r1 = Math.max(-radius, -dq - radius);
+    const r2 = Math.min(radius, -dq + radius);
+    for (let dr = r1; dr <= r2; dr++) {
+      results.push({ q: center.q + dq, r: center.r + dr });
+    }
+  }
+  return results;
+}
+
+/**
+ * Hexes on the straight line between two hexes, both ends included
+ * @param {Object} a - Axial start
+ * @param {Object} b - Axial end
+ * @returns {Object[]} Axial coordinates
+ */
+export function axialLine(a, b) {
+  const steps = axialDistance(a, b);
+  if (steps === 0) return [{ ...a }];
+
+  // Nudge off the exact edges so lines along them round consistently
+  const start = axialToCube({ q: a.q + 1e-6, r: a.r + 2e-6 });
+  const end = axialToCube({ q: b.q + 1e-6, r: b.r + 2e-6 });
+
+  const results = [];
+  for (let i = 0; i <= steps; i++) {
+    const t = i / steps;
+    results.push(
+      cubeToAxial(
+        cubeRound({
+          q: start.q + (end.q - start.q) * t,
+          r: start.r + (end.r - start.r) * t,
+          s: start.s + (end.s - start.s) * t,
+        }),
+      ),
+    );
+  }
+  return results;
+}
+
+/**
+ * Rotate a hex around a center in 60° steps
+ * @param {Object} axial - Axial coordinates to rotate
+ * @param {number} steps - 60° steps, clockwise on screen (negative = counter)
+ * @param {Object} center - Axial center of rotation
+ * @returns {Object} Rotated axial coordinates
+ */
+export function axialRotate(axial, steps = 1, center = ORIGIN) {
+  let { q, r, s } = axialToCube({
+    q: axial.q - center.q,
+    r: axial.r - center.r,
+  });
+  const turns = ((steps % 6) + 6) % 6;
+  for (let i = 0; i < turns; i++) {
+    [q, r, s] = [-r, -s, -q];
+  }
+  return { q: q + center.q + 0, r: r + center.r + 0 };
+}
+
+/**
+ * Hexes visible from a center: a hex is visible if no blocking hex lies on
+ * the line between them (the blocking hex itself can still be seen)
+ * @param {Object} center - Axial viewpoint
+ * @param {number} radius - View distance
+ * @param {Function} isBlocking - (axial) => true if it blocks sight
+ * @returns {Object[]} Visible axial coordinates
+ */
+export function fieldOfView(center, radius, isBlocking) {
+  return axialRange(center, radius).filter((target) => {
+    const line = axialLine(center, target);
+    return line.slice(1, -1).every((hex) => !isBlocking(hex));
+  });
+}
+
+// Pixels - matches how hex sprites are laid out in the grid container
+
+export function axialToPixel(axial) {
+  return {
+    x: HEX_OFFSET_X * axial.q,
+    y: HEX_OFFSET_Y * (axial.r + axial.q / 2),
+  };
+}
+
+export function offsetToPixel(col, row) {
+  return axialToPixel(offsetToAxial(col, row));
+}
+
+/**
+ * Find the hex containing a point in grid-container space
+ * @param {number} x - X in grid coordinates
+ * @param {number} y - Y in grid coordinates
+ * @returns {Object} Axial coordinates
+ */
+export function pixelToAxial(x, y) {
+  const q = x / HEX_OFFSET_X;
+  return axialRound({ q, r: y / HEX_OFFSET_Y - q / 2 });
+}
+
+export function pixelToOffset(x, y) {
+  return axialToOffset(pixelToAxial(x, y));
+}
+
+/**
+ * HexIndex - O(1) lookup of Hex objects by coordinates
+ * Rebuilds itself whenever the underlying hex list is replaced or resized.
+ */
+export class HexIndex {
+  /**
+   * @param {Function} getHexes - Returns the current array of Hex objects
+   */
+  constructor(getHexes) {
+    this.getHexes = getHexes;
+    this.hexes = new Map();
+    this.source = null;
+    this.indexedCount = 0;
+  }
+
+  ensure() {
+    const hexes = this.getHexes() || [];
+    if (hexes === this.source && hexes.length === this.indexedCount) return;
+
+    this.hexes.clear();
+    hexes.forEach((hex) => this.hexes.set(hexKey(hex.q, hex.r), hex));
+    this.source = hexes;
+    this.indexedCount = hexes.length;
+  }
+
+  invalidate() {
+    this.source = null;
+  }
+
+  /**
+   * Get the hex at offset coordinates
+   * @param {number} col - Column
+   * @param {number} row - Row
+   * @returns {Hex|null} Hex, or null if there is none
+   */
+  get(col, row) {
+    this.ensure();
+    return this.hexes.get(hexKey(col, row)) || null;
+  }
+
+  getAxial(axial) {
+    const { col, row } = axialToOffset(axial);
+    return this.get(col, row);
+  }
+
+  /**
+   * Get the existing neighbours of a hex
+   * @param {Hex} hex - Center hex
+   * @returns {Hex[]} Up to 6 hexes
+   */
+  neighbors(hex) {
+    return axialNeighbors(hexToAxial(hex))
+      .map((axial) => this.getAxial(axial))
+      .filter(Boolean);
+  }
+
+  /**
+   * Get the existing hexes within a range
+   * @param {Hex} hex - Center hex
+   * @param {number} radius - Range
+   * @returns {Hex[]} Hexes, including the center
+   */
+  inRange(hex, radius) {
+    return axialRange(hexToAxial(hex), radius)
+      .map((axial) => this.getAxial(axial))
+      .filter(Boolean);
+  }
+
+  atPixel(x, y) {
+    return this.getAxial(pixelToAxial(x, y));
+  }
+}
+
+export default {
+  AXIAL_DIRECTIONS,
+  axialToCube,
+  cubeToAxial,
+  cubeRound,
+  axialRound,
+  offsetToAxial,
+  axialToOffset,
+  hexToAxial,
+  hexKey,
+  axialAdd,
+  axialScale,
+  axialNeighbor,
+  axialNeighbors,
+  axialDistance,
+  hexDistance,
+  axialRing,
+  axialSpiral,
+  axialRange,
+  axialLine,
+  axialRotate,
+  fieldOfView,
+  axialToPixel,
+  offsetToPixel,
+  pixelToAxial,
+  pixelToOffset,
+  HexIndex,
+};
@@ -0,0 +1,410 @@
+/**
+ * JobDispatcher - Central job board for drones
+ *
+ * Publishes the island's open jobs (collect from a resource node, construct
+ * at a building site) with priorities, and hands them out to drones that ask
+ * for work. Every accepted job is a reservation: a drone claims an amount of
+ * a resource, of a site's missing materials, of a storage's stock (courier
+ * hauls) or of a storage's free space (deliveries), and other drones only see
+ * what is left. A drone holds at most one claim at a time.
+ *
+ * Drones can be pinned to one job target or to a zone (a hex and a radius);
+ * pinned drones only take jobs there.
+ *
+ * Usage:
+ *   import jobDispatcher from "./engine/JobDispatcher.js";
+ *   const job = jobDispatcher.requestJob(drone); // claims the best job
+ *   jobDispatcher.releaseJob(drone);
+ *   jobDispatcher.pinDrone(drone, { zone: { q: 3, r: 2, radius: 4 } });
+ */
+
+import EventBus from "./EventBus.js";
+import spatialIndex, { SPATIAL_LAYERS } from "./SpatialIndex.js";
+import { hexDistance } from "./HexMath.js";
+import { GAME_BALANCE } from "../configs/GameData.js";
+
+export class JobDispatcher {
+  constructor(config = GAME_BALANCE.jobs) {
+    this.config = config;
+
+    // drone -> { job, amount }
+    this.claims = new Map();
+
+    this.setupEventHandlers();
+  }
+
+  /**
+   * Drop claims of drones that are gone and of a rebuilt island
+   */
+  setupEventHandlers() {
+    EventBus.on("unit:destroyed", (unit) => this.releaseJob(unit));
+    EventBus.on("grid:cleared", () => this.claims.clear());
+  }
+
+  /**
+   * Build a job record
+   * @param {string} type - "collect", "construct", "haul" or "deliver"
+   * @param {Object} target - Resource or building the job is at
+   * @param {Object} details - { resourceType, amount }
+   * @returns {Object} { id, type, target, hex, resourceType, amount, priority }
+   */
+  createJob(type, target, details = {}) {
+    return {
+      id: `${type}:${target.hex.q},${target.hex.r}`,
+      type,
+      target,
+      hex: target.hex,
+      resourceType: details.resourceType || null,
+      amount: details.amount || 0,
+      priority: this.config.priorities[type] || 0,
+    };
+  }
+
+  /**
+   * Get the open collect and construct jobs on the island
+   * @returns {Object[]} Jobs with an `available` amount, highest priority first
+   */
+  getOpenJobs() {
+    const anywhere = { q: 0, r: 0 };
+
+    return [
+      ...spatialIndex
+        .findWithin(SPATIAL_LAYERS.RESOURCES, anywhere, {
+          filter: (resource) => this.isCollectable(resource),
+        })
+        .map((resource) => this.createCollectJob(resource)),
+      ...spatialIndex
+        .findWithin(SPATIAL_LAYERS.BUILDINGS, anywhere, {
+          filter: (building) => this.isConstructionSite(building),
+        })
+        .map((site) => this.createConstructJob(site)),
+    ]
+      .map((job) => ({ ...job, available: this.getAvailable(job) }))
+      .sort((a, b) => b.priority - a.priority);
+  }
+
+  /**
+   * Check if a resource node still has something to collect
+   * @param {Resource} resource - Resource node
+   * @returns {boolean} True if it can be collected from
+   */
+  isCollectable(resource) {
+    return !resource.isDestroyed && resource.amount > 0;
+  }
+
+  /**
+   * Check if a building is a site builders can supply
+   * @param {Building} building - Building to check
+   * @returns {boolean} True if it is under construction and still owes materials
+   */
+  isConstructionSite(building) {
+    return (
+      !building.isDestroyed &&
+      building.isUnderConstruction &&
+      building.materialsOwed > 0
+    );
+  }
+
+  /**
+   * Collect jobs offer everything left in the resource node
+   * @param {Resource} resource - Resource node
+   * @returns {Object} Job
+   */
+  createCollectJob(resource) {
+    return this.createJob("collect", resource, {
+      resourceType: resource.type,
+      amount: resource.amount,
+    });
+  }
+
+  /**
+   * Construction jobs ask for the materials the site still owes
+   * @param {Building} site - Building under construction
+   * @returns {Object} Job
+   */
+  createConstructJob(site) {
+    return this.createJob("construct", site, {
+      resourceType: "materials",
+      amount: site.materialsOwed,
+    });
+  }
+
+  /**
+   * Find and claim the best job a drone can do
+   * Score is priority minus flight distance, so a job one priority point
+   * higher is worth one extra hex of flying.
+   * @param {Drone} drone - Drone asking for work
+   * @returns {Object|null} Claimed job (with `claimed` amount), or null
+   */
+  requestJob(drone) {
+    this.releaseJob(drone);
+
+    const space = drone.carryingCapacity - drone.currentLoad;
+    if (space <= 0) return null;
+
+    let best = null;
+    let bestScore = -Infinity;
+    this.getJobsFor(drone).forEach((job) => {
+      if (!this.isAllowed(drone, job.target)) return;
+
+      const available = this.getAvailable(job);
+      if (available <= 0) return;
+
+      const score = job.priority - hexDistance(drone.hex, job.hex);
+      if (score > bestScore) {
+        best = { ...job, available };
+        bestScore = score;
+      }
+    });
+
+    if (!best) return null;
+    return this.claim(drone, best, Math.min(space, best.available));
+  }
+
+  /**
+   * Get the jobs a drone's role can take
+   * @param {Drone} drone - Drone asking for work
+   * @returns {Object[]} Candidate jobs
+   */
+  getJobsFor(drone) {
+    if (drone.role === "builder") {
+      return spatialIndex
+        .findWithin(SPATIAL_LAYERS.BUILDINGS, drone.hex, {
+          filter: (building) => this.isConstructionSite(building),
+        })
+        .map((site) => this.createConstructJob(site));
+    }
+
+    if (drone.role === "courier") {
+      return []; // Couriers plan their own hauls and claim them directly
+    }
+
+    return spatialIndex
+      .findWithin(SPATIAL_LAYERS.RESOURCES, drone.hex, {
+        filter: (resource) =>
+          this.isCollectable(resource) &&
+          drone.collects.includes(resource.type),
+      })
+      .map((resource) => this.createCollectJob(resource));
+  }
+
+  /**
+   * Claim an amount of a job for a drone, replacing its previous claim
+   * @param {Drone} drone - Claiming drone
+   * @param {Object} job - Job record
+   * @param {number} amount - Amount reserved
+   * @returns {Object} The job with the `claimed` amount
+   */
+  claim(drone, job, amount) {
+    this.claims.delete(drone);
+    this.claims.set(drone, { job, amount });
+
+    EventBus.emit("jobs:claimed", { drone, job, amount });
+    return { ...job, claimed: amount };
+  }
+
+  /**
+   * Claim room in a building for a drone's load
+   * @param {Drone} drone - Delivering drone
+   * @param {Building} building - Delivery target
+   * @returns {Object} Delivery job
+   */
+  claimDelivery(drone, building) {
+    const job = this.createJob("deliver", building, {
+      resourceType: drone.resourceType,
+      amount: drone.currentLoad,
+    });
+    return this.claim(drone, job, drone.currentLoad);
+  }
+
+  /**
+   * Give up a drone's claim
+   * @param {Drone} drone - Drone whose claim is released
+   */
+  releaseJob(drone) {
+    const claim = this.claims.get(drone);
+    if (!claim) return;
+
+    this.claims.delete(drone);
+    EventBus.emit("jobs:released", { drone, job: claim.job });
+  }
+
+  /**
+   * Count work done on a claim, so the claim shrinks with it
+   * @param {Drone} drone - Working drone
+   * @param {number} amount - Amount collected/moved
+   */
+  reportProgress(drone, amount) {
+    const claim = this.claims.get(drone);
+    if (!claim) return;
+
+    claim.amount = Math.max(0, claim.amount - amount);
+  }
+
+  /**
+   * Get a drone's current claim
+   * @param {Drone} drone - Drone to look up
+   * @returns {Object|null} { job, amount }
+   */
+  getClaim(drone) {
+    return this.claims.get(drone) || null;
+  }
+
+  /**
+   * Sum what other drones have claimed at a target
+   * @param {Object} target - Resource or building
+   * @param {string} type - Job type
+   * @param {string|null} resourceType - Only count this resource (optional)
+   * @param {Drone|null} except - Drone to leave out (optional)
+   * @returns {number} Reserved amount
+   */
+  getReserved(target, type, resourceType = null, except = null) {
+    let reserved = 0;
+    this.claims.forEach(({ job, amount }, drone) => {
+      if (
+        drone !== except &&
+        job.target === target &&
+        job.type === type &&
+        (!resourceType || job.resourceType === resourceType)
+      ) {
+        reserved += amount;
+      }
+    });
+    return reserved;
+  }
+
+  /**
+   * Get how much of a job nobody has claimed yet
+   * @param {Object} job - Job record
+   * @returns {number} Unclaimed amount
+   */
+  getAvailable(job) {
+    return Math.max(0, job.amount - this.getReserved(job.target, job.type));
+  }
+
+  /**
+   * Get a storage building's stock not yet claimed by couriers
+   * @param {StorageBuilding} building - Storage building
+   * @param {string} resourceType - Resource to check
+   * @param {Drone|null} except - Drone to leave out (optional)
+   * @returns {number} Unclaimed stock
+   */
+  getUnclaimedStock(building, resourceType, except = null) {
+    return Math.max(
+      0,
+      building.getResourceAmount(resourceType) -
+        this.getReserved(building, "haul", resourceType, except),
+    );
+  }
+
+  /**
+   * Get a storage building's free space once other drones' deliveries are in
+   * @param {StorageBuilding} building - Storage building
+   * @param {string} resourceType - Resource to store
+   * @param {Drone|null} except - Drone to leave out (optional)
+   * @returns {number} Unclaimed free space
+   */
+  getFreeSpace(building, resourceType, except = null) {
+    return Math.max(
+      0,
+      building.getFreeSpace(resourceType) -
+        this.getReserved(building, "deliver", null, except),
+    );
+  }
+
+  /**
+   * Check if a storage building has room for a load once other drones'
+   * deliveries are in (individual storage; otherwise the building decides)
+   * @param {StorageBuilding} building - Storage building
+   * @param {number} amount - Load to deliver
+   * @param {string} resourceType - Resource delivered
+   * @param {Drone|null} except - Drone to leave out (optional)
+   * @returns {boolean} True if the load fits
+   */
+  hasSpaceFor(building, amount, resourceType, except = null) {
+    if (!building.canStore) return true;
+    if (!building.useIndividualStorage) {
+      return building.canStore(amount, resourceType);
+    }
+
+    return amount <= this.getFreeSpace(building, resourceType, except);
+  }
+
+  /**
+   * Pin a drone to one job target or to a zone
+   * A claim outside the pin is dropped; the drone finishes its current trip
+   * and takes its next job inside the pin.
+   * @param {Drone} drone - Drone to pin
+   * @param {Object} pin - { target } or { zone: { q, r, radius } }
+   */
+  pinDrone(drone, pin) {
+    drone.jobPin = pin;
+
+    const claim = this.claims.get(drone);
+    if (
+      claim &&
+      claim.job.type !== "deliver" &&
+      !this.isAllowed(drone, claim.job.target)
+    ) {
+      this.releaseJob(drone);
+    }
+
+    EventBus.emit("jobs:dronePinned", { drone, pin });
+    console.log(
+      `[JobDispatcher] Pinned drone at (${drone.hex.q}, ${drone.hex.r})`,
+    );
+  }
+
+  /**
+   * Let a drone take jobs anywhere again
+   * @param {Drone} drone - Drone to unpin
+   */
+  unpinDrone(drone) {
+    if (!drone.jobPin) return;
+
+    drone.jobPin = null;
+    EventBus.emit("jobs:dronePinned", { drone, pin: null });
+  }
+
+  /**
+   * Pin a drone to the zone around a hex
+   * @param {Drone} drone - Drone to pin
+   * @param {Hex} hex - Zone center
+   * @param {number} radius - Zone radius in hexes
+   */
+  pinToZone(drone, hex, radius) {
+    this.pinDrone(drone, { zone: { q: hex.q, r: hex.r, radius } });
+  }
+
+  /**
+   * Check if a drone's pin lets it work at a target
+   * @param {Drone} drone - Drone to check
+   * @param {Object} target - Resource or building
+   * @returns {boolean} True if the drone may take jobs there
+   */
+  isAllowed(drone, target) {
+    const pin = drone.jobPin;
+    if (!pin) return true;
+    if (pin.target) return pin.target === target;
+    if (pin.zone) return hexDistance(target.hex, pin.zone) <= pin.zone.radius;
+    return true;
+  }
+
+  /**
+   * Get dispatcher statistics for UI/debugging
+   * @returns {Object} { openJobs, claims, pinnedDrones }
+   */
+  getStats() {
+    const units = window.gameState?.units || [];
+    return {
+      openJobs: this.getOpenJobs().filter((job) => job.available > 0).length,
+      claims: this.claims.size,
+      pinnedDrones: units.filter((unit) => unit.jobPin && !unit.isDestroyed)
+        .length,
+    };
+  }
+}
+
+// Shared instance used by every drone
+export const jobDispatcher = new JobDispatcher();
+export default jobDispatcher;
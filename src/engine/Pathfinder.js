@@ -0,0 +1,240 @@
+/**
+ * Pathfinder - A* routing for units over the hex grid
+ *
+ * Finds the cheapest route between two hexes, stepping only between
+ * neighbouring hexes that exist, so units go around holes in the island
+ * instead of flying through them. Step costs come from pluggable cost
+ * functions (terrain, congestion, ...) picked per unit type in GameData.js.
+ *
+ * Found paths are cached for a short time and the cache is dropped whenever
+ * the map changes (grid expansion, building placed or demolished).
+ *
+ * Usage:
+ *   import pathfinder from "./engine/Pathfinder.js";
+ *   const path = pathfinder.findPath(unit.hex, targetHex, { unit });
+ */
+
+import EventBus from "./EventBus.js";
+import { GAME_BALANCE, getTerrainData } from "../configs/GameData.js";
+import { hexDistance } from "./HexMath.js";
+
+// Cost functions used when a unit does not name its own
+export const DEFAULT_PATH_COSTS = ["terrain"];
+
+/**
+ * Built-in cost functions
+ * Each returns the extra cost of stepping from one hex into the next, on top
+ * of 1 per step. Infinity makes the hex impassable.
+ * Signature: (fromHex, toHex, search) => number, where search is
+ * { pathfinder, unit, startHex, endHex } and may be used as a per-search cache.
+ */
+export const PATH_COSTS = {
+  // Terrain definitions decide what can be crossed and how rough it is
+  terrain: (fromHex, toHex) => {
+    const terrain = getTerrainData(toHex.terrain);
+    if (terrain && terrain.passable === false) return Infinity;
+    return terrain?.pathCost || 0;
+  },
+
+  // Steer around buildings that many other units are heading to
+  congestion: (fromHex, toHex, search) => {
+    if (!search.congestion) {
+      search.congestion = search.pathfinder.getCongestion(search.unit);
+    }
+    return (
+      (search.congestion.get(toHex) || 0) *
+      GAME_BALANCE.pathfinding.congestionCost
+    );
+  },
+};
+
+export class Pathfinder {
+  constructor() {
+    this.costFunctions = new Map(Object.entries(PATH_COSTS));
+
+    // "startKey>endKey|costs" -> { path, createdAt }
+    this.cache = new Map();
+
+    this.setupEventHandlers();
+  }
+
+  /**
+   * Drop cached paths whenever the map changes
+   */
+  setupEventHandlers() {
+    EventBus.on("grid:expanded", () => this.invalidate("grid expanded"));
+    EventBus.on("grid:cleared", () => this.invalidate("grid cleared"));
+    EventBus.on("building:built", () => this.invalidate("building placed"));
+    EventBus.on("building:demolished", () =>
+      this.invalidate("building demolished"),
+    );
+  }
+
+  /**
+   * Register a cost function units can name in their pathCosts
+   * @param {string} name - Cost name
+   * @param {Function} costFunction - (fromHex, toHex, search) => extra cost
+   */
+  registerCost(name, costFunction) {
+    this.costFunctions.set(name, costFunction);
+    this.cache.clear();
+  }
+
+  /**
+   * Forget cached paths
+   * @param {string} reason - Why the map changed (for logging)
+   */
+  invalidate(reason = "map changed") {
+    if (this.cache.size > 0) {
+      console.log(
+        `[Pathfinder] Cleared ${this.cache.size} cached paths (${reason})`,
+      );
+    }
+    this.cache.clear();
+  }
+
+  /**
+   * Get the existing neighbours of a hex
+   * @param {Hex} hex - Center hex
+   * @returns {Hex[]} Up to 6 neighbouring hexes
+   */
+  getNeighbors(hex) {
+    return window.hexGrid?.getNeighbors(hex) || [];
+  }
+
+  /**
+   * Count how many units are heading to each building, spread over the
+   * building's hex and its neighbours
+   * @param {Unit} excludeUnit - Unit asking for the path (not counted)
+   * @returns {Map<Hex, number>} Congestion per hex
+   */
+  getCongestion(excludeUnit = null) {
+    const congestion = new Map();
+    const units = window.gameState?.units || [];
+
+    units.forEach((unit) => {
+      const target = unit.targetHex;
+      if (unit === excludeUnit || unit.isDestroyed || !target?.building) {
+        return;
+      }
+
+      [target, ...this.getNeighbors(target)].forEach((hex) => {
+        congestion.set(hex, (congestion.get(hex) || 0) + 1);
+      });
+    });
+
+    return congestion;
+  }
+
+  /**
+   * Find the cheapest path between two hexes
+   * @param {Hex} startHex - Starting hex
+   * @param {Hex} endHex - Target hex
+   * @param {Object} options - { unit, costs: cost names, useCache }
+   * @returns {Hex[]} Hexes to move through (start excluded, target last),
+   *   empty if already there or no route exists
+   */
+  findPath(startHex, endHex, options = {}) {
+    const {
+      unit = null,
+      costs = DEFAULT_PATH_COSTS,
+      useCache = true,
+    } = options;
+    if (!startHex || !endHex || startHex === endHex) return [];
+
+    const key = `${startHex.q},${startHex.r}>${endHex.q},${endHex.r}|${costs.join(",")}`;
+    const cached = this.cache.get(key);
+    if (
+      useCache &&
+      cached &&
+      Date.now() - cached.createdAt < GAME_BALANCE.pathfinding.cacheLifetime
+    ) {
+      return [...cached.path];
+    }
+
+    const path = this.search(startHex, endHex, costs, unit);
+
+    if (useCache) {
+      // Map keeps insertion order, so the first key is the oldest entry
+      this.cache.delete(key);
+      if (this.cache.size >= GAME_BALANCE.pathfinding.maxCachedPaths) {
+        this.cache.delete(this.cache.keys().next().value);
+      }
+      this.cache.set(key, { path, createdAt: Date.now() });
+    }
+
+    return [...path];
+  }
+
+  /**
+   * A* search over hex neighbours
+   * @param {Hex} startHex - Starting hex
+   * @param {Hex} endHex - Target hex
+   * @param {string[]} costs - Cost function names
+   * @param {Unit} unit - Unit the path is for (may be null)
+   * @returns {Hex[]} Path without the start hex, empty if unreachable
+   */
+  search(startHex, endHex, costs, unit) {
+    const costFunctions = costs
+      .map((name) => this.costFunctions.get(name))
+      .filter(Boolean);
+    const search = { pathfinder: this, unit, startHex, endHex };
+
+    const cameFrom = new Map();
+    const costSoFar = new Map([[startHex, 0]]);
+    const estimate = new Map([[startHex, hexDistance(startHex, endHex)]]);
+    const open = new Set([startHex]);
+    const closed = new Set();
+
+    while (open.size > 0) {
+      // The grid is small, so a linear scan beats keeping a heap in sync
+      let current = null;
+      open.forEach((hex) => {
+        if (!current || estimate.get(hex) < estimate.get(current)) {
+          current = hex;
+        }
+      });
+
+      if (current === endHex) {
+        const path = [];
+        for (let hex = endHex; hex !== startHex; hex = cameFrom.get(hex)) {
+          path.unshift(hex);
+        }
+        return path;
+      }
+
+      open.delete(current);
+      closed.add(current);
+
+      for (const neighbor of this.getNeighbors(current)) {
+        if (closed.has(neighbor)) continue;
+
+        const stepCost = costFunctions.reduce(
+          (total, costFunction) =>
+            total + costFunction(current, neighbor, search),
+          1,
+        );
+        if (!Number.isFinite(stepCost)) continue;
+
+        const newCost = costSoFar.get(current) + stepCost;
+        if (costSoFar.has(neighbor) && newCost >= costSoFar.get(neighbor)) {
+          continue;
+        }
+
+        cameFrom.set(neighbor, current);
+        costSoFar.set(neighbor, newCost);
+        estimate.set(neighbor, newCost + hexDistance(neighbor, endHex));
+        open.add(neighbor);
+      }
+    }
+
+    console.warn(
+      `[Pathfinder] No route from (${startHex.q}, ${startHex.r}) to (${endHex.q}, ${endHex.r})`,
+    );
+    return [];
+  }
+}
+
+// Shared instance used by every unit
+export const pathfinder = new Pathfinder();
+export default pathfinder;
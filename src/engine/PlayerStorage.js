@@ -1,12 +1,31 @@
 import EventBus from "./EventBus.js";
-import { getInitialResources } from "../configs/GameData.js";
+import randomService from "./Random.js";
+import spatialIndex, { SPATIAL_LAYERS } from "./SpatialIndex.js";
+import {
+  GAME_BALANCE,
+  STORAGE_CLASSES,
+  getInitialResources,
+  getStorageClass,
+} from "../configs/GameData.js";
+import { GAME_FEATURES, LEVELS } from "../configs/levels.js";
 
 /**
  * PlayerStorage - Manages global resource storage and limits
  *
  * Handles storage capacity calculation based on storage buildings,
- * resource validation, and collection limiting. Designed to work
- * with both global storage (current) and individual building storage (future).
+ * resource validation, and collection limiting. Works with both global
+ * storage and individual building storage.
+ *
+ * Each storage class (fuel, materials, waste, food, water - see
+ * STORAGE_CLASSES) has its own capacity bucket, so one resource can't crowd
+ * out another. Population has no class and is limited by housing instead.
+ *
+ * In individual storage mode resourceTypes only holds the colony's central
+ * stock (up to the base class capacities, reachable from anywhere); the rest
+ * sits in storage buildings. Callers can say where resources go or come from
+ * with a `reach` of { building, near, range }: drones deliver to one
+ * building, refineries use the nearest stocked storage and construction only
+ * draws on storage within range of the site.
  */
 export class PlayerStorage {
   constructor(gameStateManager = null) {
@@ -16,20 +35,19 @@ export class PlayerStorage {
     this.baseStorageLimit = 100; // Base storage capacity without buildings
 
     // Storage system mode
-    this.useIndividualStorage = false; // Feature flag for future enhancement
+    this.useIndividualStorage = false; // Per-building inventories, see updateStorageMode()
 
     // Resource types - Core game economy (loaded from GameData.js)
     this.resourceTypes = getInitialResources();
 
-    // Calculate total resources from initial values
-    this.currentResources = Object.values(this.resourceTypes).reduce(
-      (sum, amount) => sum + amount,
-      0,
-    );
+    // Total of everything held in storage classes
+    this.currentResources = this.calculateStoredTotal();
 
     // Subscribe to relevant events
     this.setupEventListeners();
 
+    this.updateStorageMode();
+
     console.log(
       "[PlayerStorage] Initialized with base capacity:",
       this.baseStorageLimit,
@@ -43,6 +61,10 @@ export class PlayerStorage {
     // Listen for storage building changes
     EventBus.on("storage:upgraded", this.handleStorageUpgraded.bind(this));
     EventBus.on("storage:destroyed", this.handleStorageDestroyed.bind(this));
+    EventBus.on(
+      "storage:classChanged",
+      this.handleStorageClassChanged.bind(this),
+    );
     EventBus.on(
       "factory:buildingCreated",
       this.handleBuildingCreated.bind(this),
@@ -54,50 +76,283 @@ export class PlayerStorage {
 
     // Listen for resource events
     EventBus.on("resource:collected", this.handleResourceCollected.bind(this));
+
+    // Game modes and story levels opt in to individual storage
+    EventBus.on("gameMode:changed", () => this.updateStorageMode());
+    EventBus.on("progression:levelStarted", (data) =>
+      this.updateStorageMode(data.levelId),
+    );
+  }
+
+  /**
+   * Check if the current game keeps resources in storage buildings
+   * @param {number} levelId - Story level being played (default: gameState.currentLevelId)
+   * @returns {boolean} True if switched on globally, by the game mode or by the story level
+   */
+  isIndividualStorageEnabled(levelId = window.gameState?.currentLevelId) {
+    if (GAME_BALANCE.storage.individualStorage) return true;
+    if (!GAME_FEATURES.individual_storage) return false;
+
+    const gameModeManager = window.gameModeManager;
+    if (gameModeManager?.getCurrentGameModeConfig().individualStorage) {
+      return true;
+    }
+
+    const level = LEVELS[levelId];
+    return Boolean(
+      gameModeManager?.isStoryMode() &&
+        level?.requiredFeatures.includes("individual_storage"),
+    );
+  }
+
+  /**
+   * Switch individual storage mode on or off to match the current game
+   * @param {number} levelId - Story level being played (optional)
+   */
+  updateStorageMode(levelId) {
+    if (this.isIndividualStorageEnabled(levelId)) {
+      this.enableIndividualStorage();
+    } else {
+      this.disableIndividualStorage();
+    }
   }
 
   /**
    * Calculate current storage limit based on storage buildings
-   * @returns {number} Total storage limit
+   * @returns {number} Total storage limit across all storage classes
    */
   getCurrentLimit() {
     if (this.useIndividualStorage) {
       return this.getIndividualStorageTotal();
     }
 
-    // Global storage mode - sum up all storage building capacities
+    // Global storage mode - sum up the capacity of every storage class
+
+    return Object.keys(STORAGE_CLASSES).reduce(
+      (total, storageClass) => total + this.getCapacity(storageClass),
+      0,
+    );
+  }
+
+  /**
+   * Get the capacity of one storage class
+   * @param {string} storageClass - Key of STORAGE_CLASSES
+   * @returns {number} Base capacity plus what storage buildings add
+   */
+  getCapacity(storageClass) {
+    const classConfig = STORAGE_CLASSES[storageClass];
+    if (!classConfig) return 0;
+
+    const buildingCapacity = this.getStorageBuildings().reduce(
+      (total, building) => total + building.getClassCapacity(storageClass),
+      0,
+    );
+
+    return classConfig.baseCapacity + buildingCapacity;
+  }
+
+  /**
+   * Get the amount held in one storage class
+   * @param {string} storageClass - Key of STORAGE_CLASSES
+   * @param {Object} reach - Only count stores within reach (optional)
+   * @returns {number} Stored amount
+   */
+  getClassAmount(storageClass, reach = {}) {
+    const classConfig = STORAGE_CLASSES[storageClass];
+    if (!classConfig) return 0;
+
+    return classConfig.resources.reduce(
+      (total, resourceType) =>
+        total + this.getResourceAmount(resourceType, reach),
+      0,
+    );
+  }
+
+  /**
+   * Get the amount of a storage class in the central stock
+   * @param {string} storageClass - Key of STORAGE_CLASSES
+   * @returns {number} Amount outside storage buildings
+   */
+  getCentralAmount(storageClass) {
+    return STORAGE_CLASSES[storageClass].resources.reduce(
+      (total, resourceType) => total + (this.resourceTypes[resourceType] || 0),
+      0,
+    );
+  }
+
+  /**
+   * Get the room left in the central stock for a storage class
+   * @param {string} storageClass - Key of STORAGE_CLASSES
+   * @returns {number} Space below the class's base capacity
+   */
+  getCentralSpace(storageClass) {
+    return Math.max(
+      0,
+      STORAGE_CLASSES[storageClass].baseCapacity -
+        this.getCentralAmount(storageClass),
+    );
+  }
+
+  /**
+   * Get the places resources can be put in or taken from, in order
+   * (individual storage mode). null stands for the central stock.
+   * @param {Object} reach - { building, near, range }
+   * @returns {Array<StorageBuilding|null>} Nearest storage first when `near` is given
+   */
+  getStores(reach = {}) {
+    const { building = null, near = null, range = Infinity } = reach;
+    if (building) return [building];
+
     const storageBuildings = this.getStorageBuildings();
-    const buildingCapacity = storageBuildings.reduce((total, building) => {
-      return total + building.getMaxCapacity();
-    }, 0);
+    if (!near) return [null, ...storageBuildings];
 
-    return this.baseStorageLimit + buildingCapacity;
+    // The central stock is reachable from anywhere, but comes last
+    const nearby = spatialIndex.findWithin(SPATIAL_LAYERS.BUILDINGS, near, {
+      radius: range,
+      filter: (candidate) => storageBuildings.includes(candidate),
+    });
+    return [...nearby, null];
+  }
+
+  /**
+   * Spread resources over the stores in reach (individual storage mode)
+   * @param {number} amount - Amount to store
+   * @param {string} resourceType - Type of resource
+   * @param {Object} reach - { building, near, range }
+   * @returns {number} Amount actually stored
+   */
+  addToStores(amount, resourceType, reach) {
+    const storageClass = getStorageClass(resourceType);
+    let remaining = amount;
+
+    this.getStores(reach).forEach((store) => {
+      if (remaining <= 0) return;
+
+      if (store) {
+        remaining -= store.addResources(remaining, resourceType);
+      } else {
+        const stored = Math.min(remaining, this.getCentralSpace(storageClass));
+        this.resourceTypes[resourceType] += stored;
+        remaining -= stored;
+      }
+    });
+
+    return amount - remaining;
+  }
+
+  /**
+   * Take resources from the stores in reach (individual storage mode)
+   * @param {number} amount - Amount to take
+   * @param {string} resourceType - Type of resource
+   * @param {Object} reach - { building, near, range }
+   * @returns {number} Amount actually taken
+   */
+  takeFromStores(amount, resourceType, reach) {
+    let remaining = amount;
+
+    this.getStores(reach).forEach((store) => {
+      if (remaining <= 0) return;
+
+      if (store) {
+        remaining -= store.removeResources(remaining, resourceType);
+      } else {
+        const taken = Math.min(remaining, this.resourceTypes[resourceType]);
+        this.resourceTypes[resourceType] -= taken;
+        remaining -= taken;
+      }
+    });
+
+    return amount - remaining;
+  }
+
+  /**
+   * Get the reach construction draws materials from
+   * @param {Hex} hex - Construction site
+   * @returns {Object} { near, range }
+   */
+  getConstructionReach(hex) {
+    return { near: hex, range: GAME_BALANCE.storage.constructionRange };
+  }
+
+  /**
+   * Check if a resource type lives in storage buildings
+   * @param {string} resourceType - Type of resource
+   * @returns {boolean} True in individual mode for resources with a storage class
+   */
+  isStoredInBuildings(resourceType) {
+    return this.useIndividualStorage && getStorageClass(resourceType) !== null;
+  }
+
+  /**
+   * Sum every resource that lives in a storage class
+   * @returns {number} Total stored resources (population excluded)
+   */
+  calculateStoredTotal() {
+    return Object.keys(STORAGE_CLASSES).reduce(
+      (total, storageClass) => total + this.getClassAmount(storageClass),
+      0,
+    );
   }
 
   /**
    * Get current available storage space
-   * @returns {number} Available storage space
+   * @param {string} resourceType - Resource to check (optional, default: all classes)
+   * @returns {number} Available space (Infinity for resources storage doesn't limit)
    */
-  getAvailableSpace() {
-    return this.getCurrentLimit() - this.currentResources;
+  getAvailableSpace(resourceType = null) {
+    if (!resourceType && this.useIndividualStorage) {
+      // A building's free space is shared by the classes it takes, so count
+      // it once rather than once per class
+      const centralSpace = Object.keys(STORAGE_CLASSES).reduce(
+        (total, storageClass) => total + this.getCentralSpace(storageClass),
+        0,
+      );
+      return this.getStorageBuildings().reduce(
+        (total, building) =>
+          total + Math.max(0, building.getAvailableCapacity()),
+        centralSpace,
+      );
+    }
+
+    if (!resourceType) {
+      return Object.keys(STORAGE_CLASSES).reduce(
+        (total, storageClass) =>
+          total +
+          Math.max(
+            0,
+            this.getCapacity(storageClass) - this.getClassAmount(storageClass),
+          ),
+        0,
+      );
+    }
+
+    const storageClass = getStorageClass(resourceType);
+    if (!storageClass) return Infinity;
+
+    return Math.max(
+      0,
+      this.getCapacity(storageClass) - this.getClassAmount(storageClass),
+    );
   }
 
   /**
    * Check if we can store the specified amount
    * @param {number} amount - Amount to store
+   * @param {string} resourceType - Type of resource (default: 'radioactive_waste')
    * @returns {boolean} True if can store the amount
    */
-  canStore(amount) {
-    return this.currentResources + amount <= this.getCurrentLimit();
+  canStore(amount, resourceType = "radioactive_waste") {
+    return amount <= this.getAvailableSpace(resourceType);
   }
 
   /**
    * Add resources to storage
    * @param {number} amount - Amount to add
    * @param {string} resourceType - Type of resource (default: 'radioactive_waste')
+   * @param {Object} reach - Where to store it in individual mode: { building, near, range }
    * @returns {number} Amount actually stored
    */
-  addResources(amount, resourceType = "radioactive_waste") {
+  addResources(amount, resourceType = "radioactive_waste", reach = {}) {
     console.log(
       `[PlayerStorage] addResources called with ${amount} ${resourceType}`,
     );
@@ -105,22 +360,37 @@ export class PlayerStorage {
       `[PlayerStorage] Current state - resources: ${this.currentResources}, limit: ${this.getCurrentLimit()}`,
     );
 
-    const availableSpace = this.getAvailableSpace();
-    const actualAmount = Math.min(amount, availableSpace);
+    const availableSpace = this.getAvailableSpace(resourceType);
+    let actualAmount;
 
-    console.log(
-      `[PlayerStorage] Available space: ${availableSpace}, will add: ${actualAmount}`,
-    );
-
-    if (actualAmount > 0) {
-      this.currentResources += actualAmount;
+    if (this.isStoredInBuildings(resourceType)) {
+      actualAmount = this.addToStores(amount, resourceType, reach);
+    } else {
+      actualAmount = Math.min(amount, availableSpace);
 
       // Track by resource type for future use
       if (
+        actualAmount > 0 &&
         Object.prototype.hasOwnProperty.call(this.resourceTypes, resourceType)
       ) {
         this.resourceTypes[resourceType] += actualAmount;
       }
+    }
+
+    console.log(
+      `[PlayerStorage] Available space: ${availableSpace}, added: ${actualAmount}`,
+    );
+
+    if (actualAmount < amount) {
+      EventBus.emit("playerStorage:overflow", {
+        resourceType,
+        storageClass: getStorageClass(resourceType),
+        refused: amount - actualAmount,
+      });
+    }
+
+    if (actualAmount > 0) {
+      this.currentResources = this.calculateStoredTotal();
 
       console.log(
         `[PlayerStorage] Updated - resources: ${this.currentResources}, resourceTypes:`,
@@ -133,7 +403,7 @@ export class PlayerStorage {
         resourceType,
         newTotal: this.currentResources,
         currentLimit: this.getCurrentLimit(),
-        availableSpace: this.getAvailableSpace(),
+        availableSpace: this.getAvailableSpace(resourceType),
       });
 
       console.log(
@@ -155,24 +425,20 @@ export class PlayerStorage {
    * Remove resources from storage
    * @param {number} amount - Amount to remove
    * @param {string} resourceType - Type of resource (default: 'radioactive_waste')
+   * @param {Object} reach - Where to take it from in individual mode: { building, near, range }
    * @returns {number} Amount actually removed
    */
-  removeResources(amount, resourceType = "radioactive_waste") {
-    const currentTypeAmount = this.resourceTypes[resourceType] || 0;
-    const actualAmount = Math.min(
-      amount,
-      currentTypeAmount,
-      this.currentResources,
-    );
+  removeResources(amount, resourceType = "radioactive_waste", reach = {}) {
+    const currentTypeAmount = this.getResourceAmount(resourceType, reach);
+    let actualAmount = Math.min(amount, currentTypeAmount);
 
     if (actualAmount > 0) {
-      this.currentResources -= actualAmount;
-
-      if (
-        Object.prototype.hasOwnProperty.call(this.resourceTypes, resourceType)
-      ) {
+      if (this.isStoredInBuildings(resourceType)) {
+        actualAmount = this.takeFromStores(actualAmount, resourceType, reach);
+      } else {
         this.resourceTypes[resourceType] -= actualAmount;
       }
+      this.currentResources = this.calculateStoredTotal();
 
       // Emit storage change event
       EventBus.emit("playerStorage:resourcesRemoved", {
@@ -195,11 +461,79 @@ export class PlayerStorage {
    * @returns {StorageBuilding[]} Array of storage buildings
    */
   getStorageBuildings() {
-    if (this.gameStateManager) {
-      return this.gameStateManager.getBuildingsByType("storage");
+    const buildings = this.gameStateManager
+      ? this.gameStateManager.getBuildingsByType("storage")
+      : (window.gameState?.buildings || []).filter(
+          (building) => building.type === "storage",
+        );
+
+    // Only finished, standing storage holds anything
+    return buildings.filter(
+      (building) => !building.isDestroyed && !building.isUnderConstruction,
+    );
+  }
+
+  /**
+   * Get amount and capacity of every storage class for the UI
+   * @returns {Object} { storageClass: { name, amount, capacity, overflow } }
+   */
+  getStorageBreakdown() {
+    const breakdown = {};
+    Object.entries(STORAGE_CLASSES).forEach(([storageClass, classConfig]) => {
+      breakdown[storageClass] = {
+        name: classConfig.name,
+        amount: this.getClassAmount(storageClass),
+        capacity: this.getCapacity(storageClass),
+        overflow: classConfig.overflow,
+      };
+    });
+    return breakdown;
+  }
+
+  /**
+   * Apply overflow rules to classes holding more than their capacity
+   * @param {boolean} endOfTurn - Also let "spoil" classes decay
+   * @returns {Object} { resourceType: amount lost }
+   */
+  applyOverflow(endOfTurn = false) {
+    const lost = {};
+
+    Object.entries(STORAGE_CLASSES).forEach(([storageClass, classConfig]) => {
+      // In individual mode only the central stock can be over capacity
+      let excess = this.useIndividualStorage
+        ? this.getCentralAmount(storageClass) - classConfig.baseCapacity
+        : this.getClassAmount(storageClass) - this.getCapacity(storageClass);
+      if (excess <= 0 || classConfig.overflow === "keep") return;
+      if (classConfig.overflow === "spoil") {
+        if (!endOfTurn) return;
+        excess = Math.ceil(excess * classConfig.spoilRate);
+      }
+
+      // Take the excess from the class's resources in order
+      classConfig.resources.forEach((resourceType) => {
+        const removed = Math.min(excess, this.getResourceAmount(resourceType));
+        if (removed <= 0) return;
+
+        this.resourceTypes[resourceType] -= removed;
+        excess -= removed;
+        lost[resourceType] = removed;
+      });
+    });
+
+    if (Object.keys(lost).length > 0) {
+      this.currentResources = this.calculateStoredTotal();
+
+      EventBus.emit("playerStorage:excessResourcesLost", {
+        lost,
+        lostAmount: Object.values(lost).reduce((sum, amount) => sum + amount),
+        newTotal: this.currentResources,
+        newLimit: this.getCurrentLimit(),
+      });
+
+      console.log("[PlayerStorage] Lost resources over capacity:", lost);
     }
-    // Fallback: no storage buildings available
-    return [];
+
+    return lost;
   }
 
   /**
@@ -208,6 +542,10 @@ export class PlayerStorage {
    */
   getStorageStats() {
     const storageBuildings = this.getStorageBuildings();
+    const baseLimit = Object.values(STORAGE_CLASSES).reduce(
+      (total, classConfig) => total + classConfig.baseCapacity,
+      0,
+    );
 
     return {
       currentResources: this.currentResources,
@@ -217,60 +555,105 @@ export class PlayerStorage {
         this.getCurrentLimit() > 0
           ? this.currentResources / this.getCurrentLimit()
           : 0,
-      baseLimit: this.baseStorageLimit,
+      baseLimit,
       buildingCount: storageBuildings.length,
-      buildingCapacity: this.getCurrentLimit() - this.baseStorageLimit,
+      buildingCapacity: this.getCurrentLimit() - baseLimit,
+      classes: this.getStorageBreakdown(),
       resourceTypes: { ...this.resourceTypes },
       useIndividualStorage: this.useIndividualStorage,
     };
   }
 
   /**
-   * Calculate total storage for individual building mode (future)
-   * @returns {number} Total individual storage capacity
+   * Calculate total storage for individual building mode
+   * @returns {number} Central stock capacity plus every storage building
    */
   getIndividualStorageTotal() {
-    const storageBuildings = this.getStorageBuildings();
-    return (
-      this.baseStorageLimit +
-      storageBuildings.reduce((total, building) => {
-        return total + building.getAvailableCapacity();
-      }, 0)
+    const centralCapacity = Object.values(STORAGE_CLASSES).reduce(
+      (total, classConfig) => total + classConfig.baseCapacity,
+      0,
+    );
+    return this.getStorageBuildings().reduce(
+      (total, building) => total + building.getStorageLimit(),
+      centralCapacity,
     );
   }
 
   /**
-   * Enable individual storage mode (future enhancement)
+   * Enable individual storage mode - storage buildings keep their own contents
    */
   enableIndividualStorage() {
     if (this.useIndividualStorage) return;
 
     this.useIndividualStorage = true;
+    this.getStorageBuildings().forEach((building) =>
+      building.enableIndividualStorage(),
+    );
 
-    // Distribute current resources among storage buildings
-    const storageBuildings = this.getStorageBuildings();
-    let remainingResources = this.currentResources;
-
-    storageBuildings.forEach((building) => {
-      building.enableIndividualStorage();
-      const amountToStore = Math.min(
-        remainingResources,
-        building.getMaxCapacity(),
-      );
-      if (amountToStore > 0) {
-        building.addResources(amountToStore);
-        remainingResources -= amountToStore;
-      }
-    });
+    const distributedResources = this.moveExcessToBuildings();
 
     EventBus.emit("playerStorage:individualModeEnabled", {
-      distributedResources: this.currentResources - remainingResources,
-      remainingResources,
+      distributedResources,
+      remainingResources: this.currentResources - distributedResources,
     });
 
     console.log("[PlayerStorage] Enabled individual storage mode");
   }
 
+  /**
+   * Disable individual storage mode - storage buildings hand their contents
+   * to the central stock
+   */
+  disableIndividualStorage() {
+    if (!this.useIndividualStorage) return;
+
+    this.useIndividualStorage = false;
+    let collectedResources = 0;
+    this.getStorageBuildings().forEach((building) => {
+      Object.entries(building.inventory).forEach(([resourceType, amount]) => {
+        this.resourceTypes[resourceType] =
+          (this.resourceTypes[resourceType] || 0) + amount;
+        collectedResources += amount;
+      });
+      building.disableIndividualStorage();
+    });
+    this.currentResources = this.calculateStoredTotal();
+
+    EventBus.emit("playerStorage:individualModeDisabled", {
+      collectedResources,
+    });
+
+    console.log("[PlayerStorage] Disabled individual storage mode");
+  }
+
+  /**
+   * Move central stock above the base capacities into storage buildings
+   * @returns {number} Amount moved
+   */
+  moveExcessToBuildings() {
+    let moved = 0;
+
+    Object.entries(STORAGE_CLASSES).forEach(([storageClass, classConfig]) => {
+      let excess =
+        this.getCentralAmount(storageClass) - classConfig.baseCapacity;
+
+      classConfig.resources.forEach((resourceType) => {
+        this.getStorageBuildings().forEach((building) => {
+          const amount = Math.min(excess, this.resourceTypes[resourceType]);
+          if (amount <= 0) return;
+
+          const stored = building.addResources(amount, resourceType);
+          this.resourceTypes[resourceType] -= stored;
+          excess -= stored;
+          moved += stored;
+        });
+      });
+    });
+
+    this.currentResources = this.calculateStoredTotal();
+    return moved;
+  }
+
   /**
    * Handle storage building upgrade
    * @param {Object} data - Upgrade event data
@@ -294,25 +677,33 @@ export class PlayerStorage {
    * @param {Object} data - Destruction event data
    */
   handleStorageDestroyed(data) {
-    const { building, lostCapacity } = data;
+    const { building, lostCapacity, lostInventory = {} } = data;
 
-    // Check if we need to remove excess resources
-    const newLimit = this.getCurrentLimit();
-    if (this.currentResources > newLimit) {
-      const excessResources = this.currentResources - newLimit;
-      this.currentResources = newLimit;
+    // In individual mode the building's contents are gone with it
+    const lostAmount = Object.values(lostInventory).reduce(
+      (sum, amount) => sum + amount,
+      0,
+    );
+    if (this.useIndividualStorage && lostAmount > 0) {
+      this.currentResources = this.calculateStoredTotal();
 
       EventBus.emit("playerStorage:excessResourcesLost", {
-        lostAmount: excessResources,
+        lost: lostInventory,
+        lostAmount,
         newTotal: this.currentResources,
-        newLimit,
+        newLimit: this.getCurrentLimit(),
+        building,
       });
 
       console.log(
-        `[PlayerStorage] Lost ${excessResources} resources due to storage destruction`,
+        `[PlayerStorage] Lost ${lostAmount} resources stored in destroyed storage`,
       );
     }
 
+    // Check if we need to remove excess resources
+    const newLimit = this.getCurrentLimit();
+    this.applyOverflow();
+
     EventBus.emit("playerStorage:limitChanged", {
       change: -lostCapacity,
       newLimit: newLimit,
@@ -324,6 +715,23 @@ export class PlayerStorage {
     );
   }
 
+  /**
+   * Handle a storage building switching storage class
+   * @param {Object} data - { building, previousClass, storageClass }
+   */
+  handleStorageClassChanged(data) {
+    const { building } = data;
+
+    // Capacity moved away from a class may leave it over its limit
+    this.applyOverflow();
+
+    EventBus.emit("playerStorage:limitChanged", {
+      change: 0,
+      newLimit: this.getCurrentLimit(),
+      building: building,
+    });
+  }
+
   /**
    * Handle building creation
    * @param {Object} data - Building creation event data
@@ -331,6 +739,10 @@ export class PlayerStorage {
   handleBuildingCreated(data) {
     const { building } = data;
     if (building.type === "storage") {
+      if (this.useIndividualStorage) {
+        building.enableIndividualStorage();
+      }
+
       EventBus.emit("playerStorage:limitChanged", {
         change: building.getMaxCapacity(),
         newLimit: this.getCurrentLimit(),
@@ -371,10 +783,7 @@ export class PlayerStorage {
     this.resourceTypes = getInitialResources();
 
     // Recalculate total from reset values
-    this.currentResources = Object.values(this.resourceTypes).reduce(
-      (sum, amount) => sum + amount,
-      0,
-    );
+    this.currentResources = this.calculateStoredTotal();
 
     EventBus.emit("playerStorage:reset", {
       newLimit: this.getCurrentLimit(),
@@ -383,13 +792,62 @@ export class PlayerStorage {
     console.log("[PlayerStorage] Reset to initial state");
   }
 
+  /**
+   * Get save data for persistence
+   * @returns {Object} Serializable storage state
+   */
+  getSaveData() {
+    return {
+      resourceTypes: { ...this.resourceTypes },
+      currentResources: this.currentResources,
+      baseStorageLimit: this.baseStorageLimit,
+      useIndividualStorage: this.useIndividualStorage,
+    };
+  }
+
+  /**
+   * Load storage state from save data
+   * @param {Object} saveData - Data from getSaveData()
+   */
+  loadSaveData(saveData) {
+    // Merge over defaults so resource types added later start at their initial value
+    this.resourceTypes = {
+      ...getInitialResources(),
+      ...saveData.resourceTypes,
+    };
+    this.baseStorageLimit = saveData.baseStorageLimit ?? this.baseStorageLimit;
+    this.currentResources = this.calculateStoredTotal();
+
+    // Pick up the save's own mode, then switch to the one this game uses
+    this.useIndividualStorage = false;
+    if (saveData.useIndividualStorage) {
+      this.enableIndividualStorage();
+    }
+    this.updateStorageMode();
+
+    EventBus.emit("playerStorage:loaded", {
+      newTotal: this.currentResources,
+      newLimit: this.getCurrentLimit(),
+    });
+
+    console.log("[PlayerStorage] Loaded from save data");
+  }
+
   /**
    * Get specific resource amount
    * @param {string} resourceType - Type of resource
+   * @param {Object} reach - Only count stores within reach in individual mode (optional)
    * @returns {number} Amount of specific resource
    */
-  getResourceAmount(resourceType) {
-    return this.resourceTypes[resourceType] || 0;
+  getResourceAmount(resourceType, reach = {}) {
+    const centralAmount = this.resourceTypes[resourceType] || 0;
+    if (!this.isStoredInBuildings(resourceType)) return centralAmount;
+
+    return this.getStores(reach).reduce(
+      (total, store) =>
+        total + (store ? store.getResourceAmount(resourceType) : centralAmount),
+      0,
+    );
   }
 
   /**
@@ -432,6 +890,14 @@ export class PlayerStorage {
     return this.getResourceAmount("food");
   }
 
+  /**
+   * Get water amount
+   * @returns {number} Current water
+   */
+  getWater() {
+    return this.getResourceAmount("water");
+  }
+
   /**
    * Consume fuel (for turn processing)
    * @param {number} amount - Amount of fuel to consume
@@ -474,6 +940,19 @@ export class PlayerStorage {
     return actualConsumed;
   }
 
+  /**
+   * Consume water (for greenhouse irrigation)
+   * @param {number} amount - Amount of water to consume
+   * @returns {boolean} True if consumption successful, false if insufficient water
+   */
+  consumeWater(amount) {
+    if (this.getWater() >= amount) {
+      this.removeResources(amount, "water");
+      return true;
+    }
+    return false;
+  }
+
   /**
    * Add population
    * @param {number} amount - Amount of population to add
@@ -570,7 +1049,10 @@ export class PlayerStorage {
     // Handle population growth
     else if (foodConsumed >= foodNeeded && this.canPopulationGrow()) {
       const surplusFood = currentFood - foodNeeded;
-      if (surplusFood > 0 && Math.random() < populationConfig.growthChance) {
+      if (
+        surplusFood > 0 &&
+        randomService.stream("population").chance(populationConfig.growthChance)
+      ) {
         const growthAmount = Math.min(populationConfig.maxGrowthPerTurn, 1);
         const actualGrowth = this.addPopulation(growthAmount);
         populationChange = actualGrowth;
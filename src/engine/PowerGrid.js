@@ -0,0 +1,327 @@
+/**
+ * PowerGrid - Reactor capacity versus building demand
+ *
+ * Sums the power demand of every finished building against the output of the
+ * island's reactors. The resulting load puts the grid in a stress band that
+ * lowers the efficiency of everything it powers; past 100% the lowest
+ * priority buildings are browned out until the rest fits.
+ *
+ * Browned-out buildings stop producing and burn no fuel. Load, stress and
+ * brown-outs are shown on the reactor sprite and in tooltips.
+ *
+ * Usage:
+ *   import powerGrid from "./engine/PowerGrid.js";
+ *   const efficiency = powerGrid.getEfficiency(refinery); // 0 when unpowered
+ *   const fuel = powerGrid.getFuelConsumption();
+ */
+
+import EventBus from "./EventBus.js";
+import { BUILDINGS, GAME_BALANCE } from "../configs/GameData.js";
+import researchEffects from "../systems/longTomorrow/ResearchEffects.js";
+
+export const STRESS_LEVELS = {
+  NORMAL: "normal",
+  STRAINED: "strained",
+  CRITICAL: "critical",
+  OVERLOADED: "overloaded",
+};
+
+// Demands are fractions of a reactor level; keep sums free of float drift
+const roundPower = (value) => Math.round(value * 100) / 100;
+
+export class PowerGrid {
+  constructor(config = GAME_BALANCE.powerGrid) {
+    this.config = config;
+
+    this.status = {
+      capacity: 0,
+      demand: 0, // Demand of every finished building
+      poweredDemand: 0, // Demand actually served
+      load: 0, // poweredDemand / capacity
+      stress: STRESS_LEVELS.NORMAL,
+      efficiency: 1,
+    };
+    this.brownedOut = new Set();
+    this.previousTints = new Map(); // Building -> tint before the grid changed it
+    this.isDirty = false;
+
+    this.setupEventHandlers();
+  }
+
+  /**
+   * Re-balance whenever supply or demand changes
+   */
+  setupEventHandlers() {
+    [
+      "factory:buildingCreated",
+      "factory:buildingRemoved",
+      "building:built",
+      "building:constructionCompleted",
+      "building:demolished",
+      "building:destroyed",
+      "building:upgraded",
+      "reactor:upgraded",
+      "grid:cleared",
+    ].forEach((event) => EventBus.on(event, () => this.invalidate()));
+  }
+
+  /**
+   * Mark the grid as stale; it is re-balanced on the next query
+   */
+  invalidate() {
+    if (this.isDirty) return;
+    this.isDirty = true;
+
+    // Re-balance once the change has settled so sprites and UI catch up
+    setTimeout(() => this.evaluate(), 0);
+  }
+
+  /**
+   * Check if a building is a finished power consumer
+   * @param {Building} building - Building to check
+   * @returns {boolean} True if it draws power
+   */
+  isConsumer(building) {
+    return (
+      !building.isDestroyed &&
+      !building.isUnderConstruction &&
+      building.type !== "reactor"
+    );
+  }
+
+  /**
+   * Get the finished reactors feeding the grid
+   * @returns {Reactor[]} Reactors
+   */
+  getReactors() {
+    return (window.gameState?.buildings || []).filter(
+      (building) =>
+        building.type === "reactor" &&
+        !building.isDestroyed &&
+        !building.isUnderConstruction,
+    );
+  }
+
+  /**
+   * Get the power a building needs
+   * @param {Building} building - Building to check
+   * @returns {number} Power demand
+   */
+  getDemand(building) {
+    return BUILDINGS[building.type]?.powerDemand || 0;
+  }
+
+  /**
+   * Find the stress band for a load
+   * @param {number} load - Demand / capacity
+   * @returns {Object} { stress, efficiency }
+   */
+  getStressBand(load) {
+    const band = this.config.stressBands.find((entry) => load <= entry.maxLoad);
+    if (band) return band;
+
+    // Above the last band the grid is overloaded and runs at its worst
+    const worst = this.config.stressBands[this.config.stressBands.length - 1];
+    return { stress: STRESS_LEVELS.OVERLOADED, efficiency: worst.efficiency };
+  }
+
+  /**
+   * Re-balance the grid if anything changed
+   */
+  evaluate() {
+    if (!this.isDirty) return;
+    this.isDirty = false;
+
+    const capacity = this.getReactors().reduce(
+      (total, reactor) => total + reactor.getPowerOutput(),
+      0,
+    );
+
+    // Highest priority first; ties keep build order
+    const consumers = (window.gameState?.buildings || [])
+      .filter((building) => this.isConsumer(building))
+      .map((building, order) => ({ building, order }))
+      .sort(
+        (a, b) =>
+          (BUILDINGS[b.building.type]?.powerPriority || 0) -
+            (BUILDINGS[a.building.type]?.powerPriority || 0) ||
+          a.order - b.order,
+      )
+      .map(({ building }) => building);
+
+    let demand = 0;
+    let poweredDemand = 0;
+    const brownedOut = new Set();
+    consumers.forEach((building) => {
+      const buildingDemand = this.getDemand(building);
+      demand = roundPower(demand + buildingDemand);
+
+      if (roundPower(poweredDemand + buildingDemand) <= capacity) {
+        poweredDemand = roundPower(poweredDemand + buildingDemand);
+      } else {
+        brownedOut.add(building);
+      }
+    });
+
+    const load = capacity > 0 ? poweredDemand / capacity : 0;
+    const band =
+      brownedOut.size > 0
+        ? this.getStressBand(Infinity)
+        : this.getStressBand(load);
+
+    this.status = {
+      capacity,
+      demand,
+      poweredDemand,
+      load,
+      stress: band.stress,
+      efficiency: band.efficiency,
+    };
+
+    this.updateBrownOuts(brownedOut);
+    this.updateVisuals(consumers);
+
+    EventBus.emit("power:updated", this.getStatus());
+  }
+
+  /**
+   * Swap in the new brown-out set and announce changes
+   * @param {Set<Building>} brownedOut - Buildings without power
+   */
+  updateBrownOuts(brownedOut) {
+    brownedOut.forEach((building) => {
+      if (!this.brownedOut.has(building)) {
+        console.warn(
+          `[PowerGrid] Brown-out: ${building.type} at (${building.hex.q}, ${building.hex.r})`,
+        );
+        EventBus.emit("power:brownOut", { building });
+      }
+    });
+
+    this.brownedOut.forEach((building) => {
+      if (!brownedOut.has(building) && !building.isDestroyed) {
+        console.log(
+          `[PowerGrid] Power restored: ${building.type} at (${building.hex.q}, ${building.hex.r})`,
+        );
+        EventBus.emit("power:restored", { building });
+      }
+    });
+
+    this.brownedOut = brownedOut;
+  }
+
+  /**
+   * Tint reactors by stress and dim browned-out buildings
+   * @param {Building[]} consumers - Finished consumer buildings
+   */
+  updateVisuals(consumers) {
+    this.previousTints.forEach((tint, building) => {
+      if (building.isDestroyed) this.previousTints.delete(building);
+    });
+
+    const reactorTint = this.config.stressTints[this.status.stress];
+    this.getReactors().forEach((reactor) => this.setTint(reactor, reactorTint));
+
+    consumers.forEach((building) =>
+      this.setTint(
+        building,
+        this.brownedOut.has(building) ? this.config.brownOutTint : null,
+      ),
+    );
+  }
+
+  /**
+   * Tint a building's sprite, remembering the tint it had before so it can
+   * be put back once the grid no longer needs to show anything
+   * @param {Building} building - Building to tint
+   * @param {number|null} tint - Tint to show, or null to restore the previous one
+   */
+  setTint(building, tint) {
+    const sprite = building.getSprite();
+    if (!sprite) return;
+
+    if (tint === null || tint === undefined) {
+      if (this.previousTints.has(building)) {
+        sprite.tint = this.previousTints.get(building);
+        this.previousTints.delete(building);
+      }
+      return;
+    }
+
+    if (!this.previousTints.has(building)) {
+      this.previousTints.set(building, sprite.tint);
+    }
+    sprite.tint = tint;
+  }
+
+  /**
+   * Check if a building has power
+   * @param {Building} building - Building to check
+   * @returns {boolean} False if browned out
+   */
+  isPowered(building) {
+    this.evaluate();
+    return !this.brownedOut.has(building);
+  }
+
+  /**
+   * Get the output multiplier of a building
+   * @param {Building} building - Building to check
+   * @returns {number} 0 when browned out, otherwise the stress efficiency
+   */
+  getEfficiency(building) {
+    if (!this.isPowered(building)) return 0;
+    return this.status.efficiency;
+  }
+
+  /**
+   * Get the fuel burned per turn: base cost plus a flat cost per building
+   * that has power
+   * @returns {number} Fuel per turn
+   */
+  getFuelConsumption() {
+    this.evaluate();
+
+    const gameState = window.gameState;
+    const buildingCount = (gameState?.buildings || []).filter(
+      (building) => !this.brownedOut.has(building),
+    ).length;
+
+    const total = researchEffects.apply(
+      "fuelConsumption",
+      (gameState?.fuelConsumptionBase || 0) +
+        buildingCount * (gameState?.fuelConsumptionPerBuilding || 0),
+    );
+    return Math.round(total * 10) / 10;
+  }
+
+  /**
+   * Get the current grid status
+   * @returns {Object} { capacity, demand, poweredDemand, load, stress, efficiency, brownedOut }
+   */
+  getStatus() {
+    this.evaluate();
+    return { ...this.status, brownedOut: this.brownedOut.size };
+  }
+
+  /**
+   * Describe the grid for the reactor tooltip
+   * @returns {string} Multi-line status
+   */
+  describeStatus() {
+    const status = this.getStatus();
+    const stressName =
+      status.stress.charAt(0).toUpperCase() + status.stress.slice(1);
+
+    let text = `Grid Load: ${Math.round(status.load * 100)}% (${status.poweredDemand}/${status.capacity} power)`;
+    text += `\nStress: ${stressName} - ${Math.round(status.efficiency * 100)}% efficiency`;
+    if (status.brownedOut > 0) {
+      text += `\n⚠ Brown-out: ${status.brownedOut} building${status.brownedOut === 1 ? "" : "s"} unpowered (demand ${status.demand})`;
+    }
+    return text;
+  }
+}
+
+// Shared instance used by buildings, UI and the turn loop
+export const powerGrid = new PowerGrid();
+export default powerGrid;
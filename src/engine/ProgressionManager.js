@@ -104,6 +104,38 @@ export class ProgressionManager {
     return true;
   }
 
+  /**
+   * Resume a level from a saved game
+   * Reloads conditions without resetting game state or counting an attempt
+   * @param {number} levelId - ID of level to resume
+   * @returns {boolean} True if level resumed successfully
+   */
+  resumeLevel(levelId) {
+    const level = getLevelById(levelId);
+    if (!level) {
+      console.error(`[ProgressionManager] Invalid level ID: ${levelId}`);
+      return false;
+    }
+
+    this.currentLevelId = levelId;
+    this.currentLevel = level;
+    this.isLevelActive = true;
+    this.levelStartTime = Date.now();
+
+    this.conditionManager.loadLevelConditions(level);
+
+    EventBus.emit("progression:levelStarted", {
+      levelId: levelId,
+      level: level,
+      attempt: this.stats.attempts,
+      resumed: true,
+    });
+
+    console.log(`[ProgressionManager] Resumed Level ${levelId}: ${level.name}`);
+
+    return true;
+  }
+
   /**
    * Check conditions (called each turn)
    * @returns {Object} Condition check results
@@ -342,7 +374,7 @@ export class ProgressionManager {
   }
 
   /**
-   * Save progression state (for future save system)
+   * Save progression state (versioned by the SaveSystem envelope)
    * @returns {Object} Serializable progression data
    */
   getSaveData() {
@@ -351,17 +383,16 @@ export class ProgressionManager {
       completedLevels: [...this.completedLevels],
       stats: { ...this.stats },
       campaignStartTime: this.campaignStartTime,
-      version: "1.0",
     };
   }
 
   /**
-   * Load progression state (for future save system)
-   * @param {Object} saveData - Previously saved progression data
+   * Load progression state
+   * @param {Object} saveData - Progression section of a validated save
    */
   loadSaveData(saveData) {
-    if (!saveData || saveData.version !== "1.0") {
-      console.warn("[ProgressionManager] Invalid or incompatible save data");
+    if (!saveData) {
+      console.warn("[ProgressionManager] No save data provided");
       return false;
     }
 
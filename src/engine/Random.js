@@ -0,0 +1,229 @@
+/**
+ * Random - Seedable deterministic random numbers
+ *
+ * Every system draws from the shared `randomService` instead of calling
+ * Math.random() directly, so an island can be regenerated exactly from its
+ * map seed. The service hands out one named stream per concern (terrain,
+ * resources, population, ...). Each stream is derived from the map seed and
+ * its own name, so extra draws in one system never shift another system's
+ * numbers: the same seed always yields the same starting island, no matter
+ * how the simulation has been played.
+ *
+ * Usage:
+ *   import randomService from "./engine/Random.js";
+ *   const rng = randomService.stream("terrain");
+ *   if (rng.chance(0.3)) { ... }
+ */
+
+// Characters for generated seeds (no 0/O or 1/I to keep them easy to read out)
+const SEED_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const SEED_LENGTH = 8;
+
+/**
+ * Hash a string into four 32-bit words (cyrb128)
+ * @param {string} text - Text to hash
+ * @returns {number[]} Four unsigned 32-bit integers
+ */
+function hashString(text) {
+  let h1 = 1779033703;
+  let h2 = 3144134277;
+  let h3 = 1013904242;
+  let h4 = 2773480762;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    h1 = h2 ^ Math.imul(h1 ^ code, 597399067);
+    h2 = h3 ^ Math.imul(h2 ^ code, 2869860233);
+    h3 = h4 ^ Math.imul(h3 ^ code, 951274213);
+    h4 = h1 ^ Math.imul(h4 ^ code, 2716044179);
+  }
+  h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+  h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+  h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+  h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+  h1 ^= h2 ^ h3 ^ h4;
+  h2 ^= h1;
+  h3 ^= h1;
+  h4 ^= h1;
+  return [h1 >>> 0, h2 >>> 0, h3 >>> 0, h4 >>> 0];
+}
+
+/**
+ * Random - One deterministic stream (sfc32 generator)
+ */
+export class Random {
+  /**
+   * @param {string} seed - Seed text; streams with the same seed repeat exactly
+   */
+  constructor(seed) {
+    this.state = hashString(String(seed));
+
+    // Warm up so similar seeds do not start with similar numbers
+    for (let i = 0; i < 12; i++) {
+      this.next();
+    }
+  }
+
+  /**
+   * Next float in [0, 1) - drop-in replacement for Math.random()
+   * @returns {number} Random float
+   */
+  next() {
+    let [a, b, c, d] = this.state;
+    const t = (((a + b) | 0) + d) | 0;
+    d = (d + 1) | 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) | 0;
+    c = (c << 21) | (c >>> 11);
+    c = (c + t) | 0;
+    this.state = [a >>> 0, b >>> 0, c >>> 0, d >>> 0];
+    return (t >>> 0) / 4294967296;
+  }
+
+  /**
+   * Random integer in [min, max]
+   * @param {number} min - Lowest value (inclusive)
+   * @param {number} max - Highest value (inclusive)
+   * @returns {number} Random integer
+   */
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  /**
+   * Roll against a probability
+   * @param {number} probability - Chance of success between 0 and 1
+   * @returns {boolean} True on success
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  /**
+   * Pick a random element
+   * @param {Array} array - Candidates
+   * @returns {*} Picked element, or undefined for an empty array
+   */
+  pick(array) {
+    return array[Math.floor(this.next() * array.length)];
+  }
+
+  /**
+   * Shuffle a copy of an array (Fisher-Yates)
+   * @param {Array} array - Array to shuffle
+   * @returns {Array} Shuffled copy
+   */
+  shuffle(array) {
+    const shuffled = [...array];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(this.next() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+
+  /**
+   * Short random id suffix (base 36)
+   * @param {number} length - Number of characters
+   * @returns {string} Id text
+   */
+  id(length = 9) {
+    let text = "";
+    while (text.length < length) {
+      text += Math.floor(this.next() * 36).toString(36);
+    }
+    return text;
+  }
+}
+
+/**
+ * RandomService - Owns the map seed and the named streams derived from it
+ */
+export class RandomService {
+  constructor() {
+    this.seed = null;
+    this.streams = new Map();
+    this.setSeed(RandomService.createSeed());
+  }
+
+  /**
+   * Create a fresh, human-readable map seed
+   * This is the one place that still uses the unseeded browser RNG.
+   * @returns {string} Seed such as "K7QX2MPA"
+   */
+  static createSeed() {
+    let seed = "";
+    for (let i = 0; i < SEED_LENGTH; i++) {
+      seed += SEED_ALPHABET[Math.floor(Math.random() * SEED_ALPHABET.length)];
+    }
+    return seed;
+  }
+
+  /**
+   * Normalize player-entered seed text
+   * @param {string} seed - Raw seed text
+   * @returns {string|null} Trimmed upper-case seed, or null if empty
+   */
+  static normalizeSeed(seed) {
+    const normalized = String(seed ?? "")
+      .trim()
+      .toUpperCase();
+    return normalized.length > 0 ? normalized : null;
+  }
+
+  /**
+   * Reseed every stream from a map seed
+   * @param {string} seed - Map seed
+   */
+  setSeed(seed) {
+    this.seed = RandomService.normalizeSeed(seed) || RandomService.createSeed();
+    this.streams.clear();
+    console.log(`[Random] Map seed: ${this.seed}`);
+  }
+
+  /**
+   * Get the current map seed
+   * @returns {string} Map seed
+   */
+  getSeed() {
+    return this.seed;
+  }
+
+  /**
+   * Get (or create) the stream for a system
+   * @param {string} name - Stream name, e.g. "terrain"
+   * @returns {Random} Deterministic stream for this seed and name
+   */
+  stream(name) {
+    if (!this.streams.has(name)) {
+      this.streams.set(name, new Random(`${this.seed}:${name}`));
+    }
+    return this.streams.get(name);
+  }
+
+  /**
+   * Get save data: the seed plus the position of every stream drawn from
+   * @returns {Object} { seed, streams: { name: [a, b, c, d] } }
+   */
+  getSaveData() {
+    const streams = {};
+    this.streams.forEach((stream, name) => {
+      streams[name] = [...stream.state];
+    });
+    return { seed: this.seed, streams };
+  }
+
+  /**
+   * Load save data so the simulation continues where it left off
+   * @param {Object} saveData - Data from getSaveData()
+   */
+  loadSaveData(saveData) {
+    this.setSeed(saveData.seed);
+    Object.entries(saveData.streams || {}).forEach(([name, state]) => {
+      this.stream(name).state = state.map((word) => word >>> 0);
+    });
+  }
+}
+
+// Shared instance used by every system
+export const randomService = new RandomService();
+export default randomService;
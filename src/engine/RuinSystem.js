@@ -0,0 +1,405 @@
+/**
+ * RuinSystem - Ruins and memorials left by earlier Long Tomorrow sessions
+ *
+ * A ruin (hex.ruin, made by WorldStateManager.createInteractiveRuin) offers
+ * three choices from its own data:
+ *   recycle     - after turnsRequired turns, yields materials plus rare
+ *                 components (worth rareComponentValue materials each)
+ *   restore     - pay cost materials; after turnsRequired turns the original
+ *                 building stands again, levelBonus levels higher
+ *   memorialize - pay cost materials; the ruin becomes a memorial
+ *                 (hex.memorial) that lifts its neighbours by adjacencyBonus
+ * Work in progress is kept on the ruin (ruin.work) so saves and the next
+ * session pick it up. Every choice emits ruin:interacted.
+ *
+ * With the Archaeologist "Keen Eye" research, tooltips reveal what each
+ * choice yields and which neighbours a memorial would lift.
+ *
+ * Usage:
+ *   import ruinSystem from "./engine/RuinSystem.js";
+ *   ruinSystem.placeMarkers(gameState.hexes); // after laying out the world
+ *   ruinSystem.getContextMenu(hex); // [{ label, action, disabled }]
+ *   ruinSystem.processTurnEnd();
+ */
+
+import EventBus from "./EventBus.js";
+import { Building } from "../buildings/Building.js";
+import { Ruin } from "../buildings/Ruin.js";
+import { GAME_BALANCE, getBuildingData } from "../configs/GameData.js";
+import researchEffects from "../systems/longTomorrow/ResearchEffects.js";
+
+// How work on a ruin reads in tooltips and menus, by choice
+const WORK_LABELS = {
+  recycle: "Recycling",
+  restore: "Restoring",
+};
+
+export class RuinSystem {
+  constructor() {
+    this.markers = new Map(); // hex -> Ruin map object
+
+    this.setupEventHandlers();
+  }
+
+  /**
+   * Markers go with the island and come back with a saved one
+   */
+  setupEventHandlers() {
+    EventBus.on("grid:cleared", () => this.clearMarkers());
+    EventBus.on("save:loaded", () =>
+      this.placeMarkers(window.gameState?.hexes || []),
+    );
+  }
+
+  /**
+   * Check if a hex holds a ruin or a memorial
+   * @param {Hex} hex - Hex to check
+   * @returns {boolean} True if the hex has a landmark
+   */
+  hasLandmark(hex) {
+    return Boolean(hex.ruin || hex.memorial);
+  }
+
+  /**
+   * Draw every ruin and memorial on the island
+   * @param {Hex[]} hexes - Island hexes
+   */
+  placeMarkers(hexes) {
+    hexes.forEach((hex) => this.updateMarker(hex));
+  }
+
+  /**
+   * Add, refresh or remove the marker of one hex
+   * @param {Hex} hex - Hex whose landmark changed
+   */
+  updateMarker(hex) {
+    const marker = this.markers.get(hex);
+
+    if (!this.hasLandmark(hex)) {
+      marker?.destroy();
+      this.markers.delete(hex);
+      return;
+    }
+
+    if (marker) {
+      marker.updateTint();
+    } else {
+      this.markers.set(hex, new Ruin(hex));
+    }
+  }
+
+  /**
+   * Remove all markers
+   */
+  clearMarkers() {
+    this.markers.forEach((marker) => marker.destroy());
+    this.markers.clear();
+  }
+
+  /**
+   * Check if the Archaeologist "Keen Eye" research is unlocked
+   * @returns {boolean} True if ruin contents are revealed
+   */
+  hasKeenEye() {
+    return researchEffects.has("ruinInsight");
+  }
+
+  /**
+   * Get the display name of a landmark's original building
+   * @param {Object} landmark - hex.ruin or hex.memorial
+   * @returns {string} e.g. "level 3 Refinery"
+   */
+  getBuildingName(landmark) {
+    const { type, level } = landmark.originalBuilding;
+    return `level ${level} ${getBuildingData(type)?.name || type}`;
+  }
+
+  /**
+   * Work out the materials a recycled ruin yields
+   * @param {Object} ruin - Ruin data
+   * @returns {number} Materials including rare components
+   */
+  getRecycleYield(ruin) {
+    const { resources, rareComponents } = ruin.choices.recycle;
+    const { rareComponentValue } = GAME_BALANCE.longTomorrow.ruins;
+    return resources + rareComponents * rareComponentValue;
+  }
+
+  /**
+   * Work out the level a restored ruin comes back at
+   * @param {Object} ruin - Ruin data
+   * @returns {number} Level of the restored building
+   */
+  getRestoredLevel(ruin) {
+    const { level } = ruin.originalBuilding;
+    const maxLevel = getBuildingData(ruin.originalBuilding.type)?.maxLevel;
+    return Math.min(
+      level + ruin.choices.restore.levelBonus,
+      maxLevel ?? Infinity,
+    );
+  }
+
+  /**
+   * Find the finished buildings a memorial on a hex would lift
+   * @param {Hex} hex - Memorial hex
+   * @returns {Building[]} Neighbouring buildings
+   */
+  getMemorialNeighbors(hex) {
+    return (window.hexGrid?.getNeighbors(hex) || [])
+      .map((neighbor) => neighbor.building)
+      .filter(
+        (building) =>
+          building && !building.isDestroyed && !building.isUnderConstruction,
+      );
+  }
+
+  /**
+   * Describe a hex's landmark for the hover tooltip
+   * @param {Hex} hex - Hovered hex
+   * @returns {string|null} Tooltip lines, or null without a landmark
+   */
+  describe(hex) {
+    if (hex.memorial) {
+      const bonus = Math.round(hex.memorial.adjacencyBonus * 100);
+      return `Memorial to a ${this.getBuildingName(hex.memorial)}\n+${bonus}% for neighbouring buildings`;
+    }
+
+    const ruin = hex.ruin;
+    if (!ruin) return null;
+
+    const lines = [
+      `Ruin: ${this.getBuildingName(ruin)} (session ${ruin.sessionCreated})`,
+    ];
+    if (ruin.work) {
+      lines.push(this.describeWork(ruin.work));
+    } else if (this.hasKeenEye()) {
+      lines.push(...this.describeOutcomes(hex));
+    }
+
+    return lines.join("\n");
+  }
+
+  /**
+   * Describe work in progress on a ruin
+   * @param {Object} work - { choice, turnsRemaining }
+   * @returns {string} e.g. "Restoring: 3 turns left"
+   */
+  describeWork(work) {
+    const turns = `${work.turnsRemaining} turn${work.turnsRemaining === 1 ? "" : "s"}`;
+    return `${WORK_LABELS[work.choice]}: ${turns} left`;
+  }
+
+  /**
+   * Describe what each choice would give (Keen Eye)
+   * @param {Hex} hex - Ruin hex
+   * @returns {string[]} One line per choice
+   */
+  describeOutcomes(hex) {
+    const { recycle, memorialize } = hex.ruin.choices;
+    const name = getBuildingData(hex.ruin.originalBuilding.type)?.name;
+    const bonus = Math.round(memorialize.adjacencyBonus * 100);
+    const neighbors = this.getMemorialNeighbors(hex).length;
+
+    return [
+      `Recycle: +${this.getRecycleYield(hex.ruin)} materials (${recycle.rareComponents} rare component${recycle.rareComponents === 1 ? "" : "s"})`,
+      `Restore: level ${this.getRestoredLevel(hex.ruin)} ${name}`,
+      `Memorialize: +${bonus}% for ${neighbors} neighbouring building${neighbors === 1 ? "" : "s"}`,
+    ];
+  }
+
+  /**
+   * Get the context menu of a ruin or memorial hex
+   * @param {Hex} hex - Clicked hex
+   * @returns {Array} Menu options { label, action, disabled }
+   */
+  getContextMenu(hex) {
+    if (hex.memorial) {
+      return [{ label: "Memorial", action: () => {}, disabled: true }];
+    }
+
+    const ruin = hex.ruin;
+    if (ruin.work) {
+      return [
+        {
+          label: this.describeWork(ruin.work),
+          action: () => {},
+          disabled: true,
+        },
+      ];
+    }
+
+    const { recycle, restore, memorialize } = ruin.choices;
+
+    // Keen Eye previews which neighbours a memorial would lift
+    let memorialCost = `${memorialize.cost} materials`;
+    if (this.hasKeenEye()) {
+      const neighbors = this.getMemorialNeighbors(hex).length;
+      memorialCost += `, +${Math.round(memorialize.adjacencyBonus * 100)}% for ${neighbors} neighbours`;
+    }
+
+    return [
+      {
+        label: `Recycle (${recycle.turnsRequired} turns)`,
+        action: () => this.choose(hex, "recycle"),
+        disabled: false,
+      },
+      {
+        label: `Restore (${restore.cost} materials, ${restore.turnsRequired} turns)`,
+        action: () => this.choose(hex, "restore"),
+        disabled: !this.canAfford(hex, restore.cost),
+      },
+      {
+        label: `Memorialize (${memorialCost})`,
+        action: () => this.choose(hex, "memorialize"),
+        disabled: !this.canAfford(hex, memorialize.cost),
+      },
+    ];
+  }
+
+  /**
+   * Check if the materials for a choice are within reach of the ruin
+   * @param {Hex} hex - Ruin hex
+   * @param {number} cost - Materials needed
+   * @returns {boolean} True if affordable
+   */
+  canAfford(hex, cost) {
+    const storage = window.playerStorage;
+    return (
+      storage.getResourceAmount(
+        "materials",
+        storage.getConstructionReach(hex),
+      ) >= cost
+    );
+  }
+
+  /**
+   * Make a choice for a ruin
+   * @param {Hex} hex - Ruin hex
+   * @param {string} choice - "recycle", "restore" or "memorialize"
+   * @returns {boolean} True if the choice was made
+   */
+  choose(hex, choice) {
+    const ruin = hex.ruin;
+    const option = ruin?.choices[choice];
+    if (!option || ruin.work) return false;
+
+    const cost = option.cost || 0;
+    if (cost > 0) {
+      if (!this.canAfford(hex, cost)) {
+        console.warn(`[RuinSystem] Cannot afford to ${choice} ruin`);
+        return false;
+      }
+      window.playerStorage.removeResources(
+        cost,
+        "materials",
+        window.playerStorage.getConstructionReach(hex),
+      );
+    }
+
+    if (choice === "memorialize") {
+      this.memorialize(hex);
+    } else {
+      ruin.work = { choice, turnsRemaining: option.turnsRequired };
+    }
+
+    console.log(
+      `[RuinSystem] Chose to ${choice} the ruin at (${hex.q}, ${hex.r})`,
+    );
+    EventBus.emit("ruin:interacted", { hex, choice, ruin });
+    return true;
+  }
+
+  /**
+   * Turn a ruin into a memorial
+   * @param {Hex} hex - Ruin hex
+   */
+  memorialize(hex) {
+    const { originalBuilding, sessionCreated, choices } = hex.ruin;
+    hex.memorial = {
+      originalBuilding,
+      sessionCreated,
+      adjacencyBonus: choices.memorialize.adjacencyBonus,
+      permanent: choices.memorialize.permanent,
+    };
+    hex.ruin = null;
+    this.updateMarker(hex);
+
+    EventBus.emit("ruin:memorialized", { hex, memorial: hex.memorial });
+  }
+
+  /**
+   * Advance recycling and restoration by one turn
+   */
+  processTurnEnd() {
+    this.markers.forEach((_marker, hex) => {
+      const work = hex.ruin?.work;
+      if (!work) return;
+
+      work.turnsRemaining--;
+      if (work.turnsRemaining > 0) return;
+
+      if (work.choice === "recycle") {
+        this.completeRecycle(hex);
+      } else {
+        this.completeRestore(hex);
+      }
+    });
+  }
+
+  /**
+   * Clear a recycled ruin and store its materials
+   * @param {Hex} hex - Ruin hex
+   */
+  completeRecycle(hex) {
+    const ruin = hex.ruin;
+    const materials = this.getRecycleYield(ruin);
+    hex.ruin = null;
+    this.updateMarker(hex);
+
+    const stored = window.playerStorage.addResources(materials, "materials", {
+      near: hex,
+    });
+    console.log(
+      `[RuinSystem] Recycled ruin at (${hex.q}, ${hex.r}): stored ${stored}/${materials} materials`,
+    );
+    EventBus.emit("ruin:recycled", { hex, ruin, materials: stored });
+  }
+
+  /**
+   * Raise the original building again on a restored ruin
+   * @param {Hex} hex - Ruin hex
+   */
+  completeRestore(hex) {
+    const ruin = hex.ruin;
+    const level = this.getRestoredLevel(ruin);
+    hex.ruin = null;
+    this.updateMarker(hex);
+
+    const building = window.buildingSystem.buildCompleted(
+      hex,
+      ruin.originalBuilding.type,
+      true,
+    );
+    if (!building) {
+      console.error(
+        `[RuinSystem] Failed to restore ${ruin.originalBuilding.type} at (${hex.q}, ${hex.r})`,
+      );
+      return;
+    }
+    // Upgrade step by step so production scales like a regular upgrade. The
+    // base upgrade is used because subclasses charge their upgrade cost, and
+    // restore.cost already paid for the levels.
+    while (building.level < level) {
+      if (!Building.prototype.upgrade.call(building)) break;
+    }
+
+    console.log(
+      `[RuinSystem] Restored level ${building.level} ${building.type} at (${hex.q}, ${hex.r})`,
+    );
+    EventBus.emit("ruin:restored", { hex, ruin, building });
+  }
+}
+
+// Shared instance used by main.js
+export const ruinSystem = new RuinSystem();
+export default ruinSystem;
@@ -0,0 +1,46 @@
+/**
+ * SaveMigrations - Upgrades old save envelopes step by step
+ *
+ * Each entry upgrades a save from its key version to the next one
+ * (1 → 2, 2 → 3, ...). When the save format changes, bump SAVE_VERSION
+ * in SaveSystem.js and register a migration for the previous version here.
+ * Migrations receive a parsed save and return the upgraded save; they must
+ * not touch live game objects.
+ */
+
+export const SAVE_MIGRATIONS = {
+  /**
+   * v1 → v2: island data moves under `island`, subsystem payloads lose
+   * their own version fields and Long Tomorrow data gets its own section
+   */
+  1: (save) => {
+    const { progression, ...island } = save;
+    delete island.version;
+    delete island.savedAt;
+    delete island.gameMode;
+    delete island.session;
+
+    const migratedProgression = progression ? { ...progression } : null;
+    if (migratedProgression) {
+      delete migratedProgression.version;
+    }
+
+    return {
+      version: 2,
+      savedAt: save.savedAt,
+      gameMode: save.gameMode,
+      session: save.session,
+      island,
+      progression: migratedProgression,
+      longTomorrow: null,
+    };
+  },
+
+  /**
+   * v2 → v3: map seed and random stream positions; older islands were
+   * generated without a seed, so they have none
+   */
+  2: (save) => ({ ...save, random: null }),
+};
+
+export default SAVE_MIGRATIONS;
@@ -0,0 +1,784 @@
+import EventBus from "./EventBus.js";
+import GameObjectFactory from "./GameObjectFactory.js";
+import { SAVE_MIGRATIONS } from "./SaveMigrations.js";
+import { DRONE_TYPES } from "../configs/GameData.js";
+
+/**
+ * SaveSystem - Persists and restores a running island
+ *
+ * Every save is a single versioned envelope:
+ *   { version, savedAt, gameMode, session, island, random, progression, longTomorrow }
+ * Subsystems only provide their section payloads; the envelope version
+ * covers all of them. Older saves are upgraded through SAVE_MIGRATIONS,
+ * and corrupt or newer saves are rejected with a SaveValidationError
+ * before anything is loaded.
+ *
+ * Envelopes live in named slots: SAVE_SLOT_COUNT manual slots plus a
+ * rolling autosave that cycles through AUTOSAVE_SLOT_COUNT slots. A small
+ * index of slot metadata (mode, level/session, turn, seed, thumbnail) is kept
+ * separately so slot pickers never have to parse full saves.
+ *
+ * Envelopes can also be exported as portable JSON files and imported
+ * back into a slot, which is how worlds move between browsers.
+ */
+
+export const SAVE_KEY_PREFIX = "solarpunkIsland";
+export const SLOT_INDEX_KEY = `${SAVE_KEY_PREFIX}.slots`;
+export const SAVE_VERSION = 3;
+export const SAVE_SLOT_COUNT = 3;
+export const AUTOSAVE_SLOT_COUNT = 3;
+export const SAVE_EXPORT_FORMAT = "solarpunk-island-save";
+export const SAVE_IMPORT_MAX_LENGTH = 5 * 1024 * 1024; // localStorage quota
+
+/**
+ * Error thrown when a save cannot be loaded
+ * `reason` is one of: "corrupt", "newer_version", "missing_migration", "invalid"
+ */
+export class SaveValidationError extends Error {
+  constructor(message, reason, problems = []) {
+    super(message);
+    this.name = "SaveValidationError";
+    this.reason = reason;
+    this.problems = problems;
+  }
+}
+
+export class SaveSystem {
+  /**
+   * Get the ids of all save slots
+   * @returns {Object} { manual: string[], autosave: string[] }
+   */
+  static getSlotIds() {
+    return {
+      manual: Array.from(
+        { length: SAVE_SLOT_COUNT },
+        (_, index) => `slot-${index + 1}`,
+      ),
+      autosave: Array.from(
+        { length: AUTOSAVE_SLOT_COUNT },
+        (_, index) => `autosave-${index + 1}`,
+      ),
+    };
+  }
+
+  /**
+   * Check if a slot id belongs to the rolling autosave
+   * @param {string} slotId - Slot id
+   * @returns {boolean} True for autosave slots
+   */
+  static isAutosaveSlot(slotId) {
+    return slotId.startsWith("autosave-");
+  }
+
+  /**
+   * Get the storage key for a slot
+   * @param {string} slotId - Slot id
+   * @returns {string} localStorage key
+   */
+  static getSlotKey(slotId) {
+    return `${SAVE_KEY_PREFIX}.slot.${slotId}`;
+  }
+
+  /**
+   * Read the slot metadata index
+   * @returns {Object} slotId -> metadata
+   */
+  static readSlotIndex() {
+    try {
+      const raw = localStorage.getItem(SLOT_INDEX_KEY);
+      return raw ? JSON.parse(raw) : {};
+    } catch (error) {
+      console.warn("[SaveSystem] Slot index unreadable, rebuilding:", error);
+      return {};
+    }
+  }
+
+  /**
+   * Write the slot metadata index
+   * @param {Object} index - slotId -> metadata
+   */
+  static writeSlotIndex(index) {
+    localStorage.setItem(SLOT_INDEX_KEY, JSON.stringify(index));
+  }
+
+  /**
+   * List every slot with its metadata (null when empty)
+   * Manual slots first, then autosaves newest first
+   * @returns {Object[]} [{ slotId, isAutosave, metadata }]
+   */
+  static listSlots() {
+    const index = SaveSystem.readSlotIndex();
+    const { manual, autosave } = SaveSystem.getSlotIds();
+    const toEntry = (slotId) => ({
+      slotId,
+      isAutosave: SaveSystem.isAutosaveSlot(slotId),
+      metadata: index[slotId] || null,
+    });
+
+    const autosaves = autosave
+      .map(toEntry)
+      .sort((a, b) => (b.metadata?.savedAt || 0) - (a.metadata?.savedAt || 0));
+
+    return [...manual.map(toEntry), ...autosaves];
+  }
+
+  /**
+   * Check if any slot holds a saved game
+   * @returns {boolean} True if a save is stored
+   */
+  static hasSave() {
+    try {
+      return SaveSystem.listSlots().some((slot) => slot.metadata);
+    } catch (error) {
+      console.warn("[SaveSystem] localStorage not available:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the most recently written slot
+   * @returns {Object|null} Slot entry from listSlots()
+   */
+  static getLatestSlot() {
+    return (
+      SaveSystem.listSlots()
+        .filter((slot) => slot.metadata)
+        .sort((a, b) => b.metadata.savedAt - a.metadata.savedAt)[0] || null
+    );
+  }
+
+  /**
+   * Write a save envelope to a slot
+   * @param {string} slotId - Slot id from getSlotIds()
+   * @param {Object} saveData - Envelope from createSnapshot()
+   * @param {string} name - Display name (defaults to the slot's current name)
+   * @returns {boolean} True if the save was written
+   */
+  static saveToSlot(slotId, saveData, name = null) {
+    const index = SaveSystem.readSlotIndex();
+    const metadata = SaveSystem.createSlotMetadata(
+      slotId,
+      saveData,
+      name || index[slotId]?.name || SaveSystem.getDefaultSlotName(slotId),
+    );
+
+    try {
+      localStorage.setItem(
+        SaveSystem.getSlotKey(slotId),
+        JSON.stringify(saveData),
+      );
+      index[slotId] = metadata;
+      SaveSystem.writeSlotIndex(index);
+    } catch (error) {
+      console.error(`[SaveSystem] Failed to write slot ${slotId}:`, error);
+      return false;
+    }
+
+    EventBus.emit("save:written", {
+      slotId,
+      isAutosave: SaveSystem.isAutosaveSlot(slotId),
+      savedAt: saveData.savedAt,
+      turn: saveData.island.gameState.currentTurn,
+      gameMode: saveData.gameMode,
+    });
+
+    console.log(
+      `[SaveSystem] Saved game to ${slotId} on turn ${saveData.island.gameState.currentTurn} (${saveData.island.buildings.length} buildings, ${saveData.island.units.length} units)`,
+    );
+    return true;
+  }
+
+  /**
+   * Write the rolling autosave, replacing the oldest autosave slot
+   * @param {Object} saveData - Envelope from createSnapshot()
+   * @returns {boolean} True if the save was written
+   */
+  static writeAutosave(saveData) {
+    const index = SaveSystem.readSlotIndex();
+    const [slotId] = SaveSystem.getSlotIds().autosave.sort(
+      (a, b) => (index[a]?.savedAt || 0) - (index[b]?.savedAt || 0),
+    );
+
+    return SaveSystem.saveToSlot(slotId, saveData);
+  }
+
+  /**
+   * Read, migrate and validate the save in a slot
+   * @param {string} slotId - Slot id
+   * @returns {Object|null} Current-version envelope, or null if the slot is empty
+   * @throws {SaveValidationError} If the save is corrupt or from a newer build
+   */
+  static loadSlot(slotId) {
+    let raw;
+    try {
+      raw = localStorage.getItem(SaveSystem.getSlotKey(slotId));
+    } catch (error) {
+      console.warn("[SaveSystem] localStorage not available:", error);
+      return null;
+    }
+
+    if (!raw) return null;
+
+    return SaveSystem.parseSave(raw);
+  }
+
+  /**
+   * Remove the save in a slot
+   * @param {string} slotId - Slot id
+   */
+  static deleteSlot(slotId) {
+    try {
+      localStorage.removeItem(SaveSystem.getSlotKey(slotId));
+      const index = SaveSystem.readSlotIndex();
+      delete index[slotId];
+      SaveSystem.writeSlotIndex(index);
+      console.log(`[SaveSystem] Deleted save in ${slotId}`);
+    } catch (error) {
+      console.warn(`[SaveSystem] Failed to delete ${slotId}:`, error);
+    }
+  }
+
+  /**
+   * Remove every autosave (manual slots are kept)
+   */
+  static clearAutosaves() {
+    SaveSystem.getSlotIds().autosave.forEach((slotId) =>
+      SaveSystem.deleteSlot(slotId),
+    );
+  }
+
+  /**
+   * Get the default display name for a slot
+   * @param {string} slotId - Slot id
+   * @returns {string} Display name
+   */
+  static getDefaultSlotName(slotId) {
+    const [, number] = slotId.split("-");
+    return SaveSystem.isAutosaveSlot(slotId)
+      ? `Autosave ${number}`
+      : `Slot ${number}`;
+  }
+
+  /**
+   * Build the index entry shown by slot pickers
+   * @param {string} slotId - Slot id
+   * @param {Object} saveData - Envelope being saved
+   * @param {string} name - Display name
+   * @returns {Object} Slot metadata
+   */
+  static createSlotMetadata(slotId, saveData, name) {
+    const island = saveData.island;
+
+    return {
+      slotId,
+      name,
+      savedAt: saveData.savedAt,
+      gameMode: saveData.gameMode,
+      levelId: island.gameState.isLevelActive
+        ? island.gameState.currentLevelId
+        : null,
+      sessionNumber: saveData.longTomorrow?.worldState?.sessionNumber || null,
+      turn: island.gameState.currentTurn,
+      seed: saveData.random?.seed || null,
+      thumbnail: SaveSystem.createThumbnail(island),
+    };
+  }
+
+  /**
+   * Reduce the hex grid to a compact thumbnail: [q, r, kind] per hex
+   * kind is the building type, "resource", or the terrain
+   * @param {Object} island - Island section of an envelope
+   * @returns {Array[]} Thumbnail cells
+   */
+  static createThumbnail(island) {
+    const occupants = new Map();
+    island.resources.forEach((resource) =>
+      occupants.set(`${resource.q}_${resource.r}`, "resource"),
+    );
+    island.buildings.forEach((building) =>
+      occupants.set(`${building.q}_${building.r}`, building.type),
+    );
+
+    return island.hexes.map((hex) => [
+      hex.q,
+      hex.r,
+      occupants.get(`${hex.q}_${hex.r}`) || hex.terrain,
+    ]);
+  }
+
+  /**
+   * Parse a serialized save into a current-version envelope
+   * @param {string} raw - Serialized save
+   * @returns {Object} Migrated and validated envelope
+   * @throws {SaveValidationError} If the save cannot be used
+   */
+  static parseSave(raw) {
+    let saveData;
+    try {
+      saveData = JSON.parse(raw);
+    } catch (error) {
+      throw new SaveValidationError(
+        `Save data is corrupt: ${error.message}`,
+        "corrupt",
+      );
+    }
+
+    const migrated = SaveSystem.migrate(saveData);
+    SaveSystem.validate(migrated);
+    return migrated;
+  }
+
+  /**
+   * Wrap a save envelope in a portable export file
+   * The envelope is kept as-is, so story progression and the Long Tomorrow
+   * world history travel with it and imports go through the usual migrations.
+   * @param {Object} saveData - Envelope from createSnapshot() or loadSlot()
+   * @param {string} name - Slot name, used in the file name
+   * @returns {Object} { fileName, contents }
+   */
+  static createExportFile(saveData, name = "save") {
+    const file = {
+      format: SAVE_EXPORT_FORMAT,
+      exportedAt: Date.now(),
+      name,
+      save: saveData,
+    };
+
+    const slug =
+      name
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-|-$/g, "") || "save";
+    const mode = saveData.gameMode || "story";
+    const turn = saveData.island.gameState.currentTurn;
+
+    return {
+      fileName: `solarpunk-island-${slug}-${mode}-turn${turn}.json`,
+      contents: JSON.stringify(file, null, 2),
+    };
+  }
+
+  /**
+   * Parse an exported save file back into a current-version envelope
+   * @param {string} raw - Contents of an exported file
+   * @returns {Object} { name, exportedAt, saveData }
+   * @throws {SaveValidationError} If the file is not a usable save
+   */
+  static parseImportFile(raw) {
+    if (raw.length > SAVE_IMPORT_MAX_LENGTH) {
+      throw new SaveValidationError(
+        `File is too large to be a save (${Math.round(raw.length / 1024)} KB)`,
+        "corrupt",
+      );
+    }
+
+    let file;
+    try {
+      file = JSON.parse(raw);
+    } catch (error) {
+      throw new SaveValidationError(
+        `File is not valid JSON: ${error.message}`,
+        "corrupt",
+      );
+    }
+
+    if (
+      !file ||
+      file.format !== SAVE_EXPORT_FORMAT ||
+      typeof file.save !== "object"
+    ) {
+      throw new SaveValidationError(
+        "File is not a Solarpunk Island save export",
+        "corrupt",
+      );
+    }
+
+    const saveData = SaveSystem.migrate(file.save);
+    SaveSystem.validate(saveData);
+
+    return {
+      name: typeof file.name === "string" ? file.name : null,
+      exportedAt: file.exportedAt || null,
+      saveData,
+    };
+  }
+
+  /**
+   * Upgrade a parsed save to SAVE_VERSION one migration at a time
+   * @param {Object} saveData - Parsed save of any supported version
+   * @returns {Object} Envelope at SAVE_VERSION
+   * @throws {SaveValidationError} If the version is unknown or newer
+   */
+  static migrate(saveData) {
+    if (!saveData || typeof saveData !== "object") {
+      throw new SaveValidationError("Save data is not an object", "corrupt");
+    }
+
+    const { version } = saveData;
+    if (!Number.isInteger(version) || version < 1) {
+      throw new SaveValidationError(
+        `Save data has no valid version (found ${JSON.stringify(version)})`,
+        "corrupt",
+      );
+    }
+
+    if (version > SAVE_VERSION) {
+      throw new SaveValidationError(
+        `Save is from a newer version of the game (save format v${version}, this build supports up to v${SAVE_VERSION})`,
+        "newer_version",
+      );
+    }
+
+    let current = saveData;
+    while (current.version < SAVE_VERSION) {
+      const migration = SAVE_MIGRATIONS[current.version];
+      if (!migration) {
+        throw new SaveValidationError(
+          `No migration registered for save format v${current.version}`,
+          "missing_migration",
+        );
+      }
+
+      const fromVersion = current.version;
+      current = migration(current);
+      console.log(
+        `[SaveSystem] Migrated save from v${fromVersion} to v${current.version}`,
+      );
+    }
+
+    return current;
+  }
+
+  /**
+   * Check that a current-version envelope is complete
+   * Collects every problem so the error describes the whole save
+   * @param {Object} saveData - Envelope at SAVE_VERSION
+   * @throws {SaveValidationError} If any section is missing or malformed
+   */
+  static validate(saveData) {
+    const problems = [];
+    const isObject = (value) =>
+      value !== null && typeof value === "object" && !Array.isArray(value);
+    const isCoords = (value) =>
+      isObject(value) && Number.isFinite(value.q) && Number.isFinite(value.r);
+
+    const island = saveData.island;
+    if (!isObject(island)) {
+      problems.push("missing island section");
+    } else {
+      if (
+        !isObject(island.gameState) ||
+        !Number.isFinite(island.gameState.currentTurn)
+      ) {
+        problems.push("island.gameState is missing currentTurn");
+      }
+
+      ["hexes", "buildings", "resources", "units"].forEach((key) => {
+        if (!Array.isArray(island[key])) {
+          problems.push(`island.${key} is not a list`);
+        }
+      });
+
+      if (Array.isArray(island.hexes)) {
+        if (island.hexes.length === 0) {
+          problems.push("island.hexes is empty");
+        }
+        if (
+          island.hexes.some(
+            (hex) => !isCoords(hex) || typeof hex.terrain !== "string",
+          )
+        ) {
+          problems.push("island.hexes contains malformed hexes");
+        }
+      }
+
+      ["buildings", "resources", "units"].forEach((key) => {
+        if (
+          Array.isArray(island[key]) &&
+          island[key].some(
+            (entry) => !isCoords(entry) || typeof entry.type !== "string",
+          )
+        ) {
+          problems.push(`island.${key} contains entries without type/position`);
+        }
+      });
+
+      if (
+        island.playerStorage !== null &&
+        !isObject(island.playerStorage?.resourceTypes)
+      ) {
+        problems.push("island.playerStorage is missing resourceTypes");
+      }
+    }
+
+    if (
+      saveData.random !== null &&
+      (!isObject(saveData.random) ||
+        typeof saveData.random.seed !== "string" ||
+        !isObject(saveData.random.streams))
+    ) {
+      problems.push("random section is malformed");
+    }
+
+    if (
+      saveData.progression !== null &&
+      (!isObject(saveData.progression) ||
+        !Array.isArray(saveData.progression.completedLevels))
+    ) {
+      problems.push("progression section is malformed");
+    }
+
+    if (saveData.longTomorrow !== null) {
+      const longTomorrow = saveData.longTomorrow;
+      if (
+        !isObject(longTomorrow) ||
+        !isObject(longTomorrow.researchProgress) ||
+        !isObject(longTomorrow.achievementData) ||
+        !Array.isArray(longTomorrow.worldHistory)
+      ) {
+        problems.push("longTomorrow section is malformed");
+      }
+    }
+
+    if (problems.length > 0) {
+      throw new SaveValidationError(
+        `Save data is invalid: ${problems.join("; ")}`,
+        "invalid",
+        problems,
+      );
+    }
+  }
+
+  /**
+   * Build a save envelope of the running game
+   * @param {Object} systems - { gameState, playerStorage, progressionManager, gameModeManager, hexGrid, randomService, eventSystem, longTomorrowManager }
+   * @returns {Object} Envelope ready for JSON serialization
+   */
+  static createSnapshot(systems) {
+    const {
+      gameState,
+      playerStorage,
+      progressionManager,
+      gameModeManager,
+      hexGrid,
+      randomService,
+      eventSystem,
+      longTomorrowManager,
+    } = systems;
+
+    return {
+      version: SAVE_VERSION,
+      savedAt: Date.now(),
+      gameMode: gameModeManager ? gameModeManager.getCurrentGameMode() : null,
+      session: gameModeManager ? gameModeManager.getSessionData() : null,
+      island: {
+        gameState: {
+          currentTurn: gameState.currentTurn,
+          timeRemaining: gameState.timeRemaining,
+          turnProgress: gameState.turnProgress,
+          speed: gameState.speed,
+          zoomLevel: gameState.zoomLevel,
+          currentLevelId: gameState.currentLevelId,
+          isLevelActive: gameState.isLevelActive,
+          gridRadius: hexGrid ? hexGrid.currentRadius : null,
+        },
+        hexes: gameState.hexes.map((hex) => ({
+          q: hex.q,
+          r: hex.r,
+          terrain: hex.terrain,
+          // Long Tomorrow landmarks from earlier sessions
+          ruin: hex.ruin || null,
+          memorial: hex.memorial || null,
+          soil: hex.soil || null,
+        })),
+        buildings: gameState.buildings
+          .filter((building) => !building.isDestroyed)
+          .map((building) => building.getSaveData()),
+        resources: gameState.resources
+          .filter((resource) => !resource.isDestroyed && resource.amount > 0)
+          .map((resource) => resource.getSaveData()),
+        units: gameState.units
+          .filter((unit) => !unit.isDestroyed && unit.getSaveData)
+          .map((unit) => unit.getSaveData()),
+        playerStorage: playerStorage ? playerStorage.getSaveData() : null,
+        events: eventSystem ? eventSystem.getSaveData() : null,
+      },
+      random: randomService ? randomService.getSaveData() : null,
+      progression: progressionManager ? progressionManager.getSaveData() : null,
+      longTomorrow: longTomorrowManager
+        ? longTomorrowManager.getSaveData()
+        : null,
+    };
+  }
+
+  /**
+   * Rebuild the island from a validated envelope. The world must be empty.
+   * Uses the main.js createHex/addResourceToHex globals like HexGrid does.
+   * @param {Object} saveData - Envelope from loadSlot()
+   * @param {Object} systems - { gameState, buildingSystem, playerStorage, progressionManager, hexGrid, randomService, eventSystem, longTomorrowManager }
+   * @returns {boolean} True if the island was rebuilt
+   */
+  static restoreSnapshot(saveData, systems) {
+    const {
+      gameState,
+      buildingSystem,
+      playerStorage,
+      progressionManager,
+      hexGrid,
+      randomService,
+      eventSystem,
+      longTomorrowManager,
+    } = systems;
+    const island = saveData.island;
+
+    if (!window.createHex || !window.addResourceToHex) {
+      console.error("[SaveSystem] Grid helpers not available for restore");
+      return false;
+    }
+
+    // Hexes first - everything else is placed on them
+    const hexLookup = new Map();
+    island.hexes.forEach((hexData, index) => {
+      const hex = window.createHex(
+        hexData.q,
+        hexData.r,
+        index,
+        hexData.terrain,
+      );
+      hex.ruin = hexData.ruin || null;
+      hex.memorial = hexData.memorial || null;
+      hex.soil = hexData.soil || null;
+      hexLookup.set(`${hex.q}_${hex.r}`, hex);
+    });
+    const findHex = (coords) =>
+      coords ? hexLookup.get(`${coords.q}_${coords.r}`) || null : null;
+
+    if (hexGrid) {
+      hexGrid.hexes = [...gameState.hexes];
+      if (island.gameState.gridRadius) {
+        hexGrid.currentRadius = island.gameState.gridRadius;
+      }
+    }
+
+    island.resources.forEach((resourceData) => {
+      const hex = findHex(resourceData);
+      if (!hex) return;
+
+      window.addResourceToHex(hex, resourceData.type, resourceData.amount);
+      if (hex.resource) {
+        hex.resource.loadSaveData(resourceData);
+      }
+    });
+
+    island.buildings.forEach((buildingData) => {
+      const hex = findHex(buildingData);
+      if (!hex) return;
+
+      const building = buildingSystem.buildCompleted(
+        hex,
+        buildingData.type,
+        true,
+      );
+      if (!building) return;
+
+      building.loadSaveData(buildingData);
+      if (building.isUnderConstruction) {
+        buildingSystem.buildingsUnderConstruction.add(building);
+      }
+    });
+
+    // Units last so factory ownership and targets can be resolved
+    island.units.forEach((unitData) => {
+      const hex = findHex(unitData);
+      if (!hex) return;
+
+      const ownerFactory = findHex(unitData.ownerFactory)?.building || null;
+      const unit = GameObjectFactory.createUnit(
+        unitData.type,
+        hex,
+        ownerFactory,
+      );
+      if (!unit) return;
+
+      gameState.units.push(unit);
+      if (unit.loadSaveData) {
+        unit.loadSaveData(unitData, findHex);
+      }
+    });
+
+    Object.assign(gameState, {
+      currentTurn: island.gameState.currentTurn,
+      timeRemaining: island.gameState.timeRemaining,
+      turnProgress: island.gameState.turnProgress,
+      speed: island.gameState.speed,
+      zoomLevel: island.gameState.zoomLevel,
+      currentLevelId: island.gameState.currentLevelId,
+      isGameOver: false,
+      gameOverReason: null,
+    });
+
+    // Saves from before seeding keep whatever seed is current
+    if (randomService && saveData.random) {
+      randomService.loadSaveData(saveData.random);
+    }
+
+    if (playerStorage && island.playerStorage) {
+      playerStorage.loadSaveData(island.playerStorage);
+    }
+
+    // Saves from before random events have no event history
+    if (eventSystem && island.events) {
+      eventSystem.loadSaveData(island.events);
+    }
+
+    if (progressionManager && saveData.progression) {
+      progressionManager.loadSaveData(saveData.progression);
+    }
+
+    if (longTomorrowManager && saveData.longTomorrow) {
+      longTomorrowManager.loadSaveData(saveData.longTomorrow);
+    }
+
+    EventBus.emit("save:loaded", {
+      savedAt: saveData.savedAt,
+      turn: gameState.currentTurn,
+      gameMode: saveData.gameMode,
+    });
+
+    console.log(
+      `[SaveSystem] Restored island: ${island.hexes.length} hexes, ${island.buildings.length} buildings, ${island.resources.length} resources, ${island.units.length} units`,
+    );
+    return true;
+  }
+
+  /**
+   * Summarize an envelope for display (ProgressionScreen statistics)
+   * @param {Object} saveData - Envelope from loadSlot()
+   * @returns {Object} Summary values
+   */
+  static getSaveSummary(saveData) {
+    const island = saveData.island;
+    const resources = island.playerStorage?.resourceTypes || {};
+
+    return {
+      currentTurn: island.gameState.currentTurn,
+      gameMode: saveData.gameMode,
+      savedAt: saveData.savedAt,
+      buildingsBuilt: island.buildings.length,
+      // Saved drones store their droneType
+      dronesCreated: island.units.filter((unit) =>
+        DRONE_TYPES.includes(unit.type),
+      ).length,
+      fuel: resources.fuel || 0,
+      materials: resources.materials || 0,
+      population: resources.population || 0,
+      wasteProcessed: island.buildings.reduce(
+        (total, building) =>
+          total + (building.productionHistory?.totalWasteProcessed || 0),
+        0,
+      ),
+    };
+  }
+}
+
+export default SaveSystem;
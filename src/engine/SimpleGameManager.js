@@ -9,6 +9,7 @@ import PlayerStorage from "./PlayerStorage.js";
 import { UIManager } from "../ui/UIManager.js";
 import EventBus from "./EventBus.js";
 import GameObjectFactory from "./GameObjectFactory.js";
+import randomService from "./Random.js";
 
 export class SimpleGameManager {
   constructor(app) {
@@ -134,7 +135,7 @@ export class SimpleGameManager {
 
     // Add some initial resources randomly
     if (q !== 0 || r !== 0) {
-      if (Math.random() < 0.1) {
+      if (randomService.stream("resources").chance(0.1)) {
         hex.resource = {
           type: "radioactive_waste",
           amount: 500,
@@ -159,7 +160,7 @@ export class SimpleGameManager {
   getRandomTerrain() {
     const terrains = ["grass", "ground", "sky"];
     const weights = [0.4, 0.4, 0.2];
-    const random = Math.random();
+    const random = randomService.stream("terrain").next();
 
     let sum = 0;
     for (let i = 0; i < terrains.length; i++) {
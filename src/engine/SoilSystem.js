@@ -0,0 +1,335 @@
+/**
+ * SoilSystem - Soil that remembers how Long Tomorrow sessions used the land
+ *
+ * Every hex of a Long Tomorrow island has soil (hex.soil), each value 0..1:
+ *   fertility     - raises greenhouse output above neutral soil (0.5)
+ *   moisture      - raises it a little more
+ *   contamination - lowers it, and keeps sensitive buildings off the hex
+ * Fresh soil starts from its terrain (TERRAIN[terrain].soil). Each turn
+ * powered greenhouses enrich and water their hex, and waste piles
+ * contaminate theirs and, more slowly, their neighbours. Buildings list the
+ * soil they need as BUILDINGS[type].soil ({ minFertility, maxContamination }).
+ *
+ * At the end of a session captureSoil() hands the worked soil to the world
+ * (WorldStateManager.calculateSoilChanges decides what the next session
+ * remembers) and applySoil() lays it over the regrown island. An overlay
+ * on the grid tints hexes by their soil.
+ *
+ * Usage:
+ *   import soilSystem from "./engine/SoilSystem.js";
+ *   soilSystem.applySoil(gameState.hexes, worldState.soilMemory);
+ *   soilSystem.getProductionMultiplier(greenhouse);
+ *   soilSystem.canBuild("greenhouse", hex);
+ *   soilSystem.toggleOverlay();
+ */
+
+import EventBus from "./EventBus.js";
+import { HEX_SIZE, HEX_HEIGHT } from "../configs/config.js";
+import { GAME_BALANCE, TERRAIN, getBuildingData } from "../configs/GameData.js";
+import powerGrid from "./PowerGrid.js";
+
+const NEUTRAL = 0.5; // Soil value that neither helps nor hurts production
+const PROPERTIES = ["fertility", "contamination", "moisture"];
+
+export class SoilSystem {
+  constructor() {
+    this.overlay = null; // PIXI.Graphics on the grid while shown
+    this.overlayVisible = false;
+
+    this.setupEventHandlers();
+  }
+
+  /**
+   * Redraw the overlay when the island changes
+   */
+  setupEventHandlers() {
+    EventBus.on("grid:cleared", () => this.drawOverlay());
+    EventBus.on("save:loaded", () => this.drawOverlay());
+  }
+
+  /**
+   * Check if soil takes part in the current game
+   * @returns {boolean} True in Long Tomorrow mode
+   */
+  isActive() {
+    return Boolean(window.gameModeManager?.isLongTomorrowMode());
+  }
+
+  /**
+   * Get the soil a terrain starts with
+   * @param {string} terrain - Terrain type
+   * @returns {Object} { fertility, contamination, moisture }
+   */
+  getDefaultSoil(terrain) {
+    return {
+      fertility: NEUTRAL,
+      contamination: 0,
+      moisture: NEUTRAL,
+      ...TERRAIN[terrain]?.soil,
+    };
+  }
+
+  /**
+   * Get a hex's soil, creating it from its terrain if it has none yet
+   * @param {Hex} hex - Hex to check
+   * @returns {Object} hex.soil
+   */
+  getSoil(hex) {
+    if (!hex.soil) {
+      hex.soil = { ...this.getDefaultSoil(hex.terrain), tended: false };
+    }
+    return hex.soil;
+  }
+
+  /**
+   * Give every hex its soil, remembered from earlier sessions or fresh
+   * @param {Hex[]} hexes - Island hexes
+   * @param {Map} soilMemory - hexId -> remembered soil from the world state
+   */
+  applySoil(hexes, soilMemory = new Map()) {
+    hexes.forEach((hex) => {
+      const remembered = soilMemory.get(`${hex.q}_${hex.r}`) || {};
+      hex.soil = { ...this.getDefaultSoil(hex.terrain), tended: false };
+
+      // Forgotten properties are left out and fall back to the terrain's
+      PROPERTIES.forEach((property) => {
+        if (remembered[property] !== undefined) {
+          hex.soil[property] = remembered[property];
+        }
+      });
+      hex.soil.untendedSessions = remembered.untendedSessions || 0;
+    });
+
+    this.drawOverlay();
+  }
+
+  /**
+   * Collect the soil that differs from fresh ground for the world state
+   * @param {Hex[]} hexes - Island hexes
+   * @returns {Map} hexId -> { fertility, contamination, moisture, tended, untendedSessions }
+   */
+  captureSoil(hexes) {
+    const soil = new Map();
+
+    hexes
+      .filter((hex) => hex.soil)
+      .forEach((hex) => {
+        const fresh = this.getDefaultSoil(hex.terrain);
+        const changed = PROPERTIES.some(
+          (property) => Math.abs(hex.soil[property] - fresh[property]) > 0.001,
+        );
+        if (changed || hex.soil.tended) {
+          soil.set(`${hex.q}_${hex.r}`, { ...hex.soil });
+        }
+      });
+
+    return soil;
+  }
+
+  /**
+   * Change a soil property, keeping it within 0..1
+   * @param {Hex} hex - Hex to change
+   * @param {string} property - "fertility", "contamination" or "moisture"
+   * @param {number} amount - Amount to add
+   */
+  adjust(hex, property, amount) {
+    const soil = this.getSoil(hex);
+    soil[property] = Math.min(1, Math.max(0, soil[property] + amount));
+  }
+
+  /**
+   * Greenhouses enrich their soil, waste piles contaminate theirs
+   */
+  processTurnEnd() {
+    if (!this.isActive() || !window.gameState) return;
+
+    const { greenhouse, waste } = GAME_BALANCE.longTomorrow.soil;
+
+    window.gameState.buildings
+      .filter(
+        (building) =>
+          building.type === "greenhouse" &&
+          !building.isDestroyed &&
+          !building.isUnderConstruction &&
+          powerGrid.isPowered(building),
+      )
+      .forEach((building) => {
+        this.adjust(building.hex, "fertility", greenhouse.fertility);
+        this.adjust(building.hex, "moisture", greenhouse.moisture);
+        this.getSoil(building.hex).tended = true;
+      });
+
+    window.gameState.resources
+      .filter(
+        (resource) =>
+          resource.type === "radioactive_waste" && !resource.isDestroyed,
+      )
+      .forEach((resource) => {
+        this.adjust(resource.hex, "contamination", waste.contamination);
+        window.hexGrid?.getNeighbors(resource.hex).forEach((neighbor) => {
+          this.adjust(neighbor, "contamination", waste.spread);
+        });
+      });
+
+    this.drawOverlay();
+  }
+
+  /**
+   * Get the soil's effect on a greenhouse's output
+   * @param {Building} building - Building standing on the soil
+   * @returns {number} Production multiplier (1 outside Long Tomorrow)
+   */
+  getProductionMultiplier(building) {
+    if (!this.isActive() || !building.hex) return 1;
+
+    const weights = GAME_BALANCE.longTomorrow.soil.production;
+    const soil = this.getSoil(building.hex);
+    const multiplier =
+      1 +
+      weights.fertility * (soil.fertility - NEUTRAL) +
+      weights.moisture * (soil.moisture - NEUTRAL) -
+      weights.contamination * soil.contamination;
+
+    return Math.max(weights.minimum, multiplier);
+  }
+
+  /**
+   * Explain why a building type cannot stand on a hex's soil
+   * @param {string} type - Building type
+   * @param {Hex} hex - Hex to build on
+   * @returns {string|null} Reason, or null if the soil allows it
+   */
+  getBuildProblem(type, hex) {
+    const needs = getBuildingData(type)?.soil;
+    if (!needs || !this.isActive()) return null;
+
+    const soil = this.getSoil(hex);
+    if (soil.contamination > (needs.maxContamination ?? 1)) {
+      return "soil too contaminated";
+    }
+    if (soil.fertility < (needs.minFertility ?? 0)) {
+      return "soil too poor";
+    }
+    return null;
+  }
+
+  /**
+   * Check a building type's soil needs
+   * @param {string} type - Building type
+   * @param {Hex} hex - Hex to build on
+   * @returns {boolean} True if the soil allows the building
+   */
+  canBuild(type, hex) {
+    return this.getBuildProblem(type, hex) === null;
+  }
+
+  /**
+   * Describe a hex's soil for its tooltip
+   * @param {Hex} hex - Hex to describe
+   * @returns {string|null} Tooltip line, or null outside Long Tomorrow
+   */
+  describe(hex) {
+    if (!this.isActive()) return null;
+
+    const soil = this.getSoil(hex);
+    const percent = (value) => `${Math.round(value * 100)}%`;
+    return `Soil: fertility ${percent(soil.fertility)}, moisture ${percent(soil.moisture)}, contamination ${percent(soil.contamination)}`;
+  }
+
+  /**
+   * Check if the soil overlay is shown
+   * @returns {boolean} True while shown
+   */
+  isOverlayVisible() {
+    return this.overlayVisible;
+  }
+
+  /**
+   * Show or hide the soil overlay
+   * @returns {boolean} True if now shown
+   */
+  toggleOverlay() {
+    this.overlayVisible = !this.overlayVisible;
+    this.drawOverlay();
+
+    EventBus.emit("soil:overlayToggled", { visible: this.overlayVisible });
+    return this.overlayVisible;
+  }
+
+  /**
+   * Draw the overlay: green for fertility, red for contamination, a blue
+   * rim for moisture
+   */
+  drawOverlay() {
+    const gridContainer = window.hexGrid?.gridContainer;
+    if (this.overlay?.destroyed) {
+      this.overlay = null; // Went with the grid's containers
+    }
+    if (!this.overlay && gridContainer) {
+      this.overlay = new PIXI.Graphics();
+    }
+    if (!this.overlay) return;
+
+    this.overlay.clear();
+    const shown =
+      this.overlayVisible && this.isActive() && Boolean(gridContainer);
+    this.overlay.visible = shown;
+    if (!shown) return;
+
+    // Keep the overlay above hex sprites added since the last draw
+    gridContainer.addChild(this.overlay);
+
+    const colors = GAME_BALANCE.longTomorrow.soil.overlay;
+    (window.gameState?.hexes || []).forEach((hex) => {
+      const soil = this.getSoil(hex);
+      const outline = this.getHexOutline(hex);
+
+      this.overlay.poly(outline);
+      this.overlay.fill({
+        color: colors.fertility,
+        alpha: soil.fertility * colors.alpha,
+      });
+      if (soil.contamination > 0) {
+        this.overlay.poly(outline);
+        this.overlay.fill({
+          color: colors.contamination,
+          alpha: soil.contamination * colors.alpha,
+        });
+      }
+      this.overlay.poly(outline);
+      this.overlay.stroke({
+        color: colors.moisture,
+        width: 2,
+        alpha: soil.moisture,
+      });
+    });
+  }
+
+  /**
+   * Get the corners of a hex sprite in grid coordinates
+   * @param {Hex} hex - Hex to outline
+   * @returns {number[]} Flat list of x, y pairs
+   */
+  getHexOutline(hex) {
+    const halfWidth = HEX_SIZE / 2;
+    const halfHeight = HEX_HEIGHT / 2;
+    return [
+      hex.x - halfWidth,
+      hex.y,
+      hex.x - halfWidth / 2,
+      hex.y - halfHeight,
+      hex.x + halfWidth / 2,
+      hex.y - halfHeight,
+      hex.x + halfWidth,
+      hex.y,
+      hex.x + halfWidth / 2,
+      hex.y + halfHeight,
+      hex.x - halfWidth / 2,
+      hex.y + halfHeight,
+    ];
+  }
+}
+
+// Shared instance used by the turn loop, building and the HUD
+export const soilSystem = new SoilSystem();
+export default soilSystem;
@@ -0,0 +1,217 @@
+/**
+ * SpatialIndex - Location queries for buildings, resources and hexes
+ *
+ * Buildings and resources are keyed by axial coordinate and bucketed by their
+ * distance from the island center. "Nearest X within R matching P" queries
+ * walk rings outward from the asking hex, so they stop at the first ring with
+ * a match instead of scanning every object on the island. The buckets bound
+ * how far the walk needs to go when nothing matches.
+ *
+ * Kept in sync with the factory events; hexes are looked up through the
+ * HexGrid's own index.
+ *
+ * Usage:
+ *   import spatialIndex from "./engine/SpatialIndex.js";
+ *   const resource = spatialIndex.findNearest("resources", drone.hex, {
+ *     radius: 4,
+ *     filter: (resource) => resource.amount > 0,
+ *   });
+ */
+
+import EventBus from "./EventBus.js";
+import { axialRing, hexToAxial, axialDistance } from "./HexMath.js";
+
+const ORIGIN = { q: 0, r: 0 };
+
+export const SPATIAL_LAYERS = {
+  BUILDINGS: "buildings",
+  RESOURCES: "resources",
+  HEXES: "hexes",
+};
+
+function axialKey(axial) {
+  return `${axial.q},${axial.r}`;
+}
+
+export class SpatialIndex {
+  constructor() {
+    // layer -> { byKey: Map<"q,r", object>, byDistance: Map<distance, Set> }
+    this.layers = new Map([
+      [SPATIAL_LAYERS.BUILDINGS, this.createLayer()],
+      [SPATIAL_LAYERS.RESOURCES, this.createLayer()],
+    ]);
+
+    this.setupEventHandlers();
+  }
+
+  createLayer() {
+    return { byKey: new Map(), byDistance: new Map() };
+  }
+
+  /**
+   * Follow object creation and removal
+   */
+  setupEventHandlers() {
+    const { BUILDINGS, RESOURCES } = SPATIAL_LAYERS;
+
+    EventBus.on("factory:buildingCreated", ({ building }) =>
+      this.add(BUILDINGS, building),
+    );
+    EventBus.on("factory:buildingRemoved", ({ building }) =>
+      this.remove(BUILDINGS, building),
+    );
+    EventBus.on("building:destroyed", (building) =>
+      this.remove(BUILDINGS, building),
+    );
+
+    EventBus.on("factory:resourceCreated", ({ resource }) =>
+      this.add(RESOURCES, resource),
+    );
+    EventBus.on("factory:resourceRemoved", ({ resource }) =>
+      this.remove(RESOURCES, resource),
+    );
+    EventBus.on("resource:destroyed", (resource) =>
+      this.remove(RESOURCES, resource),
+    );
+
+    EventBus.on("grid:cleared", () => this.clear());
+  }
+
+  /**
+   * Index an object at its hex
+   * @param {string} layer - SPATIAL_LAYERS value
+   * @param {GameObject} object - Building or resource with a hex
+   */
+  add(layer, object) {
+    const index = this.layers.get(layer);
+    if (!index || !object?.hex) return;
+
+    const axial = hexToAxial(object.hex);
+    const distance = axialDistance(ORIGIN, axial);
+
+    index.byKey.set(axialKey(axial), object);
+    if (!index.byDistance.has(distance)) {
+      index.byDistance.set(distance, new Set());
+    }
+    index.byDistance.get(distance).add(object);
+  }
+
+  /**
+   * Drop an object from the index
+   * @param {string} layer - SPATIAL_LAYERS value
+   * @param {GameObject} object - Indexed object
+   */
+  remove(layer, object) {
+    const index = this.layers.get(layer);
+    if (!index || !object?.hex) return;
+
+    const axial = hexToAxial(object.hex);
+    const key = axialKey(axial);
+    if (index.byKey.get(key) === object) {
+      index.byKey.delete(key);
+    }
+
+    const distance = axialDistance(ORIGIN, axial);
+    const bucket = index.byDistance.get(distance);
+    if (bucket) {
+      bucket.delete(object);
+      if (bucket.size === 0) index.byDistance.delete(distance);
+    }
+  }
+
+  clear() {
+    this.layers.forEach((index) => {
+      index.byKey.clear();
+      index.byDistance.clear();
+    });
+  }
+
+  /**
+   * Get the object at an axial position
+   * @param {string} layer - SPATIAL_LAYERS value
+   * @param {Object} axial - { q, r }
+   * @returns {Object|null} Building, resource or hex
+   */
+  getAtAxial(layer, axial) {
+    if (layer === SPATIAL_LAYERS.HEXES) {
+      return window.hexGrid?.index.getAxial(axial) || null;
+    }
+    return this.layers.get(layer)?.byKey.get(axialKey(axial)) || null;
+  }
+
+  /**
+   * Get the object on a hex
+   * @param {string} layer - SPATIAL_LAYERS value
+   * @param {Hex} hex - Hex to look at
+   * @returns {Object|null} Building, resource or hex
+   */
+  getAt(layer, hex) {
+    return this.getAtAxial(layer, hexToAxial(hex));
+  }
+
+  /**
+   * Furthest ring that can still hold something in a layer
+   * @param {string} layer - SPATIAL_LAYERS value
+   * @param {Object} center - Axial center of the query
+   * @returns {number} Ring limit
+   */
+  getSearchLimit(layer, center) {
+    let outermost;
+    if (layer === SPATIAL_LAYERS.HEXES) {
+      outermost = window.hexGrid?.currentRadius || 0;
+    } else {
+      const distances = [...this.layers.get(layer).byDistance.keys()];
+      if (distances.length === 0) return -1;
+      outermost = Math.max(...distances);
+    }
+    return axialDistance(ORIGIN, center) + outermost;
+  }
+
+  /**
+   * Get matching objects within a radius, nearest first
+   * @param {string} layer - SPATIAL_LAYERS value
+   * @param {Hex} fromHex - Hex to measure from
+   * @param {Object} options - { radius, filter, limit }
+   * @returns {Object[]} Matching objects
+   */
+  findWithin(layer, fromHex, options = {}) {
+    const { radius = Infinity, filter = null, limit = Infinity } = options;
+    if (
+      !fromHex ||
+      (layer !== SPATIAL_LAYERS.HEXES && !this.layers.has(layer))
+    ) {
+      return [];
+    }
+
+    const center = hexToAxial(fromHex);
+    const maxRing = Math.min(radius, this.getSearchLimit(layer, center));
+    const results = [];
+
+    for (let ring = 0; ring <= maxRing; ring++) {
+      for (const axial of axialRing(center, ring)) {
+        const object = this.getAtAxial(layer, axial);
+        if (object && (!filter || filter(object))) {
+          results.push(object);
+          if (results.length >= limit) return results;
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Get the nearest matching object
+   * @param {string} layer - SPATIAL_LAYERS value
+   * @param {Hex} fromHex - Hex to measure from
+   * @param {Object} options - { radius, filter }
+   * @returns {Object|null} Nearest match, or null if none is in range
+   */
+  findNearest(layer, fromHex, options = {}) {
+    return this.findWithin(layer, fromHex, { ...options, limit: 1 })[0] || null;
+  }
+}
+
+// Shared instance used by every system
+export const spatialIndex = new SpatialIndex();
+export default spatialIndex;
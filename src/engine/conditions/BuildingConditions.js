@@ -1,4 +1,5 @@
 import BaseCondition from "./BaseCondition.js";
+import adjacencySystem from "../AdjacencySystem.js";
 
 /**
  * BuildingCountCondition - Check for specific number of buildings
@@ -344,3 +345,64 @@ export class ConsecutiveTurnsCondition extends BaseCondition {
     this.requirementTracker.clear();
   }
 }
+
+/**
+ * AdjacencyCondition - Check that buildings benefit from their neighbours
+ *
+ * Counts finished buildings receiving an adjacency bonus. bonusType "all"
+ * also requires every finished building to have one; "any" counts any bonus;
+ * an effect name ("production", "comfort") only counts that effect.
+ */
+export class AdjacencyCondition extends BaseCondition {
+  validateConfig() {
+    super.validateConfig();
+
+    if (!this.config.buildings || this.config.buildings < 1) {
+      throw new Error("AdjacencyCondition requires positive buildings count");
+    }
+  }
+
+  getEffectFilter() {
+    const bonusType = this.config.bonusType || "any";
+    return bonusType === "all" || bonusType === "any" ? null : bonusType;
+  }
+
+  evaluate() {
+    const data = this.getCheckData();
+
+    if (this.config.bonusType === "all" && data.bonusCount < data.totalCount) {
+      return false;
+    }
+
+    return data.bonusCount >= this.config.buildings;
+  }
+
+  getCheckData() {
+    const effect = this.getEffectFilter();
+    const buildings = this.gameState.buildings.filter((b) =>
+      adjacencySystem.isFinished(b),
+    );
+    const withBonus = buildings.filter((b) =>
+      adjacencySystem.hasBonus(b, effect),
+    );
+
+    return {
+      totalCount: buildings.length,
+      bonusCount: withBonus.length,
+      requiredCount: this.config.buildings,
+      bonusType: this.config.bonusType || "any",
+      buildings: withBonus.map((b) => ({
+        type: b.type,
+        multipliers: { ...adjacencySystem.getBonus(b).multipliers },
+        position: { q: b.hex.q, r: b.hex.r },
+      })),
+    };
+  }
+
+  getProgress() {
+    if (this.isMet) return 1.0;
+
+    const data = this.getCheckData();
+    return Math.min(data.bonusCount / this.config.buildings, 1.0);
+  }
+}
@@ -6,12 +6,15 @@ import {
   BuildingCountCondition,
   BuildingActiveCondition,
   ConsecutiveTurnsCondition,
+  AdjacencyCondition,
 } from "./BuildingConditions.js";
 import {
   SurvivalCondition,
   FuelDepletionCondition,
   TurnLimitCondition,
+  EventSurvivalCondition,
 } from "./SurvivalConditions.js";
+import { DroneTypeCondition } from "./UnitConditions.js";
 
 /**
  * ConditionManager - Orchestrates all condition checking
@@ -29,9 +32,12 @@ export class ConditionManager {
       BuildingCountCondition: BuildingCountCondition,
       BuildingActiveCondition: BuildingActiveCondition,
       ConsecutiveTurnsCondition: ConsecutiveTurnsCondition,
+      AdjacencyCondition: AdjacencyCondition,
       SurvivalCondition: SurvivalCondition,
       FuelDepletionCondition: FuelDepletionCondition,
       TurnLimitCondition: TurnLimitCondition,
+      EventSurvivalCondition: EventSurvivalCondition,
+      DroneTypeCondition: DroneTypeCondition,
     };
 
     // Active conditions
@@ -1,4 +1,6 @@
 import BaseCondition from "./BaseCondition.js";
+import powerGrid from "../PowerGrid.js";
+import eventSystem from "../EventSystem.js";
 
 /**
  * SurvivalCondition - Check basic survival requirements
@@ -79,10 +81,7 @@ export class FuelDepletionCondition extends BaseCondition {
 
   getCheckData() {
     const fuel = this.playerStorage.getFuel();
-    const fuelConsumption =
-      this.gameState.fuelConsumptionBase +
-      this.gameState.buildings.length *
-        this.gameState.fuelConsumptionPerBuilding;
+    const fuelConsumption = powerGrid.getFuelConsumption();
 
     return {
       currentFuel: fuel,
@@ -98,10 +97,7 @@ export class FuelDepletionCondition extends BaseCondition {
     if (fuel <= 0) return 1.0; // Fully "progressed" to defeat
 
     // Show how close we are to running out
-    const fuelConsumption =
-      this.gameState.fuelConsumptionBase +
-      this.gameState.buildings.length *
-        this.gameState.fuelConsumptionPerBuilding;
+    const fuelConsumption = powerGrid.getFuelConsumption();
     const turnsRemaining =
       this.playerStorage.getTurnsRemaining(fuelConsumption);
 
@@ -330,3 +326,49 @@ export class ResourceDepletionCondition extends BaseCondition {
     );
   }
 }
+
+/**
+ * EventSurvivalCondition - Survive a number of disasters
+ *
+ * Counts disasters from the EventSystem that the island made it through.
+ * With minPopulation set, only disasters survived with at least that many
+ * colonists count.
+ */
+export class EventSurvivalCondition extends BaseCondition {
+  validateConfig() {
+    super.validateConfig();
+
+    if (!this.config.events || this.config.events < 1) {
+      throw new Error("EventSurvivalCondition requires positive events count");
+    }
+  }
+
+  evaluate() {
+    return this.getCheckData().survivedCount >= this.config.events;
+  }
+
+  getCheckData() {
+    const minPopulation = this.config.minPopulation || 0;
+    const survived = eventSystem
+      .getSurvivedDisasters()
+      .filter((disaster) => disaster.population >= minPopulation);
+
+    return {
+      survivedCount: survived.length,
+      requiredCount: this.config.events,
+      minPopulation,
+      disasters: survived.map((disaster) => ({
+        id: disaster.id,
+        turn: disaster.turn,
+        survivedTurn: disaster.survivedTurn,
+      })),
+    };
+  }
+
+  getProgress() {
+    if (this.isMet) return 1.0;
+
+    const data = this.getCheckData();
+    return Math.min(data.survivedCount / this.config.events, 1.0);
+  }
+}
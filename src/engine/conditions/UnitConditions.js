@@ -0,0 +1,103 @@
+import BaseCondition from "./BaseCondition.js";
+
+/**
+ * DroneTypeCondition - Run several drone roles at the same time
+ *
+ * Requires at least one live drone of every listed role (see UNITS in
+ * GameData.js: hauler, lumber, builder, courier). With simultaneousOperation
+ * set, all roles must be in the air for that many consecutive turns.
+ */
+export class DroneTypeCondition extends BaseCondition {
+  constructor(config, gameState, playerStorage) {
+    super(config, gameState, playerStorage);
+
+    // Track consecutive turn state
+    this.consecutiveCount = 0;
+    this.lastMetTurn = null;
+  }
+
+  validateConfig() {
+    super.validateConfig();
+
+    if (!this.config.types || this.config.types.length === 0) {
+      throw new Error("DroneTypeCondition requires types array");
+    }
+  }
+
+  /**
+   * Count live drones per role
+   * @returns {Object} { role: count }
+   */
+  getRoleCounts() {
+    return this.gameState.units
+      .filter((unit) => unit.type === "drone" && !unit.isDestroyed)
+      .reduce((counts, drone) => {
+        counts[drone.role] = (counts[drone.role] || 0) + 1;
+        return counts;
+      }, {});
+  }
+
+  /**
+   * Check if every required role has a drone right now
+   * @returns {boolean} True if all roles are operating
+   */
+  allTypesOperating() {
+    const counts = this.getRoleCounts();
+    return this.config.types.every((role) => counts[role] > 0);
+  }
+
+  evaluate() {
+    const currentTurn = this.gameState.currentTurn;
+
+    if (this.allTypesOperating()) {
+      if (this.lastMetTurn === null || this.lastMetTurn < currentTurn - 1) {
+        // First turn, or the sequence was broken
+        this.consecutiveCount = 1;
+      } else if (this.lastMetTurn === currentTurn - 1) {
+        this.consecutiveCount++;
+      }
+      // If lastMetTurn === currentTurn, this turn was already counted
+
+      this.lastMetTurn = currentTurn;
+    } else {
+      this.consecutiveCount = 0;
+      this.lastMetTurn = null;
+    }
+
+    return this.consecutiveCount >= this.getRequiredTurns();
+  }
+
+  /**
+   * Get the turns all roles must operate together
+   * @returns {number} Required consecutive turns (at least 1)
+   */
+  getRequiredTurns() {
+    return this.config.simultaneousOperation || 1;
+  }
+
+  getCheckData() {
+    const counts = this.getRoleCounts();
+
+    return {
+      consecutiveCount: this.consecutiveCount,
+      requiredCount: this.getRequiredTurns(),
+      lastMetTurn: this.lastMetTurn,
+      types: this.config.types.map((role) => ({
+        role,
+        count: counts[role] || 0,
+      })),
+    };
+  }
+
+  getProgress() {
+    if (this.isMet) return 1.0;
+
+    return Math.min(this.consecutiveCount / this.getRequiredTurns(), 1.0);
+  }
+
+  reset() {
+    super.reset();
+    this.consecutiveCount = 0;
+    this.lastMetTurn = null;
+  }
+}
@@ -1,6 +1,14 @@
 import Hex from "../Hex.js";
 import GameObjectFactory from "../engine/GameObjectFactory.js";
+import EventBus from "../engine/EventBus.js";
+import randomService from "../engine/Random.js";
 import { GAME_BALANCE } from "../configs/GameData.js";
+import {
+  HexIndex,
+  axialRing,
+  axialToOffset,
+  pixelToOffset,
+} from "../engine/HexMath.js";
 
 /**
  * HexGrid - Handles hexagonal grid expansion
@@ -12,6 +20,49 @@ export class HexGrid {
     this.currentRadius = GAME_BALANCE.grid.radius; // Start with initial radius
     this.hexes = [];
     this.gridContainer = null;
+
+    // Coordinate lookup over every hex on the island
+    this.index = new HexIndex(() => this.gameState.hexes);
+  }
+
+  /**
+   * Get the hex at offset coordinates
+   * @param {number} q - Column
+   * @param {number} r - Row
+   * @returns {Hex|null} Hex, or null if the island has none there
+   */
+  getHex(q, r) {
+    return this.index.get(q, r);
+  }
+
+  /**
+   * Get the existing neighbours of a hex
+   * @param {Hex} hex - Center hex
+   * @returns {Array} Up to 6 adjacent hexes
+   */
+  getNeighbors(hex) {
+    return this.index.neighbors(hex);
+  }
+
+  /**
+   * Get the existing hexes within a number of steps
+   * @param {Hex} hex - Center hex
+   * @param {number} radius - Range in steps
+   * @returns {Array} Hexes in range, including the center
+   */
+  getHexesInRange(hex, radius) {
+    return this.index.inRange(hex, radius);
+  }
+
+  /**
+   * Get the hex under a point
+   * @param {number} x - X in grid container coordinates
+   * @param {number} y - Y in grid container coordinates
+   * @returns {Hex|null} Hex under the point
+   */
+  getHexAtPixel(x, y) {
+    const { col, row } = pixelToOffset(x, y);
+    return this.index.get(col, row);
   }
 
   /**
@@ -25,21 +76,10 @@ export class HexGrid {
     const startIndex = this.hexes.length;
     let hexIndex = startIndex;
 
-    // Ring hexes using axial coordinates (same logic as main.js)
-    for (let q = -ring; q <= ring; q++) {
-      const r1 = Math.max(-ring, -q - ring);
-      const r2 = Math.min(ring, -q + ring);
-
-      for (let r = r1; r <= r2; r++) {
-        // Only include hexes at exactly ring distance
-        if (Math.max(Math.abs(q), Math.abs(r), Math.abs(-q - r)) === ring) {
-          // Use the same coordinate transformation as main.js
-          const row = r + (q - (q & 1)) / 2;
-          const hex = window.createHex(q, row, hexIndex++);
-          ringHexes.push(hex);
-        }
-      }
-    }
+    axialRing({ q: 0, r: 0 }, ring).forEach((axial) => {
+      const { col, row } = axialToOffset(axial);
+      ringHexes.push(window.createHex(col, row, hexIndex++));
+    });
 
     console.log(
       `[HexGrid] Created ring ${ring} with ${ringHexes.length} hexes`,
@@ -73,6 +113,11 @@ export class HexGrid {
     // Update game state hexes array
     this.gameState.hexes = this.hexes;
 
+    EventBus.emit("grid:expanded", {
+      radius: newRadius,
+      hexCount: this.hexes.length,
+    });
+
     // Re-center grid to accommodate new size
     if (window.centerGrid) {
       window.centerGrid();
@@ -199,12 +244,7 @@ export class HexGrid {
    * @returns {Array} Shuffled copy
    */
   shuffleArray(array) {
-    const shuffled = [...array];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-    }
-    return shuffled;
+    return randomService.stream("resources").shuffle(array);
   }
 
   /**
@@ -226,6 +266,9 @@ export class HexGrid {
 
     this.hexes.length = 0;
     this.currentRadius = GAME_BALANCE.grid.radius;
+    this.index.invalidate();
+
+    EventBus.emit("grid:cleared");
   }
 
   /**
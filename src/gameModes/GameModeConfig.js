@@ -9,6 +9,7 @@
 export const GAME_MODES = {
   STORY: "story",
   LONG_TOMORROW: "long_tomorrow",
+  CHALLENGE: "challenge",
 };
 
 // Game mode configurations
@@ -64,10 +65,37 @@ export const GAME_MODE_CONFIG = {
       "innovator", // Technology focus
     ],
 
+    randomEvents: true, // Disasters and traders (see EventSystem)
+    individualStorage: true, // Storage buildings keep their own contents (see PlayerStorage)
     maxMemorialPercentage: 0.3, // Maximum 30% of island can be memorialized
     soilMemoryDuration: 3, // Sessions enriched soil persists without farming
     resourceDecayRate: 0.1, // 10% decay of uncollected piles between sessions
     contaminationSpreadRate: 0.05, // Rate at which contamination spreads per session
+    contaminationRecoveryRate: 0.1, // Contamination soil sheds between sessions
+  },
+
+  [GAME_MODES.CHALLENGE]: {
+    name: "Challenge Mode",
+    shortName: "Challenge",
+    description:
+      "Everyone plays the same seeded island with the same objectives. Rotates daily and weekly.",
+    longDescription:
+      "Challenge Mode hands every player the same island, starting supplies and win/lose conditions, derived from the calendar date. Survive as long as you can, grow your population and end with full stores to push your score up the local history table.",
+    features: [
+      "Daily and weekly rotation",
+      "Shared seeded island",
+      "Fixed objectives",
+      "Scored results",
+      "Local score history",
+    ],
+    icon: "challenge", // Future: icon reference
+    color: "#E6A817", // Amber
+    unlocked: true,
+    persistent: false, // Each challenge run stands alone
+    hasMetaProgression: false,
+
+    // Challenge specific configuration (see configs/challenges.js)
+    periods: ["daily", "weekly"],
   },
 };
 
@@ -110,6 +138,7 @@ export function isValidGameMode(gameMode) {
 export const GAME_MODE_DISPLAY_ORDER = [
   GAME_MODES.STORY,
   GAME_MODES.LONG_TOMORROW,
+  GAME_MODES.CHALLENGE,
 ];
 
 export default {
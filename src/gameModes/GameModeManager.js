@@ -6,6 +6,7 @@
  */
 
 import EventBus from "../engine/EventBus.js";
+import randomService from "../engine/Random.js";
 import {
   GAME_MODES,
   getGameModeConfig,
@@ -89,6 +90,14 @@ export class GameModeManager {
     return this.currentGameMode === GAME_MODES.LONG_TOMORROW;
   }
 
+  /**
+   * Check if current mode is challenge mode
+   * @returns {boolean} True if challenge mode
+   */
+  isChallengeMode() {
+    return this.currentGameMode === GAME_MODES.CHALLENGE;
+  }
+
   /**
    * Check if current mode supports persistence
    * @returns {boolean} True if mode supports persistence
@@ -229,7 +238,7 @@ export class GameModeManager {
    * @returns {string} Session ID
    */
   generateSessionId() {
-    return `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    return `session_${Date.now()}_${randomService.stream("ids").id()}`;
   }
 
   /**
@@ -244,7 +253,7 @@ export class GameModeManager {
     switch (system) {
       case "victory":
         return {
-          hasVictoryConditions: this.isStoryMode(),
+          hasVictoryConditions: this.isStoryMode() || this.isChallengeMode(),
           allowsInfinitePlay: this.isLongTomorrowMode(),
           trackAchievements: true,
         };
@@ -10,14 +10,8 @@ import GameObjectFactory from "./engine/GameObjectFactory.js";
 import PlayerStorage from "./engine/PlayerStorage.js";
 import Hex from "./Hex.js";
 import { ZoomManager } from "./ui/ZoomManager.js";
-import {
-  HEX_SIZE,
-  HEX_HEIGHT,
-  HEX_OFFSET_X,
-  HEX_OFFSET_Y,
-  HEX_SCALE_LEVELS,
-  ASSETS,
-} from "./configs/config.js";
+import { HEX_SCALE_LEVELS, ASSETS } from "./configs/config.js";
+import { axialToOffset } from "./engine/HexMath.js";
 
 // Screen system imports
 import ScreenManager from "./ui/ScreenManager.js";
@@ -26,10 +20,21 @@ import ProgressionScreen from "./ui/screens/ProgressionScreen.js";
 import GameScreen from "./ui/screens/GameScreen.js";
 import VictoryScreen from "./ui/screens/VictoryScreen.js";
 import DefeatScreen from "./ui/screens/DefeatScreen.js";
+import ChallengeScreen from "./ui/screens/ChallengeScreen.js";
+import SessionSummaryScreen from "./ui/screens/SessionSummaryScreen.js";
+import ResearchScreen from "./ui/screens/ResearchScreen.js";
+import AchievementScreen from "./ui/screens/AchievementScreen.js";
 import { SCREENS } from "./configs/screens.js";
 
 // Progression system imports
 import ProgressionManager from "./engine/ProgressionManager.js";
+import ChallengeManager from "./engine/ChallengeManager.js";
+import { getChallengeByKey } from "./configs/challenges.js";
+
+// Save system imports
+import SaveSystem from "./engine/SaveSystem.js";
+import randomService from "./engine/Random.js";
+import { longTomorrowManager } from "./systems/longTomorrow/index.js";
 
 // Game mode system imports
 import gameModeManagerInstance from "./gameModes/GameModeManager.js";
@@ -45,23 +50,29 @@ import {
   getContainers,
 } from "./game/GameContainers.js";
 import GameUI from "./ui/GameUI.js";
+import DroneCommander from "./ui/DroneCommander.js";
 import HexGrid from "./game/HexGrid.js";
 
 // Building management system with timed construction
 import { BuildingSystem } from "./engine/BuildingSystem.js";
-import { getBuildingData } from "./configs/GameData.js";
+import powerGrid from "./engine/PowerGrid.js";
+import eventSystem from "./engine/EventSystem.js";
+import ruinSystem from "./engine/RuinSystem.js";
+import soilSystem from "./engine/SoilSystem.js";
+import researchEffects from "./systems/longTomorrow/ResearchEffects.js";
+import {
+  getBuildingData,
+  getResourceYield,
+  calculateBuildingCost,
+  GAME_BALANCE,
+} from "./configs/GameData.js";
 
 // Make PIXI globally available for other modules that expect it
 window.PIXI = PIXI;
 
 // Utility functions for hex grid generation
 function shuffleArray(array) {
-  const shuffled = [...array];
-  for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-  }
-  return shuffled;
+  return randomService.stream("resources").shuffle(array);
 }
 
 function evaluateResourceExpression(expression, radius) {
@@ -169,10 +180,12 @@ let hexGrid;
 // Game managers (will be initialized when game starts)
 let uiManager;
 let sceneManager;
+let droneCommander;
 // Removed gameStateManager - using SimpleBuildingSystem instead
 let playerStorage;
 let zoomManager;
 let progressionManager;
+let challengeManager;
 let gameModeManager;
 
 // Building system with timed construction
@@ -238,6 +251,26 @@ EventBus.on("progression:levelFailed", (data) => {
   }, 1000); // Brief delay to see what happened
 });
 
+EventBus.on("challenge:completed", (result) => {
+  gameState.isPaused = true;
+
+  // A scored challenge cannot be continued from its autosaves
+  SaveSystem.clearAutosaves();
+
+  setTimeout(() => {
+    window.screenManager?.showScreen(SCREENS.CHALLENGE, { data: { result } });
+  }, 1500);
+});
+
+// Research warns of disasters before they strike - Long Tomorrow mode only
+EventBus.on("randomEvent:forecast", ({ event, turn, sources }) => {
+  uiManager.showNotice(
+    `${sources.join(", ") || "Forecast"}: ${event.name} will strike at the end of turn ${turn}`,
+    { x: app.screen.width / 2, y: 80 },
+    4000,
+  );
+});
+
 // Add UI event listeners
 EventBus.on("ui:centerGrid", () => {
   centerGrid(); // Re-center grid when zoom changes
@@ -260,13 +293,18 @@ EventBus.on("factory:buildingCreated", () => {
   }
 });
 
-function createHex(q, r, i) {
+function createHex(q, r, i, terrain = null) {
   const hex = new Hex(q, r);
   hex.i = i;
   // hexes.push(hex);
   gameState.hexes.push(hex);
 
-  hex.assignRandomTerrain();
+  // Restored hexes keep their saved terrain and buildings
+  if (terrain) {
+    hex.setTerrain(terrain);
+  } else {
+    hex.assignRandomTerrain();
+  }
 
   hex.sprite.anchor.set(0.5);
   hex.sprite.scale.set(1); // Initialize with scale 1
@@ -287,7 +325,7 @@ function createHex(q, r, i) {
 
   gridContainer.addChild(hex.sprite);
 
-  if (q == 0 && r == 0) {
+  if (q == 0 && r == 0 && !terrain) {
     console.log("[Init] Adding initial reactor (already completed)...");
     // Use buildCompleted instead of buildOnHex to create a finished reactor
     if (buildingSystem) {
@@ -315,7 +353,7 @@ async function createHexGrid(radius) {
     let forestCluster = 1;
 
     for (let r = r1; r <= r2; r++) {
-      let row = r + (q - (q & 1)) / 2;
+      const { row } = axialToOffset({ q, r });
       const hex = createHex(q, row, i++);
 
       if (
@@ -325,7 +363,7 @@ async function createHexGrid(radius) {
         radioactiveCount > 0 &&
         radioactiveCluster > 0
       ) {
-        if (Math.random() > 0.7) {
+        if (randomService.stream("resources").next() > 0.7) {
           addResourceToHex(hex, "radioactive_waste", 500);
           radioactiveCount--;
           radioactiveCluster--;
@@ -338,7 +376,7 @@ async function createHexGrid(radius) {
         forestCount > 0 &&
         forestCluster > 0
       ) {
-        if (Math.random() > 0.5) {
+        if (randomService.stream("resources").next() > 0.5) {
           addResourceToHex(hex, "forest", 200);
           forestCount--;
           forestCluster--;
@@ -622,6 +660,18 @@ function handleHexHover(hex) {
     tooltipText += `\nResource: ${hex.resource.type} (${hex.resource.amount})`;
   }
 
+  // Landmarks left by earlier Long Tomorrow sessions
+  const landmark = ruinSystem.describe(hex);
+  if (landmark) {
+    tooltipText += `\n${landmark}`;
+  }
+
+  // Soil remembered across Long Tomorrow sessions
+  const soil = soilSystem.describe(hex);
+  if (soil) {
+    tooltipText += `\n${soil}`;
+  }
+
   uiManager.createTooltip(tooltipText, screenPos);
 }
 
@@ -645,6 +695,12 @@ function handleHexClick(hex, event) {
     event.stopPropagation();
   }
 
+  // With drones selected, clicks and drags on the grid are orders
+  if (droneCommander?.isActive()) {
+    droneCommander.onHexDown(hex);
+    return;
+  }
+
   // Clear previous selection
   if (gameState.selectedHex) {
     gameState.selectedHex.isSelected = false;
@@ -675,12 +731,26 @@ function handleHexClick(hex, event) {
 
 // Context menu creation using BuildingSystem
 function createHexContextMenu(hex, menuOptions, screenPos) {
-  // Use the building system for context menus
-  const contextMenuOptions = buildingSystem.getHexContextMenu(hex);
+  // Use the building system for context menus; ruins and memorials of
+  // earlier sessions offer their own choices instead of the build menu
+  const contextMenuOptions = ruinSystem.hasLandmark(hex)
+    ? ruinSystem.getContextMenu(hex)
+    : buildingSystem.getHexContextMenu(hex);
 
   // Merge with any existing menu options (for compatibility)
   menuOptions.push(...contextMenuOptions);
 
+  // Drones flying over the hex can be selected for orders
+  const dronesHere = gameState.units.filter(
+    (unit) => unit.type === "drone" && !unit.isDestroyed && unit.hex === hex,
+  );
+  if (dronesHere.length > 0) {
+    menuOptions.push({
+      label: `Command ${dronesHere.length === 1 ? dronesHere[0].name : `${dronesHere.length} Drones`}`,
+      action: () => droneCommander.select(dronesHere),
+    });
+  }
+
   uiManager.createContextMenu(menuOptions, screenPos);
 }
 
@@ -731,22 +801,7 @@ function buildDroneNearFactory(factory) {
 
 // Get adjacent hexes (6 neighbors in hexagonal grid)
 function getAdjacentHexes(hex) {
-  const directions = [
-    { q: 1, r: 0 },
-    { q: 1, r: -1 },
-    { q: 0, r: -1 },
-    { q: -1, r: 0 },
-    { q: -1, r: 1 },
-    { q: 0, r: 1 },
-  ];
-
-  return directions
-    .map((dir) =>
-      gameState.hexes.find(
-        (h) => h.q === hex.q + dir.q && h.r === hex.r + dir.r,
-      ),
-    )
-    .filter((h) => h !== undefined);
+  return hexGrid.getNeighbors(hex);
 }
 
 // Demolish building - now uses BuildingSystem
@@ -764,9 +819,10 @@ function collectResource(hex) {
   if (!hex.resource) return;
 
   const collectionAmount = 10;
+  const resourceType = getResourceYield(hex.resource.type);
 
   // Check if we have storage space
-  if (!playerStorage.canStore(collectionAmount)) {
+  if (!playerStorage.canStore(collectionAmount, resourceType)) {
     // Show storage full message
     console.log("[Collect] Storage full! Build more storage buildings.");
 
@@ -787,15 +843,16 @@ function collectResource(hex) {
   if (actualCollected > 0) {
     // Add to player storage
     console.log(
-      `[Collect] About to add ${actualCollected} ${hex.resource.type} to storage`,
+      `[Collect] About to add ${actualCollected} ${resourceType} to storage`,
     );
     const storedAmount = playerStorage.addResources(
       actualCollected,
-      hex.resource.type,
+      resourceType,
+      { near: hex },
     );
 
     console.log(
-      `[Collect] Collected ${storedAmount} ${hex.resource.type} from (${hex.q}, ${hex.r})`,
+      `[Collect] Collected ${storedAmount} ${resourceType} from (${hex.q}, ${hex.r})`,
     );
 
     // Show collection feedback
@@ -839,7 +896,15 @@ function setupEventListeners() {
   app.stage.hitArea = app.screen;
   app.stage.on("pointermove", (event) => {
     gameState.pointerPosition = event.global;
+
+    // Drone order previews follow the pointer (also while dragging on touch)
+    if (droneCommander?.isActive()) {
+      const hex = findHexAtPosition(event.global.x, event.global.y);
+      if (hex) droneCommander.onHexHover(hex);
+    }
   });
+  app.stage.on("pointerup", () => droneCommander?.onPointerUp());
+  app.stage.on("pointerupoutside", () => droneCommander?.onPointerUp());
 
   // Pan/drag functionality for mobile
   setupPanControls();
@@ -982,14 +1047,23 @@ function processTurnEnd() {
   // Process refinery production
   processRefineryProduction();
 
-  // Calculate fuel consumption
-  const buildingCount = gameState.buildings.length;
-  const fuelConsumption =
-    gameState.fuelConsumptionBase +
-    buildingCount * gameState.fuelConsumptionPerBuilding;
+  // Collect water, then irrigate greenhouses with it
+  processWaterCollection();
+  processGreenhouseProduction();
+  processForestYield();
+
+  // Greenhouses enrich the soil, waste piles contaminate it
+  soilSystem.processTurnEnd();
+
+  // Food above silo capacity spoils
+  playerStorage.applyOverflow(true);
+
+  // Calculate fuel consumption (browned-out buildings burn none)
+  const fuelConsumption = powerGrid.getFuelConsumption();
+  const gridStatus = powerGrid.getStatus();
 
   console.log(
-    `[Turn ${gameState.currentTurn}] Consuming ${fuelConsumption} fuel (${gameState.fuelConsumptionBase} base + ${buildingCount} buildings × ${gameState.fuelConsumptionPerBuilding})`,
+    `[Turn ${gameState.currentTurn}] Consuming ${fuelConsumption} fuel (grid load ${Math.round(gridStatus.load * 100)}%, ${gridStatus.stress}, ${gridStatus.brownedOut} browned out)`,
   );
 
   // Attempt to consume fuel
@@ -1001,6 +1075,12 @@ function processTurnEnd() {
     return;
   }
 
+  // Work on ruins from earlier sessions moves on
+  ruinSystem.processTurnEnd();
+
+  // Earlier disasters are survived, then a new event may strike
+  eventSystem.processTurnEnd(gameState.currentTurn);
+
   // Check progression conditions at turn end (before fuel warnings) - Story mode only
   if (
     gameModeManager &&
@@ -1159,6 +1239,72 @@ function processRefineryProduction() {
   });
 }
 
+// Collect water from every finished rain collector at end of turn
+function processWaterCollection() {
+  const collectors = gameState.buildings.filter(
+    (building) =>
+      building.type === "water_collector" && !building.isUnderConstruction,
+  );
+  if (collectors.length === 0) return;
+
+  const waterCollected = collectors.reduce((total, collector) => {
+    const result = collector.processProduction();
+    return total + (result.produced ? result.amount : 0);
+  }, 0);
+
+  console.log(
+    `[Production] ${collectors.length} collectors gathered ${waterCollected} water (stored: ${playerStorage.getWater()})`,
+  );
+}
+
+// Grow food in every finished greenhouse, drawing water as it goes
+function processGreenhouseProduction() {
+  const greenhouses = gameState.buildings.filter(
+    (building) =>
+      building.type === "greenhouse" && !building.isUnderConstruction,
+  );
+  if (greenhouses.length === 0) return;
+
+  let foodProduced = 0;
+  let dryGreenhouses = 0;
+  greenhouses.forEach((greenhouse) => {
+    const result = greenhouse.processProduction();
+    if (result.produced) {
+      foodProduced += result.amount;
+    } else if (result.reason === "no_water") {
+      dryGreenhouses++;
+    }
+  });
+
+  console.log(
+    `[Production] ${greenhouses.length} greenhouses produced ${foodProduced} food (water left: ${playerStorage.getWater()})`,
+  );
+  if (dryGreenhouses > 0) {
+    console.warn(
+      `[Production] ${dryGreenhouses} greenhouses idle - not enough water. Build rain collectors on grass.`,
+    );
+  }
+}
+
+// Forests yield materials with Forest Wisdom research - Long Tomorrow mode only
+function processForestYield() {
+  const perForest = researchEffects.apply("forestMaterials", 0);
+  if (perForest <= 0) return;
+
+  const forests = gameState.resources.filter(
+    (resource) => resource.type === "forest" && !resource.isDestroyed,
+  );
+  if (forests.length === 0) return;
+
+  const stored = playerStorage.addResources(
+    perForest * forests.length,
+    "materials",
+  );
+  console.log(
+    `[Production] ${forests.length} forests yielded ${stored} materials`,
+  );
+}
+
 // Trigger game over
 function triggerGameOver(reason) {
   gameState.isGameOver = true;
@@ -1189,6 +1335,291 @@ function triggerGameOver(reason) {
   });
 }
 
+// Systems that contribute a section to the save envelope
+function getSaveSystems() {
+  return {
+    gameState,
+    buildingSystem,
+    playerStorage,
+    progressionManager,
+    gameModeManager,
+    hexGrid,
+    randomService,
+    eventSystem,
+    // Long Tomorrow data only belongs in Long Tomorrow saves
+    longTomorrowManager: gameModeManager.isLongTomorrowMode()
+      ? longTomorrowManager
+      : null,
+  };
+}
+
+// Save the running game to a slot, or to the rolling autosave if none given
+function saveGame(slotId = null, name = null) {
+  if (!gameInitialized || gameState.isGameOver) return false;
+
+  const snapshot = SaveSystem.createSnapshot(getSaveSystems());
+  return slotId
+    ? SaveSystem.saveToSlot(slotId, snapshot, name)
+    : SaveSystem.writeAutosave(snapshot);
+}
+
+// Remove every unit, building, resource and hex from the island
+function clearWorld() {
+  // Copies since destroy events filter the arrays
+  [...gameState.units].forEach((unit) => unit.destroy());
+  [...gameState.buildings].forEach((building) => building.destroy());
+  [...gameState.resources].forEach((resource) => resource.destroy());
+  buildingSystem.buildings.clear();
+  buildingSystem.buildingsUnderConstruction.clear();
+  cleanupHexGrid();
+}
+
+// Replace the current island with a saved one
+function restoreGame(saveData) {
+  console.log("[Init] Restoring saved game...");
+
+  clearWorld();
+
+  SaveSystem.restoreSnapshot(saveData, getSaveSystems());
+
+  zoomManager.applyZoom();
+  centerGrid();
+  updateTurnInfo();
+  updateStorageInfo();
+
+  // Resume the saved level - Story mode only
+  if (
+    gameModeManager.isStoryMode() &&
+    saveData.island.gameState.isLevelActive &&
+    saveData.island.gameState.currentLevelId
+  ) {
+    progressionManager.resumeLevel(saveData.island.gameState.currentLevelId);
+  }
+
+  // Resume the saved challenge - Challenge mode only
+  if (gameModeManager.isChallengeMode()) {
+    challengeManager.resumeChallenge(saveData.session?.challenge);
+  } else {
+    challengeManager.stopChallenge();
+  }
+
+  // Carry on the saved session - Long Tomorrow mode only
+  if (gameModeManager.isLongTomorrowMode()) {
+    longTomorrowManager.resumeSession();
+  }
+
+  console.log(`[Init] Restored game on turn ${gameState.currentTurn}`);
+}
+
+// Start the session's challenge - Challenge mode only
+// Every run of a challenge gets a fresh island generated from its seed
+async function startChallenge(regenerateIsland) {
+  const sessionChallenge = gameModeManager.getSessionData()?.challenge;
+  const challenge = getChallengeByKey(
+    sessionChallenge?.period,
+    sessionChallenge?.key,
+  );
+
+  if (regenerateIsland) {
+    clearWorld();
+    Object.assign(gameState, {
+      currentTurn: 1,
+      timeRemaining: gameState.timePerTurn,
+      turnProgress: 0,
+      isGameOver: false,
+      gameOverReason: null,
+      isPaused: false,
+    });
+
+    randomService.setSeed(randomService.getSeed());
+    hexGrid.hexes = await createHexGrid(2);
+    hexGrid.currentRadius = 2;
+    centerGrid();
+  }
+
+  // Campaign levels do not run alongside a challenge
+  progressionManager.isLevelActive = false;
+  gameState.isLevelActive = false;
+
+  challengeManager.startChallenge(challenge);
+  updateTurnInfo();
+  updateStorageInfo();
+}
+
+// Start a Long Tomorrow session - Long Tomorrow mode only
+// The island regrows from the world's seed and the evolved world is laid over it
+async function startLongTomorrowSession(clearIsland) {
+  const { worldState, sessionNumber } = longTomorrowManager.startSession();
+
+  if (clearIsland) {
+    clearWorld();
+    uiManager.clearTooltip();
+    playerStorage.reset();
+    Object.assign(gameState, {
+      currentTurn: 1,
+      timeRemaining: gameState.timePerTurn,
+      turnProgress: 0,
+      isGameOver: false,
+      gameOverReason: null,
+      isPaused: false,
+    });
+  }
+
+  // The first session grows from the start screen's seed
+  randomService.setSeed(worldState.seed ?? randomService.getSeed());
+  const radius = worldState.islandRadius || GAME_BALANCE.grid.radius;
+  hexGrid.hexes = await createHexGrid(radius);
+  hexGrid.currentRadius = radius;
+  applyWorldState(worldState);
+  centerGrid();
+
+  // Campaign levels and challenges do not run alongside a session
+  progressionManager.isLevelActive = false;
+  gameState.isLevelActive = false;
+  challengeManager.stopChallenge();
+
+  updateTurnInfo();
+  updateStorageInfo();
+  console.log(
+    `[LongTomorrow] Session ${sessionNumber} started on ${hexGrid.hexes.length} hexes`,
+  );
+}
+
+// Lay the evolved world over the regrown island - Long Tomorrow mode only
+function applyWorldState(worldState) {
+  const { forestAmount } = GAME_BALANCE.longTomorrow;
+  const hexes = new Map(
+    gameState.hexes.map((hex) => [`${hex.q}_${hex.r}`, hex]),
+  );
+
+  // The world's features replace whatever the generator put on a free hex
+  const clearHex = (hexId) => {
+    const hex = hexes.get(hexId);
+    if (!hex || hex.building) return null;
+    if (hex.resource) {
+      GameObjectFactory.removeResource(hex);
+    }
+    return hex;
+  };
+
+  worldState.terrain.forEach((terrain, hexId) => {
+    if (terrain.type === "resource_pile" && terrain.amount > 0) {
+      const hex = clearHex(hexId);
+      if (hex) addResourceToHex(hex, "salvage", terrain.amount);
+    } else if (terrain.evolved) {
+      // Parks and farms left to the wild have grown into forest
+      const hex = clearHex(hexId);
+      if (hex) {
+        addResourceToHex(
+          hex,
+          "forest",
+          forestAmount * (1 + (terrain.materialBonus || 0)),
+        );
+      }
+    }
+  });
+
+  worldState.ruins.forEach((ruin, hexId) => {
+    const hex = clearHex(hexId);
+    if (hex) hex.ruin = ruin;
+  });
+
+  worldState.memorials.forEach((memorial, hexId) => {
+    const hex = clearHex(hexId);
+    if (hex) hex.memorial = memorial;
+  });
+  ruinSystem.placeMarkers(gameState.hexes);
+  soilSystem.applySoil(gameState.hexes, worldState.soilMemory);
+
+  console.log(
+    `[LongTomorrow] Applied world: ${worldState.terrain.size} terrain changes, ${worldState.ruins.size} ruins, ${worldState.memorials.size} memorials, ${worldState.soilMemory.size} remembered soils`,
+  );
+}
+
+// Describe the island for world evolution - Long Tomorrow mode only
+// (the shape WorldStateManager.recordSessionState() expects)
+function captureIsland() {
+  const { landUse } = GAME_BALANCE.longTomorrow;
+  const hexId = (hex) => `${hex.q}_${hex.r}`;
+  const island = {
+    buildings: new Map(),
+    terrain: new Map(),
+    ruins: new Map(),
+    memorials: new Map(),
+    soil: soilSystem.captureSoil(gameState.hexes),
+    population: playerStorage.getPopulation(),
+    turn: gameState.currentTurn,
+    seed: randomService.getSeed(),
+    islandRadius: hexGrid.currentRadius,
+  };
+
+  gameState.buildings
+    .filter(
+      (building) => !building.isDestroyed && !building.isUnderConstruction,
+    )
+    .forEach((building) => {
+      // Parks and farms return to the land instead of falling into ruin
+      if (landUse[building.type]) {
+        island.terrain.set(hexId(building.hex), {
+          type: landUse[building.type],
+        });
+        return;
+      }
+
+      island.buildings.set(hexId(building.hex), {
+        type: building.type,
+        level: building.level,
+        constructionCost:
+          calculateBuildingCost(building.type, building.level)?.materials || 0,
+      });
+    });
+
+  gameState.hexes.forEach((hex) => {
+    if (hex.ruin) {
+      island.ruins.set(hexId(hex), hex.ruin);
+    }
+    if (hex.memorial) {
+      island.memorials.set(hexId(hex), hex.memorial);
+    }
+  });
+
+  return island;
+}
+
+// End the session and evolve the world - Long Tomorrow mode only
+function endLongTomorrowSession(reason) {
+  if (!longTomorrowManager.isSessionActive()) return;
+
+  // The session is over whether the island fell or the player ended it
+  gameState.isGameOver = true;
+  gameState.gameOverReason = reason;
+  gameState.isPaused = true;
+
+  const sessionData = {
+    reason,
+    turn: gameState.currentTurn,
+    population: playerStorage.getPopulation(),
+  };
+  const completion = longTomorrowManager.endSession(
+    captureIsland(),
+    sessionData,
+  );
+  gameModeManager.endSession(sessionData);
+
+  // An ended session cannot be continued from its autosaves
+  SaveSystem.clearAutosaves();
+
+  console.log(
+    `[LongTomorrow] Session ${completion.sessionState.sessionNumber} ended (${reason}) on turn ${gameState.currentTurn}`,
+  );
+
+  setTimeout(() => {
+    window.screenManager?.showScreen(SCREENS.SESSION_SUMMARY, {
+      data: { ...sessionData, completion },
+    });
+  }, 1500);
+}
+
 // Update storage info UI
 function updateStorageInfo() {
   if (gameUI) {
@@ -1223,6 +1654,11 @@ function gameLoop(ticker) {
       if (gameModeManager && gameModeManager.isStoryMode()) {
         checkProgressionConditions();
       }
+
+      // Check challenge conditions once per turn - Challenge mode only
+      if (gameModeManager && gameModeManager.isChallengeMode()) {
+        challengeManager.checkConditions();
+      }
     }
 
     updateTurnInfo();
@@ -1235,32 +1671,20 @@ function gameLoop(ticker) {
   // Update game objects via building system (includes construction progress)
   buildingSystem.update();
   gameState.units.forEach((unit) => unit.update(scaledDelta / 60)); // Convert PIXI delta to seconds
+  droneCommander.update();
 
   // Removed polling-based hover detection - now handled by event listeners only
 }
 
-// Find hex at screen position - OPTIMIZED VERSION (not currently used)
-// This function is kept for potential future use, but is no longer needed
-// since we switched to event-driven hover detection
+// Find hex at screen position
+// Hover detection is event-driven; this picks hexes for drone order drags
 function findHexAtPosition(screenX, screenY) {
   // Convert screen coordinates to grid coordinates
   const worldPos = worldContainer.toLocal(new PIXI.Point(screenX, screenY));
   const gridPos = gridContainer.toLocal(new PIXI.Point(worldPos.x, worldPos.y));
 
-  // Convert pixel coordinates to axial coordinates using hexagonal math
-  // This is much more efficient than checking every hex
-  const size = HEX_SIZE;
-  const q = ((2 / 3) * gridPos.x) / size;
-  const r = ((-1 / 3) * gridPos.x + (Math.sqrt(3) / 3) * gridPos.y) / size;
-
-  // Round to nearest integer axial coordinates
-  const axialQ = Math.round(q);
-  const axialR = Math.round(r);
-
-  // Find hex with matching axial coordinates
-  return (
-    gameState.hexes.find((hex) => hex.q === axialQ && hex.r === axialR) || null
-  );
+  // Exact hex under the point, looked up by coordinates
+  return hexGrid.getHexAtPixel(gridPos.x, gridPos.y);
 }
 
 // Initialize game containers (called when GameScreen initializes)
@@ -1289,8 +1713,23 @@ function initializeGameUI() {
 }
 
 // Initialize game (called from GameScreen)
-async function initGame() {
-  if (gameInitialized) return;
+// Pass { saveData } to start from a saved game instead of a new island
+async function initGame(options = {}) {
+  const { saveData = null } = options;
+
+  if (gameInitialized) {
+    if (saveData) {
+      restoreGame(saveData);
+    } else if (gameModeManager.isChallengeMode()) {
+      await startChallenge(true);
+    } else if (
+      gameModeManager.isLongTomorrowMode() &&
+      !longTomorrowManager.isSessionActive()
+    ) {
+      await startLongTomorrowSession(true);
+    }
+    return;
+  }
 
   console.log("[Init] Starting game initialization...");
 
@@ -1300,6 +1739,7 @@ async function initGame() {
   // Initialize managers
   uiManager = new UIManager(uiContainer, app);
   sceneManager = new SceneManager(objectContainer);
+  droneCommander = new DroneCommander(objectContainer, uiContainer, app);
   playerStorage = new PlayerStorage(); // No longer requires GameStateManager
   zoomManager = new ZoomManager(gridContainer, objectContainer);
 
@@ -1315,6 +1755,9 @@ async function initGame() {
   // Initialize progression manager
   progressionManager = new ProgressionManager(gameState, playerStorage);
 
+  // Initialize challenge manager (Challenge mode runs its own conditions)
+  challengeManager = new ChallengeManager(gameState, playerStorage);
+
   // Initialize building system with timed construction
   buildingSystem = new BuildingSystem(gameState, playerStorage);
 
@@ -1322,9 +1765,11 @@ async function initGame() {
   window.GameObjectFactory = GameObjectFactory; // Make GameObjectFactory globally available for DroneFactory
   window.playerStorage = playerStorage;
   window.progressionManager = progressionManager;
+  window.challengeManager = challengeManager;
   window.gameModeManager = gameModeManager;
   window.buildingSystem = buildingSystem;
   window.sceneManager = sceneManager;
+  window.droneCommander = droneCommander;
 
   // Expose legacy functions for compatibility
   window.buildDroneNearFactory = buildDroneNearFactory;
@@ -1337,16 +1782,30 @@ async function initGame() {
   window.centerGrid = centerGrid;
   window.createHex = createHex;
   window.addResourceToHex = addResourceToHex;
+  window.saveGame = saveGame;
+  window.endLongTomorrowSession = endLongTomorrowSession;
 
   // Initialize hex grid system for expansion
   hexGrid = new HexGrid(gameState);
   hexGrid.gridContainer = gridContainer;
   hexGrid.currentRadius = 2;
+  window.hexGrid = hexGrid;
+
+  if (saveData) {
+    // Rebuild the saved island instead of generating a new one
+    SaveSystem.restoreSnapshot(saveData, getSaveSystems());
+  } else if (gameModeManager.isLongTomorrowMode()) {
+    // The session's island grows from the evolved world
+    await startLongTomorrowSession(false);
+  } else {
+    // Restart every stream so the island depends only on the map seed
+    randomService.setSeed(randomService.getSeed());
 
-  // Use original grid creation logic
-  const hexes = await createHexGrid(2);
-  hexGrid.hexes = hexes; // Keep HexGrid in sync
-  console.log(`[Init] Created ${hexes.length} hexes`);
+    // Use original grid creation logic
+    const hexes = await createHexGrid(2);
+    hexGrid.hexes = hexes; // Keep HexGrid in sync
+    console.log(`[Init] Created ${hexes.length} hexes`);
+  }
 
   // Add listener for reactor upgrades to trigger island expansion
   // (Must be done after hexGrid is initialized)
@@ -1415,14 +1874,50 @@ async function initGame() {
   // Initialize UI displays
   updateStorageInfo();
 
-  // Start Level 1 automatically - Story mode only
+  // Autosave after each turn (deferred until the game loop advances the turn)
+  EventBus.on("game:turnEnded", () => setTimeout(() => saveGame(), 0));
+  window.addEventListener("beforeunload", () => saveGame());
+
+  // A lost island cannot be continued from its autosaves (manual slots are kept)
+  EventBus.on("game:gameOver", () => SaveSystem.clearAutosaves());
+
+  // A fallen island ends the session - Long Tomorrow mode only
+  EventBus.on("game:gameOver", (data) => {
+    if (gameModeManager.isLongTomorrowMode()) {
+      endLongTomorrowSession(data.reason);
+    }
+  });
+
+  // Start Level 1 automatically, or resume the saved level - Story mode only
   if (progressionManager && gameModeManager && gameModeManager.isStoryMode()) {
     setTimeout(() => {
-      console.log("[Init] Starting Level 1...");
-      progressionManager.startLevel(1);
+      if (saveData) {
+        if (saveData.island.gameState.isLevelActive) {
+          progressionManager.resumeLevel(
+            saveData.island.gameState.currentLevelId,
+          );
+        }
+      } else {
+        console.log("[Init] Starting Level 1...");
+        progressionManager.startLevel(1);
+      }
     }, 100); // Small delay to ensure all systems are ready
   }
 
+  // Start or resume the challenge - Challenge mode only
+  if (gameModeManager.isChallengeMode()) {
+    if (saveData) {
+      challengeManager.resumeChallenge(saveData.session?.challenge);
+    } else {
+      await startChallenge(false);
+    }
+  }
+
+  // Resume the saved session - Long Tomorrow mode only
+  if (gameModeManager.isLongTomorrowMode() && saveData) {
+    longTomorrowManager.resumeSession();
+  }
+
   gameInitialized = true;
   console.log("[Init] Game initialization complete!");
 
@@ -1451,6 +1946,10 @@ function initializeApplication() {
   screenManager.registerScreen(SCREENS.GAME, GameScreen);
   screenManager.registerScreen(SCREENS.VICTORY, VictoryScreen);
   screenManager.registerScreen(SCREENS.DEFEAT, DefeatScreen);
+  screenManager.registerScreen(SCREENS.CHALLENGE, ChallengeScreen);
+  screenManager.registerScreen(SCREENS.SESSION_SUMMARY, SessionSummaryScreen);
+  screenManager.registerScreen(SCREENS.RESEARCH, ResearchScreen);
+  screenManager.registerScreen(SCREENS.ACHIEVEMENTS, AchievementScreen);
 
   // Make screen manager and initGame globally accessible
   window.screenManager = screenManager;
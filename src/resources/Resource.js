@@ -1,5 +1,6 @@
 import { GameObject } from "../engine/GameObject.js";
 import EventBus from "../engine/EventBus.js";
+import { getResourceData } from "../configs/GameData.js";
 
 /**
  * Resource class - Represents collectible resources on hexes
@@ -9,8 +10,9 @@ import EventBus from "../engine/EventBus.js";
  */
 export class Resource extends GameObject {
   constructor(type, hex, amount = 100) {
-    // All resources use the same sprite for now
-    const spritePath = `assets/resource-${type}.png`;
+    // Sprite from the resource config, e.g. salvage reuses the drone sprite
+    const sprite = getResourceData(type)?.sprite || `resource-${type}.png`;
+    const spritePath = `assets/${sprite}`;
     super(type, spritePath, hex);
 
     this.amount = amount;
@@ -137,6 +139,29 @@ export class Resource extends GameObject {
     };
   }
 
+  /**
+   * Get save data for persistence
+   * @returns {Object} Serializable resource state
+   */
+  getSaveData() {
+    return {
+      type: this.type,
+      q: this.hex.q,
+      r: this.hex.r,
+      amount: this.amount,
+      maxAmount: this.maxAmount,
+    };
+  }
+
+  /**
+   * Load resource state from save data
+   * @param {Object} saveData - Data from getSaveData()
+   */
+  loadSaveData(saveData) {
+    this.amount = saveData.amount;
+    this.maxAmount = saveData.maxAmount ?? saveData.amount;
+  }
+
   /**
    * Destroy the resource
    */
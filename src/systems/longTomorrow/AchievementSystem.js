@@ -7,7 +7,8 @@
 
 import EventBus from "../../engine/EventBus.js";
 
-// Achievement definitions from the specification
+// Achievement definitions from the specification. Hidden achievements keep
+// their name and goal secret in the gallery until they are unlocked.
 export const ACHIEVEMENTS = {
   // Efficiency Achievements
   ZERO_WASTE: {
@@ -69,6 +70,7 @@ export const ACHIEVEMENTS = {
     points: 8,
     condition: { type: "population_recovery", from: 5, to: 50 },
     icon: "phoenix",
+    hidden: true,
   },
 
   THE_LONG_WATCH: {
@@ -89,6 +91,7 @@ export const ACHIEVEMENTS = {
     points: 7,
     condition: { type: "disaster_victory", target: 5 },
     icon: "odds",
+    hidden: true,
   },
 
   // Social Achievements
@@ -238,6 +241,7 @@ export class AchievementSystem {
     EventBus.on("game:victory", this.handleGameVictory.bind(this));
     EventBus.on("game:sessionStarted", this.handleSessionStarted.bind(this));
     EventBus.on("game:sessionEnded", this.handleSessionEnded.bind(this));
+    EventBus.on("progression:levelStarted", this.handleLevelStarted.bind(this));
 
     // Ruin events (for Long Tomorrow)
     EventBus.on("ruin:interacted", this.handleRuinInteraction.bind(this));
@@ -300,22 +304,32 @@ export class AchievementSystem {
     this.checkAchievementProgress();
   }
 
+  /**
+   * Handle building upgrade events
+   */
+  handleBuildingUpgraded() {
+    this.checkAchievementProgress();
+  }
+
   /**
    * Handle population changes
    */
   handlePopulationChanged(data) {
-    this.sessionStats.population = data.population;
+    // PlayerStorage reports the new population as populationAfter
+    const population = data.populationAfter ?? data.population;
+
+    this.sessionStats.population = population;
     this.sessionStats.peakPopulation = Math.max(
       this.sessionStats.peakPopulation,
-      data.population,
+      population,
     );
     this.sessionStats.lowPopulation = Math.min(
       this.sessionStats.lowPopulation,
-      data.population,
+      population,
     );
 
     // Check Phoenix Rising conditions
-    if (this.sessionStats.lowPopulation <= 5 && data.population >= 50) {
+    if (this.sessionStats.lowPopulation <= 5 && population >= 50) {
       this.unlockAchievement("phoenix_rising");
     }
 
@@ -394,6 +408,13 @@ export class AchievementSystem {
     console.log("[AchievementSystem] New session started, stats reset");
   }
 
+  /**
+   * A story level is a session of its own for the end screen summaries
+   */
+  handleLevelStarted() {
+    this.sessionAchievements = [];
+  }
+
   handleSessionEnded(data) {
     console.log(
       "[AchievementSystem] Session ended with",
@@ -405,6 +426,9 @@ export class AchievementSystem {
       totalUnlocked: this.unlockedAchievements.size,
       sessionStats: { ...this.sessionStats },
     });
+
+    // Games played outside a session start without achievements
+    this.sessionAchievements = [];
   }
 
   /**
@@ -616,6 +640,21 @@ export class AchievementSystem {
     };
   }
 
+  /**
+   * Get the achievements unlocked this session, for end-of-game screens
+   * @returns {Object} { achievements, points, stats }
+   */
+  getSessionSummary() {
+    return {
+      achievements: [...this.sessionAchievements],
+      points: this.sessionAchievements.reduce(
+        (total, achievement) => total + achievement.points,
+        0,
+      ),
+      stats: this.getAchievementStats(),
+    };
+  }
+
   /**
    * Save achievement data
    */
@@ -623,7 +662,12 @@ export class AchievementSystem {
     return {
       unlockedAchievements: Array.from(this.unlockedAchievements),
       achievementProgress: Array.from(this.achievementProgress.entries()),
-      sessionStats: this.sessionStats,
+      sessionStats: {
+        ...this.sessionStats,
+        // Sets are stored as arrays and restored in loadSaveData
+        buildingTypesBuilt: Array.from(this.sessionStats.buildingTypesBuilt),
+        allLuxuryTypes: Array.from(this.sessionStats.allLuxuryTypes),
+      },
     };
   }
 
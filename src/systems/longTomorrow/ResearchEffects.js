@@ -0,0 +1,143 @@
+/**
+ * ResearchEffects - Applies purchased research to gameplay
+ *
+ * Research tiers in RESEARCH_TREES list their gameplay effects; every
+ * unlocked tier's effects take part while a Long Tomorrow game runs. Game
+ * code asks for the effects of one hook at the point it calculates a value:
+ *   buildingCost     - materials a building or upgrade costs
+ *   fuelConsumption  - fuel the island burns per turn
+ *   production       - refinery and greenhouse output multiplier
+ *   forestMaterials  - materials each forest yields per turn
+ *   eventForecast    - turns of warning before a disaster strikes
+ *   ruinInsight      - ruin tooltips reveal their outcomes
+ *
+ * An effect is { hook, multiplier?, add?, minimum? } plus optional filters:
+ * building (only that building type) and nearResource / minCount (only
+ * buildings next to at least minCount resources of that type). Multipliers
+ * apply first, then additions, then the minimum.
+ *
+ * Usage:
+ *   import researchEffects from "./systems/longTomorrow/ResearchEffects.js";
+ *   const cost = researchEffects.apply("buildingCost", baseCost, { type });
+ *   const multiplier = researchEffects.apply("production", 1, { building });
+ *   if (researchEffects.has("ruinInsight")) { ... }
+ */
+
+import { RESEARCH_TREES } from "./ResearchPointManager.js";
+
+export class ResearchEffects {
+  constructor(trees = RESEARCH_TREES) {
+    this.trees = trees;
+  }
+
+  /**
+   * Check if research takes part in the current game
+   * @returns {boolean} True in Long Tomorrow mode
+   */
+  isActive() {
+    return Boolean(window.gameModeManager?.isLongTomorrowMode());
+  }
+
+  /**
+   * Get the effects of unlocked research for a hook
+   * @param {string} hook - Hook name, e.g. "buildingCost"
+   * @param {Object} context - { building, type } the value is calculated for
+   * @returns {Object[]} Matching effects
+   */
+  getEffects(hook, context = {}) {
+    if (!this.isActive()) return [];
+
+    return this.getUnlockedTiers()
+      .flatMap((tier) => tier.effects || [])
+      .filter(
+        (effect) => effect.hook === hook && this.matches(effect, context),
+      );
+  }
+
+  /**
+   * Get the unlocked research behind a hook, e.g. to name it in messages
+   * @param {string} hook - Hook name
+   * @param {Object} context - { building, type }
+   * @returns {Object[]} Tiers with at least one matching effect
+   */
+  getSources(hook, context = {}) {
+    if (!this.isActive()) return [];
+
+    return this.getUnlockedTiers().filter((tier) =>
+      (tier.effects || []).some(
+        (effect) => effect.hook === hook && this.matches(effect, context),
+      ),
+    );
+  }
+
+  /**
+   * Get every unlocked research tier
+   * @returns {Object[]} Tiers from all trees
+   */
+  getUnlockedTiers() {
+    return Object.values(this.trees)
+      .flatMap((tree) => Object.values(tree.tiers))
+      .filter((tier) => tier.unlocked);
+  }
+
+  /**
+   * Check an effect's filters against the context
+   * @param {Object} effect - Effect from a research tier
+   * @param {Object} context - { building, type }
+   * @returns {boolean} True if the effect applies
+   */
+  matches(effect, context) {
+    const building = context.building;
+    const type = context.type || building?.type;
+    if (effect.building && effect.building !== type) return false;
+
+    if (effect.nearResource) {
+      if (!building?.hex || !window.hexGrid) return false;
+      const nearby = window.hexGrid
+        .getNeighbors(building.hex)
+        .filter((hex) => hex.resource?.type === effect.nearResource).length;
+      return nearby >= (effect.minCount ?? 1);
+    }
+
+    return true;
+  }
+
+  /**
+   * Check if any unlocked research uses a hook
+   * @param {string} hook - Hook name
+   * @param {Object} context - { building, type }
+   * @returns {boolean} True if at least one effect applies
+   */
+  has(hook, context = {}) {
+    return this.getEffects(hook, context).length > 0;
+  }
+
+  /**
+   * Apply the research effects of a hook to a value
+   * @param {string} hook - Hook name
+   * @param {number} value - Value before research
+   * @param {Object} context - { building, type }
+   * @returns {number} Value after research
+   */
+  apply(hook, value, context = {}) {
+    const effects = this.getEffects(hook, context);
+    if (effects.length === 0) return value;
+
+    const multiplied = effects.reduce(
+      (result, effect) => result * (effect.multiplier ?? 1),
+      value,
+    );
+    const added = effects.reduce(
+      (result, effect) => result + (effect.add ?? 0),
+      multiplied,
+    );
+    return Math.max(
+      added,
+      ...effects.map((effect) => effect.minimum ?? -Infinity),
+    );
+  }
+}
+
+// Shared instance used by costs, production and the turn loop
+export const researchEffects = new ResearchEffects();
+export default researchEffects;
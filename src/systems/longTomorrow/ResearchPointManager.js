@@ -10,6 +10,8 @@
 import EventBus from "../../engine/EventBus.js";
 
 // Research specialization trees from the specification
+// A tier's effects are applied to gameplay by ResearchEffects.js once it is
+// unlocked; tiers without effects only describe what they will do.
 export const RESEARCH_TREES = {
   ARCHAEOLOGIST: {
     id: "archaeologist",
@@ -24,6 +26,7 @@ export const RESEARCH_TREES = {
         description:
           "Hovering reveals ruin contents and all three outcomes. Memorial placement shows adjacency bonus preview.",
         unlocked: false,
+        effects: [{ hook: "ruinInsight" }],
       },
       2: {
         id: "master_restorer",
@@ -59,6 +62,7 @@ export const RESEARCH_TREES = {
         description:
           "Forests provide +1 material/turn generation. Preview which parks/farms become forests next session.",
         unlocked: false,
+        effects: [{ hook: "forestMaterials", add: 1 }],
       },
       2: {
         id: "cultivation_master",
@@ -67,6 +71,14 @@ export const RESEARCH_TREES = {
         description:
           "Manually plant forests (3 materials, 3 turns to grow). Agricultural buildings +25% efficiency when adjacent to forests.",
         unlocked: false,
+        effects: [
+          {
+            hook: "production",
+            building: "greenhouse",
+            nearResource: "forest",
+            multiplier: 1.25,
+          },
+        ],
         requires: ["forest_wisdom"],
       },
       3: {
@@ -76,6 +88,14 @@ export const RESEARCH_TREES = {
         description:
           '"Living Buildings" self-repair and grow more efficient. Buildings adjacent to 3+ forests gain "Overgrown" status (+50% efficiency).',
         unlocked: false,
+        effects: [
+          {
+            hook: "production",
+            nearResource: "forest",
+            minCount: 3,
+            multiplier: 1.5,
+          },
+        ],
         requires: ["cultivation_master"],
       },
     },
@@ -94,6 +114,7 @@ export const RESEARCH_TREES = {
         description:
           "Early warning: see disasters 1 turn in advance. Disaster probability indicators during events.",
         unlocked: false,
+        effects: [{ hook: "eventForecast", add: 1 }],
       },
       2: {
         id: "emergency_protocols",
@@ -129,6 +150,10 @@ export const RESEARCH_TREES = {
         description:
           "All buildings consume 15% less fuel. Construction costs reduced by 1 material (minimum 1).",
         unlocked: false,
+        effects: [
+          { hook: "fuelConsumption", multiplier: 0.85 },
+          { hook: "buildingCost", add: -1, minimum: 1 },
+        ],
       },
       2: {
         id: "integrated_systems",
@@ -485,16 +510,14 @@ export class ResearchPointManager {
     if (saveData.researchProgress) {
       this.researchProgress = saveData.researchProgress;
 
-      // Restore unlocked status
+      // Restore unlocked status (the flags live on the shared trees, so
+      // tiers bought in another world are locked again)
       Object.values(RESEARCH_TREES).forEach((tree) => {
-        const progress = this.researchProgress[tree.id];
-        if (progress && progress.unlockedTiers) {
-          progress.unlockedTiers.forEach((tier) => {
-            if (tree.tiers[tier]) {
-              tree.tiers[tier].unlocked = true;
-            }
-          });
-        }
+        const unlockedTiers =
+          this.researchProgress[tree.id]?.unlockedTiers || [];
+        Object.entries(tree.tiers).forEach(([tier, tierData]) => {
+          tierData.unlocked = unlockedTiers.includes(parseInt(tier));
+        });
       });
     }
 
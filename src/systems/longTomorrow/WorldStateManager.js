@@ -9,6 +9,16 @@
  */
 
 import EventBus from "../../engine/EventBus.js";
+import randomService from "../../engine/Random.js";
+import {
+  axialNeighbors,
+  axialToOffset,
+  offsetToAxial,
+} from "../../engine/HexMath.js";
+import {
+  GAME_MODES,
+  GAME_MODE_CONFIG,
+} from "../../gameModes/GameModeConfig.js";
 
 export class WorldStateManager {
   constructor() {
@@ -63,6 +73,10 @@ export class WorldStateManager {
       sessionNumber: 1,
       startTime: Date.now(),
 
+      // Island the world grows on (set once the first session ends)
+      seed: null,
+      islandRadius: null,
+
       // Terrain state
       terrain: new Map(), // hexId -> terrain data
 
@@ -139,6 +153,13 @@ export class WorldStateManager {
     newWorldState.sessionNumber = previousSession.sessionNumber + 1;
     newWorldState.stats.totalSessions = previousSession.sessionNumber + 1;
 
+    // The next session regrows the same island
+    newWorldState.seed = previousSession.gameState.seed ?? null;
+    newWorldState.islandRadius = previousSession.gameState.islandRadius ?? null;
+
+    // Ruins left alone and memorials outlast the session
+    this.applyLandmarkCarryOver(newWorldState, previousSession);
+
     // Apply terrain evolution
     this.applyTerrainEvolution(newWorldState, previousSession);
 
@@ -188,6 +209,20 @@ export class WorldStateManager {
     }
   }
 
+  /**
+   * Carry standing ruins and memorials into the next session
+   */
+  applyLandmarkCarryOver(newWorldState, previousSession) {
+    const previousGameState = previousSession.gameState;
+
+    previousGameState.ruins?.forEach((ruin, hexId) => {
+      newWorldState.ruins.set(hexId, ruin);
+    });
+    previousGameState.memorials?.forEach((memorial, hexId) => {
+      newWorldState.memorials.set(hexId, memorial);
+    });
+  }
+
   /**
    * Apply building transformation rules (buildings → ruins/resources)
    */
@@ -264,13 +299,9 @@ export class WorldStateManager {
   }
 
   /**
-   * Apply soil memory evolution
+   * Apply soil memory evolution (see calculateSoilChanges)
    */
   applySoilMemoryEvolution(newWorldState, previousSession) {
-    // Implementation for soil enrichment/depletion evolution
-    // This will track how previous farming/industrial use affects the land
-
-    // For now, create foundation for soil memory tracking
     const soilChanges = this.calculateSoilChanges(previousSession);
     soilChanges.forEach((change, hexId) => {
       newWorldState.soilMemory.set(hexId, change);
@@ -320,9 +351,73 @@ export class WorldStateManager {
     return Math.max(1, baseRare);
   }
 
+  /**
+   * Work out the soil the next session remembers
+   * Enriched soil is remembered for soilMemoryDuration sessions without
+   * farming, then its fertility and moisture are forgotten. Contamination
+   * fades by contaminationRecoveryRate and spreads to neighbouring hexes by
+   * contaminationSpreadRate. Forgotten properties are left out, so the next
+   * session falls back to the terrain's soil (see SoilSystem.applySoil).
+   * @param {Object} session - Recorded session state
+   * @returns {Map} hexId -> { fertility?, moisture?, contamination, untendedSessions }
+   */
   calculateSoilChanges(session) {
-    // Analyze previous session for soil effects
-    return new Map(); // Placeholder
+    const {
+      soilMemoryDuration,
+      contaminationSpreadRate,
+      contaminationRecoveryRate,
+    } = GAME_MODE_CONFIG[GAME_MODES.LONG_TOMORROW];
+    const changes = new Map();
+    const soilAt = (hexId) => {
+      if (!changes.has(hexId)) {
+        changes.set(hexId, { contamination: 0, untendedSessions: 0 });
+      }
+      return changes.get(hexId);
+    };
+
+    session.gameState.soil?.forEach((soil, hexId) => {
+      const next = soilAt(hexId);
+      next.untendedSessions = soil.tended
+        ? 0
+        : (soil.untendedSessions || 0) + 1;
+      if (next.untendedSessions <= soilMemoryDuration) {
+        next.fertility = soil.fertility;
+        next.moisture = soil.moisture;
+      }
+
+      next.contamination += Math.max(
+        0,
+        soil.contamination - contaminationRecoveryRate,
+      );
+      if (soil.contamination > 0) {
+        this.getNeighborHexIds(hexId).forEach((neighborId) => {
+          soilAt(neighborId).contamination +=
+            soil.contamination * contaminationSpreadRate;
+        });
+      }
+    });
+
+    // Clean soil with nothing left to remember is fresh again
+    changes.forEach((soil, hexId) => {
+      soil.contamination = Math.min(1, soil.contamination);
+      if (soil.fertility === undefined && soil.contamination <= 0) {
+        changes.delete(hexId);
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Get the ids of the hexes around a hex id
+   * @param {string} hexId - "q_r" in stored (offset) coordinates
+   * @returns {string[]} Neighbouring hex ids
+   */
+  getNeighborHexIds(hexId) {
+    const [col, row] = hexId.split("_").map(Number);
+    return axialNeighbors(offsetToAxial(col, row))
+      .map(axialToOffset)
+      .map((offset) => `${offset.col}_${offset.row}`);
   }
 
   analyzeCulturalEvents(session) {
@@ -345,8 +440,13 @@ export class WorldStateManager {
     return {
       buildings: this.cloneMap(gameState.buildings || new Map()),
       terrain: this.cloneMap(gameState.terrain || new Map()),
+      ruins: this.cloneMap(gameState.ruins || new Map()),
+      memorials: this.cloneMap(gameState.memorials || new Map()),
+      soil: this.cloneMap(gameState.soil || new Map()),
       population: gameState.population || 0,
       turn: gameState.turn || 0,
+      seed: gameState.seed ?? null,
+      islandRadius: gameState.islandRadius ?? null,
     };
   }
 
@@ -379,11 +479,14 @@ export class WorldStateManager {
    */
 
   generateSessionId() {
-    return `world_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    return `world_${Date.now()}_${randomService.stream("ids").id()}`;
   }
 
   cloneWorldState(worldState) {
-    return JSON.parse(JSON.stringify(worldState));
+    // Round trip through the save format so the Maps survive
+    return WorldStateManager.fromSerializable(
+      JSON.parse(JSON.stringify(WorldStateManager.toSerializable(worldState))),
+    );
   }
 
   cloneMap(map) {
@@ -408,6 +511,107 @@ export class WorldStateManager {
     return [...this.worldHistory];
   }
 
+  /**
+   * Get save data for the world state and history
+   * Maps are stored as { dataType: "Map", entries } so they survive JSON
+   * @returns {Object} Serializable world data
+   */
+  getSaveData() {
+    return {
+      worldState: WorldStateManager.toSerializable(this.currentWorldState),
+      worldHistory: WorldStateManager.toSerializable(this.worldHistory),
+    };
+  }
+
+  /**
+   * Load world state and history from save data
+   * @param {Object} saveData - Data from getSaveData()
+   */
+  loadSaveData(saveData) {
+    if (saveData.worldState) {
+      this.currentWorldState = WorldStateManager.fromSerializable(
+        saveData.worldState,
+      );
+      EventBus.emit("worldState:initialized", this.currentWorldState);
+    }
+
+    if (saveData.worldHistory) {
+      this.worldHistory = WorldStateManager.fromSerializable(
+        saveData.worldHistory,
+      );
+    }
+
+    console.log(
+      `[WorldStateManager] Loaded world state with ${this.worldHistory.length} recorded sessions`,
+    );
+  }
+
+  /**
+   * Convert Maps and Sets (recursively) into JSON-safe objects
+   * @param {*} value - Value to convert
+   * @returns {*} JSON-safe value
+   */
+  static toSerializable(value) {
+    if (value instanceof Map) {
+      return {
+        dataType: "Map",
+        entries: Array.from(value.entries()).map(([key, entry]) => [
+          key,
+          WorldStateManager.toSerializable(entry),
+        ]),
+      };
+    }
+    if (value instanceof Set) {
+      return {
+        dataType: "Set",
+        values: Array.from(value).map(WorldStateManager.toSerializable),
+      };
+    }
+    if (Array.isArray(value)) {
+      return value.map(WorldStateManager.toSerializable);
+    }
+    if (value && typeof value === "object") {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, entry]) => [
+          key,
+          WorldStateManager.toSerializable(entry),
+        ]),
+      );
+    }
+    return value;
+  }
+
+  /**
+   * Restore Maps and Sets produced by toSerializable()
+   * @param {*} value - JSON-safe value
+   * @returns {*} Value with Maps and Sets restored
+   */
+  static fromSerializable(value) {
+    if (Array.isArray(value)) {
+      return value.map(WorldStateManager.fromSerializable);
+    }
+    if (value && typeof value === "object") {
+      if (value.dataType === "Map" && Array.isArray(value.entries)) {
+        return new Map(
+          value.entries.map(([key, entry]) => [
+            key,
+            WorldStateManager.fromSerializable(entry),
+          ]),
+        );
+      }
+      if (value.dataType === "Set" && Array.isArray(value.values)) {
+        return new Set(value.values.map(WorldStateManager.fromSerializable));
+      }
+      return Object.fromEntries(
+        Object.entries(value).map(([key, entry]) => [
+          key,
+          WorldStateManager.fromSerializable(entry),
+        ]),
+      );
+    }
+    return value;
+  }
+
   /**
    * Get world statistics
    */
@@ -6,6 +6,8 @@
  * evolving world experience described in the specification.
  */
 
+import EventBus from "../../engine/EventBus.js";
+import { SAVE_KEY_PREFIX } from "../../engine/SaveSystem.js";
 import { WorldStateManager } from "./WorldStateManager.js";
 import {
   ResearchPointManager,
@@ -23,6 +25,9 @@ export { WorldStateManager, ResearchPointManager, AchievementSystem };
 // Export constants
 export { RESEARCH_TREES, ACHIEVEMENTS, ACHIEVEMENT_CATEGORIES };
 
+// The world as the last completed session left it, kept apart from save slots
+export const LONG_TOMORROW_WORLD_KEY = `${SAVE_KEY_PREFIX}.longTomorrowWorld`;
+
 /**
  * LongTomorrowManager - Orchestrates all Long Tomorrow systems
  *
@@ -37,6 +42,9 @@ export class LongTomorrowManager {
     this.achievementSystem = new AchievementSystem(this.researchPointManager);
     this.worldStateManager = new WorldStateManager();
 
+    // True while a session is being played on the island
+    this.sessionActive = false;
+
     // System integration
     this.setupSystemIntegration();
 
@@ -47,10 +55,140 @@ export class LongTomorrowManager {
    * Set up integration between systems
    */
   setupSystemIntegration() {
-    // The systems are already integrated through EventBus,
-    // but we can add additional coordination here if needed
-    // Example: When world evolves, check for achievements
-    // EventBus.on('worldState:evolved', this.checkWorldEvolutionAchievements.bind(this));
+    // The AchievementSystem listens for its own event names; translate the
+    // live game's events into them while a session is being played
+    const forward = (gameEvent, achievementEvent, toAchievementData) => {
+      EventBus.on(gameEvent, (data) => {
+        if (this.sessionActive) {
+          EventBus.emit(achievementEvent, toAchievementData(data));
+        }
+      });
+    };
+
+    forward(
+      "building:constructionCompleted",
+      "building:constructed",
+      (building) => ({ buildingType: building.type }),
+    );
+    forward("building:demolished", "building:recycled", ({ building }) => ({
+      buildingType: building.type,
+    }));
+    forward("game:turnEnded", "game:turnCompleted", (data) => data);
+  }
+
+  /**
+   * Start a session on the world the last completed session left behind
+   * @returns {Object} Session data from initializeSession()
+   */
+  startSession() {
+    const savedWorld = LongTomorrowManager.readSavedWorld();
+    if (savedWorld) {
+      this.loadSaveData(savedWorld);
+    }
+
+    const session = this.initializeSession({
+      previousWorldState: savedWorld
+        ? this.worldStateManager.getCurrentWorldState()
+        : null,
+    });
+    this.sessionActive = true;
+
+    EventBus.emit("game:sessionStarted", {
+      sessionId: session.sessionId,
+      sessionNumber: session.sessionNumber,
+    });
+
+    return session;
+  }
+
+  /**
+   * Carry on with a session restored from a save slot
+   */
+  resumeSession() {
+    this.sessionActive = true;
+  }
+
+  /**
+   * Check if a session is being played
+   * @returns {boolean} True between startSession() and endSession()
+   */
+  isSessionActive() {
+    return this.sessionActive;
+  }
+
+  /**
+   * End the session: record and evolve the world, then keep it for the next one
+   * @param {Object} gameState - Island description (see WorldStateManager.extractRelevantGameState)
+   * @param {Object} sessionData - Why and when the session ended
+   * @returns {Object|null} processSessionCompletion() result, or null without a session
+   */
+  endSession(gameState, sessionData = {}) {
+    if (!this.sessionActive) return null;
+    this.sessionActive = false;
+
+    const completion = this.processSessionCompletion(gameState, sessionData);
+
+    EventBus.emit("game:sessionEnded", {
+      ...sessionData,
+      sessionNumber: completion.sessionState.sessionNumber,
+    });
+    this.saveWorld();
+
+    return completion;
+  }
+
+  /**
+   * Read the world kept by the last completed session
+   * @returns {Object|null} Save data from getSaveData(), or null if none
+   */
+  static readSavedWorld() {
+    try {
+      const raw = localStorage.getItem(LONG_TOMORROW_WORLD_KEY);
+      return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      console.warn("[LongTomorrowManager] Saved world unreadable:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Keep the world, research and achievements for the next session
+   * @returns {boolean} True if written
+   */
+  saveWorld() {
+    try {
+      localStorage.setItem(
+        LONG_TOMORROW_WORLD_KEY,
+        JSON.stringify(this.getSaveData()),
+      );
+      return true;
+    } catch (error) {
+      console.error("[LongTomorrowManager] Failed to save the world:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Keep research bought between sessions in the saved world
+   * @returns {boolean} True if written
+   */
+  saveResearch() {
+    const savedWorld = LongTomorrowManager.readSavedWorld();
+    if (!savedWorld) return false;
+
+    try {
+      localStorage.setItem(
+        LONG_TOMORROW_WORLD_KEY,
+        JSON.stringify({
+          ...savedWorld,
+          researchProgress: this.researchPointManager.getSaveData(),
+        }),
+      );
+      return true;
+    } catch (error) {
+      console.error("[LongTomorrowManager] Failed to save research:", error);
+      return false;
+    }
   }
 
   /**
@@ -222,16 +360,14 @@ export class LongTomorrowManager {
 
   /**
    * Get save data for all Long Tomorrow systems
+   * Versioned by the SaveSystem envelope (longTomorrow section)
    * @returns {Object} Complete save data
    */
   getSaveData() {
     return {
-      worldState: this.worldStateManager.getCurrentWorldState(),
-      worldHistory: this.worldStateManager.getWorldHistory(),
+      ...this.worldStateManager.getSaveData(),
       researchProgress: this.researchPointManager.getSaveData(),
       achievementData: this.achievementSystem.getSaveData(),
-      version: "1.0.0", // For save compatibility
-      timestamp: Date.now(),
     };
   }
 
@@ -257,15 +393,8 @@ export class LongTomorrowManager {
       this.achievementSystem.loadSaveData(saveData.achievementData);
     }
 
-    // Load world state
-    if (saveData.worldState) {
-      this.worldStateManager.initializeWorldState(saveData.worldState);
-    }
-
-    // Load world history
-    if (saveData.worldHistory) {
-      this.worldStateManager.worldHistory = saveData.worldHistory;
-    }
+    // Load world state and history
+    this.worldStateManager.loadSaveData(saveData);
 
     console.log("[LongTomorrowManager] Save data loaded successfully");
   }
@@ -0,0 +1,74 @@
+import { gameColors } from "../configs/colors.js";
+import { longTomorrowManager } from "../systems/longTomorrow/index.js";
+
+/**
+ * AchievementSummary - Achievements unlocked this session, for end screens
+ *
+ * Lists the session's new achievements with the research points they earned
+ * and the overall unlock count, centered on the container's position. Built
+ * with the owning screen's responsive sizes so it matches its style.
+ *
+ * Usage:
+ *   const summary = new AchievementSummary(screen);
+ *   summary.container.position.set(x, y);
+ *   screen.uiContainer.addChild(summary.container);
+ */
+export class AchievementSummary {
+  /**
+   * @param {BaseScreen} screen - Screen that shows the summary
+   */
+  constructor(screen) {
+    this.screen = screen;
+    this.app = screen.app;
+
+    this.container = new PIXI.Container();
+    this.createContent();
+  }
+
+  /**
+   * Create the title and summary text
+   */
+  createContent() {
+    const { achievements, points, stats } =
+      longTomorrowManager.achievementSystem.getSessionSummary();
+
+    const title = new PIXI.Text({
+      text: "Achievements This Session",
+      style: {
+        fontFamily: "Arial",
+        fontSize: this.screen.getResponsiveFontSize(16),
+        fill: gameColors.tooltipText,
+        fontWeight: "bold",
+        align: "center",
+      },
+    });
+    title.anchor.set(0.5, 0);
+    this.container.addChild(title);
+
+    const lines =
+      achievements.length > 0
+        ? [
+            achievements.map((achievement) => achievement.name).join(", "),
+            `+${points} research points`,
+          ]
+        : ["No new achievements"];
+    lines.push(`${stats.unlocked} of ${stats.total} achievements unlocked`);
+
+    const text = new PIXI.Text({
+      text: lines.join("\n"),
+      style: {
+        fontFamily: "Arial",
+        fontSize: this.screen.getResponsiveFontSize(13),
+        fill: gameColors.buttonText,
+        align: "center",
+        wordWrap: true,
+        wordWrapWidth: this.app.screen.width - 100,
+      },
+    });
+    text.anchor.set(0.5, 0);
+    text.position.set(0, 25);
+    this.container.addChild(text);
+  }
+}
+
+export default AchievementSummary;
@@ -0,0 +1,146 @@
+import { pixiColors, gameColors } from "../configs/colors.js";
+import { ACHIEVEMENT_CATEGORIES } from "../systems/longTomorrow/index.js";
+
+const TOAST_DURATION = 4000; // ms a toast stays on screen
+const MAX_TOASTS = 3; // Older toasts make way for new ones
+
+/**
+ * AchievementToasts - Short notices for achievements unlocked while playing
+ *
+ * Toasts stack in the top right corner, each edged in its achievement
+ * category's color, and disappear on their own. Built with the owning
+ * screen's text helpers so they match its style.
+ *
+ * Usage:
+ *   const toasts = new AchievementToasts(screen);
+ *   screen.uiContainer.addChild(toasts.container);
+ *   toasts.show(achievement);
+ */
+export class AchievementToasts {
+  /**
+   * @param {BaseScreen} screen - Screen that owns the toasts
+   */
+  constructor(screen) {
+    this.screen = screen;
+    this.app = screen.app;
+
+    this.container = new PIXI.Container();
+    this.toasts = [];
+  }
+
+  /**
+   * Show a toast for an unlocked achievement
+   * @param {Object} achievement - Entry from ACHIEVEMENTS
+   */
+  show(achievement) {
+    const toast = this.createToast(achievement);
+    this.toasts.push(toast);
+    this.container.addChild(toast);
+
+    if (this.toasts.length > MAX_TOASTS) {
+      this.remove(this.toasts[0]);
+    }
+    this.layout();
+
+    setTimeout(() => this.remove(toast), TOAST_DURATION);
+  }
+
+  /**
+   * Create the toast panel
+   * @param {Object} achievement - Entry from ACHIEVEMENTS
+   * @returns {PIXI.Container} Toast
+   */
+  createToast(achievement) {
+    const size = (value) => this.screen.getResponsiveSize(value);
+    const fontSize = (value) => this.screen.getResponsiveFontSize(value);
+    const { width, height } = this.getToastSize();
+    const category = ACHIEVEMENT_CATEGORIES[achievement.category];
+
+    const toast = new PIXI.Container();
+
+    const background = new PIXI.Graphics();
+    background.roundRect(0, 0, width, height, 10);
+    background.fill({ color: pixiColors.background.secondary, alpha: 0.95 });
+    background.stroke({
+      color: category
+        ? parseInt(category.color.slice(1), 16)
+        : pixiColors.accent.bright,
+      width: 2,
+    });
+    toast.addChild(background);
+
+    const heading = this.screen.createText(
+      "Achievement unlocked",
+      { x: width / 2, y: height * 0.22 },
+      { fontSize: fontSize(10), color: gameColors.tooltipText },
+    );
+    toast.addChild(heading);
+
+    const name = this.screen.createText(
+      achievement.name,
+      { x: width / 2, y: height * 0.5 },
+      {
+        fontSize: fontSize(15),
+        color: gameColors.buttonText,
+        maxWidth: width - size(16),
+      },
+    );
+    toast.addChild(name);
+
+    const points = this.screen.createText(
+      `+${achievement.points} research points`,
+      { x: width / 2, y: height * 0.78 },
+      { fontSize: fontSize(11), color: pixiColors.accent.bright },
+    );
+    toast.addChild(points);
+
+    return toast;
+  }
+
+  /**
+   * Get the size of one toast
+   * @returns {Object} { width, height }
+   */
+  getToastSize() {
+    return {
+      width: Math.min(
+        this.screen.getResponsiveSize(260),
+        this.app.screen.width - 20,
+      ),
+      height: this.screen.getResponsiveSize(72),
+    };
+  }
+
+  /**
+   * Stack the toasts below each other, newest last
+   */
+  layout() {
+    const { width, height } = this.getToastSize();
+    const margin = this.screen.getResponsiveSize(12);
+
+    this.toasts.forEach((toast, index) => {
+      toast.position.set(
+        this.app.screen.width - width - margin,
+        this.screen.getResponsiveSize(70) + index * (height + margin / 2),
+      );
+    });
+  }
+
+  /**
+   * Remove a toast, if it is still shown
+   * @param {PIXI.Container} toast - Toast from createToast()
+   */
+  remove(toast) {
+    // The screen may have been closed while the toast waited
+    if (this.container.destroyed || !this.toasts.includes(toast)) return;
+
+    this.toasts = this.toasts.filter((shown) => shown !== toast);
+    if (!toast.destroyed) {
+      toast.parent?.removeChild(toast);
+      toast.destroy({ children: true });
+    }
+    this.layout();
+  }
+}
+
+export default AchievementToasts;
@@ -0,0 +1,379 @@
+import EventBus from "../engine/EventBus.js";
+import pathfinder from "../engine/Pathfinder.js";
+import { axialRing, hexDistance, hexToAxial } from "../engine/HexMath.js";
+import { pixiColors, gameColors } from "../configs/colors.js";
+
+const ORDER_HINT =
+  "Tap a resource: collect there · Drag: patrol a ring · Tap a refinery, reactor or storage: deliver only there · Tap the factory: return to base";
+
+/**
+ * DroneCommander - Select drones and give them orders on the hex grid
+ *
+ * While drones are selected, hex clicks issue orders instead of opening the
+ * context menu: a resource hex orders collection there, a delivery building
+ * becomes the only delivery target, the drones' factory calls them home and
+ * dragging from one hex to another patrols the ring around the first hex.
+ * Planned paths and patrol rings are previewed on the objects layer; a
+ * banner with Clear Orders / Done sits at the top of the screen.
+ *
+ * Usage:
+ *   droneCommander.select([drone]); // or selectFleet(factory)
+ *   droneCommander.onHexDown(hex); droneCommander.onHexHover(hex);
+ *   droneCommander.onPointerUp();
+ */
+export class DroneCommander {
+  /**
+   * @param {PIXI.Container} objectContainer - Objects layer for previews
+   * @param {PIXI.Container} uiContainer - Container for the banner
+   * @param {PIXI.Application} app - PIXI application
+   */
+  constructor(objectContainer, uiContainer, app) {
+    this.objectContainer = objectContainer;
+    this.uiContainer = uiContainer;
+    this.app = app;
+
+    this.selected = [];
+    this.dragStart = null; // Hex the pointer went down on
+    this.hoverHex = null;
+    this.previewPaths = []; // [[Hex]] planned path per selected drone
+
+    this.preview = new PIXI.Graphics();
+    this.objectContainer.addChild(this.preview);
+    this.banner = null;
+
+    this.setupEventHandlers();
+  }
+
+  /**
+   * Drop drones that are gone, and everything when the island is rebuilt
+   */
+  setupEventHandlers() {
+    EventBus.on("unit:destroyed", (unit) => {
+      if (!this.selected.includes(unit)) return;
+      this.select(this.selected.filter((drone) => drone !== unit));
+    });
+    EventBus.on("grid:cleared", () => this.deselect());
+  }
+
+  /**
+   * Check if drones are selected (hex clicks give orders)
+   * @returns {boolean} True while commanding
+   */
+  isActive() {
+    return this.selected.length > 0;
+  }
+
+  /**
+   * Select drones to command
+   * @param {Drone[]} drones - Drones to select
+   */
+  select(drones) {
+    this.selected = drones.filter((drone) => !drone.isDestroyed);
+    this.dragStart = null;
+    this.hoverHex = null;
+    this.previewPaths = [];
+
+    this.updateBanner();
+    this.draw();
+
+    EventBus.emit("droneCommand:selectionChanged", { drones: this.selected });
+    console.log(`[DroneCommander] Selected ${this.selected.length} drones`);
+  }
+
+  /**
+   * Select every drone of a factory
+   * @param {DroneFactory} factory - Factory whose fleet is selected
+   */
+  selectFleet(factory) {
+    this.select(factory.getDrones());
+  }
+
+  /**
+   * Stop commanding
+   */
+  deselect() {
+    if (!this.isActive()) return;
+    this.select([]);
+  }
+
+  /**
+   * Start a click or drag on a hex
+   * @param {Hex} hex - Hex under the pointer
+   */
+  onHexDown(hex) {
+    this.dragStart = hex;
+    this.onHexHover(hex);
+  }
+
+  /**
+   * Follow the pointer: preview paths to the hovered hex or the patrol ring
+   * @param {Hex} hex - Hex under the pointer
+   */
+  onHexHover(hex) {
+    if (!this.isActive() || hex === this.hoverHex) return;
+
+    this.hoverHex = hex;
+    const destination = this.dragStart || hex;
+    this.previewPaths = this.selected.map((drone) =>
+      pathfinder.findPath(drone.hex, destination, {
+        unit: drone,
+        costs: drone.pathCosts,
+      }),
+    );
+    this.draw();
+  }
+
+  /**
+   * Finish a click (order at the hex) or a drag (patrol ring)
+   */
+  onPointerUp() {
+    const start = this.dragStart;
+    const end = this.hoverHex;
+    this.dragStart = null;
+    if (!start || !this.isActive()) return;
+
+    const radius = end ? hexDistance(start, end) : 0;
+    if (radius > 0) {
+      this.orderPatrol(start, radius);
+    } else {
+      this.orderAtHex(start);
+    }
+    this.draw();
+  }
+
+  /**
+   * Work out the order a click on a hex means
+   * @param {Hex} hex - Clicked hex
+   */
+  orderAtHex(hex) {
+    if (hex.resource) {
+      this.selected.forEach((drone) =>
+        drone.issueOrder({ type: "collect", target: hex.resource }),
+      );
+      return;
+    }
+
+    const building = hex.building;
+    if (building?.type === "drone_factory") {
+      this.selected.forEach((drone) => drone.issueOrder({ type: "return" }));
+      return;
+    }
+
+    if (["refinery", "reactor", "storage"].includes(building?.type)) {
+      this.selected.forEach((drone) => drone.setDeliveryTarget(building));
+      return;
+    }
+
+    // Tapping empty ground ends commanding
+    this.deselect();
+  }
+
+  /**
+   * Order the selection to patrol a ring
+   * @param {Hex} center - Ring center
+   * @param {number} radius - Ring radius in hexes
+   */
+  orderPatrol(center, radius) {
+    this.selected.forEach((drone) =>
+      drone.issueOrder({
+        type: "patrol",
+        center: { q: center.q, r: center.r },
+        radius,
+      }),
+    );
+  }
+
+  /**
+   * Clear the selection's orders
+   */
+  clearOrders() {
+    this.selected.forEach((drone) => drone.clearOrders());
+    this.draw();
+  }
+
+  /**
+   * Redraw the previews (called every frame while commanding)
+   */
+  update() {
+    if (this.isActive()) {
+      this.draw();
+    }
+  }
+
+  /**
+   * Draw selection markers, standing orders and the pointer preview
+   */
+  draw() {
+    const graphics = this.preview;
+    graphics.clear();
+    if (!this.isActive()) return;
+
+    // Keep the previews above newly added sprites
+    this.objectContainer.setChildIndex(
+      graphics,
+      this.objectContainer.children.length - 1,
+    );
+
+    const accent = pixiColors.accent.bright;
+    const warning = pixiColors.state.warning;
+
+    this.selected.forEach((drone) => {
+      const position = this.getDronePosition(drone);
+      graphics.circle(position.x, position.y, 22);
+      graphics.stroke({ color: accent, width: 3 });
+
+      // Standing orders
+      const target = drone.order?.target || drone.deliverTo;
+      if (target) {
+        graphics.moveTo(position.x, position.y);
+        graphics.lineTo(target.hex.x, target.hex.y);
+        graphics.stroke({ color: accent, width: 1, alpha: 0.5 });
+      }
+      if (drone.order?.type === "patrol") {
+        this.drawRing(drone.getPatrolRoute(), accent, 0.4);
+      }
+    });
+
+    // Planned paths to the hex under the pointer
+    this.previewPaths.forEach((path, index) => {
+      const drone = this.selected[index];
+      if (!drone || path.length === 0) return;
+
+      const start = this.getDronePosition(drone);
+      graphics.moveTo(start.x, start.y);
+      path.forEach((hex) => graphics.lineTo(hex.x, hex.y));
+      graphics.stroke({ color: warning, width: 2, alpha: 0.8 });
+    });
+
+    // Patrol ring while dragging
+    if (this.dragStart && this.hoverHex) {
+      const radius = hexDistance(this.dragStart, this.hoverHex);
+      const hexIndex = window.hexGrid?.index;
+      if (radius > 0 && hexIndex) {
+        const ring = axialRing(hexToAxial(this.dragStart), radius)
+          .map((axial) => hexIndex.getAxial(axial))
+          .filter(Boolean);
+        this.drawRing(ring, warning, 0.9);
+      }
+    }
+  }
+
+  /**
+   * Draw a closed loop through ring hexes
+   * @param {Hex[]} ring - Ring hexes in order
+   * @param {number} color - Line color
+   * @param {number} alpha - Line opacity
+   */
+  drawRing(ring, color, alpha) {
+    if (ring.length < 2) return;
+
+    const graphics = this.preview;
+    graphics.moveTo(ring[0].x, ring[0].y);
+    ring.slice(1).forEach((hex) => graphics.lineTo(hex.x, hex.y));
+    graphics.lineTo(ring[0].x, ring[0].y);
+    graphics.stroke({ color, width: 2, alpha });
+  }
+
+  /**
+   * Get where a drone is drawn (between hexes while flying)
+   * @param {Drone} drone - Drone to locate
+   * @returns {Object} { x, y } on the objects layer
+   */
+  getDronePosition(drone) {
+    const sprite = window.sceneManager?.getSprite(drone);
+    return sprite ? sprite.position : { x: drone.hex.x, y: drone.hex.y };
+  }
+
+  /**
+   * Show the order hint with Clear Orders / Done, or hide it
+   */
+  updateBanner() {
+    if (this.banner) {
+      this.banner.destroy({ children: true });
+      this.banner = null;
+    }
+    if (!this.isActive()) return;
+
+    const width = Math.min(560, this.app.screen.width - 20);
+    const padding = 10;
+    this.banner = new PIXI.Container();
+
+    const text = new PIXI.Text({
+      text: `${this.selected.length} drone${this.selected.length === 1 ? "" : "s"} selected\n${ORDER_HINT}`,
+      style: {
+        fontFamily: "Arial",
+        fontSize: 13,
+        fill: gameColors.tooltipText,
+        wordWrap: true,
+        wordWrapWidth: width - padding * 2,
+      },
+    });
+    text.position.set(padding, padding);
+
+    const buttonY = text.height + padding * 2;
+    const clearButton = this.createBannerButton("Clear Orders", () =>
+      this.clearOrders(),
+    );
+    clearButton.position.set(padding, buttonY);
+    const doneButton = this.createBannerButton("Done", () => this.deselect());
+    doneButton.position.set(padding + clearButton.width + padding, buttonY);
+
+    const background = new PIXI.Graphics();
+    background.roundRect(
+      0,
+      0,
+      width,
+      buttonY + clearButton.height + padding,
+      8,
+    );
+    background.fill({ color: gameColors.tooltipBackground, alpha: 0.95 });
+    background.stroke({ color: gameColors.tooltipBorder, width: 2 });
+
+    this.banner.addChild(background, text, clearButton, doneButton);
+    this.banner.position.set((this.app.screen.width - width) / 2, 10);
+    this.uiContainer.addChild(this.banner);
+  }
+
+  /**
+   * Create a small text button for the banner
+   * @param {string} label - Button text
+   * @param {Function} action - Click handler
+   * @returns {PIXI.Container} Button
+   */
+  createBannerButton(label, action) {
+    const button = new PIXI.Container();
+    const text = new PIXI.Text({
+      text: label,
+      style: {
+        fontFamily: "Arial",
+        fontSize: 13,
+        fill: pixiColors.text.primary,
+      },
+    });
+    text.position.set(8, 4);
+
+    const background = new PIXI.Graphics();
+    background.roundRect(0, 0, text.width + 16, text.height + 8, 4);
+    background.fill(pixiColors.background.interactive);
+
+    button.addChild(background, text);
+    button.eventMode = "static";
+    button.cursor = "pointer";
+    button.on("pointerdown", (event) => {
+      event.stopPropagation();
+      action();
+    });
+    return button;
+  }
+
+  /**
+   * Remove the previews and banner
+   */
+  destroy() {
+    this.selected = [];
+    this.updateBanner();
+    this.preview.destroy();
+  }
+}
+
+export default DroneCommander;
@@ -0,0 +1,177 @@
+import { pixiColors, gameColors } from "../configs/colors.js";
+import eventSystem from "../engine/EventSystem.js";
+
+/**
+ * EventDialog - Modal for a random event and its choices
+ *
+ * Shows the event text with one button per choice; choices the player cannot
+ * afford are greyed out. After a choice the outcome is shown until the player
+ * continues. Built with the owning screen's button/text helpers so it matches
+ * its style.
+ */
+export class EventDialog {
+  /**
+   * @param {BaseScreen} screen - Screen that owns the dialog
+   * @param {Object} options - { event: { id, turn, event }, onClose }
+   */
+  constructor(screen, options = {}) {
+    this.screen = screen;
+    this.app = screen.app;
+    this.activeEvent = options.event;
+    this.onClose = options.onClose || null;
+
+    this.container = new PIXI.Container();
+    this.panel = null;
+
+    this.build();
+  }
+
+  /**
+   * Build the dialog with the event's choices, or its outcome once chosen
+   * @param {string|null} outcome - Outcome text to show instead of choices
+   */
+  build(outcome = null) {
+    this.container
+      .removeChildren()
+      .forEach((child) => child.destroy({ children: true }));
+
+    const size = (value) => this.screen.getResponsiveSize(value);
+    const fontSize = (value) => this.screen.getResponsiveFontSize(value);
+    const event = this.activeEvent.event;
+    const choices = outcome ? [] : event.choices;
+    const panelWidth = size(460);
+    const headerHeight = size(60);
+    const textHeight = size(90);
+    const buttonHeight = size(44);
+    const footerHeight = size(24);
+    const rows = outcome ? 1 : choices.length;
+    const panelHeight =
+      headerHeight +
+      textHeight +
+      rows * (buttonHeight + size(10)) +
+      footerHeight;
+
+    // Dim the island and swallow clicks behind the dialog
+    const backdrop = new PIXI.Graphics();
+    backdrop.rect(0, 0, this.app.screen.width, this.app.screen.height);
+    backdrop.fill({ color: 0x000000, alpha: 0.6 });
+    backdrop.interactive = true;
+    this.container.addChild(backdrop);
+
+    this.panel = new PIXI.Container();
+    const panelBg = new PIXI.Graphics();
+    panelBg.roundRect(0, 0, panelWidth, panelHeight, 12);
+    panelBg.fill(pixiColors.background.secondary);
+    panelBg.stroke({
+      color: event.disaster
+        ? pixiColors.state.warning
+        : pixiColors.accent.primary,
+      width: 2,
+    });
+    this.panel.addChild(panelBg);
+
+    const title = this.screen.createTitle(
+      event.name,
+      { x: panelWidth / 2, y: headerHeight / 2 },
+      { fontSize: fontSize(22) },
+    );
+    this.panel.addChild(title);
+
+    const text = this.screen.createText(
+      outcome || event.description,
+      { x: panelWidth / 2, y: headerHeight + textHeight / 2 },
+      { fontSize: fontSize(14), maxWidth: panelWidth - size(40) },
+    );
+    this.panel.addChild(text);
+
+    const buttonWidth = panelWidth - size(80);
+    const buttonX = (panelWidth - buttonWidth) / 2;
+    const buttonY = (index) =>
+      headerHeight + textHeight + index * (buttonHeight + size(10));
+    const buttonOptions = {
+      width: buttonWidth,
+      height: buttonHeight,
+      fontSize: fontSize(14),
+    };
+
+    if (outcome) {
+      const continueButton = this.screen.createButton(
+        "Continue",
+        { x: buttonX, y: buttonY(0) },
+        () => this.close(),
+        buttonOptions,
+      );
+      this.panel.addChild(continueButton);
+    }
+
+    choices.forEach((choice, index) => {
+      const cost = eventSystem.describeCost(choice);
+      const label = cost ? `${choice.label} (${cost})` : choice.label;
+      const affordable = eventSystem.canAfford(choice);
+
+      const button = this.screen.createButton(
+        label,
+        { x: buttonX, y: buttonY(index) },
+        affordable ? () => this.choose(choice.id) : null,
+        affordable
+          ? buttonOptions
+          : {
+              ...buttonOptions,
+              color: pixiColors.background.elevated,
+              hoverColor: pixiColors.background.elevated,
+              textColor: gameColors.tooltipText,
+            },
+      );
+      this.panel.addChild(button);
+    });
+
+    // Shrink to fit small screens
+    const scale = Math.min(
+      1,
+      (this.app.screen.width - 20) / panelWidth,
+      (this.app.screen.height - 20) / panelHeight,
+    );
+    this.panel.scale.set(scale);
+    this.panel.position.set(
+      (this.app.screen.width - panelWidth * scale) / 2,
+      (this.app.screen.height - panelHeight * scale) / 2,
+    );
+
+    this.container.addChild(this.panel);
+  }
+
+  /**
+   * Resolve the event with a choice and show what happened
+   * @param {string} choiceId - Chosen option
+   */
+  choose(choiceId) {
+    const result = eventSystem.resolveChoice(choiceId);
+    if (!result.success) {
+      console.warn(`[EventDialog] Choice ${choiceId} failed: ${result.reason}`);
+      this.build();
+      return;
+    }
+
+    this.build(result.outcome || "Done.");
+  }
+
+  /**
+   * Close the dialog
+   */
+  close() {
+    if (this.onClose) {
+      this.onClose();
+    }
+    this.destroy();
+  }
+
+  /**
+   * Remove the dialog from its parent and free its display objects
+   */
+  destroy() {
+    this.container.parent?.removeChild(this.container);
+    this.container.destroy({ children: true });
+  }
+}
+
+export default EventDialog;
@@ -9,6 +9,8 @@ import { pixiColors, gameColors, colors } from "../configs/colors.js";
 import { getResponsiveFontSize } from "./ResponsiveUtils.js";
 import { getContainer } from "../game/GameContainers.js";
 import EventBus from "../engine/EventBus.js";
+import powerGrid from "../engine/PowerGrid.js";
+import soilSystem from "../engine/SoilSystem.js";
 
 /**
  * Resource Display Component - Handles individual resource display elements
@@ -297,6 +299,7 @@ export class GameUI {
     this.turnText = null;
     this.timerText = null;
     this.progressBar = null;
+    this.soilToggle = null;
 
     // New component managers
     this.resourceGroupManager = new ResourceGroupManager();
@@ -445,6 +448,7 @@ export class GameUI {
       x: 0,
       y: yOffset,
     });
+    this.createSoilToggle(yOffset);
     yOffset += getResponsiveFontSize(25);
 
     // Create resource groups with visual separation
@@ -460,6 +464,43 @@ export class GameUI {
     console.log("[GameUI] Modular resource display system created");
   }
 
+  /**
+   * Create the Long Tomorrow soil overlay toggle beside the view toggle
+   * @param {number} yOffset - Row of the view toggle
+   */
+  createSoilToggle(yOffset) {
+    this.soilToggle = new PIXI.Text({
+      text: "",
+      style: {
+        fontFamily: "Arial",
+        fontSize: getResponsiveFontSize(14),
+        fill: gameColors.buttonText,
+      },
+    });
+    this.soilToggle.position.set(getResponsiveFontSize(110), yOffset);
+    this.soilToggle.interactive = true;
+    this.soilToggle.cursor = "pointer";
+    this.soilToggle.on("click", () => {
+      soilSystem.toggleOverlay();
+      this.updateSoilToggle();
+    });
+    this.turnInfo.addChild(this.soilToggle);
+
+    this.updateSoilToggle();
+  }
+
+  /**
+   * Show the soil toggle only where soil matters, labelled with its state
+   */
+  updateSoilToggle() {
+    if (!this.soilToggle) return;
+
+    this.soilToggle.visible = soilSystem.isActive();
+    this.soilToggle.text = soilSystem.isOverlayVisible()
+      ? "🌱 Soil: on"
+      : "🌱 Soil: off";
+  }
+
   /**
    * Create Core Resources group (Fuel, Materials, Waste, Storage)
    */
@@ -479,22 +520,25 @@ export class GameUI {
     this.resourceGroupManager.addResourceToGroup("coreResources", {
       id: "fuel",
       label: "Fuel",
-      defaultText: "Fuel: 15",
+      defaultText: "Fuel: 15/80",
       defaultColor: gameColors.tooltipText,
+      formatter: (data) => `Fuel: ${data.amount}/${data.capacity}`,
     });
 
     this.resourceGroupManager.addResourceToGroup("coreResources", {
       id: "materials",
       label: "Materials",
-      defaultText: "Materials: 5",
+      defaultText: "Materials: 5/100",
       defaultColor: gameColors.tooltipText,
+      formatter: (data) => `Materials: ${data.amount}/${data.capacity}`,
     });
 
     this.resourceGroupManager.addResourceToGroup("coreResources", {
       id: "waste",
       label: "Waste",
-      defaultText: "Waste: 0",
+      defaultText: "Waste: 0/50",
       defaultColor: gameColors.tooltipText,
+      formatter: (data) => `Waste: ${data.amount}/${data.capacity}`,
     });
 
     this.resourceGroupManager.addResourceToGroup("coreResources", {
@@ -541,8 +585,9 @@ export class GameUI {
     this.resourceGroupManager.addResourceToGroup("populationFood", {
       id: "food",
       label: "Food",
-      defaultText: "Food: 15",
+      defaultText: "Food: 15/40",
       defaultColor: gameColors.buttonText,
+      formatter: (data) => `Food: ${data.amount}/${data.capacity}`,
     });
 
     this.resourceGroupManager.addResourceToGroup("populationFood", {
@@ -610,7 +655,16 @@ export class GameUI {
       formatter: (data) => `Production: ${data}/turn`,
     });
 
-    return yOffset + getResponsiveFontSize(95);
+    this.resourceGroupManager.addResourceToGroup("productionStatus", {
+      id: "waterBalance",
+      label: "Water Balance",
+      defaultText: "Water: 0/40 (0/turn)",
+      defaultColor: gameColors.tooltipText,
+      formatter: (data) =>
+        `Water: ${data.stored}/${data.capacity} (${data.balance > 0 ? "+" : ""}${data.balance}/turn)`,
+    });
+
+    return yOffset + getResponsiveFontSize(115);
   }
 
   /**
@@ -792,6 +846,9 @@ export class GameUI {
     EventBus.on("playerStorage:limitChanged", () => this.updateStorageInfo());
     EventBus.on("storage:upgraded", () => this.updateStorageInfo());
     EventBus.on("storage:destroyed", () => this.updateStorageInfo());
+    EventBus.on("playerStorage:excessResourcesLost", () =>
+      this.updateStorageInfo(),
+    );
 
     // Listen for progression updates
     EventBus.on("progression:conditionsChecked", (data) =>
@@ -849,6 +906,8 @@ export class GameUI {
         );
       }
     }
+
+    this.updateSoilToggle();
   }
 
   /**
@@ -918,15 +977,13 @@ export class GameUI {
     const housingCapacity = this.playerStorage.getHousingCapacity();
 
     // Calculate fuel consumption and turns remaining
-    const buildingCount = this.gameState.buildings.length;
-    const fuelConsumption =
-      this.gameState.fuelConsumptionBase +
-      buildingCount * this.gameState.fuelConsumptionPerBuilding;
+    const fuelConsumption = powerGrid.getFuelConsumption();
     const turnsRemaining =
       this.playerStorage.getTurnsRemaining(fuelConsumption);
 
-    // Calculate storage info
-    const totalResources = fuel + materials + waste;
+    // Calculate storage info - every storage class has its own capacity
+    const storage = this.playerStorage.getStorageBreakdown();
+    const totalResources = this.playerStorage.currentResources;
     const storageLimit = this.playerStorage.getCurrentLimit();
 
     // Calculate fuel production from refineries
@@ -951,6 +1008,23 @@ export class GameUI {
     }, 0);
     const foodBalance = foodProduction - foodConsumptionRate;
 
+    // Calculate water collection and greenhouse irrigation
+    const water = this.playerStorage.getWater();
+    const waterCollection = this.gameState.buildings
+      .filter(
+        (building) =>
+          building.type === "water_collector" && !building.isUnderConstruction,
+      )
+      .reduce((total, collector) => total + collector.getWaterProduction(), 0);
+    const waterProduction = Math.round(waterCollection * 10) / 10;
+    const waterConsumption = greenhouses
+      .filter((greenhouse) => !greenhouse.isUnderConstruction)
+      .reduce((total, greenhouse) => {
+        return total + greenhouse.getWaterConsumption();
+      }, 0);
+    const waterBalance =
+      Math.round((waterProduction - waterConsumption) * 10) / 10;
+
     return {
       fuel,
       materials,
@@ -960,12 +1034,17 @@ export class GameUI {
       housingCapacity,
       fuelConsumption,
       turnsRemaining,
+      storage,
       totalResources,
       storageLimit,
       fuelProduction,
       foodConsumptionRate,
       foodProduction,
       foodBalance,
+      water,
+      waterProduction,
+      waterConsumption,
+      waterBalance,
     };
   }
 
@@ -973,24 +1052,17 @@ export class GameUI {
    * Update core resources (Fuel, Materials, Waste, Storage)
    */
   updateCoreResources(data) {
-    // Update fuel
-    const fuelComponent = this.resourceGroupManager.getComponent("fuel");
-    if (fuelComponent) {
-      fuelComponent.update(data.fuel);
-    }
-
-    // Update materials
-    const materialsComponent =
-      this.resourceGroupManager.getComponent("materials");
-    if (materialsComponent) {
-      materialsComponent.update(data.materials);
-    }
-
-    // Update waste
-    const wasteComponent = this.resourceGroupManager.getComponent("waste");
-    if (wasteComponent) {
-      wasteComponent.update(data.waste);
-    }
+    // Update fuel, materials and waste against their own capacity
+    ["fuel", "materials", "waste"].forEach((storageClass) => {
+      const component = this.resourceGroupManager.getComponent(storageClass);
+      const { amount, capacity } = data.storage[storageClass];
+      if (component) {
+        component.update(
+          { amount, capacity },
+          WarningSystem.evaluateStorageWarning(amount, { limit: capacity }),
+        );
+      }
+    });
 
     // Update storage with warning level
     const storageComponent = this.resourceGroupManager.getComponent("storage");
@@ -1030,7 +1102,10 @@ export class GameUI {
       const foodWarning = WarningSystem.evaluateFoodWarning(data.food, {
         consumption: data.foodConsumptionRate,
       });
-      foodComponent.update(data.food, foodWarning);
+      foodComponent.update(
+        { amount: data.food, capacity: data.storage.food.capacity },
+        foodWarning,
+      );
     }
 
     // Update food balance with warning level
@@ -1081,6 +1156,27 @@ export class GameUI {
       );
       productionComponent.update(data.fuelProduction, productionWarning);
     }
+
+    // Update water balance - warn when greenhouses will run dry
+    const waterComponent =
+      this.resourceGroupManager.getComponent("waterBalance");
+    if (waterComponent) {
+      let waterWarning = "normal";
+      if (data.waterConsumption > 0) {
+        if (data.waterBalance >= 0) waterWarning = "success";
+        else if (data.water + data.waterBalance >= 0) waterWarning = "warning";
+        else waterWarning = "critical";
+      }
+
+      waterComponent.update(
+        {
+          stored: data.water,
+          capacity: data.storage.water.capacity,
+          balance: data.waterBalance,
+        },
+        waterWarning,
+      );
+    }
   }
 
   /**
@@ -1269,6 +1365,7 @@ export class GameUI {
 
     // Clear references
     this.turnInfo = null;
+    this.soilToggle = null;
     this.objectivesContainer = null;
     this.objectiveTexts = [];
     this.resourceGroupManager = null;
@@ -0,0 +1,504 @@
+import { pixiColors } from "../configs/colors.js";
+import { HEX_OFFSET_X, HEX_OFFSET_Y } from "../configs/config.js";
+import { offsetToPixel } from "../engine/HexMath.js";
+import { getLevelById } from "../configs/levels.js";
+import { getGameModeConfig } from "../gameModes/GameModeConfig.js";
+import SaveSystem, { SaveValidationError } from "../engine/SaveSystem.js";
+
+// Thumbnail colors by hex kind (building type, "resource" or terrain)
+const THUMBNAIL_COLORS = {
+  grass: pixiColors.state.success,
+  ground: pixiColors.background.interactive,
+  resource: pixiColors.state.warning,
+  reactor: pixiColors.accent.bright,
+  building: pixiColors.accent.primary,
+};
+
+/**
+ * SaveSlotPicker - Modal list of save slots
+ *
+ * Shows every manual slot and autosave with its name, game mode,
+ * level/session, turn and a hex-grid thumbnail. Used by the StartScreen
+ * (load only) and the GameScreen pause menu (save and load).
+ * Built with the owning screen's button/text helpers so it matches its style.
+ */
+export class SaveSlotPicker {
+  /**
+   * @param {BaseScreen} screen - Screen that owns the picker
+   * @param {Object} options - { allowSave, onSave(slotId, name), onLoad(saveData, slotId), onClose }
+   */
+  constructor(screen, options = {}) {
+    this.screen = screen;
+    this.app = screen.app;
+    this.allowSave = options.allowSave || false;
+    this.onSave = options.onSave || null;
+    this.onLoad = options.onLoad || null;
+    this.onClose = options.onClose || null;
+
+    this.container = new PIXI.Container();
+    this.panel = null;
+    this.errorText = null;
+
+    this.build();
+  }
+
+  /**
+   * Build (or rebuild) the picker contents from the current slot index
+   */
+  build() {
+    this.container
+      .removeChildren()
+      .forEach((child) => child.destroy({ children: true }));
+    this.errorText = null;
+
+    const size = (value) => this.screen.getResponsiveSize(value);
+    const slots = SaveSystem.listSlots();
+    const panelWidth = size(560);
+    const rowHeight = size(76);
+    const headerHeight = size(60);
+    const footerHeight = size(90);
+    const panelHeight =
+      headerHeight + slots.length * (rowHeight + size(6)) + footerHeight;
+
+    // Dim the screen and swallow clicks behind the picker
+    const backdrop = new PIXI.Graphics();
+    backdrop.rect(0, 0, this.app.screen.width, this.app.screen.height);
+    backdrop.fill({ color: 0x000000, alpha: 0.6 });
+    backdrop.interactive = true;
+    this.container.addChild(backdrop);
+
+    this.panel = new PIXI.Container();
+    const panelBg = new PIXI.Graphics();
+    panelBg.roundRect(0, 0, panelWidth, panelHeight, 12);
+    panelBg.fill(pixiColors.background.secondary);
+    panelBg.stroke({ color: pixiColors.accent.primary, width: 2 });
+    this.panel.addChild(panelBg);
+
+    const title = this.screen.createTitle(
+      this.allowSave ? "Save / Load" : "Load Game",
+      { x: panelWidth / 2, y: headerHeight / 2 },
+      { fontSize: this.screen.getResponsiveFontSize(22) },
+    );
+    this.panel.addChild(title);
+
+    slots.forEach((slot, index) => {
+      const row = this.createSlotRow(slot, panelWidth - size(24), rowHeight);
+      row.position.set(size(12), headerHeight + index * (rowHeight + size(6)));
+      this.panel.addChild(row);
+    });
+
+    const footerButtonOptions = {
+      width: size(160),
+      height: size(40),
+      fontSize: this.screen.getResponsiveFontSize(14),
+    };
+
+    const importButton = this.screen.createButton(
+      "Import File",
+      { x: panelWidth / 2 - size(170), y: panelHeight - size(60) },
+      () => this.importFile(),
+      { ...footerButtonOptions, color: pixiColors.accent.muted },
+    );
+    this.panel.addChild(importButton);
+
+    const closeButton = this.screen.createButton(
+      "Close",
+      { x: panelWidth / 2 + size(10), y: panelHeight - size(60) },
+      () => this.close(),
+      footerButtonOptions,
+    );
+    this.panel.addChild(closeButton);
+
+    // Shrink to fit small screens
+    const scale = Math.min(
+      1,
+      (this.app.screen.width - 20) / panelWidth,
+      (this.app.screen.height - 20) / panelHeight,
+    );
+    this.panel.scale.set(scale);
+    this.panel.position.set(
+      (this.app.screen.width - panelWidth * scale) / 2,
+      (this.app.screen.height - panelHeight * scale) / 2,
+    );
+    this.panelSize = { width: panelWidth, height: panelHeight };
+
+    this.container.addChild(this.panel);
+  }
+
+  /**
+   * Create one slot row
+   * @param {Object} slot - Entry from SaveSystem.listSlots()
+   * @param {number} width - Row width
+   * @param {number} height - Row height
+   * @returns {PIXI.Container} Row container
+   */
+  createSlotRow(slot, width, height) {
+    const size = (value) => this.screen.getResponsiveSize(value);
+    const fontSize = (value) => this.screen.getResponsiveFontSize(value);
+    const metadata = slot.metadata;
+    const row = new PIXI.Container();
+
+    const rowBg = new PIXI.Graphics();
+    rowBg.roundRect(0, 0, width, height, 8);
+    rowBg.fill(pixiColors.background.elevated);
+    row.addChild(rowBg);
+
+    const thumbnailSize = height - size(12);
+    const thumbnail = this.createThumbnail(
+      metadata?.thumbnail || [],
+      thumbnailSize,
+    );
+    thumbnail.position.set(size(6), size(6));
+    row.addChild(thumbnail);
+
+    const textX = thumbnailSize + size(16);
+    const name = metadata?.name || SaveSystem.getDefaultSlotName(slot.slotId);
+    const nameText = this.screen.createText(
+      slot.isAutosave ? `${name} (auto)` : name,
+      { x: textX, y: size(8) },
+      { fontSize: fontSize(14), anchor: 0, align: "left" },
+    );
+    row.addChild(nameText);
+
+    // Actions on the right, laid out right to left
+    const buttonWidth = size(72);
+    const buttonHeight = size(32);
+    let buttonX = width - buttonWidth - size(8);
+    const buttonY = (height - buttonHeight) / 2;
+    const buttonOptions = {
+      width: buttonWidth,
+      height: buttonHeight,
+      fontSize: fontSize(12),
+    };
+
+    const actions = [];
+    if (metadata) {
+      actions.push({ label: "Load", action: () => this.loadSlot(slot.slotId) });
+      actions.push({
+        label: "Export",
+        action: () => this.exportSlot(slot.slotId, name),
+        color: pixiColors.background.interactive,
+      });
+    }
+    if (this.allowSave && !slot.isAutosave) {
+      actions.push({
+        label: "Save",
+        action: () => this.saveSlot(slot.slotId, name),
+        color: pixiColors.accent.muted,
+      });
+    }
+
+    actions.forEach(({ label, action, color }) => {
+      const button = this.screen.createButton(
+        label,
+        { x: buttonX, y: buttonY },
+        action,
+        color ? { ...buttonOptions, color } : buttonOptions,
+      );
+      row.addChild(button);
+      buttonX -= buttonWidth + size(8);
+    });
+
+    const details = metadata
+      ? [this.describeProgress(metadata), this.describeSavedAt(metadata)]
+      : ["Empty slot"];
+    details.forEach((line, index) => {
+      const detailText = this.screen.createText(
+        line,
+        { x: textX, y: size(30) + index * size(18) },
+        {
+          fontSize: fontSize(11),
+          color: pixiColors.text.secondary,
+          anchor: 0,
+          align: "left",
+          maxWidth: buttonX + buttonWidth - textX,
+        },
+      );
+      row.addChild(detailText);
+    });
+
+    return row;
+  }
+
+  /**
+   * Render a thumbnail from [q, r, kind] cells
+   * @param {Array[]} cells - Thumbnail cells from slot metadata
+   * @param {number} size - Square size in pixels
+   * @returns {PIXI.Graphics} Thumbnail graphic
+   */
+  createThumbnail(cells, size) {
+    const graphics = new PIXI.Graphics();
+    graphics.roundRect(0, 0, size, size, 6);
+    graphics.fill(pixiColors.background.primary);
+
+    if (cells.length === 0) return graphics;
+
+    // Same layout as Hex positions
+    const points = cells.map(([q, r, kind]) => ({
+      ...offsetToPixel(q, r),
+      kind,
+    }));
+    const xs = points.map((point) => point.x);
+    const ys = points.map((point) => point.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    const spanX = Math.max(...xs) - minX + HEX_OFFSET_X;
+    const spanY = Math.max(...ys) - minY + HEX_OFFSET_Y;
+    const scale = (size - 8) / Math.max(spanX, spanY);
+    const radius = Math.max(1.5, (HEX_OFFSET_Y / 2) * scale);
+    const offsetX = (size - spanX * scale) / 2 + (HEX_OFFSET_X / 2) * scale;
+    const offsetY = (size - spanY * scale) / 2 + (HEX_OFFSET_Y / 2) * scale;
+
+    points.forEach((point) => {
+      const color = THUMBNAIL_COLORS[point.kind] ?? THUMBNAIL_COLORS.building;
+      graphics.circle(
+        offsetX + (point.x - minX) * scale,
+        offsetY + (point.y - minY) * scale,
+        radius,
+      );
+      graphics.fill(color);
+    });
+
+    return graphics;
+  }
+
+  /**
+   * Describe mode, level/session and turn for a slot
+   * @param {Object} metadata - Slot metadata
+   * @returns {string} Description line
+   */
+  describeProgress(metadata) {
+    const parts = [getGameModeConfig(metadata.gameMode).shortName];
+
+    if (metadata.levelId) {
+      const level = getLevelById(metadata.levelId);
+      parts.push(
+        level
+          ? `Level ${metadata.levelId}: ${level.name}`
+          : `Level ${metadata.levelId}`,
+      );
+    }
+    if (metadata.sessionNumber) {
+      parts.push(`Session ${metadata.sessionNumber}`);
+    }
+    parts.push(`Turn ${metadata.turn}`);
+
+    return parts.join(" · ");
+  }
+
+  /**
+   * Describe when a slot was saved and its map seed
+   * @param {Object} metadata - Slot metadata
+   * @returns {string} Description line
+   */
+  describeSavedAt(metadata) {
+    const savedAt = `Saved ${new Date(metadata.savedAt).toLocaleString()}`;
+    return metadata.seed ? `${savedAt} · Seed ${metadata.seed}` : savedAt;
+  }
+
+  /**
+   * Save the running game into a slot
+   * @param {string} slotId - Slot id
+   * @param {string} currentName - Name shown for the slot
+   */
+  saveSlot(slotId, currentName) {
+    if (!this.onSave) return;
+
+    const name = window.prompt("Name this save:", currentName);
+    if (name === null) return; // Cancelled
+
+    const saved = this.onSave(slotId, name.trim() || currentName);
+    this.build();
+
+    if (!saved) {
+      this.showError("Could not write the save - storage may be full.");
+    }
+  }
+
+  /**
+   * Load a slot and hand the save to the owning screen
+   * @param {string} slotId - Slot id
+   */
+  loadSlot(slotId) {
+    let saveData;
+    try {
+      saveData = SaveSystem.loadSlot(slotId);
+    } catch (error) {
+      if (!(error instanceof SaveValidationError)) throw error;
+
+      // Keep the save on disk - it may load in a newer build
+      console.error(`[SaveSlotPicker] Save in ${slotId} rejected:`, error);
+      this.showError(
+        error.reason === "newer_version"
+          ? `Cannot load: ${error.message}. Update the game to load this save.`
+          : `Cannot load: ${error.message}`,
+      );
+      return;
+    }
+
+    if (!saveData) {
+      this.build();
+      this.showError("This slot is empty.");
+      return;
+    }
+
+    if (this.onLoad) {
+      this.onLoad(saveData, slotId);
+    }
+  }
+
+  /**
+   * Download the save in a slot as a portable JSON file
+   * @param {string} slotId - Slot id
+   * @param {string} name - Name shown for the slot
+   */
+  exportSlot(slotId, name) {
+    let saveData;
+    try {
+      saveData = SaveSystem.loadSlot(slotId);
+    } catch (error) {
+      if (!(error instanceof SaveValidationError)) throw error;
+
+      console.error(`[SaveSlotPicker] Cannot export ${slotId}:`, error);
+      this.showError(`Cannot export: ${error.message}`);
+      return;
+    }
+
+    if (!saveData) {
+      this.build();
+      this.showError("This slot is empty.");
+      return;
+    }
+
+    const { fileName, contents } = SaveSystem.createExportFile(saveData, name);
+    const blob = new window.Blob([contents], { type: "application/json" });
+    const url = window.URL.createObjectURL(blob);
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => window.URL.revokeObjectURL(url), 0);
+
+    console.log(`[SaveSlotPicker] Exported ${slotId} as ${fileName}`);
+  }
+
+  /**
+   * Let the player pick an exported save file and import it into a slot
+   */
+  importFile() {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".json,application/json";
+    input.addEventListener("change", () => {
+      const [file] = input.files;
+      if (file) {
+        this.importFromFile(file);
+      }
+    });
+    input.click();
+  }
+
+  /**
+   * Validate an exported save file and write it into a manual slot
+   * @param {File} file - File chosen by the player
+   */
+  async importFromFile(file) {
+    let imported;
+    try {
+      imported = SaveSystem.parseImportFile(await file.text());
+    } catch (error) {
+      if (!(error instanceof SaveValidationError)) throw error;
+
+      console.error(`[SaveSlotPicker] Import of ${file.name} rejected:`, error);
+      this.showError(
+        error.reason === "newer_version"
+          ? `Import failed: ${error.message}. Update the game to import this save.`
+          : `Import failed: ${error.message}`,
+      );
+      return;
+    }
+
+    const slotId = this.chooseImportSlot();
+    if (!slotId) return; // Player kept their saves
+
+    const name = imported.name || file.name.replace(/\.json$/i, "");
+    const saved = SaveSystem.saveToSlot(slotId, imported.saveData, name);
+    this.build();
+
+    if (!saved) {
+      this.showError("Could not write the save - storage may be full.");
+      return;
+    }
+
+    console.log(`[SaveSlotPicker] Imported ${file.name} into ${slotId}`);
+  }
+
+  /**
+   * Pick the manual slot an import goes into: the first empty one, or the
+   * oldest one if the player agrees to overwrite it
+   * @returns {string|null} Slot id, or null if the import was cancelled
+   */
+  chooseImportSlot() {
+    const manualSlots = SaveSystem.listSlots().filter(
+      (slot) => !slot.isAutosave,
+    );
+    const emptySlot = manualSlots.find((slot) => !slot.metadata);
+    if (emptySlot) return emptySlot.slotId;
+
+    const [oldest] = manualSlots.sort(
+      (a, b) => a.metadata.savedAt - b.metadata.savedAt,
+    );
+    const overwrite = window.confirm(
+      `All save slots are full. Overwrite "${oldest.metadata.name}" with the imported save?`,
+    );
+    return overwrite ? oldest.slotId : null;
+  }
+
+  /**
+   * Show an error message at the bottom of the panel
+   * @param {string} message - Message to show
+   */
+  showError(message) {
+    if (this.errorText) {
+      this.panel.removeChild(this.errorText);
+      this.errorText.destroy();
+    }
+
+    this.errorText = this.screen.createText(
+      message,
+      {
+        x: this.panelSize.width / 2,
+        y: this.panelSize.height - this.screen.getResponsiveSize(76),
+      },
+      {
+        fontSize: this.screen.getResponsiveFontSize(12),
+        color: pixiColors.state.error,
+        maxWidth: this.panelSize.width - this.screen.getResponsiveSize(40),
+      },
+    );
+    this.panel.addChild(this.errorText);
+  }
+
+  /**
+   * Close the picker
+   */
+  close() {
+    if (this.onClose) {
+      this.onClose();
+    }
+    this.destroy();
+  }
+
+  /**
+   * Remove the picker from its parent and free its display objects
+   */
+  destroy() {
+    this.container.parent?.removeChild(this.container);
+    this.container.destroy({ children: true });
+  }
+}
+
+export default SaveSlotPicker;
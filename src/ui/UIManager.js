@@ -4,6 +4,7 @@ import { pixiColors, gameColors } from "../configs/colors.js";
 export class UIManager {
   constructor(uiContainer, app) {
     this.tooltip = null;
+    this.notice = null; // Timed message, kept apart from the hover tooltip
     this.contextMenu = null;
     this.uiContainer = uiContainer;
     this.app = app;
@@ -40,6 +41,36 @@ export class UIManager {
   createTooltip(text, position) {
     this.clearTooltip();
 
+    this.tooltip = this.createPanel(text, position);
+    this.uiContainer.addChild(this.tooltip);
+  }
+
+  /**
+   * Show a message that removes itself after a while
+   * Unlike createTooltip it leaves the hover tooltip alone.
+   * @param {string} text - Message
+   * @param {Object} position - { x, y } the panel is placed above
+   * @param {number} duration - Milliseconds the message stays
+   */
+  showNotice(text, position, duration) {
+    this.clearNotice();
+
+    const notice = this.createPanel(text, position);
+    this.notice = notice;
+    this.uiContainer.addChild(notice);
+
+    setTimeout(() => {
+      if (this.notice === notice) this.clearNotice();
+    }, duration);
+  }
+
+  /**
+   * Create a text panel in the tooltip style
+   * @param {string} text - Panel text
+   * @param {Object} position - { x, y } the panel is placed above
+   * @returns {PIXI.Container} Panel
+   */
+  createPanel(text, position) {
     // Responsive sizing
     const tooltipWidth = this.getResponsiveSize(this.isMobile ? 160 : 300);
     const fontSize = this.getResponsiveFontSize(this.isMobile ? 12 : 16);
@@ -65,7 +96,7 @@ export class UIManager {
     );
 
     // Create a container for the tooltip
-    this.tooltip = new PIXI.Container();
+    const tooltip = new PIXI.Container();
 
     // Create the background graphics with dynamic height
     const tooltipBg = new PIXI.Graphics();
@@ -91,16 +122,16 @@ export class UIManager {
       tooltipY = this.app.screen.height - tooltipHeight - 10;
     }
 
-    this.tooltip.position.set(tooltipX, tooltipY);
+    tooltip.position.set(tooltipX, tooltipY);
 
     // Position text within the tooltip
     tooltipText.position.set(padding, padding);
 
     // Add both background and text to the container
-    this.tooltip.addChild(tooltipBg);
-    this.tooltip.addChild(tooltipText);
+    tooltip.addChild(tooltipBg);
+    tooltip.addChild(tooltipText);
 
-    this.uiContainer.addChild(this.tooltip);
+    return tooltip;
   }
 
   createContextMenu(options, position) {
@@ -219,6 +250,14 @@ export class UIManager {
     }
   }
 
+  clearNotice() {
+    if (this.notice) {
+      this.uiContainer.removeChild(this.notice);
+      this.notice.destroy();
+      this.notice = null;
+    }
+  }
+
   clearContextMenu() {
     if (this.contextMenu) {
       this.uiContainer.removeChild(this.contextMenu);
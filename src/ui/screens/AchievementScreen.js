@@ -0,0 +1,271 @@
+import BaseScreen from "./BaseScreen.js";
+import { SCREENS } from "../../configs/screens.js";
+import { gameColors, pixiColors } from "../../configs/colors.js";
+import {
+  longTomorrowManager,
+  LongTomorrowManager,
+} from "../../systems/longTomorrow/index.js";
+
+/**
+ * AchievementScreen - Gallery of Long Tomorrow achievements
+ *
+ * Shows every achievement grouped by category, with a progress bar each.
+ * Unlocked achievements are drawn in their category's color, locked ones are
+ * dimmed and hidden ones keep their name and goal secret until unlocked.
+ * Achievements are read from the saved world unless a session is running.
+ */
+export class AchievementScreen extends BaseScreen {
+  constructor(container, screenManager, app) {
+    super(container, screenManager, app);
+
+    this.returnTo = SCREENS.START;
+    this.returnData = null;
+  }
+
+  /**
+   * Initialize the achievement screen
+   * @param {Object} data - { returnTo, returnData }
+   */
+  async init(data = {}) {
+    await super.init(data);
+
+    this.returnTo = data.returnTo || SCREENS.START;
+    this.returnData = data.returnData || null;
+
+    this.loadAchievements();
+    this.createUI();
+
+    console.log("[AchievementScreen] Initialized achievement screen");
+  }
+
+  /**
+   * Load achievements from the saved world between sessions
+   */
+  loadAchievements() {
+    if (longTomorrowManager.isSessionActive()) return;
+
+    const savedWorld = LongTomorrowManager.readSavedWorld();
+    if (savedWorld?.achievementData) {
+      longTomorrowManager.achievementSystem.loadSaveData(
+        savedWorld.achievementData,
+      );
+    }
+  }
+
+  /**
+   * Create the screen UI
+   */
+  createUI() {
+    const center = this.getScreenCenter();
+    const achievements = longTomorrowManager.achievementSystem;
+    const stats = achievements.getAchievementStats();
+    const recent = achievements.getRecentAchievements();
+
+    const title = this.createTitle(
+      "Achievements",
+      { x: center.x, y: this.getResponsiveSize(40) },
+      { fontSize: this.getResponsiveFontSize(this.isMobile ? 22 : 30) },
+    );
+    this.uiContainer.addChild(title);
+
+    const summary = this.createText(
+      `${stats.unlocked} of ${stats.total} unlocked (${Math.round(stats.percentage)}%)` +
+        (recent.length > 0
+          ? `\nRecently: ${recent.map(({ achievement }) => achievement.name).join(", ")}`
+          : ""),
+      { x: center.x, y: this.getResponsiveSize(80) },
+      {
+        fontSize: this.getResponsiveFontSize(13),
+        color: gameColors.buttonText,
+        maxWidth: this.app.screen.width - this.getResponsiveSize(40),
+      },
+    );
+    this.uiContainer.addChild(summary);
+
+    // Categories in a two-column grid
+    const categories = Object.entries(achievements.getAchievementsByCategory());
+    const gap = this.getResponsiveSize(16);
+    const panelWidth = Math.min(
+      this.getResponsiveSize(440),
+      (this.app.screen.width - gap * 3) / 2,
+    );
+    const left = center.x - panelWidth - gap / 2;
+    let top = this.getResponsiveSize(115);
+    let rowHeight = 0;
+
+    categories.forEach(([categoryId, category], index) => {
+      const column = index % 2;
+      if (index > 0 && column === 0) {
+        top += rowHeight + gap;
+        rowHeight = 0;
+      }
+
+      const panel = this.createCategoryPanel(
+        category,
+        stats.categories[categoryId],
+        panelWidth,
+      );
+      panel.position.set(left + column * (panelWidth + gap), top);
+      this.uiContainer.addChild(panel);
+      rowHeight = Math.max(rowHeight, panel.height);
+    });
+
+    const backButton = this.createButton(
+      "Back",
+      {
+        x: center.x - this.getResponsiveSize(100),
+        y: this.app.screen.height - this.getResponsiveSize(70),
+      },
+      () => this.goBack(),
+      {
+        width: this.getResponsiveSize(200),
+        height: this.getResponsiveSize(44),
+        fontSize: this.getResponsiveFontSize(14),
+        color: pixiColors.background.secondary,
+      },
+    );
+    this.uiContainer.addChild(backButton);
+  }
+
+  /**
+   * Create the panel of one category
+   * @param {Object} category - { info, achievements } from getAchievementsByCategory()
+   * @param {Object} stats - The category's entry in getAchievementStats().categories
+   * @param {number} width - Panel width
+   * @returns {PIXI.Container} Panel
+   */
+  createCategoryPanel(category, stats, width) {
+    const size = (value) => this.getResponsiveSize(value);
+    const { info, achievements } = category;
+    const color = parseInt(info.color.slice(1), 16);
+    const headerHeight = size(32);
+    const rowHeight = size(48);
+    const height = headerHeight + achievements.length * rowHeight + size(8);
+
+    const panel = new PIXI.Container();
+
+    const background = new PIXI.Graphics();
+    background.roundRect(0, 0, width, height, 10);
+    background.fill({ color: pixiColors.background.secondary, alpha: 0.9 });
+    background.stroke({ color, width: 2 });
+    panel.addChild(background);
+
+    const heading = this.createText(
+      `${info.name} · ${stats.unlocked}/${stats.total}`,
+      { x: width / 2, y: headerHeight / 2 },
+      { fontSize: this.getResponsiveFontSize(15), color },
+    );
+    panel.addChild(heading);
+
+    achievements.forEach((progress, index) => {
+      const row = this.createAchievementRow(progress, width, color);
+      row.position.set(0, headerHeight + index * rowHeight);
+      panel.addChild(row);
+    });
+
+    return panel;
+  }
+
+  /**
+   * Create one achievement with its progress bar
+   * @param {Object} progress - Result of AchievementSystem.getAchievementProgress()
+   * @param {number} width - Row width
+   * @param {number} color - Category color
+   * @returns {PIXI.Container} Row
+   */
+  createAchievementRow(progress, width, color) {
+    const size = (value) => this.getResponsiveSize(value);
+    const fontSize = (value) => this.getResponsiveFontSize(value);
+    const { achievement, unlocked } = progress;
+    const secret = achievement.hidden && !unlocked;
+    const padding = size(12);
+    const barWidth = size(90);
+    const textColor = unlocked ? gameColors.buttonText : gameColors.tooltipText;
+
+    const row = new PIXI.Container();
+    row.alpha = unlocked ? 1 : 0.75;
+
+    const name = this.createText(
+      secret ? "???" : `${achievement.name} (+${achievement.points})`,
+      { x: padding, y: size(4) },
+      {
+        anchor: 0,
+        fontSize: fontSize(13),
+        color: unlocked ? color : textColor,
+        align: "left",
+        maxWidth: width - barWidth - padding * 3,
+      },
+    );
+    name.anchor.set(0, 0);
+    row.addChild(name);
+
+    const description = this.createText(
+      secret ? "Hidden achievement" : achievement.description,
+      { x: padding, y: size(22) },
+      {
+        anchor: 0,
+        fontSize: fontSize(10),
+        color: textColor,
+        align: "left",
+        maxWidth: width - barWidth - padding * 3,
+      },
+    );
+    description.anchor.set(0, 0);
+    row.addChild(description);
+
+    // Progress bar, with a count for achievements that take more than one step
+    const barX = width - barWidth - padding;
+    const barHeight = size(10);
+    const fraction = unlocked
+      ? 1
+      : Math.min(progress.progress / progress.maxProgress, 1);
+    const bar = new PIXI.Graphics();
+    bar.roundRect(barX, size(10), barWidth, barHeight, barHeight / 2);
+    bar.fill(pixiColors.background.primary);
+    if (fraction > 0) {
+      bar.roundRect(
+        barX,
+        size(10),
+        Math.max(barWidth * fraction, barHeight),
+        barHeight,
+        barHeight / 2,
+      );
+      bar.fill(unlocked ? color : pixiColors.accent.muted);
+    }
+    row.addChild(bar);
+
+    const count = this.createText(
+      unlocked
+        ? "Unlocked"
+        : progress.maxProgress > 1
+          ? `${progress.progress} / ${progress.maxProgress}`
+          : "Locked",
+      { x: barX + barWidth / 2, y: size(32) },
+      { fontSize: fontSize(10), color: textColor },
+    );
+    row.addChild(count);
+
+    return row;
+  }
+
+  /**
+   * Return to the screen the gallery was opened from
+   */
+  goBack() {
+    this.navigateToScreen(this.returnTo, { data: this.returnData || {} });
+  }
+
+  /**
+   * Handle screen resize
+   */
+  onResize() {
+    super.onResize();
+
+    this.uiContainer
+      .removeChildren()
+      .forEach((child) => child.destroy({ children: true }));
+    this.createUI();
+  }
+}
+
+export default AchievementScreen;
@@ -0,0 +1,380 @@
+import BaseScreen from "./BaseScreen.js";
+import { SCREENS } from "../../configs/screens.js";
+import { gameColors, pixiColors } from "../../configs/colors.js";
+import {
+  CHALLENGE_PERIODS,
+  CHALLENGE_PERIOD_CONFIG,
+  getChallenge,
+} from "../../configs/challenges.js";
+import { GAME_MODES } from "../../gameModes/GameModeConfig.js";
+import gameModeManager from "../../gameModes/GameModeManager.js";
+import ChallengeManager from "../../engine/ChallengeManager.js";
+import randomService from "../../engine/Random.js";
+
+// Rows shown in the history table
+const HISTORY_ROWS = 8;
+
+/**
+ * ChallengeScreen - Daily/weekly challenge hub and result screen
+ *
+ * Lists today's daily and this week's weekly challenge with their
+ * objectives and best scores, and the local history of results.
+ * When opened with a finished challenge it shows the score breakdown
+ * in place of the challenge cards.
+ */
+export class ChallengeScreen extends BaseScreen {
+  constructor(container, screenManager, app) {
+    super(container, screenManager, app);
+
+    this.result = null;
+  }
+
+  /**
+   * Initialize the challenge screen
+   * @param {Object} data - { result } when a challenge just ended
+   */
+  async init(data = {}) {
+    await super.init(data);
+
+    this.result = data.result || null;
+    this.createUI();
+
+    console.log("[ChallengeScreen] Initialized challenge screen");
+  }
+
+  /**
+   * Create the screen UI
+   */
+  createUI() {
+    const center = this.getScreenCenter();
+
+    const title = this.createTitle(
+      this.result ? "Challenge Results" : "Challenges",
+      { x: center.x, y: this.getResponsiveSize(50) },
+      { fontSize: this.getResponsiveFontSize(this.isMobile ? 22 : 30) },
+    );
+    this.uiContainer.addChild(title);
+
+    let y = this.getResponsiveSize(90);
+    y = this.result ? this.createResultPanel(y) : this.createChallengeCards(y);
+    this.createHistoryTable(y + this.getResponsiveSize(20));
+    this.createNavigationButtons();
+  }
+
+  /**
+   * Create the daily and weekly challenge cards
+   * @param {number} top - Y position of the cards
+   * @returns {number} Y position below the cards
+   */
+  createChallengeCards(top) {
+    const size = (value) => this.getResponsiveSize(value);
+    const periods = [CHALLENGE_PERIODS.DAILY, CHALLENGE_PERIODS.WEEKLY];
+    const cardWidth = Math.min(size(320), (this.app.screen.width - 60) / 2);
+    const cardHeight = size(250);
+    const gap = size(20);
+    const left = (this.app.screen.width - (cardWidth * 2 + gap)) / 2;
+
+    periods.forEach((period, index) => {
+      const card = this.createChallengeCard(
+        getChallenge(period),
+        cardWidth,
+        cardHeight,
+      );
+      card.position.set(left + index * (cardWidth + gap), top);
+      this.uiContainer.addChild(card);
+    });
+
+    return top + cardHeight;
+  }
+
+  /**
+   * Create one challenge card
+   * @param {Object} challenge - Challenge definition
+   * @param {number} width - Card width
+   * @param {number} height - Card height
+   * @returns {PIXI.Container} Card container
+   */
+  createChallengeCard(challenge, width, height) {
+    const size = (value) => this.getResponsiveSize(value);
+    const fontSize = (value) => this.getResponsiveFontSize(value);
+    const card = new PIXI.Container();
+
+    const cardBg = new PIXI.Graphics();
+    cardBg.roundRect(0, 0, width, height, 12);
+    cardBg.fill({ color: pixiColors.background.elevated, alpha: 0.9 });
+    cardBg.stroke({ color: pixiColors.accent.primary, width: 2 });
+    card.addChild(cardBg);
+
+    const textOptions = (options) => ({
+      anchor: 0,
+      align: "left",
+      maxWidth: width - size(24),
+      ...options,
+    });
+
+    const periodName = CHALLENGE_PERIOD_CONFIG[challenge.period].name;
+    const lines = [
+      {
+        text: `${periodName} · ${challenge.key}`,
+        options: { fontSize: fontSize(12), color: gameColors.tooltipText },
+      },
+      {
+        text: challenge.name.replace(`${periodName}: `, ""),
+        options: { fontSize: fontSize(18) },
+      },
+      {
+        text: challenge.description,
+        options: { fontSize: fontSize(11), color: pixiColors.text.secondary },
+      },
+      {
+        text: challenge.winConditions
+          .map((condition) => `• ${condition.description}`)
+          .join("\n"),
+        options: { fontSize: fontSize(11) },
+      },
+      {
+        text: `${challenge.shortDescription} · Seed ${challenge.seed}`,
+        options: { fontSize: fontSize(10), color: pixiColors.text.muted },
+      },
+    ];
+
+    let y = size(12);
+    lines.forEach(({ text, options }) => {
+      const line = this.createText(
+        text,
+        { x: size(12), y },
+        textOptions(options),
+      );
+      card.addChild(line);
+      y += line.height + size(6);
+    });
+
+    const best = ChallengeManager.getBestResult(challenge.id);
+    const bestText = this.createText(
+      best ? `Best score: ${best.score}` : "Not played yet",
+      { x: size(12), y: height - size(40) },
+      textOptions({
+        fontSize: fontSize(12),
+        color: best ? pixiColors.state.success : gameColors.tooltipText,
+        maxWidth: width - size(140),
+      }),
+    );
+    card.addChild(bestText);
+
+    const startButton = this.createButton(
+      "Start",
+      { x: width - size(112), y: height - size(48) },
+      () => this.startChallenge(challenge),
+      {
+        width: size(100),
+        height: size(36),
+        fontSize: fontSize(14),
+        color: pixiColors.accent.primary,
+      },
+    );
+    card.addChild(startButton);
+
+    return card;
+  }
+
+  /**
+   * Create the score breakdown for a finished challenge
+   * @param {number} top - Y position of the panel
+   * @returns {number} Y position below the panel
+   */
+  createResultPanel(top) {
+    const size = (value) => this.getResponsiveSize(value);
+    const fontSize = (value) => this.getResponsiveFontSize(value);
+    const center = this.getScreenCenter();
+    const result = this.result;
+
+    const lines = [
+      {
+        text: `${result.victory ? "Objectives met" : "Island lost"} - ${result.name}`,
+        options: {
+          fontSize: fontSize(18),
+          color: result.victory
+            ? pixiColors.state.success
+            : pixiColors.state.error,
+        },
+      },
+      {
+        text: `Score: ${result.score}${result.isBest ? "  (new best!)" : ""}`,
+        options: { fontSize: fontSize(28), color: pixiColors.accent.bright },
+      },
+      {
+        text: [
+          `Turns survived ${result.turnsSurvived}: +${result.breakdown.turns}`,
+          `Population ${result.population}: +${result.breakdown.population}`,
+          `Fuel ${result.resources.fuel}, materials ${result.resources.materials}, food ${result.resources.food}: +${result.breakdown.resources}`,
+          result.victory ? `Victory bonus: +${result.breakdown.victory}` : null,
+        ]
+          .filter(Boolean)
+          .join("\n"),
+        options: { fontSize: fontSize(13), color: gameColors.buttonText },
+      },
+    ];
+
+    if (!result.victory && result.reasons.length > 0) {
+      lines.push({
+        text: `Lost to: ${result.reasons.join(", ")}`,
+        options: { fontSize: fontSize(12), color: gameColors.tooltipText },
+      });
+    }
+
+    let y = top;
+    lines.forEach(({ text, options }) => {
+      const line = this.createText(
+        text,
+        { x: center.x, y },
+        {
+          anchor: 0,
+          maxWidth: this.app.screen.width - size(60),
+          ...options,
+        },
+      );
+      line.anchor.set(0.5, 0);
+      this.uiContainer.addChild(line);
+      y += line.height + size(10);
+    });
+
+    return y;
+  }
+
+  /**
+   * Create the local history table of recent results
+   * @param {number} top - Y position of the table
+   */
+  createHistoryTable(top) {
+    const size = (value) => this.getResponsiveSize(value);
+    const fontSize = (value) => this.getResponsiveFontSize(value);
+    const history = ChallengeManager.getHistory().slice(0, HISTORY_ROWS);
+    const tableWidth = Math.min(size(660), this.app.screen.width - 40);
+    const left = (this.app.screen.width - tableWidth) / 2;
+    const rowHeight = size(20);
+
+    // Column positions as fractions of the table width
+    const columns = [
+      {
+        label: "Date",
+        x: 0,
+        value: (r) => new Date(r.finishedAt).toLocaleDateString(),
+      },
+      { label: "Challenge", x: 0.18, value: (r) => r.name },
+      { label: "Result", x: 0.64, value: (r) => (r.victory ? "Won" : "Lost") },
+      { label: "Turns", x: 0.76, value: (r) => String(r.turnsSurvived) },
+      { label: "Score", x: 0.88, value: (r) => String(r.score) },
+    ];
+
+    const heading = this.createText(
+      "History",
+      { x: left, y: top },
+      { anchor: 0, align: "left", fontSize: fontSize(16) },
+    );
+    this.uiContainer.addChild(heading);
+
+    if (history.length === 0) {
+      const empty = this.createText(
+        "No challenges played yet.",
+        { x: left, y: top + size(28) },
+        {
+          anchor: 0,
+          align: "left",
+          fontSize: fontSize(12),
+          color: gameColors.tooltipText,
+        },
+      );
+      this.uiContainer.addChild(empty);
+      return;
+    }
+
+    const rows = [null, ...history];
+    rows.forEach((result, rowIndex) => {
+      const y = top + size(28) + rowIndex * rowHeight;
+      const isLatest =
+        this.result && result?.finishedAt === this.result.finishedAt;
+
+      columns.forEach((column) => {
+        const cell = this.createText(
+          result ? column.value(result) : column.label,
+          { x: left + column.x * tableWidth, y },
+          {
+            anchor: 0,
+            align: "left",
+            fontSize: fontSize(11),
+            maxWidth: tableWidth * 0.45,
+            color: !result
+              ? gameColors.tooltipText
+              : isLatest
+                ? pixiColors.accent.bright
+                : gameColors.buttonText,
+          },
+        );
+        this.uiContainer.addChild(cell);
+      });
+    });
+  }
+
+  /**
+   * Create the buttons at the bottom of the screen
+   */
+  createNavigationButtons() {
+    const center = this.getScreenCenter();
+    const y = this.app.screen.height - this.getResponsiveSize(70);
+    const buttonOptions = {
+      width: this.getResponsiveSize(180),
+      height: this.getResponsiveSize(44),
+      fontSize: this.getResponsiveFontSize(14),
+    };
+
+    const menuButton = this.createButton(
+      "Main Menu",
+      {
+        x: this.result
+          ? center.x - this.getResponsiveSize(190)
+          : center.x - this.getResponsiveSize(90),
+        y,
+      },
+      () => this.navigateToScreen(SCREENS.START),
+      buttonOptions,
+    );
+    this.uiContainer.addChild(menuButton);
+
+    // From the results, go back to the challenge list to try again
+    if (this.result) {
+      const challengesButton = this.createButton(
+        "Challenges",
+        { x: center.x + this.getResponsiveSize(10), y },
+        () => this.navigateToScreen(SCREENS.CHALLENGE),
+        { ...buttonOptions, color: pixiColors.background.secondary },
+      );
+      this.uiContainer.addChild(challengesButton);
+    }
+  }
+
+  /**
+   * Start a challenge on its seeded island
+   * @param {Object} challenge - Challenge definition
+   */
+  startChallenge(challenge) {
+    console.log("[ChallengeScreen] Starting challenge:", challenge.id);
+
+    // Everyone playing this challenge gets the same island
+    randomService.setSeed(challenge.seed);
+
+    const sessionData = gameModeManager.startNewSession(GAME_MODES.CHALLENGE, {
+      startedFromMenu: true,
+      challenge: { period: challenge.period, key: challenge.key },
+    });
+
+    this.navigateToScreen(SCREENS.GAME, {
+      data: {
+        isNewGame: true,
+        gameMode: GAME_MODES.CHALLENGE,
+        sessionData,
+      },
+    });
+  }
+}
+
+export default ChallengeScreen;
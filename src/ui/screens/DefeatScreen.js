@@ -2,6 +2,7 @@ import BaseScreen from "./BaseScreen.js";
 import { pixiColors, gameColors, colors } from "../../configs/colors.js";
 import { SCREENS } from "../../configs/screens.js";
 import EventBus from "../../engine/EventBus.js";
+import { AchievementSummary } from "../AchievementSummary.js";
 
 /**
  * DefeatScreen - Screen shown when player fails a level
@@ -15,6 +16,7 @@ export default class DefeatScreen extends BaseScreen {
     this.failureContainer = null;
     this.reasonContainer = null;
     this.buttonsContainer = null;
+    this.achievementsContainer = null;
     this.defeatData = null;
   }
 
@@ -31,6 +33,7 @@ export default class DefeatScreen extends BaseScreen {
     // Create main failure content
     this.createFailureHeader();
     this.createFailureReasons();
+    this.createAchievementSummary();
     this.createActionButtons();
 
     console.log("[DefeatScreen] Defeat screen created");
@@ -195,6 +198,15 @@ export default class DefeatScreen extends BaseScreen {
     this.reasonContainer.addChild(statsText);
   }
 
+  /**
+   * Create the summary of achievements unlocked this session
+   */
+  createAchievementSummary() {
+    this.achievementsContainer = new AchievementSummary(this).container;
+    this.achievementsContainer.position.set(this.app.screen.width / 2, 495);
+    this.uiContainer.addChild(this.achievementsContainer);
+  }
+
   /**
    * Get human-readable failure reason text
    * @param {BaseCondition} condition - The failed condition
@@ -313,6 +325,10 @@ export default class DefeatScreen extends BaseScreen {
       this.reasonContainer.position.set(this.app.screen.width / 2, 280);
     }
 
+    if (this.achievementsContainer) {
+      this.achievementsContainer.position.set(this.app.screen.width / 2, 495);
+    }
+
     if (this.buttonsContainer) {
       this.buttonsContainer.position.set(
         this.app.screen.width / 2,
@@ -1,6 +1,12 @@
 import BaseScreen from "./BaseScreen.js";
 import { SCREENS } from "../../configs/screens.js";
 import EventBus from "../../engine/EventBus.js";
+import SaveSystem from "../../engine/SaveSystem.js";
+import SaveSlotPicker from "../SaveSlotPicker.js";
+import EventDialog from "../EventDialog.js";
+import AchievementToasts from "../AchievementToasts.js";
+import eventSystem from "../../engine/EventSystem.js";
+import gameModeManager from "../../gameModes/GameModeManager.js";
 
 /**
  * GameScreen - Main game screen wrapper
@@ -19,6 +25,13 @@ export class GameScreen extends BaseScreen {
     // Game pause overlay (future enhancement)
     this.pauseOverlay = null;
     this.isPaused = false;
+
+    // Open random event, if any
+    this.eventDialog = null;
+
+    // Notices for achievements unlocked while playing
+    this.achievementToasts = new AchievementToasts(this);
+    this.uiContainer.addChild(this.achievementToasts.container);
   }
 
   /**
@@ -67,6 +80,12 @@ export class GameScreen extends BaseScreen {
     // Resume game if it was paused due to screen switching
     this.resumeGame();
 
+    // Put an event left unanswered in a save back in front of the player
+    const activeEvent = eventSystem.getActiveEvent();
+    if (activeEvent) {
+      this.openEventDialog(activeEvent);
+    }
+
     console.log("[GameScreen] Game screen shown");
   }
 
@@ -113,7 +132,7 @@ export class GameScreen extends BaseScreen {
   async initializeGame() {
     // Call the main game initialization function from main.js
     if (window.initGame) {
-      await window.initGame();
+      await window.initGame({ saveData: this.gameData.saveData });
     }
 
     // Get references to game containers from main.js
@@ -162,10 +181,19 @@ export class GameScreen extends BaseScreen {
     );
     pauseMenu.addChild(resumeButton);
 
+    // Save / Load button
+    const saveLoadButton = this.createButton(
+      "Save / Load",
+      { x: -100, y: 40 },
+      () => this.openSlotPicker(),
+      { width: 200, height: 50 },
+    );
+    pauseMenu.addChild(saveLoadButton);
+
     // Settings button (future)
     const settingsButton = this.createButton(
       "Settings",
-      { x: -100, y: 40 },
+      { x: -100, y: 100 },
       () => this.openGameSettings(),
       { width: 200, height: 50 },
     );
@@ -174,12 +202,23 @@ export class GameScreen extends BaseScreen {
     // Main menu button
     const mainMenuButton = this.createButton(
       "Main Menu",
-      { x: -100, y: 100 },
+      { x: -100, y: 160 },
       () => this.returnToMainMenu(),
       { width: 200, height: 50 },
     );
     pauseMenu.addChild(mainMenuButton);
 
+    // Long Tomorrow sessions have no victory - the player decides when one ends
+    if (gameModeManager.isLongTomorrowMode()) {
+      const endSessionButton = this.createButton(
+        "End Session",
+        { x: -100, y: 220 },
+        () => this.endLongTomorrowSession(),
+        { width: 200, height: 50 },
+      );
+      pauseMenu.addChild(endSessionButton);
+    }
+
     this.pauseOverlay.addChild(pauseBg);
     this.pauseOverlay.addChild(pauseMenu);
     this.uiContainer.addChild(this.pauseOverlay);
@@ -189,16 +228,34 @@ export class GameScreen extends BaseScreen {
    * Setup event listeners for game events
    */
   setupEventListeners() {
-    // Listen for game over events
-    EventBus.on("game:over", (data) => this.handleGameOver(data));
-
-    // Listen for pause requests
-    EventBus.on("game:pause", () => this.showPauseMenu());
-    EventBus.on("game:resume", () => this.hidePauseMenu());
+    // Keep the unsubscribe functions so destroy() only removes our handlers
+    this.unsubscribers = [
+      // Listen for game over events
+      EventBus.on("game:over", (data) => this.handleGameOver(data)),
+
+      // Listen for pause requests
+      EventBus.on("game:pause", () => this.showPauseMenu()),
+      EventBus.on("game:resume", () => this.hidePauseMenu()),
+
+      // Random events wait for the player's choice
+      EventBus.on("randomEvent:triggered", (data) =>
+        this.openEventDialog(data),
+      ),
+
+      // Achievements unlocked during play show up as toasts
+      EventBus.on("achievement:unlocked", ({ achievement }) => {
+        if (this.isVisible) this.achievementToasts.show(achievement);
+      }),
+    ];
 
     // Listen for escape key to pause (future enhancement)
     document.addEventListener("keydown", (event) => {
       if (event.key === "Escape" && this.isVisible) {
+        // Escape first ends drone commanding
+        if (window.droneCommander?.isActive()) {
+          window.droneCommander.deselect();
+          return;
+        }
         this.togglePause();
       }
     });
@@ -252,6 +309,9 @@ export class GameScreen extends BaseScreen {
    * Toggle pause state
    */
   togglePause() {
+    // The event dialog keeps the game paused until a choice is made
+    if (this.eventDialog) return;
+
     if (this.isPaused) {
       this.resumeGame();
     } else {
@@ -280,6 +340,10 @@ export class GameScreen extends BaseScreen {
       this.pauseOverlay.visible = false;
     }
 
+    if (this.slotPicker) {
+      this.slotPicker.close();
+    }
+
     console.log("[GameScreen] Pause menu hidden");
   }
 
@@ -297,6 +361,71 @@ export class GameScreen extends BaseScreen {
     // this.navigateToScreen(SCREENS.GAME_OVER, { data });
   }
 
+  /**
+   * Pause the game and show a random event's choices
+   * @param {Object} data - { id, turn, event } from the EventSystem
+   */
+  openEventDialog(data) {
+    if (this.eventDialog) return;
+
+    this.pauseGame();
+    this.eventDialog = new EventDialog(this, {
+      event: data,
+      onClose: () => {
+        this.eventDialog = null;
+        this.resumeGame();
+      },
+    });
+    this.uiContainer.addChild(this.eventDialog.container);
+  }
+
+  /**
+   * Open the save slot picker over the pause menu
+   */
+  openSlotPicker() {
+    if (this.slotPicker) return;
+
+    this.slotPicker = new SaveSlotPicker(this, {
+      allowSave: true,
+      onSave: (slotId, name) =>
+        window.saveGame ? window.saveGame(slotId, name) : false,
+      onLoad: (saveData) => this.loadSavedGame(saveData),
+      onClose: () => {
+        this.slotPicker = null;
+      },
+    });
+    this.uiContainer.addChild(this.slotPicker.container);
+  }
+
+  /**
+   * Replace the running game with a loaded save
+   * @param {Object} saveData - Validated envelope from SaveSystem
+   */
+  loadSavedGame(saveData) {
+    console.log("[GameScreen] Loading saved game");
+
+    // Restore the saved game mode before the game is rebuilt
+    gameModeManager.continueSession({
+      ...saveData.session,
+      gameMode: saveData.gameMode,
+    });
+
+    this.navigateToScreen(SCREENS.PROGRESSION, {
+      data: { ...SaveSystem.getSaveSummary(saveData), saveData },
+    });
+  }
+
+  /**
+   * End the Long Tomorrow session so the world can evolve
+   */
+  endLongTomorrowSession() {
+    this.hidePauseMenu();
+
+    if (window.endLongTomorrowSession) {
+      window.endLongTomorrowSession("ended_by_player");
+    }
+  }
+
   /**
    * Open game settings (future implementation)
    */
@@ -313,9 +442,10 @@ export class GameScreen extends BaseScreen {
   returnToMainMenu() {
     console.log("[GameScreen] Returning to main menu");
 
-    // Future: Prompt to save game
-    // const shouldSave = confirm('Save your progress?');
-    // if (shouldSave) SaveSystem.saveGame(gameState);
+    // Save progress so the game can be continued from the start screen
+    if (window.saveGame) {
+      window.saveGame();
+    }
 
     this.navigateToScreen(SCREENS.START);
   }
@@ -369,9 +499,8 @@ export class GameScreen extends BaseScreen {
    */
   destroy() {
     // Clean up event listeners
-    EventBus.off("game:over");
-    EventBus.off("game:pause");
-    EventBus.off("game:resume");
+    this.unsubscribers?.forEach((unsubscribe) => unsubscribe());
+    this.unsubscribers = [];
 
     // The main game cleanup is handled in main.js
     // We just clean up our screen-specific elements
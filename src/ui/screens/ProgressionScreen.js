@@ -2,6 +2,7 @@ import BaseScreen from "./BaseScreen.js";
 import { SCREENS } from "../../configs/screens.js";
 import { ERAS, getCurrentEra, getEraProgress } from "../../configs/screens.js";
 import { gameColors, pixiColors } from "../../configs/colors.js";
+import gameModeManager from "../../gameModes/GameModeManager.js";
 
 /**
  * ProgressionScreen - Era and statistics display
@@ -342,10 +343,30 @@ export class ProgressionScreen extends BaseScreen {
     );
     buttonContainer.addChild(newGameButton);
 
+    // Long Tomorrow saves can spend research points before continuing
+    const showResearch = gameModeManager.isLongTomorrowMode();
+    if (showResearch) {
+      const researchButton = this.createButton(
+        "Research",
+        { x: this.getResponsiveSize(110), y: this.getResponsiveSize(70) },
+        () => this.openResearch(),
+        {
+          width: this.getResponsiveSize(200),
+          height: this.getResponsiveSize(40),
+          fontSize: this.getResponsiveFontSize(12),
+          color: pixiColors.accent.primary,
+        },
+      );
+      buttonContainer.addChild(researchButton);
+    }
+
     // Back to Menu button
     const backButton = this.createButton(
       "Back to Menu",
-      { x: 0, y: this.getResponsiveSize(70) },
+      {
+        x: showResearch ? -this.getResponsiveSize(110) : 0,
+        y: this.getResponsiveSize(70),
+      },
       () => this.backToMenu(),
       {
         width: this.getResponsiveSize(200),
@@ -408,6 +429,20 @@ export class ProgressionScreen extends BaseScreen {
     });
   }
 
+  /**
+   * Open the research trees, returning here afterwards
+   */
+  openResearch() {
+    this.navigateToScreen(SCREENS.RESEARCH, {
+      data: {
+        saveData: this.gameData.saveData,
+        slotId: this.gameData.slotId,
+        returnTo: SCREENS.PROGRESSION,
+        returnData: this.gameData,
+      },
+    });
+  }
+
   /**
    * Return to main menu
    */
@@ -0,0 +1,505 @@
+import BaseScreen from "./BaseScreen.js";
+import SaveSystem from "../../engine/SaveSystem.js";
+import { SCREENS } from "../../configs/screens.js";
+import { gameColors, pixiColors } from "../../configs/colors.js";
+import {
+  longTomorrowManager,
+  LongTomorrowManager,
+  RESEARCH_TREES,
+} from "../../systems/longTomorrow/index.js";
+
+/**
+ * ResearchScreen - Spend Long Tomorrow research points
+ *
+ * Shows the four specialization paths side by side, each as a column of tier
+ * nodes joined along their `requires` chains. Nodes show their cost and
+ * whether they are unlocked, affordable, too expensive or still locked; the
+ * primary specialization's column is highlighted. Clicking a node shows its
+ * description, and buying it asks for confirmation first.
+ *
+ * Research bought from the start menu is kept in the saved world; research
+ * bought while continuing a save goes into that save's data (data.saveData)
+ * and is written back to its slot (data.slotId) straight away.
+ */
+export class ResearchScreen extends BaseScreen {
+  constructor(container, screenManager, app) {
+    super(container, screenManager, app);
+
+    this.saveData = null; // Save being continued, if any
+    this.slotId = null; // Slot that save was loaded from
+    this.returnTo = SCREENS.START;
+    this.returnData = null;
+    this.dialog = null;
+  }
+
+  /**
+   * Initialize the research screen
+   * @param {Object} data - { saveData, slotId, returnTo, returnData }
+   */
+  async init(data = {}) {
+    await super.init(data);
+
+    this.saveData = data.saveData || null;
+    this.slotId = data.slotId || null;
+    this.returnTo = data.returnTo || SCREENS.START;
+    this.returnData = data.returnData || null;
+
+    this.loadResearch();
+    this.createUI();
+
+    console.log("[ResearchScreen] Initialized research screen");
+  }
+
+  /**
+   * Load research from the save being continued or the saved world
+   */
+  loadResearch() {
+    const source = this.saveData
+      ? this.saveData.longTomorrow
+      : LongTomorrowManager.readSavedWorld();
+
+    if (source?.researchProgress) {
+      longTomorrowManager.researchPointManager.loadProgress(
+        source.researchProgress,
+      );
+    }
+  }
+
+  /**
+   * Keep bought research where it was loaded from
+   */
+  saveResearch() {
+    if (this.saveData?.longTomorrow) {
+      this.saveData.longTomorrow.researchProgress =
+        longTomorrowManager.researchPointManager.getSaveData();
+      // Also kept if the player leaves for the menu instead of continuing
+      if (this.slotId) {
+        SaveSystem.saveToSlot(this.slotId, this.saveData);
+      }
+    } else {
+      longTomorrowManager.saveResearch();
+    }
+  }
+
+  /**
+   * Create the screen UI
+   */
+  createUI() {
+    const center = this.getScreenCenter();
+    const research = longTomorrowManager.researchPointManager;
+    const summary = research.getPointsSummary();
+
+    const title = this.createTitle(
+      "Research",
+      { x: center.x, y: this.getResponsiveSize(40) },
+      { fontSize: this.getResponsiveFontSize(this.isMobile ? 22 : 30) },
+    );
+    this.uiContainer.addChild(title);
+
+    const primaryId = research.getPrimarySpecialization();
+    const primaryTree = Object.values(RESEARCH_TREES).find(
+      (tree) => tree.id === primaryId,
+    );
+    const pointsText = this.createText(
+      `${summary.available} research points available · ${summary.total} earned · ${summary.spent} spent` +
+        (primaryTree ? `\nPrimary specialization: ${primaryTree.name}` : ""),
+      { x: center.x, y: this.getResponsiveSize(80) },
+      {
+        fontSize: this.getResponsiveFontSize(13),
+        color: gameColors.buttonText,
+        maxWidth: this.app.screen.width - this.getResponsiveSize(40),
+      },
+    );
+    this.uiContainer.addChild(pointsText);
+
+    const trees = Object.values(RESEARCH_TREES);
+    const columnWidth = Math.min(
+      this.getResponsiveSize(220),
+      (this.app.screen.width - this.getResponsiveSize(20)) / trees.length,
+    );
+    const left = (this.app.screen.width - columnWidth * trees.length) / 2;
+
+    trees.forEach((tree, index) => {
+      this.createTreeColumn(
+        tree,
+        left + index * columnWidth,
+        columnWidth,
+        tree.id === primaryId,
+      );
+    });
+
+    const backButton = this.createButton(
+      "Back",
+      {
+        x: center.x - this.getResponsiveSize(100),
+        y: this.app.screen.height - this.getResponsiveSize(70),
+      },
+      () => this.goBack(),
+      {
+        width: this.getResponsiveSize(200),
+        height: this.getResponsiveSize(44),
+        fontSize: this.getResponsiveFontSize(14),
+        color: pixiColors.background.secondary,
+      },
+    );
+    this.uiContainer.addChild(backButton);
+  }
+
+  /**
+   * Get the node layout of a tree column
+   * @param {number} width - Column width
+   * @returns {Object} { top, nodeWidth, nodeHeight, spacing } relative to the column
+   */
+  getNodeLayout(width) {
+    return {
+      top: this.getResponsiveSize(80), // Below the column header
+      nodeWidth: width - this.getResponsiveSize(16),
+      nodeHeight: this.getResponsiveSize(70),
+      spacing: this.getResponsiveSize(40),
+    };
+  }
+
+  /**
+   * Create one specialization path: header, chain lines and tier nodes
+   * @param {Object} tree - Entry from RESEARCH_TREES
+   * @param {number} x - Column left edge
+   * @param {number} width - Column width
+   * @param {boolean} isPrimary - Highlight as the primary specialization
+   */
+  createTreeColumn(tree, x, width, isPrimary) {
+    const column = new PIXI.Container();
+    column.position.set(x, this.getResponsiveSize(120));
+    this.uiContainer.addChild(column);
+
+    const treeColor = parseInt(tree.color.slice(1), 16);
+    const layout = this.getNodeLayout(width);
+    const tiers = Object.entries(tree.tiers).map(([tier, tierData]) => ({
+      tier: parseInt(tier),
+      tierData,
+    }));
+    const nodeTop = (tier) =>
+      layout.top + (tier - 1) * (layout.nodeHeight + layout.spacing);
+
+    if (isPrimary) {
+      const highlight = new PIXI.Graphics();
+      highlight.roundRect(
+        this.getResponsiveSize(2),
+        -this.getResponsiveSize(6),
+        width - this.getResponsiveSize(4),
+        nodeTop(tiers.length) + layout.nodeHeight + this.getResponsiveSize(14),
+        10,
+      );
+      highlight.fill({ color: treeColor, alpha: 0.15 });
+      highlight.stroke({ color: treeColor, width: 3 });
+      column.addChild(highlight);
+    }
+
+    const name = this.createText(
+      tree.name,
+      { x: width / 2, y: 0 },
+      {
+        anchor: 0,
+        fontSize: this.getResponsiveFontSize(14),
+        color: treeColor,
+        maxWidth: width - this.getResponsiveSize(12),
+      },
+    );
+    name.anchor.set(0.5, 0);
+    column.addChild(name);
+
+    const description = this.createText(
+      tree.description,
+      { x: width / 2, y: name.height + this.getResponsiveSize(4) },
+      {
+        anchor: 0,
+        fontSize: this.getResponsiveFontSize(10),
+        color: gameColors.tooltipText,
+        maxWidth: width - this.getResponsiveSize(12),
+      },
+    );
+    description.anchor.set(0.5, 0);
+    column.addChild(description);
+
+    // Chain lines between each tier and the tiers it requires
+    const lines = new PIXI.Graphics();
+    tiers.forEach(({ tier, tierData }) => {
+      (tierData.requires || []).forEach((requiredId) => {
+        const required = tiers.find(
+          (entry) => entry.tierData.id === requiredId,
+        );
+        if (!required) return;
+
+        lines.moveTo(width / 2, nodeTop(required.tier) + layout.nodeHeight);
+        lines.lineTo(width / 2, nodeTop(tier));
+        lines.stroke({
+          color: required.tierData.unlocked
+            ? treeColor
+            : pixiColors.background.interactive,
+          width: 3,
+        });
+      });
+    });
+    column.addChild(lines);
+
+    tiers.forEach(({ tier, tierData }) => {
+      const node = this.createNode(tree, tier, tierData, layout, treeColor);
+      node.position.set((width - layout.nodeWidth) / 2, nodeTop(tier));
+      column.addChild(node);
+    });
+  }
+
+  /**
+   * Work out how a tier node is shown
+   * @param {Object} tree - Entry from RESEARCH_TREES
+   * @param {number} tier - Tier number
+   * @param {Object} tierData - Tier entry
+   * @returns {string} "unlocked", "affordable", "expensive" or "locked"
+   */
+  getNodeState(tree, tier, tierData) {
+    if (tierData.unlocked) return "unlocked";
+    if (longTomorrowManager.canPurchaseResearch(tree.id, tier)) {
+      return "affordable";
+    }
+    return this.getMissingRequirements(tree, tierData).length > 0
+      ? "locked"
+      : "expensive";
+  }
+
+  /**
+   * List the tiers a tier still requires
+   * @param {Object} tree - Entry from RESEARCH_TREES
+   * @param {Object} tierData - Tier entry
+   * @returns {string[]} Names of required tiers that are not unlocked
+   */
+  getMissingRequirements(tree, tierData) {
+    return (tierData.requires || [])
+      .map((requiredId) =>
+        Object.values(tree.tiers).find((entry) => entry.id === requiredId),
+      )
+      .filter((required) => required && !required.unlocked)
+      .map((required) => required.name);
+  }
+
+  /**
+   * Create a clickable tier node
+   * @param {Object} tree - Entry from RESEARCH_TREES
+   * @param {number} tier - Tier number
+   * @param {Object} tierData - Tier entry
+   * @param {Object} layout - Result of getNodeLayout()
+   * @param {number} treeColor - Tree color as a number
+   * @returns {PIXI.Container} Node
+   */
+  createNode(tree, tier, tierData, layout, treeColor) {
+    const state = this.getNodeState(tree, tier, tierData);
+    const { nodeWidth, nodeHeight } = layout;
+    const node = new PIXI.Container();
+
+    const background = new PIXI.Graphics();
+    background.roundRect(0, 0, nodeWidth, nodeHeight, 8);
+    if (state === "unlocked") {
+      background.fill(treeColor);
+    } else {
+      background.fill({
+        color:
+          state === "affordable"
+            ? pixiColors.background.elevated
+            : pixiColors.background.secondary,
+        alpha: state === "locked" ? 0.6 : 1,
+      });
+      background.stroke({
+        color:
+          state === "affordable"
+            ? pixiColors.accent.bright
+            : pixiColors.background.interactive,
+        width: 2,
+      });
+    }
+    background.interactive = true;
+    background.buttonMode = true;
+    background.on("pointerdown", () => this.showDetails(tree, tier, tierData));
+    node.addChild(background);
+
+    const textColor =
+      state === "locked" ? gameColors.tooltipText : gameColors.buttonText;
+    const name = this.createText(
+      `${tier}. ${tierData.name}`,
+      { x: nodeWidth / 2, y: nodeHeight * 0.32 },
+      {
+        fontSize: this.getResponsiveFontSize(12),
+        color: textColor,
+        maxWidth: nodeWidth - this.getResponsiveSize(10),
+      },
+    );
+    node.addChild(name);
+
+    const status = this.createText(
+      this.getNodeStatus(tree, tierData, state),
+      { x: nodeWidth / 2, y: nodeHeight * 0.72 },
+      {
+        fontSize: this.getResponsiveFontSize(10),
+        color: textColor,
+        maxWidth: nodeWidth - this.getResponsiveSize(10),
+      },
+    );
+    node.addChild(status);
+
+    return node;
+  }
+
+  /**
+   * Describe a node's cost or lock for its second line
+   * @param {Object} tree - Entry from RESEARCH_TREES
+   * @param {Object} tierData - Tier entry
+   * @param {string} state - Result of getNodeState()
+   * @returns {string} Status line
+   */
+  getNodeStatus(tree, tierData, state) {
+    switch (state) {
+      case "unlocked":
+        return "Unlocked";
+      case "locked":
+        return `Requires ${this.getMissingRequirements(tree, tierData).join(", ")}`;
+      default:
+        return `${tierData.cost} points`;
+    }
+  }
+
+  /**
+   * Show a tier's description, with a purchase button if it can be bought
+   * @param {Object} tree - Entry from RESEARCH_TREES
+   * @param {number} tier - Tier number
+   * @param {Object} tierData - Tier entry
+   */
+  showDetails(tree, tier, tierData) {
+    this.closeDetails();
+
+    const size = (value) => this.getResponsiveSize(value);
+    const fontSize = (value) => this.getResponsiveFontSize(value);
+    const state = this.getNodeState(tree, tier, tierData);
+    const panelWidth = Math.min(size(420), this.app.screen.width - 20);
+    const panelHeight = size(250);
+
+    this.dialog = new PIXI.Container();
+
+    // Dim the screen and swallow clicks behind the dialog
+    const backdrop = new PIXI.Graphics();
+    backdrop.rect(0, 0, this.app.screen.width, this.app.screen.height);
+    backdrop.fill({ color: 0x000000, alpha: 0.6 });
+    backdrop.interactive = true;
+    this.dialog.addChild(backdrop);
+
+    const panel = new PIXI.Container();
+    panel.position.set(
+      (this.app.screen.width - panelWidth) / 2,
+      (this.app.screen.height - panelHeight) / 2,
+    );
+    const panelBg = new PIXI.Graphics();
+    panelBg.roundRect(0, 0, panelWidth, panelHeight, 12);
+    panelBg.fill(pixiColors.background.secondary);
+    panelBg.stroke({ color: parseInt(tree.color.slice(1), 16), width: 2 });
+    panel.addChild(panelBg);
+
+    const title = this.createTitle(
+      tierData.name,
+      { x: panelWidth / 2, y: size(32) },
+      { fontSize: fontSize(20) },
+    );
+    panel.addChild(title);
+
+    const description = this.createText(
+      `${tree.name} · tier ${tier}\n\n${tierData.description}\n\n${this.getNodeStatus(tree, tierData, state)}`,
+      { x: panelWidth / 2, y: size(115) },
+      { fontSize: fontSize(13), maxWidth: panelWidth - size(40) },
+    );
+    panel.addChild(description);
+
+    const buttonY = panelHeight - size(60);
+    const buttonOptions = {
+      width: size(170),
+      height: size(40),
+      fontSize: fontSize(13),
+    };
+    if (state === "affordable") {
+      const buyButton = this.createButton(
+        `Purchase (${tierData.cost} points)`,
+        { x: panelWidth / 2 - size(180), y: buttonY },
+        () => this.purchase(tree, tier),
+        { ...buttonOptions, color: pixiColors.accent.primary },
+      );
+      panel.addChild(buyButton);
+    }
+
+    const closeButton = this.createButton(
+      state === "affordable" ? "Cancel" : "Close",
+      {
+        x:
+          state === "affordable"
+            ? panelWidth / 2 + size(10)
+            : (panelWidth - buttonOptions.width) / 2,
+        y: buttonY,
+      },
+      () => this.closeDetails(),
+      { ...buttonOptions, color: pixiColors.background.interactive },
+    );
+    panel.addChild(closeButton);
+
+    this.dialog.addChild(panel);
+    this.uiContainer.addChild(this.dialog);
+  }
+
+  /**
+   * Close the tier dialog
+   */
+  closeDetails() {
+    if (!this.dialog) return;
+
+    this.dialog.parent?.removeChild(this.dialog);
+    this.dialog.destroy({ children: true });
+    this.dialog = null;
+  }
+
+  /**
+   * Buy a tier and redraw the trees
+   * @param {Object} tree - Entry from RESEARCH_TREES
+   * @param {number} tier - Tier number
+   */
+  purchase(tree, tier) {
+    this.closeDetails();
+
+    if (!longTomorrowManager.purchaseResearch(tree.id, tier)) {
+      console.warn(`[ResearchScreen] Could not buy ${tree.id} tier ${tier}`);
+      return;
+    }
+    this.saveResearch();
+
+    this.rebuildUI();
+  }
+
+  /**
+   * Recreate the UI, e.g. after a purchase
+   */
+  rebuildUI() {
+    this.closeDetails();
+    this.uiContainer
+      .removeChildren()
+      .forEach((child) => child.destroy({ children: true }));
+    this.createUI();
+  }
+
+  /**
+   * Return to the screen the research screen was opened from
+   */
+  goBack() {
+    this.navigateToScreen(this.returnTo, { data: this.returnData || {} });
+  }
+
+  /**
+   * Handle screen resize
+   */
+  onResize() {
+    super.onResize();
+    this.rebuildUI();
+  }
+}
+
+export default ResearchScreen;
@@ -0,0 +1,231 @@
+import BaseScreen from "./BaseScreen.js";
+import { SCREENS } from "../../configs/screens.js";
+import { gameColors, pixiColors } from "../../configs/colors.js";
+import { GAME_MODES } from "../../gameModes/GameModeConfig.js";
+import gameModeManager from "../../gameModes/GameModeManager.js";
+
+// How the session ended, by end reason
+const END_REASONS = {
+  fuel_depletion: "The island ran out of fuel and fell from the sky",
+  ended_by_player: "You closed the session",
+};
+
+/**
+ * SessionSummaryScreen - Between-session screen of The Long Tomorrow
+ *
+ * Shows how the world evolved from the session that just ended (forests
+ * grown, ruins and salvage left behind), the research points the session
+ * earned and its new achievements, then starts the next session on the
+ * evolved world.
+ */
+export class SessionSummaryScreen extends BaseScreen {
+  constructor(container, screenManager, app) {
+    super(container, screenManager, app);
+
+    this.summary = null;
+  }
+
+  /**
+   * Initialize the summary screen
+   * @param {Object} data - { reason, turn, population, completion } from main.js
+   */
+  async init(data = {}) {
+    await super.init(data);
+
+    this.summary = data;
+    this.createUI();
+
+    console.log("[SessionSummaryScreen] Initialized session summary");
+  }
+
+  /**
+   * Create the screen UI
+   */
+  createUI() {
+    const center = this.getScreenCenter();
+    const completion = this.summary.completion;
+    const sessionNumber = completion?.sessionState.sessionNumber || 1;
+
+    const title = this.createTitle(
+      `Session ${sessionNumber} Complete`,
+      { x: center.x, y: this.getResponsiveSize(50) },
+      { fontSize: this.getResponsiveFontSize(this.isMobile ? 22 : 30) },
+    );
+    this.uiContainer.addChild(title);
+
+    let y = this.getResponsiveSize(90);
+    y = this.createSection(y, null, [this.getEndText()]);
+
+    if (completion) {
+      y = this.createSection(y, "The World Moves On", this.getEvolutionLines());
+      y = this.createSection(y, "Research", this.getResearchLines());
+      this.createSection(y, "Achievements", this.getAchievementLines());
+    }
+
+    this.createNavigationButtons(sessionNumber + 1);
+  }
+
+  /**
+   * Create a heading with lines of text below it
+   * @param {number} top - Y position of the section
+   * @param {string|null} heading - Section heading, or null for none
+   * @param {string[]} lines - Lines of text
+   * @returns {number} Y position below the section
+   */
+  createSection(top, heading, lines) {
+    const size = (value) => this.getResponsiveSize(value);
+    const fontSize = (value) => this.getResponsiveFontSize(value);
+    const center = this.getScreenCenter();
+    const maxWidth = this.app.screen.width - size(60);
+    let y = top;
+
+    if (heading) {
+      const headingText = this.createText(
+        heading,
+        { x: center.x, y },
+        {
+          anchor: 0,
+          fontSize: fontSize(18),
+          color: pixiColors.accent.bright,
+          maxWidth,
+        },
+      );
+      headingText.anchor.set(0.5, 0);
+      this.uiContainer.addChild(headingText);
+      y += headingText.height + size(6);
+    }
+
+    const body = this.createText(
+      lines.join("\n"),
+      { x: center.x, y },
+      {
+        anchor: 0,
+        fontSize: fontSize(13),
+        color: gameColors.buttonText,
+        maxWidth,
+      },
+    );
+    body.anchor.set(0.5, 0);
+    this.uiContainer.addChild(body);
+
+    return y + body.height + size(18);
+  }
+
+  /**
+   * Describe how and when the session ended
+   * @returns {string} End line
+   */
+  getEndText() {
+    const { reason, turn, population } = this.summary;
+    const ending = END_REASONS[reason] || "The session ended";
+    return `${ending} on turn ${turn}, with ${population} colonists.`;
+  }
+
+  /**
+   * Describe the world evolution waiting for the next session
+   * @returns {string[]} Lines of text
+   */
+  getEvolutionLines() {
+    const evolution = this.summary.completion.worldEvolutionSummary;
+    const lines = [
+      [evolution.forestsGrown, "parks and farms grew into forest"],
+      [evolution.ruinsCreated, "ruins stand on the island"],
+      [evolution.resourcePilesCreated, "buildings crumbled into salvage"],
+      [evolution.soilChanges, "hexes remember how their soil was used"],
+      [evolution.culturalSites, "places became part of the island's lore"],
+    ]
+      .filter(([count]) => count > 0)
+      .map(([count, text]) => `${count} ${text}`);
+
+    return lines.length > 0 ? lines : ["The land rests quietly."];
+  }
+
+  /**
+   * Describe the research points earned and available
+   * @returns {string[]} Lines of text
+   */
+  getResearchLines() {
+    const { researchSummary, newAchievements } = this.summary.completion;
+    const earned = newAchievements.reduce(
+      (total, achievement) => total + achievement.points,
+      0,
+    );
+
+    return [
+      `+${earned} research points this session`,
+      `${researchSummary.available} available · ${researchSummary.total} earned in total`,
+    ];
+  }
+
+  /**
+   * List the achievements unlocked this session
+   * @returns {string[]} Lines of text
+   */
+  getAchievementLines() {
+    const { newAchievements, achievementStats } = this.summary.completion;
+    const lines = newAchievements.map(
+      (achievement) => `${achievement.name} (+${achievement.points})`,
+    );
+
+    if (lines.length === 0) {
+      lines.push("No new achievements this session.");
+    }
+    lines.push(
+      `${achievementStats.unlocked} of ${achievementStats.total} unlocked`,
+    );
+
+    return lines;
+  }
+
+  /**
+   * Create the buttons at the bottom of the screen
+   * @param {number} nextSessionNumber - Number of the session to start
+   */
+  createNavigationButtons(nextSessionNumber) {
+    const center = this.getScreenCenter();
+    const y = this.app.screen.height - this.getResponsiveSize(70);
+    const buttonOptions = {
+      width: this.getResponsiveSize(200),
+      height: this.getResponsiveSize(44),
+      fontSize: this.getResponsiveFontSize(14),
+    };
+
+    const nextButton = this.createButton(
+      `Begin Session ${nextSessionNumber}`,
+      { x: center.x - this.getResponsiveSize(210), y },
+      () => this.startNextSession(),
+      { ...buttonOptions, color: pixiColors.accent.primary },
+    );
+    this.uiContainer.addChild(nextButton);
+
+    const menuButton = this.createButton(
+      "Main Menu",
+      { x: center.x + this.getResponsiveSize(10), y },
+      () => this.navigateToScreen(SCREENS.START),
+      { ...buttonOptions, color: pixiColors.background.secondary },
+    );
+    this.uiContainer.addChild(menuButton);
+  }
+
+  /**
+   * Start the next session on the evolved world
+   */
+  startNextSession() {
+    console.log("[SessionSummaryScreen] Starting next session");
+
+    const sessionData = gameModeManager.startNewSession(
+      GAME_MODES.LONG_TOMORROW,
+      { startedFromMenu: false },
+    );
+
+    this.navigateToScreen(SCREENS.GAME, {
+      data: {
+        isNewGame: true,
+        gameMode: GAME_MODES.LONG_TOMORROW,
+        sessionData,
+      },
+    });
+  }
+}
+
+export default SessionSummaryScreen;
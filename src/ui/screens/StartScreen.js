@@ -6,6 +6,10 @@ import {
   GAME_MODE_DISPLAY_ORDER,
 } from "../../gameModes/GameModeConfig.js";
 import gameModeManager from "../../gameModes/GameModeManager.js";
+import SaveSystem from "../../engine/SaveSystem.js";
+import SaveSlotPicker from "../SaveSlotPicker.js";
+import randomService, { RandomService } from "../../engine/Random.js";
+import { LongTomorrowManager } from "../../systems/longTomorrow/index.js";
 
 /**
  * StartScreen - Main menu screen
@@ -17,7 +21,8 @@ export class StartScreen extends BaseScreen {
   constructor(container, screenManager, app) {
     super(container, screenManager, app);
 
-    this.hasExistingSave = false; // Will be updated when save system is implemented
+    this.hasExistingSave = false; // Updated from SaveSystem on init
+    this.seed = null; // Map seed for the next new game
     this.availableGameModes = getAvailableGameModes();
   }
 
@@ -28,9 +33,16 @@ export class StartScreen extends BaseScreen {
   async init(data = {}) {
     await super.init(data);
 
-    // Check for existing save (future implementation)
+    // Check for existing save
     this.checkForExistingSave();
 
+    // A ?seed= URL parameter reproduces a reported island
+    const urlSeed = new window.URLSearchParams(window.location.search).get(
+      "seed",
+    );
+    this.seed =
+      RandomService.normalizeSeed(urlSeed) || RandomService.createSeed();
+
     this.createUI();
 
     console.log("[StartScreen] Initialized start screen");
@@ -100,6 +112,9 @@ export class StartScreen extends BaseScreen {
     const longTomorrowMode = this.availableGameModes.find(
       (mode) => mode.mode === "long_tomorrow",
     );
+    const challengeMode = this.availableGameModes.find(
+      (mode) => mode.mode === "challenge",
+    );
 
     // Play Campaign button (Story Mode)
     const campaignButton = this.createButton(
@@ -144,9 +159,12 @@ export class StartScreen extends BaseScreen {
     );
     buttonContainer.addChild(longTomorrowButton);
 
-    // Long Tomorrow description
+    // Long Tomorrow description - names the next session once a world exists
+    const savedWorld = LongTomorrowManager.readSavedWorld()?.worldState;
     const longTomorrowDesc = this.createText(
-      "Persistent world evolution across sessions",
+      savedWorld
+        ? `Session ${savedWorld.sessionNumber} of your evolving world`
+        : "Persistent world evolution across sessions",
       { x: -this.getResponsiveSize(100), y: this.getResponsiveSize(55) },
       {
         fontSize: this.getResponsiveFontSize(10),
@@ -157,6 +175,41 @@ export class StartScreen extends BaseScreen {
     );
     buttonContainer.addChild(longTomorrowDesc);
 
+    // Research and achievements - both only exist once a world was played
+    if (savedWorld) {
+      const researchButton = this.createButton(
+        "Research",
+        { x: this.getResponsiveSize(110), y: this.getResponsiveSize(20) },
+        () =>
+          this.navigateToScreen(SCREENS.RESEARCH, {
+            data: { returnTo: SCREENS.START },
+          }),
+        {
+          width: this.getResponsiveSize(120),
+          height: this.getResponsiveSize(50),
+          fontSize: this.getResponsiveFontSize(14),
+          color: pixiColors.accent.primary,
+        },
+      );
+      buttonContainer.addChild(researchButton);
+
+      const achievementsButton = this.createButton(
+        "Achievements",
+        { x: this.getResponsiveSize(110), y: this.getResponsiveSize(80) },
+        () =>
+          this.navigateToScreen(SCREENS.ACHIEVEMENTS, {
+            data: { returnTo: SCREENS.START },
+          }),
+        {
+          width: this.getResponsiveSize(120),
+          height: this.getResponsiveSize(50),
+          fontSize: this.getResponsiveFontSize(14),
+          color: pixiColors.background.interactive,
+        },
+      );
+      buttonContainer.addChild(achievementsButton);
+    }
+
     // Continue button (enabled/disabled based on save)
     const continueButton = this.createButton(
       "Continue",
@@ -179,10 +232,26 @@ export class StartScreen extends BaseScreen {
     );
     buttonContainer.addChild(continueButton);
 
+    // Daily/weekly challenges
+    const challengeButton = this.createButton(
+      "Challenges",
+      { x: -this.getResponsiveSize(100), y: this.getResponsiveSize(160) },
+      () => this.navigateToScreen(SCREENS.CHALLENGE),
+      {
+        width: this.getResponsiveSize(200),
+        height: this.getResponsiveSize(50),
+        fontSize: this.getResponsiveFontSize(16),
+        color: challengeMode
+          ? challengeMode.color
+          : pixiColors.background.interactive,
+      },
+    );
+    buttonContainer.addChild(challengeButton);
+
     // Settings button (future implementation)
     const settingsButton = this.createButton(
       "Settings",
-      { x: -this.getResponsiveSize(100), y: this.getResponsiveSize(180) },
+      { x: -this.getResponsiveSize(100), y: this.getResponsiveSize(220) },
       () => this.openSettings(),
       {
         width: this.getResponsiveSize(200),
@@ -210,16 +279,78 @@ export class StartScreen extends BaseScreen {
     );
     this.uiContainer.addChild(versionText);
 
+    this.createSeedUI();
+
     // Add animated background elements (future enhancement)
     this.createBackgroundAnimation();
   }
 
+  /**
+   * Create the map seed display and the button to change it
+   */
+  createSeedUI() {
+    const center = this.getScreenCenter();
+    const y = this.app.screen.height - this.getResponsiveSize(70);
+
+    if (this.seedText) {
+      this.seedText.text = `Map seed: ${this.seed}`;
+      return;
+    }
+
+    this.seedText = this.createText(
+      `Map seed: ${this.seed}`,
+      { x: center.x - this.getResponsiveSize(50), y },
+      {
+        fontSize: this.getResponsiveFontSize(12),
+        color: gameColors.buttonText,
+        anchor: 0.5,
+      },
+    );
+    this.uiContainer.addChild(this.seedText);
+
+    const changeSeedButton = this.createButton(
+      "Change",
+      {
+        x: center.x + this.getResponsiveSize(40),
+        y: y - this.getResponsiveSize(14),
+      },
+      () => this.changeSeed(),
+      {
+        width: this.getResponsiveSize(80),
+        height: this.getResponsiveSize(28),
+        fontSize: this.getResponsiveFontSize(11),
+        color: pixiColors.background.secondary,
+      },
+    );
+    this.uiContainer.addChild(changeSeedButton);
+  }
+
+  /**
+   * Let the player enter a map seed (empty for a fresh random one)
+   */
+  changeSeed() {
+    const input = window.prompt(
+      "Enter a map seed (leave empty for a random island):",
+      this.seed,
+    );
+    if (input === null) return; // Cancelled
+
+    this.seed =
+      RandomService.normalizeSeed(input) || RandomService.createSeed();
+    this.createSeedUI();
+
+    console.log("[StartScreen] Map seed set to:", this.seed);
+  }
+
   /**
    * Start game with selected mode
    */
   startGameWithMode(gameMode) {
     console.log("[StartScreen] Starting game with mode:", gameMode);
 
+    // The new island is generated from this seed
+    randomService.setSeed(this.seed);
+
     // Set the game mode in the manager
     const sessionData = gameModeManager.startNewSession(gameMode, {
       startedFromMenu: true,
@@ -314,19 +445,14 @@ export class StartScreen extends BaseScreen {
   }
 
   /**
-   * Check for existing save game (future implementation)
+   * Check for existing save game
    */
   checkForExistingSave() {
-    // TODO: Implement save system
-    // For now, simulate no existing save
-    this.hasExistingSave = false;
-
-    // Future implementation:
-    // this.hasExistingSave = SaveSystem.hasSave();
+    this.hasExistingSave = SaveSystem.hasSave();
   }
 
   /**
-   * Continue existing game
+   * Continue existing game - pick a save slot to load
    */
   continueGame() {
     if (!this.hasExistingSave) {
@@ -334,15 +460,34 @@ export class StartScreen extends BaseScreen {
       return;
     }
 
+    if (this.slotPicker) return;
+
+    this.slotPicker = new SaveSlotPicker(this, {
+      onLoad: (saveData, slotId) => this.continueFromSave(saveData, slotId),
+      onClose: () => {
+        this.slotPicker = null;
+      },
+    });
+    this.uiContainer.addChild(this.slotPicker.container);
+  }
+
+  /**
+   * Continue from a loaded save
+   * @param {Object} saveData - Validated envelope from SaveSystem
+   * @param {string} slotId - Slot the save was loaded from
+   */
+  continueFromSave(saveData, slotId) {
     console.log("[StartScreen] Continuing existing game");
 
-    // Future: Load save game, show progression screen first
-    // const saveData = SaveSystem.loadSave();
-    // this.navigateToScreen(SCREENS.PROGRESSION, { data: saveData });
+    // Restore the saved game mode before the game screen initializes
+    gameModeManager.continueSession({
+      ...saveData.session,
+      gameMode: saveData.gameMode,
+    });
 
-    // For now, go directly to game
-    this.navigateToScreen(SCREENS.GAME, {
-      data: { isNewGame: false },
+    // Show progression screen first, it carries the save on to the game
+    this.navigateToScreen(SCREENS.PROGRESSION, {
+      data: { ...SaveSystem.getSaveSummary(saveData), saveData, slotId },
     });
   }
 
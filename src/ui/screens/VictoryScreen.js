@@ -2,6 +2,7 @@ import BaseScreen from "./BaseScreen.js";
 import { pixiColors, gameColors, colors } from "../../configs/colors.js";
 import { SCREENS } from "../../configs/screens.js";
 import EventBus from "../../engine/EventBus.js";
+import { AchievementSummary } from "../AchievementSummary.js";
 
 /**
  * VictoryScreen - Celebration screen for level completion
@@ -15,6 +16,7 @@ export default class VictoryScreen extends BaseScreen {
     this.celebrationContainer = null;
     this.statsContainer = null;
     this.buttonsContainer = null;
+    this.achievementsContainer = null;
     this.victoryData = null;
   }
 
@@ -31,6 +33,7 @@ export default class VictoryScreen extends BaseScreen {
     // Create main celebration content
     this.createCelebrationHeader();
     this.createLevelStats();
+    this.createAchievementSummary();
     this.createActionButtons();
 
     // Add victory particles/effects
@@ -168,6 +171,15 @@ export default class VictoryScreen extends BaseScreen {
     });
   }
 
+  /**
+   * Create the summary of achievements unlocked this session
+   */
+  createAchievementSummary() {
+    this.achievementsContainer = new AchievementSummary(this).container;
+    this.achievementsContainer.position.set(this.app.screen.width / 2, 475);
+    this.uiContainer.addChild(this.achievementsContainer);
+  }
+
   /**
    * Create action buttons for next steps
    */
@@ -319,6 +331,10 @@ export default class VictoryScreen extends BaseScreen {
       this.statsContainer.position.set(this.app.screen.width / 2, 300);
     }
 
+    if (this.achievementsContainer) {
+      this.achievementsContainer.position.set(this.app.screen.width / 2, 475);
+    }
+
     if (this.buttonsContainer) {
       this.buttonsContainer.position.set(
         this.app.screen.width / 2,
@@ -1,32 +1,46 @@
 import { Unit } from "../units/Unit.js";
 import EventBus from "../engine/EventBus.js";
-import { getUnitData } from "../configs/GameData.js";
+import { getUnitData, getResourceYield } from "../configs/GameData.js";
+import jobDispatcher from "../engine/JobDispatcher.js";
+import { axialRing, hexToAxial } from "../engine/HexMath.js";
+import spatialIndex, { SPATIAL_LAYERS } from "../engine/SpatialIndex.js";
 
 /**
  * Drone class - Automated resource collection and delivery units
  *
- * Flying units that automatically collect radioactive waste from resource nodes
- * and deliver them to storage buildings or reactors. Can carry multiple units
- * of resources and operate autonomously.
+ * Flying units that operate autonomously. Every drone is a "drone" unit; its
+ * droneType (a key in UNITS) sets its stats and role:
+ * haulers and lumber drones collect from resource nodes and deliver to
+ * storage, refineries or reactors; builders take the materials construction
+ * sites still owe out of storage and carry them over, paying for the site and
+ * speeding it up; couriers move goods between storage buildings.
  */
 export class Drone extends Unit {
-  constructor(hex, ownerFactory = null) {
+  constructor(hex, ownerFactory = null, droneType = "drone") {
     super("drone", hex);
 
     // Get drone configuration from GameData.js
-    const droneConfig = getUnitData("drone");
+    const droneConfig = getUnitData(droneType);
     if (!droneConfig) {
       console.error(
-        "[Drone] Could not find drone configuration in GameData.js",
+        `[Drone] Could not find ${droneType} configuration in GameData.js`,
       );
       return;
     }
 
+    // Drone type and AI role
+    this.droneType = droneType;
+    this.name = droneConfig.name;
+    this.role = droneConfig.role;
+    this.collects = droneConfig.collects || [];
+    this.config = droneConfig;
+
     // Apply configuration - movement settings
     this.moveInterval = droneConfig.moveInterval;
     this.speed = droneConfig.speed;
     this.smoothMovement = droneConfig.smoothMovement;
     this.movementSpeed = droneConfig.movementSpeed;
+    this.pathCosts = droneConfig.pathCosts || this.pathCosts;
 
     // Apply configuration - drone properties
     this.carryingCapacity = droneConfig.carryingCapacity;
@@ -34,23 +48,47 @@ export class Drone extends Unit {
     this.upgradeLevel = droneConfig.upgradeLevel;
     this.taskDelay = droneConfig.taskDelay;
 
+    // Durability - wear slows the drone and shrinks its hold until repaired
+    this.durability = droneConfig.durability;
+    this.baseMoveInterval = this.moveInterval;
+    this.baseMovementSpeed = this.movementSpeed;
+    this.baseCarryingCapacity = this.carryingCapacity;
+    this.wear = 0;
+    this.isBrokenDown = false;
+
     // Runtime state (not configurable)
     this.currentLoad = 0; // Current resources being carried
     this.resourceType = null; // Type of resource being carried
     this.ownerFactory = ownerFactory; // Factory that created this drone
 
     // AI state management
-    this.aiState = "idle"; // 'idle', 'seeking', 'collecting', 'delivering', 'returning'
+    this.aiState = "idle"; // 'idle', 'seeking', 'fetching', 'collecting', 'delivering', 'returning', 'patrolling', 'holding'
     this.targetResource = null; // Resource node being targeted
     this.targetBuilding = null; // Storage/reactor being targeted for delivery
+    this.needsRepairTrip = false; // Flying home to the factory for repair
+    this.pickupBuilding = null; // Where builders/couriers load their cargo
+    this.plannedTarget = null; // Where builders/couriers take it
+    this.jobPin = null; // { target } or { zone: { q, r, radius } }, see JobDispatcher
+    this.order = null; // Player order: collect, patrol or return (see issueOrder)
+    this.deliverTo = null; // Player-chosen delivery building
     this.lastTaskTime = Date.now();
     this.accumulatedTaskDelta = 0; // Accumulated delta time for AI task delays
 
+    this.updateWearEffects();
+
     console.log(
-      `[Drone] Created drone with capacity ${this.carryingCapacity} at (${hex.q}, ${hex.r})`,
+      `[Drone] Created ${droneConfig.name} with capacity ${this.carryingCapacity} at (${hex.q}, ${hex.r})`,
     );
   }
 
+  /**
+   * Check if this drone moves stored goods rather than collecting
+   * @returns {boolean} True for builders and couriers
+   */
+  isTransport() {
+    return this.role === "builder" || this.role === "courier";
+  }
+
   /**
    * Update drone AI and movement (called every frame)
    */
@@ -88,6 +126,10 @@ export class Drone extends Unit {
         this.handleSeeking();
         break;
 
+      case "fetching":
+        this.handleFetching();
+        break;
+
       case "collecting":
         this.handleCollecting();
         break;
@@ -99,6 +141,14 @@ export class Drone extends Unit {
       case "returning":
         this.handleReturning();
         break;
+
+      case "patrolling":
+        this.handlePatrolling();
+        break;
+
+      case "holding":
+        // Parked at base until the return order is cleared
+        break;
     }
   }
 
@@ -106,27 +156,44 @@ export class Drone extends Unit {
    * Look for the nearest available resource to collect
    */
   seekResource() {
-    if (this.currentLoad >= this.carryingCapacity) {
+    if (this.order?.type === "return") {
+      this.returnToBase();
+      return;
+    }
+
+    if (
+      this.currentLoad >= this.carryingCapacity ||
+      (this.isTransport() && this.currentLoad > 0)
+    ) {
       this.startDelivery();
       return;
     }
 
-    const nearestResource = this.findNearestResource();
-    if (nearestResource) {
-      this.targetResource = nearestResource;
-      this.setTarget(nearestResource.hex);
+    if (this.isTransport()) {
+      this.seekPickup();
+      return;
+    }
+
+    // The dispatcher reserves part of the node so other drones go elsewhere
+    const job = jobDispatcher.requestJob(this);
+    if (job) {
+      this.targetResource = job.target;
+      this.setTarget(job.hex);
       this.aiState = "seeking";
       this.accumulatedTaskDelta = 0; // Reset task timer
 
       EventBus.emit("drone:taskStarted", {
         drone: this,
         task: "seeking",
-        target: nearestResource,
+        target: job.target,
       });
 
       console.log(
-        `[Drone] Seeking resource at (${nearestResource.hex.q}, ${nearestResource.hex.r})`,
+        `[Drone] Seeking resource at (${job.hex.q}, ${job.hex.r}), claimed ${job.claimed}`,
       );
+    } else if (this.order?.type === "patrol") {
+      // Nothing to collect inside the ring, fly on to the next waypoint
+      this.patrolStep();
     } else {
       // No resources available, stay idle
       this.aiState = "idle";
@@ -155,6 +222,10 @@ export class Drone extends Unit {
       this.accumulatedTaskDelta = 0; // Reset task timer
 
       console.log(`[Drone] Arrived at resource, starting collection`);
+    } else if (this.state === "idle") {
+      // No route to the resource, pick another target
+      this.targetResource = null;
+      this.aiState = "idle";
     }
   }
 
@@ -177,12 +248,15 @@ export class Drone extends Unit {
       return;
     }
 
-    // Collect resources
+    // Collect resources, leaving what other drones have claimed
     const spaceAvailable = this.carryingCapacity - this.currentLoad;
+    const unclaimed =
+      this.targetResource.amount -
+      jobDispatcher.getReserved(this.targetResource, "collect", null, this);
     const collectionAmount = Math.min(
       spaceAvailable,
       this.targetResource.collectionRate,
-      this.targetResource.amount,
+      unclaimed,
     );
 
     if (collectionAmount > 0) {
@@ -191,7 +265,8 @@ export class Drone extends Unit {
       );
       const actualCollected = this.targetResource.collect(collectionAmount);
       this.currentLoad += actualCollected;
-      this.resourceType = this.targetResource.type;
+      jobDispatcher.reportProgress(this, actualCollected);
+      this.resourceType = getResourceYield(this.targetResource.type);
 
       EventBus.emit("drone:resourceCollected", {
         drone: this,
@@ -213,7 +288,8 @@ export class Drone extends Unit {
     // Check if we should continue collecting or start delivery
     if (
       this.currentLoad >= this.carryingCapacity ||
-      this.targetResource.amount <= 0
+      this.targetResource.amount <= 0 ||
+      collectionAmount <= 0
     ) {
       this.startDelivery();
     } else {
@@ -233,6 +309,7 @@ export class Drone extends Unit {
 
     const deliveryTarget = this.findBestDeliveryTarget();
     if (deliveryTarget) {
+      jobDispatcher.claimDelivery(this, deliveryTarget);
       this.targetBuilding = deliveryTarget;
       this.setTarget(deliveryTarget.hex);
       this.aiState = "delivering";
@@ -246,6 +323,7 @@ export class Drone extends Unit {
       console.warn(
         `[Drone] No delivery target found for ${this.currentLoad} ${this.resourceType}`,
       );
+      jobDispatcher.releaseJob(this);
       this.aiState = "idle";
     }
   }
@@ -264,6 +342,10 @@ export class Drone extends Unit {
     if (this.isAtHex(this.targetBuilding.hex)) {
       // Arrived at delivery target, deliver resources
       this.deliverResources();
+    } else if (this.state === "idle") {
+      // No route to the building, try again later
+      this.targetBuilding = null;
+      this.aiState = "idle";
     }
   }
 
@@ -278,14 +360,22 @@ export class Drone extends Unit {
 
     let deliveredAmount = 0;
 
-    if (this.targetBuilding.type === "storage") {
-      // Deliver to storage building
+    if (
+      this.role === "builder" &&
+      jobDispatcher.isConstructionSite(this.targetBuilding)
+    ) {
+      // Builder drones pay for construction sites and speed them up
+      deliveredAmount = this.deliverToSite();
+    } else if (this.targetBuilding.type === "storage") {
+      // Deliver into this storage building (individual storage mode)
       const storageBuilding = this.targetBuilding;
       if (
         storageBuilding.canStore &&
-        storageBuilding.canStore(this.currentLoad)
+        storageBuilding.canStore(this.currentLoad, this.resourceType)
       ) {
-        deliveredAmount = storageBuilding.addResources(this.currentLoad);
+        deliveredAmount = this.deliverToGlobalStorage({
+          building: storageBuilding,
+        });
       } else {
         // Use global storage system
         deliveredAmount = this.deliverToGlobalStorage();
@@ -296,6 +386,11 @@ export class Drone extends Unit {
     } else if (this.targetBuilding.type === "reactor") {
       // Deliver to reactor as fuel
       deliveredAmount = this.deliverToReactor();
+    } else {
+      // Own factory - hand the load in to the stores around it
+      deliveredAmount = this.deliverToGlobalStorage({
+        near: this.targetBuilding.hex,
+      });
     }
 
     if (deliveredAmount > 0) {
@@ -325,11 +420,20 @@ export class Drone extends Unit {
 
     this.targetBuilding = null;
     this.accumulatedTaskDelta = 0; // Reset task timer
+    jobDispatcher.releaseJob(this);
+
+    // Every trip wears the drone down
+    if (deliveredAmount > 0) {
+      this.addWear(this.durability.wearPerTrip);
+      if (this.isBrokenDown) return;
+    }
 
     // Decide next action
     if (this.currentLoad > 0) {
       // Still carrying resources, find another delivery target
       this.startDelivery();
+    } else if (this.needsRepair()) {
+      this.returnForRepair();
     } else {
       // Empty, look for more resources
       this.aiState = "idle";
@@ -338,9 +442,10 @@ export class Drone extends Unit {
 
   /**
    * Deliver resources to global storage system
+   * @param {Object} reach - Where PlayerStorage should put it: { building, near } (optional)
    * @returns {number} Amount actually delivered
    */
-  deliverToGlobalStorage() {
+  deliverToGlobalStorage(reach = {}) {
     console.log(`[Drone] deliverToGlobalStorage called`);
     console.log(`[Drone] window object:`, !!window);
     console.log(`[Drone] window.playerStorage:`, window.playerStorage);
@@ -364,6 +469,7 @@ export class Drone extends Unit {
       const deliveredAmount = playerStorage.addResources(
         this.currentLoad,
         this.resourceType,
+        reach,
       );
       console.log(
         `[Drone] Successfully delivered ${deliveredAmount}/${this.currentLoad} ${this.resourceType} to global storage`,
@@ -390,8 +496,10 @@ export class Drone extends Unit {
     }
 
     // Deliver to refinery - refineries can accept radioactive waste directly
-    // This adds the waste to global storage where the refinery can access it
-    const deliveredAmount = this.deliverToGlobalStorage();
+    // This adds the waste to the storage nearest the refinery, where it can access it
+    const deliveredAmount = this.deliverToGlobalStorage({
+      near: this.targetBuilding.hex,
+    });
 
     // Emit event for refinery waste delivery
     EventBus.emit("refinery:wasteDelivered", {
@@ -407,6 +515,37 @@ export class Drone extends Unit {
     return deliveredAmount;
   }
 
+  /**
+   * Pay a construction site's owed materials, cutting its build time
+   * @returns {number} Amount actually delivered
+   */
+  deliverToSite() {
+    const site = this.targetBuilding;
+    if (this.resourceType !== "materials") return 0;
+
+    const deliveredAmount = Math.min(this.currentLoad, site.materialsOwed);
+    if (deliveredAmount <= 0) return 0;
+    site.materialsOwed -= deliveredAmount;
+
+    const timeSaved = deliveredAmount * this.config.buildSpeedPerMaterial;
+    site.constructionTimeRemaining = Math.max(
+      0,
+      site.constructionTimeRemaining - timeSaved,
+    );
+
+    EventBus.emit("drone:constructionSupplied", {
+      drone: this,
+      building: site,
+      amount: deliveredAmount,
+      timeSaved,
+    });
+
+    console.log(
+      `[Drone] Supplied ${deliveredAmount} materials to ${site.type} site (-${timeSaved}s, ${site.materialsOwed} still owed)`,
+    );
+    return deliveredAmount;
+  }
+
   /**
    * Deliver resources to reactor as fuel
    * @returns {number} Amount actually delivered
@@ -431,38 +570,214 @@ export class Drone extends Unit {
   }
 
   /**
-   * Find the nearest available resource node
-   * @returns {Resource|null} Nearest resource or null if none available
+   * Plan a builder/courier run and fly to the pickup point
    */
-  findNearestResource() {
-    // Get all available resources from the global game state
-    const resources = window.gameState?.resources || [];
+  seekPickup() {
+    jobDispatcher.releaseJob(this);
+
+    const plan =
+      this.role === "builder" ? this.planSupplyRun() : this.planCourierRun();
+    if (!plan) {
+      this.aiState = "idle";
+      return;
+    }
+
+    this.pickupBuilding = plan.source;
+    this.plannedTarget = plan.destination;
+    this.resourceType = plan.resourceType;
+    this.setTarget(plan.source.hex);
+    this.aiState = "fetching";
+    this.accumulatedTaskDelta = 0; // Reset task timer
 
-    if (resources.length === 0) return null;
+    EventBus.emit("drone:taskStarted", {
+      drone: this,
+      task: "fetching",
+      target: plan.destination,
+    });
 
-    // Filter resources that have available amounts and are not destroyed
-    const availableResources = resources.filter(
-      (resource) =>
-        !resource.isDestroyed &&
-        resource.amount > 0 &&
-        resource.type === "radioactive_waste", // Drones only collect radioactive waste
+    console.log(
+      `[Drone] Fetching ${plan.resourceType} at (${plan.source.hex.q}, ${plan.source.hex.r}) for ${plan.destination.type} at (${plan.destination.hex.q}, ${plan.destination.hex.r})`,
     );
+  }
 
-    if (availableResources.length === 0) return null;
+  /**
+   * Builder: construction site from the dispatcher, supplied from the nearest
+   * storage holding materials (or the stores around the owner factory)
+   * @returns {Object|null} { source, destination, resourceType }
+   */
+  planSupplyRun() {
+    const playerStorage = window.playerStorage;
+    if (!playerStorage) return null;
+
+    const hasMaterials = (building) =>
+      !building.isDestroyed &&
+      playerStorage.getResourceAmount(
+        "materials",
+        this.getSupplyReach(building),
+      ) > 0;
+    const source =
+      spatialIndex.findNearest(SPATIAL_LAYERS.BUILDINGS, this.hex, {
+        filter: (building) =>
+          building.type === "storage" &&
+          !building.isUnderConstruction &&
+          hasMaterials(building),
+      }) ||
+      (this.ownerFactory && hasMaterials(this.ownerFactory)
+        ? this.ownerFactory
+        : null);
+    if (!source) return null;
+
+    // Claims the site's missing materials, so builders spread over sites
+    const job = jobDispatcher.requestJob(this);
+    if (!job) return null;
+
+    return { source, destination: job.target, resourceType: "materials" };
+  }
 
-    // Find the nearest resource
-    let nearestResource = null;
-    let nearestDistance = Infinity;
+  /**
+   * Courier: move the largest unclaimed stock of the fullest storage building
+   * to the emptiest one that takes it (individual storage mode only), and
+   * claim the haul with the dispatcher
+   * @returns {Object|null} { source, destination, resourceType }
+   */
+  planCourierRun() {
+    const playerStorage = window.playerStorage;
+    if (!playerStorage?.useIndividualStorage) return null;
+
+    const fill = (building) =>
+      building.currentCapacity / Math.max(1, building.getStorageLimit());
+    const storages = playerStorage
+      .getStorageBuildings()
+      .filter((building) => jobDispatcher.isAllowed(this, building))
+      .sort((a, b) => fill(b) - fill(a));
+    const source = storages.find((building) => building.currentCapacity > 0);
+    if (!source) return null;
+
+    const stock = Object.keys(source.inventory)
+      .map((type) => [
+        type,
+        jobDispatcher.getUnclaimedStock(source, type, this),
+      ])
+      .filter(([, amount]) => amount > 0)
+      .sort(([, a], [, b]) => b - a);
+
+    for (const destination of [...storages].reverse()) {
+      if (fill(source) - fill(destination) < this.config.rebalanceThreshold) {
+        break;
+      }
 
-    for (const resource of availableResources) {
-      const distance = this.calculateDistance(this.hex, resource.hex);
-      if (distance < nearestDistance) {
-        nearestDistance = distance;
-        nearestResource = resource;
+      for (const [resourceType, unclaimed] of stock) {
+        const amount = Math.min(
+          this.carryingCapacity,
+          unclaimed,
+          jobDispatcher.getFreeSpace(destination, resourceType, this),
+        );
+        if (amount > 0) {
+          const job = jobDispatcher.createJob("haul", source, {
+            resourceType,
+            amount,
+          });
+          jobDispatcher.claim(this, job, amount);
+          return { source, destination, resourceType };
+        }
       }
     }
 
-    return nearestResource;
+    return null;
+  }
+
+  /**
+   * Handle movement to the pickup point, then load up
+   */
+  handleFetching() {
+    if (
+      !this.pickupBuilding ||
+      this.pickupBuilding.isDestroyed ||
+      !this.plannedTarget ||
+      this.plannedTarget.isDestroyed
+    ) {
+      jobDispatcher.releaseJob(this);
+      this.clearTransportPlan();
+      this.aiState = "idle";
+      return;
+    }
+
+    if (this.isAtHex(this.pickupBuilding.hex)) {
+      this.loadCargo();
+    } else if (this.state === "idle") {
+      // No route to the pickup, plan again later
+      jobDispatcher.releaseJob(this);
+      this.clearTransportPlan();
+      this.aiState = "idle";
+    }
+  }
+
+  /**
+   * Get where a builder/courier run loads from
+   * @param {Building} source - Pickup building
+   * @returns {Object} PlayerStorage reach: the storage itself, or the stores
+   *   around any other building (the owner factory)
+   */
+  getSupplyReach(source) {
+    if (source.type === "storage") return { building: source };
+    return window.playerStorage.getConstructionReach(source.hex);
+  }
+
+  /**
+   * Load the planned cargo out of storage and head for the destination
+   */
+  loadCargo() {
+    const playerStorage = window.playerStorage;
+    const source = this.pickupBuilding;
+    const destination = this.plannedTarget;
+
+    const claim = jobDispatcher.getClaim(this);
+    const amount = Math.min(this.carryingCapacity, claim ? claim.amount : 0);
+
+    const taken =
+      amount > 0
+        ? playerStorage.removeResources(
+            amount,
+            this.resourceType,
+            this.getSupplyReach(source),
+          )
+        : 0;
+    this.currentLoad = taken;
+    this.clearTransportPlan();
+
+    if (taken <= 0) {
+      jobDispatcher.releaseJob(this);
+      this.aiState = "idle";
+      return;
+    }
+
+    // Builders keep their site claim for what they carry; couriers now
+    // reserve room at the destination
+    if (this.role === "builder") {
+      jobDispatcher.claim(this, claim.job, taken);
+    } else {
+      jobDispatcher.claimDelivery(this, destination);
+    }
+
+    this.targetBuilding = destination;
+    this.setTarget(destination.hex);
+    this.aiState = "delivering";
+    this.accumulatedTaskDelta = 0; // Reset task timer
+
+    console.log(
+      `[Drone] Loaded ${taken} ${this.resourceType} for ${destination.type} at (${destination.hex.q}, ${destination.hex.r})`,
+    );
+  }
+
+  /**
+   * Forget the pickup/destination of a builder/courier run
+   */
+  clearTransportPlan() {
+    this.pickupBuilding = null;
+    this.plannedTarget = null;
+    if (this.currentLoad <= 0) {
+      this.resourceType = null;
+    }
   }
 
   /**
@@ -471,114 +786,413 @@ export class Drone extends Unit {
    * @returns {Building|null} Best delivery target or null if none available
    */
   findBestDeliveryTarget() {
-    // Get all buildings from the global game state
-    const buildings = window.gameState?.buildings || [];
-    console.log(`[Drone] Total buildings available: ${buildings.length}`);
-    buildings.forEach((building, index) => {
-      console.log(
-        `[Drone] Building ${index}: type=${building.type}, destroyed=${building.isDestroyed}`,
-      );
-    });
+    const findNearestBuilding = (filter) =>
+      spatialIndex.findNearest(SPATIAL_LAYERS.BUILDINGS, this.hex, {
+        filter: (building) => !building.isDestroyed && filter(building),
+      });
+
+    // A player-chosen building takes everything it accepts
+    if (this.deliverTo && this.canDeliverTo(this.deliverTo)) {
+      return this.deliverTo;
+    }
 
-    if (buildings.length === 0) return null;
+    // Builders supply construction sites first
+    if (this.role === "builder" && this.resourceType === "materials") {
+      const site = findNearestBuilding(
+        (building) =>
+          building.isUnderConstruction && building.materialsOwed > 0,
+      );
+      if (site) return site;
+    }
 
     // First priority: Storage buildings with available space
-    const storageBuildings = buildings.filter(
-      (building) => !building.isDestroyed && building.type === "storage",
+    // (individual storage mode checks the building, otherwise global storage)
+    const storage = findNearestBuilding(
+      (building) =>
+        building.type === "storage" &&
+        !building.isUnderConstruction &&
+        jobDispatcher.hasSpaceFor(
+          building,
+          this.currentLoad,
+          this.resourceType,
+          this,
+        ),
     );
-    console.log(`[Drone] Found ${storageBuildings.length} storage buildings`);
-
-    // Find nearest storage building with space
-    let bestStorage = null;
-    let nearestStorageDistance = Infinity;
-
-    for (const storage of storageBuildings) {
-      // Check if storage has space (for individual storage mode) or use global storage
-      const hasSpace = storage.canStore
-        ? storage.canStore(this.currentLoad)
-        : true;
-
-      if (hasSpace) {
-        const distance = this.calculateDistance(this.hex, storage.hex);
-        if (distance < nearestStorageDistance) {
-          nearestStorageDistance = distance;
-          bestStorage = storage;
-        }
+    if (storage) return storage;
+
+    // Second priority: Refinery buildings (for waste processing)
+    if (this.resourceType === "radioactive_waste") {
+      const refinery = findNearestBuilding(
+        (building) => building.type === "refinery",
+      );
+      if (refinery) return refinery;
+    }
+
+    // Third priority: Reactor buildings (as fuel)
+    if (this.resourceType === "radioactive_waste") {
+      const reactor = findNearestBuilding(
+        (building) => building.type === "reactor",
+      );
+      if (reactor) return reactor;
+    }
+
+    // Anything else goes back to the stores around the owner factory
+    return this.ownerFactory && !this.ownerFactory.isDestroyed
+      ? this.ownerFactory
+      : null;
+  }
+
+  /**
+   * Handle returning to factory
+   */
+  handleReturning() {
+    if (this.ownerFactory && this.isAtHex(this.ownerFactory.hex)) {
+      if (this.needsRepairTrip && !this.ownerFactory.isDestroyed) {
+        // Without materials or power the drone goes back to work worn
+        this.ownerFactory.repairDrone(this);
+        this.needsRepairTrip = false;
       }
+      if (this.order?.type === "return") {
+        this.parkAtBase();
+        return;
+      }
+      this.aiState = "idle";
+      this.accumulatedTaskDelta = 0; // Reset task timer
+    } else if (!this.ownerFactory || this.state === "idle") {
+      // No route back to the factory, look for work from here
+      this.needsRepairTrip = false;
+      this.aiState = "idle";
     }
+  }
 
-    if (bestStorage) {
-      return bestStorage;
+  /**
+   * Check if a building takes this drone's current load
+   * @param {Building} building - Possible delivery target
+   * @returns {boolean} True if the load can be delivered there
+   */
+  canDeliverTo(building) {
+    if (building.isDestroyed || building.isUnderConstruction) return false;
+
+    switch (building.type) {
+      case "storage":
+        return jobDispatcher.hasSpaceFor(
+          building,
+          this.currentLoad,
+          this.resourceType,
+          this,
+        );
+      case "refinery":
+      case "reactor":
+        return this.resourceType === "radioactive_waste";
+      default:
+        return building === this.ownerFactory;
     }
+  }
 
-    // Second priority: Refinery buildings (for waste processing)
-    const refineryBuildings = buildings.filter(
-      (building) => !building.isDestroyed && building.type === "refinery",
+  /**
+   * Give the drone a player order, replacing the previous one
+   * Orders: { type: "collect", target } works one resource node,
+   * { type: "patrol", center: { q, r }, radius } flies a ring and works inside
+   * it, { type: "return" } flies home and parks.
+   * @param {Object} order - Order to follow
+   */
+  issueOrder(order) {
+    this.applyOrder(order);
+    this.interruptTask();
+
+    if (order.type === "return") {
+      this.returnToBase();
+    }
+
+    EventBus.emit("drone:orderIssued", { drone: this, order: this.order });
+    console.log(`[Drone] ${this.name} ordered to ${order.type}`);
+  }
+
+  /**
+   * Set an order and the dispatcher pin that goes with it
+   * @param {Object} order - Order to follow
+   */
+  applyOrder(order) {
+    this.order = { ...order };
+
+    switch (order.type) {
+      case "collect":
+        jobDispatcher.pinDrone(this, { target: order.target });
+        break;
+
+      case "patrol":
+        this.order.waypoint = order.waypoint || 0;
+        jobDispatcher.pinDrone(this, {
+          zone: { q: order.center.q, r: order.center.r, radius: order.radius },
+        });
+        break;
+
+      case "return":
+        jobDispatcher.unpinDrone(this);
+        break;
+    }
+  }
+
+  /**
+   * Deliver only to one building while it takes the load
+   * @param {Building|null} building - Delivery building, or null for any
+   */
+  setDeliveryTarget(building) {
+    this.deliverTo = building;
+
+    EventBus.emit("drone:orderIssued", { drone: this, deliverTo: building });
+    console.log(
+      building
+        ? `[Drone] ${this.name} delivering to ${building.type} at (${building.hex.q}, ${building.hex.r})`
+        : `[Drone] ${this.name} delivering anywhere`,
     );
-    console.log(`[Drone] Found ${refineryBuildings.length} refinery buildings`);
+  }
 
-    // Find nearest refinery that can accept waste
-    let nearestRefinery = null;
-    let nearestRefineryDistance = Infinity;
+  /**
+   * Drop all player orders and go back to working on its own
+   */
+  clearOrders() {
+    this.order = null;
+    this.deliverTo = null;
 
-    for (const refinery of refineryBuildings) {
-      // Check if refinery can accept delivery (refineries can always accept radioactive waste)
-      const canAccept = this.resourceType === "radioactive_waste";
+    // Back to the factory's fleet zone, if it keeps one
+    if (this.ownerFactory?.keepFleetNearby && !this.ownerFactory.isDestroyed) {
+      this.ownerFactory.pinToFactoryZone(this);
+    } else {
+      jobDispatcher.unpinDrone(this);
+    }
 
-      if (canAccept) {
-        const distance = this.calculateDistance(this.hex, refinery.hex);
-        if (distance < nearestRefineryDistance) {
-          nearestRefineryDistance = distance;
-          nearestRefinery = refinery;
-        }
-      }
+    if (this.aiState === "holding" || this.aiState === "patrolling") {
+      this.aiState = "idle";
     }
 
-    if (nearestRefinery) {
-      return nearestRefinery;
+    EventBus.emit("drone:orderIssued", { drone: this, order: null });
+  }
+
+  /**
+   * Drop a search or pickup in progress so a new order takes effect now;
+   * loads already on board are still delivered
+   */
+  interruptTask() {
+    if (
+      !["idle", "seeking", "fetching", "patrolling", "holding"].includes(
+        this.aiState,
+      )
+    ) {
+      return;
     }
 
-    // Third priority: Reactor buildings (as fuel)
-    const reactorBuildings = buildings.filter(
-      (building) => !building.isDestroyed && building.type === "reactor",
-    );
-    console.log(`[Drone] Found ${reactorBuildings.length} reactor buildings`);
+    jobDispatcher.releaseJob(this);
+    this.clearTransportPlan();
+    this.targetResource = null;
+    this.path = [];
+    this.state = "idle";
+    this.aiState = "idle";
+    this.accumulatedTaskDelta = 0; // Reset task timer
+  }
+
+  /**
+   * Fly home for a return order
+   */
+  returnToBase() {
+    if (this.aiState !== "idle") return; // Finishes its delivery first
+
+    if (!this.ownerFactory || this.ownerFactory.isDestroyed) {
+      this.parkAtBase();
+      return;
+    }
 
-    // Find nearest reactor
-    let nearestReactor = null;
-    let nearestReactorDistance = Infinity;
+    this.aiState = "returning";
+    this.setTarget(this.ownerFactory.hex);
+    if (this.state === "idle" && !this.isAtHex(this.ownerFactory.hex)) {
+      this.parkAtBase(); // No route home, wait where it is
+    }
+  }
 
-    for (const reactor of reactorBuildings) {
-      const distance = this.calculateDistance(this.hex, reactor.hex);
-      if (distance < nearestReactorDistance) {
-        nearestReactorDistance = distance;
-        nearestReactor = reactor;
+  /**
+   * Hand in any load at base and wait there
+   */
+  parkAtBase() {
+    if (this.currentLoad > 0) {
+      this.currentLoad -= this.deliverToGlobalStorage({ near: this.hex });
+      if (this.currentLoad <= 0) {
+        this.resourceType = null;
       }
     }
 
-    return nearestReactor;
+    this.aiState = "holding";
+    this.accumulatedTaskDelta = 0; // Reset task timer
   }
 
   /**
-   * Calculate distance between two hexes (for pathfinding)
-   * @param {Hex} hexA - First hex
-   * @param {Hex} hexB - Second hex
-   * @returns {number} Distance between hexes
+   * Get the hexes of the patrol ring, in flying order
+   * @returns {Hex[]} Ring hexes that exist on the island
    */
-  calculateDistance(hexA, hexB) {
-    const dq = hexA.q - hexB.q;
-    const dr = hexA.r - hexB.r;
-    return Math.max(Math.abs(dq), Math.abs(dr), Math.abs(dq + dr));
+  getPatrolRoute() {
+    if (this.order?.type !== "patrol") return [];
+
+    const hexIndex = window.hexGrid?.index;
+    if (!hexIndex) return [];
+
+    return axialRing(hexToAxial(this.order.center), this.order.radius)
+      .map((axial) => hexIndex.getAxial(axial))
+      .filter(Boolean);
   }
 
   /**
-   * Handle returning to factory (future feature)
+   * Fly to the next waypoint of the patrol ring
    */
-  handleReturning() {
-    if (this.ownerFactory && this.isAtHex(this.ownerFactory.hex)) {
+  patrolStep() {
+    const route = this.getPatrolRoute();
+    if (route.length === 0) {
       this.aiState = "idle";
-      this.accumulatedTaskDelta = 0; // Reset task timer
+      return;
+    }
+
+    this.order.waypoint = (this.order.waypoint + 1) % route.length;
+    this.setTarget(route[this.order.waypoint]);
+    this.aiState = "patrolling";
+    this.accumulatedTaskDelta = 0; // Reset task timer
+  }
+
+  /**
+   * Handle movement between patrol waypoints
+   */
+  handlePatrolling() {
+    // Look for work at every waypoint (or when the way is blocked)
+    if (this.state === "idle") {
+      this.aiState = "idle";
+    }
+  }
+
+  /**
+   * Describe the player's orders for UI
+   * @returns {Object|null} { type, target, center, radius, deliverTo }
+   */
+  getOrderInfo() {
+    if (!this.order && !this.deliverTo) return null;
+
+    const coordsOf = (gameObject) =>
+      gameObject ? { q: gameObject.hex.q, r: gameObject.hex.r } : null;
+
+    return {
+      type: this.order?.type || null,
+      target: coordsOf(this.order?.target),
+      center: this.order?.center || null,
+      radius: this.order?.radius ?? null,
+      deliverTo: coordsOf(this.deliverTo),
+    };
+  }
+
+  /**
+   * Get the drone's condition
+   * @returns {number} 1 when new, 0 when about to break down
+   */
+  getCondition() {
+    return Math.max(0, 1 - this.wear / this.durability.maxWear);
+  }
+
+  /**
+   * Check if the drone is worn enough to fly home for repair
+   * @returns {boolean} True at or past the repair threshold
+   */
+  needsRepair() {
+    return (
+      this.wear >= this.durability.maxWear * this.durability.repairThreshold
+    );
+  }
+
+  /**
+   * Add wear from a trip; breaks the drone down once wear is maxed
+   * @param {number} amount - Wear to add
+   */
+  addWear(amount) {
+    this.wear = Math.min(this.wear + amount, this.durability.maxWear);
+    this.updateWearEffects();
+
+    if (this.wear >= this.durability.maxWear) {
+      this.breakDown();
+    }
+  }
+
+  /**
+   * Scale speed and carrying capacity down with wear
+   */
+  updateWearEffects() {
+    const wearRatio = this.wear / this.durability.maxWear;
+    const speedFactor = 1 - this.durability.speedLoss * wearRatio;
+
+    this.movementSpeed = this.baseMovementSpeed * speedFactor;
+    this.moveInterval = this.baseMoveInterval / speedFactor;
+    this.carryingCapacity = Math.max(
+      1,
+      Math.round(
+        this.baseCarryingCapacity *
+          (1 - this.durability.capacityLoss * wearRatio),
+      ),
+    );
+
+    // Worn drones show red until repaired
+    const sprite = window.sceneManager?.getSprite(this);
+    if (sprite) {
+      sprite.tint = this.needsRepair() ? 0xff9090 : this.config.tint;
+    }
+  }
+
+  /**
+   * Head back to the owner factory for repair
+   */
+  returnForRepair() {
+    if (!this.ownerFactory || this.ownerFactory.isDestroyed) {
+      this.aiState = "idle";
+      return;
+    }
+
+    this.needsRepairTrip = true;
+    this.aiState = "returning";
+    this.setTarget(this.ownerFactory.hex);
+    this.accumulatedTaskDelta = 0; // Reset task timer
+
+    console.log(
+      `[Drone] Returning to factory for repair (condition ${Math.round(this.getCondition() * 100)}%)`,
+    );
+  }
+
+  /**
+   * Reset wear after a repair
+   */
+  repair() {
+    const repairedWear = this.wear;
+    this.wear = 0;
+    this.updateWearEffects();
+
+    EventBus.emit("drone:repaired", { drone: this, repairedWear });
+    console.log(`[Drone] Repaired ${repairedWear} wear`);
+  }
+
+  /**
+   * Break down for good, leaving salvage on the current hex
+   */
+  breakDown() {
+    if (this.isBrokenDown || this.isDestroyed) return;
+    this.isBrokenDown = true;
+
+    const hex = this.hex;
+    if (hex && !hex.resource && !hex.building && window.addResourceToHex) {
+      window.addResourceToHex(hex, "salvage", this.durability.salvageAmount);
     }
+
+    EventBus.emit("drone:brokenDown", {
+      drone: this,
+      hex,
+      factory: this.ownerFactory,
+    });
+    console.warn(
+      `[Drone] Broke down at (${hex.q}, ${hex.r}) - salvage left behind`,
+    );
+
+    this.ownerFactory?.onDroneDestroyed(this);
+    this.destroy();
   }
 
   /**
@@ -586,9 +1200,10 @@ export class Drone extends Unit {
    * @param {number} newCapacity - New carrying capacity
    */
   upgradeCapacity(newCapacity) {
-    const oldCapacity = this.carryingCapacity;
-    this.carryingCapacity = newCapacity;
+    const oldCapacity = this.baseCarryingCapacity;
+    this.baseCarryingCapacity = newCapacity;
     this.upgradeLevel++;
+    this.updateWearEffects();
 
     EventBus.emit("drone:upgraded", {
       drone: this,
@@ -633,6 +1248,8 @@ export class Drone extends Unit {
   getDroneInfo() {
     return {
       ...this.getUnitInfo(),
+      droneType: this.droneType,
+      role: this.role,
       carryingCapacity: this.carryingCapacity,
       currentLoad: this.currentLoad,
       resourceType: this.resourceType,
@@ -643,9 +1260,164 @@ export class Drone extends Unit {
       ownerFactory: this.ownerFactory ? this.ownerFactory.id : null,
       upgradeLevel: this.upgradeLevel,
       efficiency: this.efficiency,
+      condition: this.getCondition(),
+      wear: this.wear,
+      maxWear: this.durability.maxWear,
+      needsRepair: this.needsRepair(),
+      job: jobDispatcher.getClaim(this)?.job.id || null,
+      jobPin: this.jobPin?.target
+        ? { target: this.jobPin.target.id }
+        : this.jobPin,
+      orders: this.getOrderInfo(),
     };
   }
 
+  /**
+   * Get save data for persistence
+   * Object references are stored as hex coordinates and resolved on load
+   * @returns {Object} Serializable drone state
+   */
+  getSaveData() {
+    const coordsOf = (gameObject) =>
+      gameObject && !gameObject.isDestroyed
+        ? { q: gameObject.hex.q, r: gameObject.hex.r }
+        : null;
+
+    return {
+      type: this.droneType, // Recreates the right drone type on load
+      q: this.hex.q,
+      r: this.hex.r,
+      ownerFactory: coordsOf(this.ownerFactory),
+      currentLoad: this.currentLoad,
+      resourceType: this.resourceType,
+      carryingCapacity: this.baseCarryingCapacity, // Undamaged capacity
+      upgradeLevel: this.upgradeLevel,
+      wear: this.wear,
+      needsRepairTrip: this.needsRepairTrip,
+      aiState: this.aiState,
+      targetResource: coordsOf(this.targetResource),
+      targetBuilding: coordsOf(this.targetBuilding),
+      jobPin: this.jobPin?.target
+        ? { target: coordsOf(this.jobPin.target) }
+        : this.jobPin,
+      order: this.order
+        ? {
+            ...this.order,
+            target: coordsOf(this.order.target),
+          }
+        : null,
+      deliverTo: coordsOf(this.deliverTo),
+    };
+  }
+
+  /**
+   * Load drone state from save data and resume the interrupted task
+   * @param {Object} saveData - Data from getSaveData()
+   * @param {Function} findHex - Resolves {q, r} to a Hex (or null)
+   */
+  loadSaveData(saveData, findHex) {
+    this.currentLoad = saveData.currentLoad || 0;
+    this.resourceType = saveData.resourceType;
+    this.baseCarryingCapacity =
+      saveData.carryingCapacity ?? this.baseCarryingCapacity;
+    this.upgradeLevel = saveData.upgradeLevel ?? this.upgradeLevel;
+    this.wear = saveData.wear || 0;
+    this.needsRepairTrip = saveData.needsRepairTrip || false;
+    this.updateWearEffects();
+    this.targetResource = findHex(saveData.targetResource)?.resource || null;
+    this.targetBuilding = findHex(saveData.targetBuilding)?.building || null;
+    this.aiState = "idle";
+
+    // Pins to a target that is gone are dropped
+    if (saveData.jobPin?.zone) {
+      this.jobPin = { zone: { ...saveData.jobPin.zone } };
+    } else if (saveData.jobPin?.target) {
+      const pinnedHex = findHex(saveData.jobPin.target);
+      const target = pinnedHex?.resource || pinnedHex?.building;
+      this.jobPin = target ? { target } : null;
+    }
+
+    // Player orders; a collect order whose node is gone is dropped
+    const order = saveData.order;
+    if (order?.type === "collect") {
+      const target = findHex(order.target)?.resource;
+      if (target) this.applyOrder({ ...order, target });
+    } else if (order) {
+      this.applyOrder({ ...order, target: null });
+    }
+    this.deliverTo = findHex(saveData.deliverTo)?.building || null;
+
+    // Re-issue movement for the saved state; anything unresolved falls back to idle
+    switch (saveData.aiState) {
+      case "seeking":
+        if (this.targetResource) {
+          this.aiState = "seeking";
+          this.setTarget(this.targetResource.hex);
+        }
+        break;
+
+      case "collecting":
+        if (this.targetResource) {
+          this.aiState = "collecting";
+          this.state = "working";
+        }
+        break;
+
+      case "delivering":
+        if (this.targetBuilding) {
+          this.aiState = "delivering";
+          this.setTarget(this.targetBuilding.hex);
+        }
+        break;
+
+      case "returning":
+        if (this.ownerFactory) {
+          this.aiState = "returning";
+          this.setTarget(this.ownerFactory.hex);
+        } else {
+          this.needsRepairTrip = false;
+        }
+        break;
+
+      case "holding":
+        if (this.order?.type === "return") {
+          this.aiState = "holding";
+        }
+        break;
+    }
+
+    this.restoreClaim();
+  }
+
+  /**
+   * Claim the restored task's job again (dispatcher claims are not saved),
+   * so drones loaded later do not plan around the same load
+   */
+  restoreClaim() {
+    if (this.aiState === "seeking" || this.aiState === "collecting") {
+      const job = jobDispatcher.createCollectJob(this.targetResource);
+      jobDispatcher.claim(
+        this,
+        job,
+        Math.min(
+          this.carryingCapacity - this.currentLoad,
+          jobDispatcher.getAvailable(job),
+        ),
+      );
+    } else if (this.aiState === "delivering") {
+      // Builders keep their site claim until they deliver (see loadCargo)
+      if (
+        this.role === "builder" &&
+        jobDispatcher.isConstructionSite(this.targetBuilding)
+      ) {
+        const job = jobDispatcher.createConstructJob(this.targetBuilding);
+        jobDispatcher.claim(this, job, this.currentLoad);
+      } else {
+        jobDispatcher.claimDelivery(this, this.targetBuilding);
+      }
+    }
+  }
+
   /**
    * Destroy the drone
    */
@@ -667,6 +1439,8 @@ export class Drone extends Unit {
     // Clear targets
     this.targetResource = null;
     this.targetBuilding = null;
+    this.pickupBuilding = null;
+    this.plannedTarget = null;
     this.ownerFactory = null;
 
     // Call parent destroy
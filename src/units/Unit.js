@@ -1,5 +1,6 @@
 import { GameObject } from "../engine/GameObject.js";
 import EventBus from "../engine/EventBus.js";
+import pathfinder, { DEFAULT_PATH_COSTS } from "../engine/Pathfinder.js";
 
 /**
  * Unit class - Represents mobile units like drones
@@ -15,6 +16,7 @@ export class Unit extends GameObject {
 
     this.speed = 1; // Hexes per second
     this.path = []; // Array of hexes to move through
+    this.pathCosts = DEFAULT_PATH_COSTS; // Pathfinder cost functions
     this.targetHex = null; // Final destination
     this.currentTask = null; // Current task assignment
     this.state = "idle"; // idle, moving, working
@@ -69,43 +71,16 @@ export class Unit extends GameObject {
   }
 
   /**
-   * Calculate path from current hex to target using simple pathfinding
+   * Calculate path from current hex to target using A* over the hex grid
    * @param {Hex} startHex - Starting hex
    * @param {Hex} endHex - Target hex
-   * @returns {Hex[]} Array of hexes representing the path
+   * @returns {Hex[]} Array of hexes representing the path (empty if unreachable)
    */
   calculatePath(startHex, endHex) {
-    if (startHex === endHex) return [];
-
-    // Get global hex grid for pathfinding
-    const hexes = window.gameState?.hexes || [];
-    if (hexes.length === 0) return [endHex];
-
-    // Simple pathfinding: create a straight line path through hexes
-    const path = [];
-    const dq = endHex.q - startHex.q;
-    const dr = endHex.r - startHex.r;
-    const distance = Math.max(Math.abs(dq), Math.abs(dr), Math.abs(dq + dr));
-
-    // Create intermediate steps
-    for (let i = 1; i <= distance; i++) {
-      const t = i / distance;
-      const q = Math.round(startHex.q + dq * t);
-      const r = Math.round(startHex.r + dr * t);
-
-      // Find the hex at these coordinates
-      const stepHex = hexes.find((hex) => hex.q === q && hex.r === r);
-      if (stepHex && !path.includes(stepHex)) {
-        path.push(stepHex);
-      }
-    }
-
-    // Ensure target is the last step
-    if (path[path.length - 1] !== endHex) {
-      path.push(endHex);
-    }
-
-    return path;
+    return pathfinder.findPath(startHex, endHex, {
+      unit: this,
+      costs: this.pathCosts,
+    });
   }
 
   /**